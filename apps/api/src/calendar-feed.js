@@ -0,0 +1,141 @@
+const productId = "-//Lease Bot//Showing Calendar//EN";
+const uidDomain = "lease-bot";
+const maxLineOctets = 75;
+
+const eventStatusByShowingStatus = {
+  pending: "TENTATIVE",
+  reschedule_requested: "TENTATIVE",
+  confirmed: "CONFIRMED",
+  completed: "CONFIRMED",
+  no_show: "CONFIRMED",
+  cancelled: "CANCELLED"
+};
+
+const showingStatusLabels = {
+  pending: "Pending",
+  reschedule_requested: "Reschedule requested",
+  confirmed: "Confirmed",
+  completed: "Completed",
+  no_show: "No-show",
+  cancelled: "Cancelled"
+};
+
+export function escapeIcsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+export function formatIcsDateTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// RFC 5545 caps content lines at 75 octets; continuations start with a single space. Splitting on code
+// points keeps multi-byte characters intact.
+export function foldIcsLine(line) {
+  const chunks = [];
+  let current = "";
+  let currentOctets = 0;
+  for (const char of line) {
+    const octets = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? maxLineOctets : maxLineOctets - 1;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = "";
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+export function showingEventUid(appointmentId) {
+  return `showing-${appointmentId}@${uidDomain}`;
+}
+
+function formatUnitAddress(showing) {
+  return [showing.addressLine1, [showing.city, showing.state].filter(Boolean).join(", "), showing.postalCode]
+    .filter(Boolean)
+    .join(", ");
+}
+
+function buildEventDescription(showing) {
+  const lines = [];
+  if (showing.leadName) {
+    lines.push(`Lead: ${showing.leadName}`);
+  }
+  lines.push(showing.reassigned
+    ? "Status: Reassigned to another agent"
+    : `Status: ${showingStatusLabels[showing.status] || showing.status}`);
+  if (showing.platform) {
+    lines.push(`Platform: ${showing.platform}`);
+  }
+  if (showing.appUrl) {
+    lines.push(`Lease Bot: ${showing.appUrl}`);
+  }
+  if (showing.conversationUrl) {
+    lines.push(`Conversation: ${showing.conversationUrl}`);
+  }
+  if (showing.notes) {
+    lines.push("", showing.notes);
+  }
+  return lines.join("\n");
+}
+
+function buildShowingEvent(showing, dtstamp) {
+  const unitLabel = [showing.propertyName, showing.unitNumber].filter(Boolean).join(" ") || "Unit";
+  const summary = showing.leadName ? `Showing: ${unitLabel} with ${showing.leadName}` : `Showing: ${unitLabel}`;
+  const location = formatUnitAddress(showing);
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${showingEventUid(showing.id)}`,
+    `DTSTAMP:${dtstamp}`,
+    `DTSTART:${formatIcsDateTime(showing.startsAt)}`,
+    `DTEND:${formatIcsDateTime(showing.endsAt)}`,
+    `SEQUENCE:${Number(showing.sequence) || 0}`,
+    `STATUS:${showing.reassigned ? "CANCELLED" : eventStatusByShowingStatus[showing.status] || "TENTATIVE"}`,
+    `SUMMARY:${escapeIcsText(summary)}`
+  ];
+  if (location) {
+    lines.push(`LOCATION:${escapeIcsText(location)}`);
+  }
+  lines.push(`DESCRIPTION:${escapeIcsText(buildEventDescription(showing))}`);
+  if (showing.appUrl || showing.conversationUrl) {
+    lines.push(`URL:${showing.appUrl || showing.conversationUrl}`);
+  }
+  if (showing.createdAt) {
+    lines.push(`CREATED:${formatIcsDateTime(showing.createdAt)}`);
+  }
+  if (showing.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatIcsDateTime(showing.updatedAt)}`);
+  }
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// Every showing keeps one UID for its lifetime, so clients update the event in place when it moves or
+// changes status, and cancelled or reassigned showings stay in the feed as STATUS:CANCELLED instead of
+// disappearing.
+export function buildShowingCalendar({ agentName = null, showings = [], now = new Date() } = {}) {
+  const dtstamp = formatIcsDateTime(now);
+  const calendarName = agentName ? `${agentName} showings` : "Showings";
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${productId}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(calendarName)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT15M",
+    "X-PUBLISHED-TTL:PT15M"
+  ];
+  for (const showing of showings) {
+    lines.push(...buildShowingEvent(showing, dtstamp));
+  }
+  lines.push("END:VCALENDAR");
+  return `${lines.map(foldIcsLine).join("\r\n")}\r\n`;
+}
@@ -0,0 +1,155 @@
+export const INBOX_EVENTS_CHANNEL = "lease_bot_inbox_events";
+
+// Mirrors the agent scoping of fetchInboxList; showing events also reach the agent running the showing,
+// and note mentions reach the mentioned user.
+export function isInboxEventVisible(event, access) {
+  if (!event || typeof event !== "object") {
+    return false;
+  }
+  if (access?.role === "admin") {
+    return true;
+  }
+  const sessionAgentId = access?.session?.user?.id;
+  if (!sessionAgentId) {
+    return false;
+  }
+  return [event.assignedAgentId, event.followUpOwnerAgentId, event.agentId, event.mentionedUserId].includes(sessionAgentId);
+}
+
+export function formatServerSentEvent(eventName, payload) {
+  return `event: ${eventName}\ndata: ${JSON.stringify(payload)}\n\n`;
+}
+
+// One LISTEN connection per API process, shared by every open stream and dropped when the last one closes.
+export function createInboxEventHub({ pool, logger = console, reconnectDelayMs = 5000 }) {
+  const subscribers = new Set();
+  let listener = null;
+  let connecting = null;
+  let reconnectTimer = null;
+
+  function broadcast(event) {
+    for (const handler of subscribers) {
+      try {
+        handler(event);
+      } catch (error) {
+        logger.warn("[inbox-events] subscriber failed", {
+          error: error instanceof Error ? error.message : String(error)
+        });
+      }
+    }
+  }
+
+  function handleNotification(notification) {
+    if (notification.channel !== INBOX_EVENTS_CHANNEL) {
+      return;
+    }
+    let event;
+    try {
+      event = JSON.parse(notification.payload);
+    } catch {
+      logger.warn("[inbox-events] ignored malformed notification", { payload: notification.payload });
+      return;
+    }
+    broadcast(event);
+  }
+
+  function scheduleReconnect() {
+    if (reconnectTimer || subscribers.size === 0) {
+      return;
+    }
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      ensureListening();
+    }, reconnectDelayMs);
+  }
+
+  function detach(client) {
+    client.removeListener("notification", handleNotification);
+    client.removeListener("error", handleConnectionError);
+  }
+
+  function handleConnectionError(error) {
+    logger.warn("[inbox-events] listener connection failed", { error: error.message });
+    const client = listener;
+    if (client) {
+      listener = null;
+      detach(client);
+      client.release(error);
+    }
+    scheduleReconnect();
+  }
+
+  async function ensureListening() {
+    if (listener || connecting || subscribers.size === 0) {
+      return connecting;
+    }
+    connecting = (async () => {
+      let client = null;
+      try {
+        client = await pool.connect();
+        client.on("notification", handleNotification);
+        client.on("error", handleConnectionError);
+        await client.query(`LISTEN ${INBOX_EVENTS_CHANNEL}`);
+        listener = client;
+      } catch (error) {
+        logger.warn("[inbox-events] failed to listen", {
+          error: error instanceof Error ? error.message : String(error)
+        });
+        if (client) {
+          detach(client);
+          client.release(error);
+        }
+        scheduleReconnect();
+      } finally {
+        connecting = null;
+      }
+    })();
+    return connecting;
+  }
+
+  async function stopListening() {
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    await connecting;
+    const client = listener;
+    if (!client) {
+      return;
+    }
+    listener = null;
+    detach(client);
+    try {
+      await client.query(`UNLISTEN ${INBOX_EVENTS_CHANNEL}`);
+      client.release();
+    } catch (error) {
+      client.release(error);
+    }
+    // A stream may have opened while the old connection was shutting down.
+    if (subscribers.size > 0) {
+      ensureListening();
+    }
+  }
+
+  return {
+    subscribe(handler) {
+      subscribers.add(handler);
+      ensureListening();
+      return () => {
+        subscribers.delete(handler);
+        if (subscribers.size === 0) {
+          stopListening();
+        }
+      };
+    },
+
+    subscriberCount() {
+      return subscribers.size;
+    },
+
+    close() {
+      subscribers.clear();
+      return stopListening();
+    }
+  };
+}
@@ -1,4 +1,4 @@
-const supportedStatuses = new Set(["new", "draft", "sent", "hold"]);
+const supportedStatuses = new Set(["new", "draft", "sent", "hold", "deferred"]);
 const variablePattern = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
 
 export function normalizeMessageStatus(direction, metadata) {
@@ -1,4 +1,10 @@
+import { paginateRows } from "./pagination.js";
+
 export function parsePositiveInt(value, fallback, { min = 1, max = 1000 } = {}) {
+  // A missing query parameter arrives as null, which Number() would read as 0.
+  if (value === null || value === undefined || value === "") {
+    return fallback;
+  }
   const parsed = Number(value);
   if (!Number.isInteger(parsed)) {
     return fallback;
@@ -29,7 +35,7 @@ const CRITICAL_AUDIT_ACTIONS = [
   "inbox_manual_reply_dispatched"
 ];
 
-export async function fetchObservabilitySnapshot(client, { windowHours = 24, auditLimit = 50, errorLimit = 25, signalLimit = 25 } = {}) {
+export async function fetchObservabilitySnapshot(client, { windowHours = 24, auditLimit = 50, errorLimit = 25, signalLimit = 25, auditCursor = null } = {}) {
   const metricsResult = await client.query(
     `SELECT COUNT(*) FILTER (
               WHERE direction = 'inbound'
@@ -205,13 +211,18 @@ export async function fetchObservabilitySnapshot(client, { windowHours = 24, aud
     [errorLimit]
   );
 
+  // recentAudit pages backwards through the whole log with auditCursor; the rest of the snapshot
+  // is recomputed on every page.
   const recentAuditResult = await client.query(
     `SELECT id, actor_type, actor_id, entity_type, entity_id, action, details, created_at
        FROM "AuditLogs"
-      ORDER BY created_at DESC
+      WHERE $2::timestamptz IS NULL
+         OR (date_trunc('milliseconds', created_at), id) < ($2::timestamptz, $3::bigint)
+      ORDER BY date_trunc('milliseconds', created_at) DESC, id DESC
       LIMIT $1`,
-    [auditLimit]
+    [auditLimit + 1, auditCursor?.at || null, auditCursor?.id || null]
   );
+  const recentAuditPage = paginateRows(recentAuditResult.rows, auditLimit, (row) => ({ at: row.created_at, id: row.id }));
 
   const messages = metricsResult.rows[0] || {};
   const audit = auditMetricsResult.rows[0] || {};
@@ -289,7 +300,8 @@ export async function fetchObservabilitySnapshot(client, { windowHours = 24, aud
       details: row.details || {},
       createdAt: row.created_at
     })),
-    recentAudit: recentAuditResult.rows.map((row) => ({
+    recentAuditNextCursor: recentAuditPage.nextCursor,
+    recentAudit: recentAuditPage.items.map((row) => ({
       id: row.id,
       actorType: row.actor_type,
       actorId: row.actor_id,
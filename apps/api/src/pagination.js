@@ -0,0 +1,44 @@
+// Opaque keyset cursors for list routes. A cursor holds the sort timestamp and id of the last row on
+// a page; the next query resumes strictly after that pair. Timestamps are compared at millisecond
+// precision (the queries sort on date_trunc('milliseconds', ...)) because that is all a JS Date keeps.
+// Routes that sort on more columns between the two put those values in ties.
+export function encodeCursor({ at, id, ties = [] }) {
+  const timestamp = at === null || at === undefined ? null : new Date(at).toISOString();
+  return Buffer.from(JSON.stringify([timestamp, String(id), ...ties])).toString("base64url");
+}
+
+// Returns { at, id } (plus ties when the cursor has them) or null when the cursor is malformed; at is
+// null for rows without a timestamp.
+export function decodeCursor(cursor) {
+  if (typeof cursor !== "string" || cursor.length === 0 || cursor.length > 200) {
+    return null;
+  }
+
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+
+  if (!Array.isArray(values) || values.length < 2 || values.length > 4 || typeof values[1] !== "string") {
+    return null;
+  }
+  const [at, id, ...ties] = values;
+  if (at !== null && (typeof at !== "string" || !Number.isFinite(Date.parse(at)))) {
+    return null;
+  }
+  if (!ties.every((value) => value === null || typeof value === "string" || Number.isFinite(value))) {
+    return null;
+  }
+  return ties.length > 0 ? { at, id, ties } : { at, id };
+}
+
+// rows holds up to limit + 1 entries; the extra one only signals that another page exists.
+export function paginateRows(rows, limit, toCursor) {
+  const items = rows.slice(0, limit);
+  return {
+    items,
+    nextCursor: rows.length > limit && items.length > 0 ? encodeCursor(toCursor(items[items.length - 1])) : null
+  };
+}
@@ -7,13 +7,32 @@ import nodemailer from "nodemailer";
 import { getAuth, hasAnyRole, normalizeRole, roles } from "@lease-bot/auth";
 import {
   createConnectorRegistry,
+  createPlatformAdapterRegistry,
   createPostgresQueueAdapter,
-  createRpaAlertDispatcher
+  deliverLeadMessage,
+  endAgentOutOfOffice,
+  createRpaAlertDispatcher,
+  inTransaction,
+  normalizeFollowUpCadence,
+  normalizeSendWindow,
+  normalizeShowingReminders,
+  processDueFollowUps,
+  recordShowingOutcome,
+  resolveSendWindow,
+  ROUTING_STRATEGIES,
+  sendShowingOutcomeFollowUp,
+  syncAgentOutOfOffice,
+  validateFollowUpCadence,
+  validateSendWindow,
+  validateShowingOutcome,
+  validateShowingReminders
 } from "../../../packages/integrations/src/index.js";
 import { ensureDevTestData } from "../../../packages/integrations/src/bootstrap-dev-test-data.js";
 import { ensureRequiredPlatformAccounts } from "../../../packages/integrations/src/bootstrap-platform-accounts.js";
 import { LocalTimeValidationError, formatInTimezone, zonedTimeToUtc } from "./availability-timezone.js";
+import { buildShowingCalendar } from "./calendar-feed.js";
 import { ensureDevAdminUser } from "./bootstrap-dev-admin.js";
+import { createInboxEventHub, formatServerSentEvent, isInboxEventVisible } from "./inbox-events.js";
 import {
   extractVariablesFromBody,
   normalizeMessageStatus,
@@ -21,6 +40,20 @@ import {
   renderTemplate
 } from "./inbox-utils.js";
 import { fetchObservabilitySnapshot, parsePositiveInt } from "./observability.js";
+import { decodeCursor, paginateRows } from "./pagination.js";
+import { buildShowingChangeMessage, pickOfferedSlots } from "./showing-changes.js";
+import {
+  AI_PROVIDER_NAMES,
+  GUARDRAIL_ACTIONS,
+  GUARDRAIL_DIRECTIONS,
+  GUARDRAIL_MATCH_TYPES,
+  GUARDRAIL_SEVERITIES,
+  buildLeadProfileTemplateVariables,
+  checkFairHousingCompliance,
+  compileGuardrailMatcher,
+  validatePrescreenQuestions,
+  validateQualificationCriteria
+} from "../../../packages/ai/src/index.js";
 
 const host = process.env.API_HOST || "0.0.0.0";
 const port = Number(process.env.API_PORT || 3001);
@@ -34,6 +67,9 @@ if (!databaseUrl) {
 }
 
 const pool = new Pool({ connectionString: databaseUrl });
+const inboxEventHub = createInboxEventHub({ pool, logger: console });
+const inboxEventHeartbeatMs = Number(process.env.INBOX_EVENTS_HEARTBEAT_MS || 25000);
+const workerHeartbeatStaleMs = Number(process.env.WORKER_HEARTBEAT_STALE_MS || 60000);
 const rpaAlertDispatcher = createRpaAlertDispatcher({
   env: process.env,
   logger: console,
@@ -45,6 +81,7 @@ const connectorRegistry = createConnectorRegistry({
     rpaAlertDispatcher.handleEvent(event);
   }
 });
+const platformAdapterRegistry = createPlatformAdapterRegistry();
 
 const allowedOrigins = new Set(
   (process.env.BETTER_AUTH_TRUSTED_ORIGINS || process.env.WEB_BASE_URL || "http://localhost:5173")
@@ -309,6 +346,67 @@ function parsePlatformPolicyPayload(payload, { partial = false } = {}) {
     }
   }
 
+  if (payload.aiProviderOrder !== undefined) {
+    if (payload.aiProviderOrder === null) {
+      updates.aiProviderOrder = null;
+    } else if (
+      !Array.isArray(payload.aiProviderOrder)
+      || payload.aiProviderOrder.some((name) => !AI_PROVIDER_NAMES.includes(name))
+      || new Set(payload.aiProviderOrder).size !== payload.aiProviderOrder.length
+    ) {
+      errors.push(`aiProviderOrder must be null or a list of distinct providers from ${AI_PROVIDER_NAMES.join(", ")}`);
+    } else {
+      updates.aiProviderOrder = payload.aiProviderOrder;
+    }
+  }
+
+  if (payload.aiProviderTimeoutMs !== undefined) {
+    if (
+      payload.aiProviderTimeoutMs !== null
+      && (!Number.isInteger(payload.aiProviderTimeoutMs) || payload.aiProviderTimeoutMs < 1000 || payload.aiProviderTimeoutMs > 120000)
+    ) {
+      errors.push("aiProviderTimeoutMs must be null or an integer between 1000 and 120000");
+    } else {
+      updates.aiProviderTimeoutMs = payload.aiProviderTimeoutMs;
+    }
+  }
+
+  if (payload.followUpCadence !== undefined) {
+    const cadenceErrors = validateFollowUpCadence(payload.followUpCadence);
+    if (cadenceErrors.length > 0) {
+      errors.push(...cadenceErrors);
+    } else {
+      // Store the normalized shape so the worker's due-date query sees explicit delays and stage limits.
+      updates.followUpCadence = normalizeFollowUpCadence(payload.followUpCadence);
+    }
+  }
+
+  if (payload.sendWindow !== undefined) {
+    const sendWindowErrors = validateSendWindow(payload.sendWindow);
+    if (sendWindowErrors.length > 0) {
+      errors.push(...sendWindowErrors);
+    } else {
+      updates.sendWindow = normalizeSendWindow(payload.sendWindow);
+    }
+  }
+
+  if (payload.showingReminders !== undefined) {
+    const reminderErrors = validateShowingReminders(payload.showingReminders);
+    if (reminderErrors.length > 0) {
+      errors.push(...reminderErrors);
+    } else {
+      updates.showingReminders = normalizeShowingReminders(payload.showingReminders);
+    }
+  }
+
+  if (payload.routingStrategy !== undefined) {
+    if (!ROUTING_STRATEGIES.includes(payload.routingStrategy)) {
+      errors.push(`routingStrategy must be one of ${ROUTING_STRATEGIES.join(", ")}`);
+    } else {
+      updates.routingStrategy = payload.routingStrategy;
+    }
+  }
+
   if (!partial || payload.credentials !== undefined) {
     if (!isObject(payload.credentials)) {
       errors.push("credentials must be an object");
@@ -562,6 +660,29 @@ function validateInvitationAcceptPayload(payload) {
   };
 }
 
+function validateDeadLetterActionPayload(payload, { requireReason = false } = {}) {
+  const messageIds = Array.isArray(payload?.messageIds) ? [...new Set(payload.messageIds)] : [];
+  const reason = typeof payload?.reason === "string" ? payload.reason.trim() : "";
+  const errors = [];
+
+  if (messageIds.length === 0 || messageIds.length > 200) {
+    errors.push("messageIds must list between 1 and 200 message ids");
+  } else if (!messageIds.every(isUuid)) {
+    errors.push("messageIds must be UUIDs");
+  }
+  if (requireReason && (!reason || reason.length > 500)) {
+    errors.push("reason is required and must be 500 characters or fewer");
+  }
+
+  return {
+    errors,
+    value: {
+      messageIds,
+      reason: reason || null
+    }
+  };
+}
+
 function validatePlatformCredentialPayload(platform, credentials) {
   const errors = [];
 
@@ -602,6 +723,246 @@ function validatePlatformCredentialPayload(platform, credentials) {
   return errors;
 }
 
+function toGuardrailReasonCode(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 64);
+}
+
+function validateGuardrailRulePayload(payload) {
+  const errors = [];
+
+  if (payload.platformAccountId !== undefined && payload.platformAccountId !== null && !isUuid(payload.platformAccountId)) {
+    errors.push("platformAccountId must be a valid UUID or null");
+  }
+
+  if (typeof payload.name !== "string" || payload.name.trim().length < 2) {
+    errors.push("name must be at least 2 characters");
+  }
+
+  if (payload.reasonCode !== undefined && payload.reasonCode !== null) {
+    if (typeof payload.reasonCode !== "string" || !/^[a-z0-9_]{2,64}$/.test(payload.reasonCode)) {
+      errors.push("reasonCode must be 2-64 lowercase letters, digits, or underscores");
+    }
+  }
+
+  if (!GUARDRAIL_MATCH_TYPES.includes(payload.matchType)) {
+    errors.push(`matchType must be one of ${GUARDRAIL_MATCH_TYPES.join(", ")}`);
+  } else if (payload.matchType === "pattern") {
+    if (typeof payload.pattern !== "string" || payload.pattern.length === 0) {
+      errors.push("pattern is required when matchType is pattern");
+    } else if (!compileGuardrailMatcher({ matchType: "pattern", pattern: payload.pattern })) {
+      errors.push("pattern must be a valid regular expression");
+    }
+  } else if (
+    !Array.isArray(payload.keywords)
+    || payload.keywords.length === 0
+    || payload.keywords.some((keyword) => typeof keyword !== "string" || keyword.trim().length === 0)
+  ) {
+    errors.push("keywords must be a non-empty array of strings when matchType is keywords");
+  }
+
+  if (!GUARDRAIL_DIRECTIONS.includes(payload.direction)) {
+    errors.push(`direction must be one of ${GUARDRAIL_DIRECTIONS.join(", ")}`);
+  }
+
+  if (payload.severity !== undefined && !GUARDRAIL_SEVERITIES.includes(payload.severity)) {
+    errors.push(`severity must be one of ${GUARDRAIL_SEVERITIES.join(", ")}`);
+  }
+
+  if (!GUARDRAIL_ACTIONS.includes(payload.action)) {
+    errors.push(`action must be one of ${GUARDRAIL_ACTIONS.join(", ")}`);
+  } else if (payload.action === "redact" && payload.direction !== "outbound") {
+    errors.push("redact action is only supported for outbound rules");
+  }
+
+  if (payload.isEnabled !== undefined && typeof payload.isEnabled !== "boolean") {
+    errors.push("isEnabled must be a boolean");
+  }
+
+  return errors;
+}
+
+function validateConversationTagPayload(payload, { partial = false } = {}) {
+  const errors = [];
+
+  if (!partial || payload.name !== undefined) {
+    if (typeof payload.name !== "string" || payload.name.trim().length === 0 || payload.name.trim().length > 40) {
+      errors.push("name must be 1-40 characters");
+    }
+  }
+
+  if (payload.color !== undefined && !conversationTagColors.includes(payload.color)) {
+    errors.push(`color must be one of ${conversationTagColors.join(", ")}`);
+  }
+
+  if (partial && payload.name === undefined && payload.color === undefined) {
+    errors.push("name or color must be provided");
+  }
+
+  return errors;
+}
+
+function validateInboxSavedViewPayload(payload, { partial = false } = {}) {
+  const errors = [];
+  let filters;
+
+  if (!partial || payload.name !== undefined) {
+    if (typeof payload.name !== "string" || payload.name.trim().length === 0 || payload.name.trim().length > 80) {
+      errors.push("name must be 1-80 characters");
+    }
+  }
+
+  if (!partial || payload.filters !== undefined) {
+    if (!payload.filters || typeof payload.filters !== "object" || Array.isArray(payload.filters)) {
+      errors.push("filters must be an object");
+    } else {
+      const result = validateInboxFilters(payload.filters);
+      errors.push(...result.errors.map((error) => `filters.${error}`));
+      filters = result.value;
+    }
+  }
+
+  if (partial && payload.name === undefined && payload.filters === undefined) {
+    errors.push("name or filters must be provided");
+  }
+
+  return { errors, value: { name: payload.name?.trim?.(), filters } };
+}
+
+function validateConversationNotePayload(payload) {
+  const errors = [];
+
+  if (typeof payload.body !== "string" || payload.body.trim().length === 0 || payload.body.trim().length > 4000) {
+    errors.push("body must be 1-4000 characters");
+  }
+
+  let mentionedUserIds = [];
+  if (payload.mentionedUserIds !== undefined) {
+    if (
+      !Array.isArray(payload.mentionedUserIds)
+      || payload.mentionedUserIds.length > 20
+      || payload.mentionedUserIds.some((userId) => typeof userId !== "string" || userId.trim().length === 0)
+    ) {
+      errors.push("mentionedUserIds must be an array of up to 20 user ids");
+    } else {
+      mentionedUserIds = [...new Set(payload.mentionedUserIds.map((userId) => userId.trim()))];
+    }
+  }
+
+  return { errors, value: { body: payload.body?.trim?.(), mentionedUserIds } };
+}
+
+function toConversationTagDto(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    color: row.color,
+    conversationCount: Number(row.conversation_count || 0),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toInboxSavedViewDto(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    filters: row.filters || {},
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toConversationNoteDto(row) {
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    authorId: row.author_id,
+    authorName: row.author_name || null,
+    body: row.body,
+    mentions: Array.isArray(row.mentions) ? row.mentions : [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function toMentionDto(row) {
+  return {
+    noteId: row.note_id,
+    conversationId: row.conversation_id,
+    leadName: row.lead_name,
+    authorId: row.author_id,
+    authorName: row.author_name || null,
+    body: row.body,
+    readAt: row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+function toAgentNotificationDto(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    appointmentId: row.appointment_id,
+    conversationId: row.conversation_id,
+    body: row.body,
+    details: row.details || {},
+    readAt: row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+function toLeadConversationDto(row) {
+  return {
+    id: row.id,
+    platform: row.platform,
+    leadName: row.lead_name,
+    leadContact: row.lead_contact || {},
+    unit: row.property_name && row.unit_number ? `${row.property_name} ${row.unit_number}` : null,
+    status: row.status,
+    workflowState: row.workflow_state,
+    showingState: row.showing_state,
+    linkSource: row.lead_link_source,
+    lastMessageAt: row.last_message_at
+  };
+}
+
+function toLeadShowingDto(row) {
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    platform: row.platform,
+    unit: `${row.property_name} ${row.unit_number}`,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    timezone: row.timezone,
+    status: row.status
+  };
+}
+
+function toGuardrailRuleDto(row) {
+  return {
+    id: row.id,
+    platformAccountId: row.platform_account_id,
+    name: row.name,
+    reasonCode: row.reason_code,
+    matchType: row.match_type,
+    pattern: row.pattern,
+    keywords: Array.isArray(row.keywords) ? row.keywords : [],
+    direction: row.direction,
+    severity: row.severity,
+    action: row.action,
+    isEnabled: row.is_enabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
 function toPlatformPolicyDto(row) {
   const sendModeOverride = row.send_mode;
   return {
@@ -614,6 +975,12 @@ function toPlatformPolicyDto(row) {
     sendMode: sendModeOverride || globalDefaultSendMode,
     sendModeOverride,
     globalDefaultSendMode,
+    aiProviderOrder: Array.isArray(row.ai_provider_order) ? row.ai_provider_order : null,
+    aiProviderTimeoutMs: row.ai_provider_timeout_ms ?? null,
+    followUpCadence: normalizeFollowUpCadence(row.follow_up_cadence),
+    sendWindow: normalizeSendWindow(row.send_window),
+    showingReminders: normalizeShowingReminders(row.showing_reminders),
+    routingStrategy: row.routing_strategy || "priority",
     credentials: row.credentials || {},
     createdAt: row.created_at,
     updatedAt: row.updated_at
@@ -727,6 +1094,14 @@ function validateListingPayload(payload, { partial = false } = {}) {
     errors.push("assignedAgentId must be a valid UUID");
   }
 
+  if (payload.qualificationCriteria !== undefined) {
+    errors.push(...validateQualificationCriteria(payload.qualificationCriteria));
+  }
+
+  if (payload.prescreenQuestions !== undefined) {
+    errors.push(...validatePrescreenQuestions(payload.prescreenQuestions));
+  }
+
   return errors;
 }
 
@@ -873,7 +1248,7 @@ function validateAgentDailyOverridePayload(payload) {
 }
 
 const showingAppointmentStatuses = new Set(["pending", "confirmed", "reschedule_requested", "cancelled", "completed", "no_show"]);
-const conversationWorkflowStates = new Set(["lead", "showing", "follow_up_1", "follow_up_2", "outcome"]);
+const conversationWorkflowStates = new Set(["lead", "prescreening", "prescreened", "showing", "follow_up_1", "follow_up_2", "outcome"]);
 const conversationWorkflowOutcomes = new Set([
   "not_interested",
   "wants_reschedule",
@@ -888,10 +1263,12 @@ const followUpStages = new Set(["follow_up_1", "follow_up_2"]);
 const followUpStatuses = new Set(["pending", "completed", "cancelled"]);
 
 const workflowStateTransitionMap = {
-  lead: new Set(["lead", "showing", "follow_up_1", "outcome"]),
+  lead: new Set(["lead", "prescreening", "prescreened", "showing", "follow_up_1", "outcome"]),
+  prescreening: new Set(["prescreening", "prescreened", "showing", "follow_up_1", "outcome"]),
+  prescreened: new Set(["prescreened", "showing", "follow_up_1", "outcome"]),
   showing: new Set(["showing", "follow_up_1", "outcome"]),
-  follow_up_1: new Set(["follow_up_1", "follow_up_2", "outcome"]),
-  follow_up_2: new Set(["follow_up_2", "outcome"]),
+  follow_up_1: new Set(["follow_up_1", "follow_up_2", "showing", "outcome"]),
+  follow_up_2: new Set(["follow_up_2", "showing", "outcome"]),
   outcome: new Set(["outcome", "lead"])
 };
 
@@ -904,6 +1281,9 @@ const showingStateTransitionMap = {
   no_show: new Set(["no_show"])
 };
 
+// Statuses the no-double-booking constraint covers; only these can still be moved or cancelled.
+const openShowingStatuses = new Set(["pending", "confirmed", "reschedule_requested"]);
+
 function isIsoDateTime(value) {
   if (typeof value !== "string") {
     return false;
@@ -952,6 +1332,41 @@ function validateShowingBookingPayload(payload) {
   return errors;
 }
 
+function validateShowingChangePayload(payload, { allowSlot = false } = {}) {
+  const errors = [];
+
+  if (allowSlot) {
+    const hasSlot = payload.startsAt !== undefined || payload.endsAt !== undefined;
+    if (hasSlot && (!isIsoDateTime(payload.startsAt) || !isIsoDateTime(payload.endsAt))) {
+      errors.push("startsAt and endsAt must be valid ISO datetime strings");
+    }
+    if (isIsoDateTime(payload.startsAt) && isIsoDateTime(payload.endsAt) && new Date(payload.endsAt) <= new Date(payload.startsAt)) {
+      errors.push("endsAt must be after startsAt");
+    }
+    if (payload.agentId !== undefined && payload.agentId !== null && !isUuid(payload.agentId)) {
+      errors.push("agentId must be a valid UUID");
+    }
+    if (payload.agentId && !hasSlot) {
+      errors.push("agentId requires startsAt and endsAt");
+    }
+  }
+  if (payload.reason !== undefined && payload.reason !== null && (typeof payload.reason !== "string" || payload.reason.length > 500)) {
+    errors.push("reason must be a string of at most 500 characters");
+  }
+  if (payload.notifyLead !== undefined && typeof payload.notifyLead !== "boolean") {
+    errors.push("notifyLead must be a boolean");
+  }
+  if (
+    payload.message !== undefined
+    && payload.message !== null
+    && (typeof payload.message !== "string" || payload.message.trim().length < 1 || payload.message.length > 2000)
+  ) {
+    errors.push("message must be a non-empty string of at most 2000 characters");
+  }
+
+  return errors;
+}
+
 function isAllowedTransition(map, fromState, toState) {
   if (toState === undefined || toState === null) {
     return true;
@@ -1064,7 +1479,7 @@ async function transitionConversationWorkflow(client, conversationId, payload, a
   const requestedFollowUpStatus = payload.followUpStatus;
 
   if (requestedState !== undefined && !conversationWorkflowStates.has(requestedState)) {
-    errors.push("workflowState must be one of lead, showing, follow_up_1, follow_up_2, outcome");
+    errors.push("workflowState must be one of lead, prescreening, prescreened, showing, follow_up_1, follow_up_2, outcome");
   }
   if (requestedOutcome !== undefined && requestedOutcome !== null && !conversationWorkflowOutcomes.has(requestedOutcome)) {
     errors.push("workflowOutcome must be one of not_interested, wants_reschedule, no_reply, showing_confirmed, general_question, human_required, no_show, completed");
@@ -1251,6 +1666,12 @@ async function fetchPlatformPolicies(client) {
             is_active,
             send_mode,
             integration_mode,
+            ai_provider_order,
+            ai_provider_timeout_ms,
+            follow_up_cadence,
+            send_window,
+            showing_reminders,
+            routing_strategy,
             created_at,
             updated_at
        FROM "PlatformAccounts"
@@ -1265,6 +1686,12 @@ async function updatePlatformPolicy(client, id, updates) {
   const sendModeProvided = Object.prototype.hasOwnProperty.call(updates, "sendMode");
   const integrationModeProvided = Object.prototype.hasOwnProperty.call(updates, "integrationMode");
   const credentialsProvided = Object.prototype.hasOwnProperty.call(updates, "credentials");
+  const aiProviderOrderProvided = Object.prototype.hasOwnProperty.call(updates, "aiProviderOrder");
+  const followUpCadenceProvided = Object.prototype.hasOwnProperty.call(updates, "followUpCadence");
+  const sendWindowProvided = Object.prototype.hasOwnProperty.call(updates, "sendWindow");
+  const showingRemindersProvided = Object.prototype.hasOwnProperty.call(updates, "showingReminders");
+  const routingStrategyProvided = Object.prototype.hasOwnProperty.call(updates, "routingStrategy");
+  const aiProviderTimeoutMsProvided = Object.prototype.hasOwnProperty.call(updates, "aiProviderTimeoutMs");
 
   const result = await client.query(
     `UPDATE "PlatformAccounts"
@@ -1272,6 +1699,12 @@ async function updatePlatformPolicy(client, id, updates) {
             send_mode = CASE WHEN $4::boolean THEN $5 ELSE send_mode END,
             integration_mode = CASE WHEN $6::boolean THEN $7 ELSE integration_mode END,
             credentials = CASE WHEN $8::boolean THEN $9::jsonb ELSE credentials END,
+            ai_provider_order = CASE WHEN $10::boolean THEN $11::jsonb ELSE ai_provider_order END,
+            follow_up_cadence = CASE WHEN $12::boolean THEN $13::jsonb ELSE follow_up_cadence END,
+            send_window = CASE WHEN $14::boolean THEN $15::jsonb ELSE send_window END,
+            showing_reminders = CASE WHEN $16::boolean THEN $17::jsonb ELSE showing_reminders END,
+            routing_strategy = CASE WHEN $18::boolean THEN $19 ELSE routing_strategy END,
+            ai_provider_timeout_ms = CASE WHEN $20::boolean THEN $21::integer ELSE ai_provider_timeout_ms END,
             updated_at = NOW()
       WHERE id = $1::uuid
       RETURNING id,
@@ -1282,6 +1715,12 @@ async function updatePlatformPolicy(client, id, updates) {
                 is_active,
                 send_mode,
                 integration_mode,
+                ai_provider_order,
+                ai_provider_timeout_ms,
+                follow_up_cadence,
+                send_window,
+                showing_reminders,
+                routing_strategy,
                 created_at,
                 updated_at`,
     [
@@ -1293,7 +1732,19 @@ async function updatePlatformPolicy(client, id, updates) {
       integrationModeProvided,
       integrationModeProvided ? updates.integrationMode : null,
       credentialsProvided,
-      credentialsProvided ? JSON.stringify(updates.credentials) : null
+      credentialsProvided ? JSON.stringify(updates.credentials) : null,
+      aiProviderOrderProvided,
+      aiProviderOrderProvided && updates.aiProviderOrder ? JSON.stringify(updates.aiProviderOrder) : null,
+      followUpCadenceProvided,
+      followUpCadenceProvided ? JSON.stringify(updates.followUpCadence) : null,
+      sendWindowProvided,
+      sendWindowProvided ? JSON.stringify(updates.sendWindow || {}) : null,
+      showingRemindersProvided,
+      showingRemindersProvided ? JSON.stringify(updates.showingReminders) : null,
+      routingStrategyProvided,
+      routingStrategyProvided ? updates.routingStrategy : null,
+      aiProviderTimeoutMsProvided,
+      aiProviderTimeoutMsProvided ? updates.aiProviderTimeoutMs : null
     ]
   );
 
@@ -1304,86 +1755,600 @@ async function updatePlatformPolicy(client, id, updates) {
   return toPlatformPolicyDto(result.rows[0]);
 }
 
-async function fetchUnits(client) {
+const guardrailRuleColumns = `id,
+            platform_account_id,
+            name,
+            reason_code,
+            match_type,
+            pattern,
+            keywords,
+            direction,
+            severity,
+            action,
+            is_enabled,
+            created_by,
+            created_at,
+            updated_at`;
+
+async function fetchGuardrailRules(client, { platformAccountId = null } = {}) {
   const result = await client.query(
-    `SELECT u.id,
-            u.external_id,
-            u.property_name,
-            u.unit_number,
-            u.address_line1,
-            u.city,
-            u.state,
-            u.postal_code,
-            u.bedrooms,
-            u.bathrooms,
-            u.square_feet,
-            u.is_active,
-            u.created_at,
-            u.updated_at,
-            assignment.primary_assigned_agent_id,
-            assignment.assignments
-       FROM "Units" u
-        LEFT JOIN LATERAL (
-          SELECT
-            (
-              SELECT ua2.agent_id
-                FROM "UnitAgentAssignments" ua2
-               WHERE ua2.unit_id = u.id
-                 AND ua2.assignment_mode = 'active'
-               ORDER BY ua2.priority ASC, ua2.created_at ASC
-               LIMIT 1
-            ) AS primary_assigned_agent_id,
-            COALESCE(
-              jsonb_agg(
-                jsonb_build_object(
-                  'agentId', ua.agent_id,
-                  'assignmentMode', ua.assignment_mode,
-                  'priority', ua.priority,
-                  'createdAt', ua.created_at,
-                  'updatedAt', ua.updated_at
-                )
-                ORDER BY ua.priority ASC, ua.created_at ASC
-              ) FILTER (WHERE ua.id IS NOT NULL),
-              '[]'::jsonb
-            ) AS assignments
-            FROM "UnitAgentAssignments" ua
-           WHERE ua.unit_id = u.id
-        ) assignment ON TRUE
-       ORDER BY u.property_name ASC, u.unit_number ASC`
+    `SELECT ${guardrailRuleColumns}
+       FROM "GuardrailRules"
+      WHERE ($1::uuid IS NULL OR platform_account_id = $1::uuid OR platform_account_id IS NULL)
+      ORDER BY created_at ASC`,
+    [platformAccountId]
   );
 
-  return result.rows.map((row) => ({
-    id: row.id,
-    externalId: row.external_id,
-    propertyName: row.property_name,
-    unitNumber: row.unit_number,
-    addressLine1: row.address_line1,
-    city: row.city,
-    state: row.state,
-    postalCode: row.postal_code,
-    bedrooms: row.bedrooms,
-    bathrooms: row.bathrooms === null ? null : Number(row.bathrooms),
-    squareFeet: row.square_feet,
-    isActive: row.is_active,
-    assignedAgentId: row.primary_assigned_agent_id,
-    assignedAgents: Array.isArray(row.assignments) ? row.assignments : [],
-    createdAt: row.created_at,
-    updatedAt: row.updated_at
-  }));
+  return result.rows.map((row) => toGuardrailRuleDto(row));
 }
 
-async function fetchListings(client, unitId = null, { onlyActivePlatform = true } = {}) {
+async function fetchGuardrailRuleById(client, ruleId) {
   const result = await client.query(
-    `SELECT l.id,
-            l.unit_id,
-            l.platform_account_id,
-            pa.platform,
+    `SELECT ${guardrailRuleColumns}
+       FROM "GuardrailRules"
+      WHERE id = $1::uuid
+      LIMIT 1`,
+    [ruleId]
+  );
+
+  return result.rowCount === 0 ? null : toGuardrailRuleDto(result.rows[0]);
+}
+
+async function saveGuardrailRule(client, rule, { ruleId = null, actorId = null } = {}) {
+  const values = [
+    rule.platformAccountId || null,
+    rule.name.trim(),
+    rule.reasonCode || toGuardrailReasonCode(rule.name),
+    rule.matchType,
+    rule.matchType === "pattern" ? rule.pattern : null,
+    JSON.stringify(rule.matchType === "keywords" ? rule.keywords.map((keyword) => keyword.trim()) : []),
+    rule.direction,
+    rule.severity || "medium",
+    rule.action,
+    rule.isEnabled ?? true
+  ];
+
+  const result = ruleId
+    ? await client.query(
+        `UPDATE "GuardrailRules"
+            SET platform_account_id = $2::uuid,
+                name = $3,
+                reason_code = $4,
+                match_type = $5,
+                pattern = $6,
+                keywords = $7::jsonb,
+                direction = $8,
+                severity = $9,
+                action = $10,
+                is_enabled = $11,
+                updated_at = NOW()
+          WHERE id = $1::uuid
+          RETURNING ${guardrailRuleColumns}`,
+        [ruleId, ...values]
+      )
+    : await client.query(
+        `INSERT INTO "GuardrailRules" (
+           platform_account_id,
+           name,
+           reason_code,
+           match_type,
+           pattern,
+           keywords,
+           direction,
+           severity,
+           action,
+           is_enabled,
+           created_by
+         ) VALUES ($1::uuid, $2, $3, $4, $5, $6::jsonb, $7, $8, $9, $10, $11)
+         RETURNING ${guardrailRuleColumns}`,
+        [...values, actorId ? String(actorId) : null]
+      );
+
+  return result.rowCount === 0 ? null : toGuardrailRuleDto(result.rows[0]);
+}
+
+async function fetchConversationTags(client) {
+  const result = await client.query(
+    `SELECT t.id, t.name, t.color, t.created_by, t.created_at, t.updated_at,
+            (SELECT COUNT(*) FROM "ConversationTagAssignments" cta WHERE cta.tag_id = t.id) AS conversation_count
+       FROM "ConversationTags" t
+      ORDER BY LOWER(t.name) ASC`
+  );
+
+  return result.rows.map((row) => toConversationTagDto(row));
+}
+
+async function saveConversationTag(client, tag, { tagId = null, actorId = null } = {}) {
+  const result = tagId
+    ? await client.query(
+        `UPDATE "ConversationTags"
+            SET name = COALESCE($2, name),
+                color = COALESCE($3, color),
+                updated_at = NOW()
+          WHERE id = $1::uuid
+          RETURNING id, name, color, created_by, created_at, updated_at`,
+        [tagId, tag.name?.trim() ?? null, tag.color ?? null]
+      )
+    : await client.query(
+        `INSERT INTO "ConversationTags" (name, color, created_by)
+         VALUES ($1, $2, $3)
+         RETURNING id, name, color, created_by, created_at, updated_at`,
+        [tag.name.trim(), tag.color || "slate", actorId ? String(actorId) : null]
+      );
+
+  return result.rowCount === 0 ? null : toConversationTagDto(result.rows[0]);
+}
+
+// Replaces the conversation's tag set. Returns null when the conversation does not exist; unknown
+// tag ids fail the foreign key (23503).
+async function setConversationTags(client, conversationId, tagIds, { actorId = null } = {}) {
+  const conversation = await client.query(`SELECT id FROM "Conversations" WHERE id = $1::uuid`, [conversationId]);
+  if (conversation.rowCount === 0) {
+    return null;
+  }
+
+  await client.query(
+    `DELETE FROM "ConversationTagAssignments"
+      WHERE conversation_id = $1::uuid
+        AND NOT (tag_id = ANY($2::uuid[]))`,
+    [conversationId, tagIds]
+  );
+  await client.query(
+    `INSERT INTO "ConversationTagAssignments" (conversation_id, tag_id, created_by)
+     SELECT $1::uuid, tag_id, $3
+       FROM UNNEST($2::uuid[]) AS tag_id
+     ON CONFLICT (conversation_id, tag_id) DO NOTHING`,
+    [conversationId, tagIds, actorId ? String(actorId) : null]
+  );
+
+  const result = await client.query(
+    `SELECT t.id, t.name, t.color
+       FROM "ConversationTagAssignments" cta
+       JOIN "ConversationTags" t ON t.id = cta.tag_id
+      WHERE cta.conversation_id = $1::uuid
+      ORDER BY LOWER(t.name) ASC`,
+    [conversationId]
+  );
+  return result.rows.map((row) => ({ id: row.id, name: row.name, color: row.color }));
+}
+
+async function fetchInboxSavedViews(client, userId) {
+  const result = await client.query(
+    `SELECT id, name, filters, created_at, updated_at
+       FROM "InboxSavedViews"
+      WHERE user_id = $1
+      ORDER BY LOWER(name) ASC`,
+    [userId]
+  );
+
+  return result.rows.map((row) => toInboxSavedViewDto(row));
+}
+
+async function saveInboxSavedView(client, userId, view, { viewId = null } = {}) {
+  const filters = view.filters === undefined ? null : JSON.stringify(view.filters);
+  const result = viewId
+    ? await client.query(
+        `UPDATE "InboxSavedViews"
+            SET name = COALESCE($3, name),
+                filters = COALESCE($4::jsonb, filters),
+                updated_at = NOW()
+          WHERE id = $1::uuid
+            AND user_id = $2
+          RETURNING id, name, filters, created_at, updated_at`,
+        [viewId, userId, view.name ?? null, filters]
+      )
+    : await client.query(
+        `INSERT INTO "InboxSavedViews" (user_id, name, filters)
+         VALUES ($1, $2, $3::jsonb)
+         RETURNING id, name, filters, created_at, updated_at`,
+        [userId, view.name, filters]
+      );
+
+  return result.rowCount === 0 ? null : toInboxSavedViewDto(result.rows[0]);
+}
+
+const conversationNoteSelectSql = `SELECT n.id,
+            n.conversation_id,
+            n.author_id,
+            author.name AS author_name,
+            n.body,
+            n.created_at,
+            n.updated_at,
+            COALESCE(
+              (SELECT jsonb_agg(
+                        jsonb_build_object('userId', cnm.user_id, 'name', mentioned.name, 'readAt', cnm.read_at)
+                        ORDER BY mentioned.name ASC
+                      )
+                 FROM "ConversationNoteMentions" cnm
+                 JOIN "user" mentioned ON mentioned.id = cnm.user_id
+                WHERE cnm.note_id = n.id),
+              '[]'::jsonb
+            ) AS mentions
+       FROM "ConversationNotes" n
+       LEFT JOIN "user" author ON author.id = n.author_id`;
+
+async function fetchConversationNotes(client, conversationId) {
+  const result = await client.query(
+    `${conversationNoteSelectSql}
+      WHERE n.conversation_id = $1::uuid
+      ORDER BY n.created_at ASC, n.id ASC`,
+    [conversationId]
+  );
+
+  return result.rows.map((row) => toConversationNoteDto(row));
+}
+
+// Inserts the note and its mentions in one statement so a bad mention never leaves a half-written note.
+// Returns null when the conversation does not exist and { unknownUserIds } when a mention does not
+// resolve to a user.
+async function createConversationNote(client, conversationId, note, { authorId = null } = {}) {
+  const conversation = await client.query(`SELECT id FROM "Conversations" WHERE id = $1::uuid`, [conversationId]);
+  if (conversation.rowCount === 0) {
+    return null;
+  }
+
+  if (note.mentionedUserIds.length > 0) {
+    const users = await client.query(`SELECT id FROM "user" WHERE id = ANY($1::text[])`, [note.mentionedUserIds]);
+    const knownUserIds = new Set(users.rows.map((row) => row.id));
+    const unknownUserIds = note.mentionedUserIds.filter((userId) => !knownUserIds.has(userId));
+    if (unknownUserIds.length > 0) {
+      return { unknownUserIds };
+    }
+  }
+
+  const inserted = await client.query(
+    `WITH note AS (
+       INSERT INTO "ConversationNotes" (conversation_id, author_id, body)
+       VALUES ($1::uuid, $2, $3)
+       RETURNING id
+     ), mentions AS (
+       INSERT INTO "ConversationNoteMentions" (note_id, user_id)
+       SELECT note.id, mentioned_user_id
+         FROM note, UNNEST($4::text[]) AS mentioned_user_id
+     )
+     SELECT id FROM note`,
+    [conversationId, authorId ? String(authorId) : null, note.body, note.mentionedUserIds]
+  );
+
+  const result = await client.query(`${conversationNoteSelectSql} WHERE n.id = $1::uuid`, [inserted.rows[0].id]);
+  return { note: toConversationNoteDto(result.rows[0]) };
+}
+
+async function fetchMentions(client, userId, { unreadOnly = false, limit = 50 } = {}) {
+  const result = await client.query(
+    `SELECT cnm.note_id,
+            cnm.read_at,
+            cnm.created_at,
+            n.conversation_id,
+            n.author_id,
+            n.body,
+            author.name AS author_name,
+            c.lead_name
+       FROM "ConversationNoteMentions" cnm
+       JOIN "ConversationNotes" n ON n.id = cnm.note_id
+       JOIN "Conversations" c ON c.id = n.conversation_id
+       LEFT JOIN "user" author ON author.id = n.author_id
+      WHERE cnm.user_id = $1
+        AND ($2::boolean IS FALSE OR cnm.read_at IS NULL)
+      ORDER BY cnm.read_at IS NULL DESC, cnm.created_at DESC
+      LIMIT $3`,
+    [userId, unreadOnly, limit]
+  );
+  const unread = await client.query(
+    `SELECT COUNT(*) AS unread_count
+       FROM "ConversationNoteMentions"
+      WHERE user_id = $1
+        AND read_at IS NULL`,
+    [userId]
+  );
+
+  return {
+    items: result.rows.map((row) => toMentionDto(row)),
+    unreadCount: Number(unread.rows[0]?.unread_count || 0)
+  };
+}
+
+async function fetchAgentNotifications(client, agentId, { unreadOnly = false, limit = 50 } = {}) {
+  const result = await client.query(
+    `SELECT id, type, appointment_id, conversation_id, body, details, read_at, created_at
+       FROM "AgentNotifications"
+      WHERE agent_id::text = $1
+        AND ($2::boolean IS FALSE OR read_at IS NULL)
+      ORDER BY read_at IS NULL DESC, created_at DESC
+      LIMIT $3`,
+    [agentId, unreadOnly, limit]
+  );
+  const unread = await client.query(
+    `SELECT COUNT(*) AS unread_count
+       FROM "AgentNotifications"
+      WHERE agent_id::text = $1
+        AND read_at IS NULL`,
+    [agentId]
+  );
+
+  return {
+    items: result.rows.map((row) => toAgentNotificationDto(row)),
+    unreadCount: Number(unread.rows[0]?.unread_count || 0)
+  };
+}
+
+// Everything known about a lead across platforms: its conversations and the showings booked from any of them.
+async function fetchLeadSummary(client, leadId) {
+  const leadResult = await client.query(
+    `SELECT id, display_name, created_at FROM "Leads" WHERE id = $1::uuid`,
+    [leadId]
+  );
+  if (leadResult.rowCount === 0) {
+    return null;
+  }
+
+  const conversationsResult = await client.query(
+    `SELECT c.id,
+            c.lead_name,
+            c.lead_contact,
+            c.status,
+            c.workflow_state,
+            c.showing_state,
+            c.lead_link_source,
+            c.last_message_at,
+            pa.platform,
+            u.property_name,
+            u.unit_number
+       FROM "Conversations" c
+       JOIN "PlatformAccounts" pa ON pa.id = c.platform_account_id
+       LEFT JOIN "Listings" l ON l.id = c.listing_id
+       LEFT JOIN "Units" u ON u.id = l.unit_id
+      WHERE c.lead_id = $1::uuid
+      ORDER BY c.created_at ASC, c.id ASC`,
+    [leadId]
+  );
+  const showingsResult = await client.query(
+    `SELECT sa.id,
+            sa.conversation_id,
+            sa.starts_at,
+            sa.ends_at,
+            sa.timezone,
+            sa.status,
+            pa.platform,
+            u.property_name,
+            u.unit_number
+       FROM "ShowingAppointments" sa
+       JOIN "Conversations" c ON c.id = sa.conversation_id
+       JOIN "PlatformAccounts" pa ON pa.id = sa.platform_account_id
+       JOIN "Units" u ON u.id = sa.unit_id
+      WHERE c.lead_id = $1::uuid
+      ORDER BY sa.starts_at DESC
+      LIMIT 20`,
+    [leadId]
+  );
+
+  const lead = leadResult.rows[0];
+  return {
+    id: lead.id,
+    displayName: lead.display_name,
+    createdAt: lead.created_at,
+    conversations: conversationsResult.rows.map((row) => toLeadConversationDto(row)),
+    showings: showingsResult.rows.map((row) => toLeadShowingDto(row))
+  };
+}
+
+// Messages from every conversation of the lead, oldest first, with the same preview/thread dedupe as
+// the conversation detail.
+async function fetchLeadTimeline(client, leadId) {
+  const result = await client.query(
+    `WITH ranked AS (
+       SELECT m.id,
+              m.conversation_id,
+              m.external_message_id,
+              m.sender_type,
+              m.sender_agent_id,
+              m.direction,
+              m.body,
+              m.metadata,
+              m.sent_at,
+              m.created_at,
+              pa.platform,
+              COALESCE(NULLIF(m.external_message_id, ''), '__row__' || m.id::text) AS dedupe_key,
+              CASE
+                WHEN COALESCE(m.metadata->>'sentAtSource', '') = 'platform_thread' THEN 0
+                WHEN COALESCE(m.metadata->>'sentAtSource', '') = 'platform_outbound_send' THEN 1
+                WHEN COALESCE(m.metadata->>'sentAtSource', '') = 'platform_inbox' THEN 2
+                ELSE 3
+              END AS source_rank
+         FROM "Messages" m
+         JOIN "Conversations" c ON c.id = m.conversation_id
+         JOIN "PlatformAccounts" pa ON pa.id = c.platform_account_id
+        WHERE c.lead_id = $1::uuid
+     ),
+     deduped AS (
+       SELECT *,
+              ROW_NUMBER() OVER (
+                PARTITION BY conversation_id, dedupe_key
+                ORDER BY source_rank ASC, sent_at DESC, created_at DESC, id DESC
+              ) AS rn
+         FROM ranked
+     )
+     SELECT *
+       FROM deduped
+      WHERE rn = 1
+      ORDER BY sent_at ASC, created_at ASC
+      LIMIT 500`,
+    [leadId]
+  );
+
+  return result.rows.map((row) => ({ ...toMessageDto(row), platform: row.platform }));
+}
+
+// Moves every conversation of the listed conversations' leads onto the first conversation's lead.
+// Merged links are marked manual so automatic matching never splits them again. Returns null when a
+// conversation does not exist.
+async function mergeLeads(client, conversationIds) {
+  const conversations = await client.query(
+    `SELECT id, lead_id FROM "Conversations" WHERE id = ANY($1::uuid[])`,
+    [conversationIds]
+  );
+  if (conversations.rowCount !== conversationIds.length) {
+    return null;
+  }
+
+  const leadIdByConversation = new Map(conversations.rows.map((row) => [row.id, row.lead_id]));
+  let targetLeadId = leadIdByConversation.get(conversationIds[0]);
+  if (!targetLeadId) {
+    const linked = await client.query(`SELECT link_conversation_lead($1::uuid) AS lead_id`, [conversationIds[0]]);
+    targetLeadId = linked.rows[0].lead_id;
+  }
+  const mergedLeadIds = [...new Set([...leadIdByConversation.values()].filter((leadId) => leadId && leadId !== targetLeadId))];
+
+  await client.query(
+    `UPDATE "Conversations"
+        SET lead_id = $1::uuid,
+            lead_link_source = 'manual'
+      WHERE id = ANY($2::uuid[])
+         OR lead_id = ANY($3::uuid[])
+         OR lead_id = $1::uuid`,
+    [targetLeadId, conversationIds, mergedLeadIds]
+  );
+  await client.query(`UPDATE "Leads" SET updated_at = NOW() WHERE id = $1::uuid`, [targetLeadId]);
+
+  return { leadId: targetLeadId, mergedLeadIds };
+}
+
+// Splits one conversation off into a lead of its own. Returns null when the conversation does not
+// exist and { notMerged: true } when it is already the only conversation of its lead.
+async function unmergeLead(client, conversationId) {
+  const conversation = await client.query(
+    `SELECT c.id,
+            c.lead_id,
+            c.lead_name,
+            (SELECT COUNT(*) FROM "Conversations" sibling WHERE sibling.lead_id = c.lead_id) AS lead_conversation_count
+       FROM "Conversations" c
+      WHERE c.id = $1::uuid`,
+    [conversationId]
+  );
+  if (conversation.rowCount === 0) {
+    return null;
+  }
+
+  const row = conversation.rows[0];
+  if (!row.lead_id || Number(row.lead_conversation_count) < 2) {
+    return { notMerged: true };
+  }
+
+  const created = await client.query(
+    `INSERT INTO "Leads" (display_name) VALUES ($1) RETURNING id`,
+    [row.lead_name]
+  );
+  await client.query(
+    `UPDATE "Conversations"
+        SET lead_id = $2::uuid,
+            lead_link_source = 'manual'
+      WHERE id = $1::uuid`,
+    [conversationId, created.rows[0].id]
+  );
+
+  return { previousLeadId: row.lead_id, leadId: created.rows[0].id };
+}
+
+async function fetchUnits(client) {
+  const result = await client.query(
+    `SELECT u.id,
+            u.external_id,
+            u.property_name,
+            u.unit_number,
+            u.address_line1,
+            u.city,
+            u.state,
+            u.postal_code,
+            u.bedrooms,
+            u.bathrooms,
+            u.square_feet,
+            u.is_active,
+            u.created_at,
+            u.updated_at,
+            assignment.primary_assigned_agent_id,
+            assignment.assignments,
+            (
+              SELECT jsonb_build_object(
+                       'id', o.id,
+                       'agentId', o.agent_id,
+                       'delegateAgentId', o.delegate_agent_id,
+                       'endsAt', o.ends_at
+                     )
+                FROM "AgentOutOfOfficeReassignments" r
+                JOIN "AgentOutOfOffice" o ON o.id = r.out_of_office_id
+               WHERE r.entity_type = 'unit_assignment'
+                 AND r.entity_id = u.id
+                 AND r.reverted_at IS NULL
+                 AND o.status = 'active'
+               ORDER BY o.starts_at ASC
+               LIMIT 1
+            ) AS out_of_office
+       FROM "Units" u
+        LEFT JOIN LATERAL (
+          SELECT
+            (
+              SELECT ua2.agent_id
+                FROM "UnitAgentAssignments" ua2
+               WHERE ua2.unit_id = u.id
+                 AND ua2.assignment_mode = 'active'
+               ORDER BY ua2.priority ASC, ua2.created_at ASC
+               LIMIT 1
+            ) AS primary_assigned_agent_id,
+            COALESCE(
+              jsonb_agg(
+                jsonb_build_object(
+                  'agentId', ua.agent_id,
+                  'assignmentMode', ua.assignment_mode,
+                  'priority', ua.priority,
+                  'createdAt', ua.created_at,
+                  'updatedAt', ua.updated_at
+                )
+                ORDER BY ua.priority ASC, ua.created_at ASC
+              ) FILTER (WHERE ua.id IS NOT NULL),
+              '[]'::jsonb
+            ) AS assignments
+            FROM "UnitAgentAssignments" ua
+           WHERE ua.unit_id = u.id
+        ) assignment ON TRUE
+       ORDER BY u.property_name ASC, u.unit_number ASC`
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    externalId: row.external_id,
+    propertyName: row.property_name,
+    unitNumber: row.unit_number,
+    addressLine1: row.address_line1,
+    city: row.city,
+    state: row.state,
+    postalCode: row.postal_code,
+    bedrooms: row.bedrooms,
+    bathrooms: row.bathrooms === null ? null : Number(row.bathrooms),
+    squareFeet: row.square_feet,
+    isActive: row.is_active,
+    assignedAgentId: row.primary_assigned_agent_id,
+    assignedAgents: Array.isArray(row.assignments) ? row.assignments : [],
+    // Set while an agent's out-of-office delegation has put a covering agent in assignedAgentId.
+    outOfOffice: row.out_of_office || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }));
+}
+
+async function fetchListings(client, unitId = null, { onlyActivePlatform = true } = {}) {
+  const result = await client.query(
+    `SELECT l.id,
+            l.unit_id,
+            l.platform_account_id,
+            pa.platform,
             l.listing_external_id,
             l.status,
             l.rent_cents,
             l.currency_code,
             l.available_on,
             l.metadata,
+            l.qualification_criteria,
+            l.prescreen_questions,
             pa.is_active AS platform_is_active,
             pa.send_mode AS platform_send_mode,
             pa.integration_mode AS platform_integration_mode,
@@ -1408,6 +2373,8 @@ async function fetchListings(client, unitId = null, { onlyActivePlatform = true
     currencyCode: row.currency_code,
     availableOn: row.available_on,
     metadata: row.metadata || {},
+    qualificationCriteria: row.qualification_criteria || {},
+    prescreenQuestions: Array.isArray(row.prescreen_questions) ? row.prescreen_questions : [],
     assignedAgentId: row.metadata?.assignedAgentId || null,
     platformPolicy: {
       isActive: row.platform_is_active,
@@ -1634,28 +2601,172 @@ async function upsertUnitAgentAssignment(client, unitId, payload) {
   return { ok: true };
 }
 
-async function fetchAgentAvailability(client, agentId, { fromDate, toDate, timezone }) {
-  const where = ["agent_id = $1::uuid"];
-  const params = [agentId];
+function validateOutOfOfficePayload(payload, { now = new Date() } = {}) {
+  const errors = [];
+  if (!isObject(payload)) {
+    return { errors: ["Request body must be an object"], value: null };
+  }
 
-  if (fromDate) {
-    params.push(fromDate);
-    where.push(`starts_at >= ($${params.length}::date)::timestamptz`);
+  if (!isUuid(payload.agentId)) {
+    errors.push("agentId must be a UUID");
   }
-  if (toDate) {
-    params.push(toDate);
-    where.push(`starts_at < (($${params.length}::date + INTERVAL '1 day'))::timestamptz`);
+  if (!isUuid(payload.delegateAgentId)) {
+    errors.push("delegateAgentId must be a UUID");
+  } else if (payload.delegateAgentId === payload.agentId) {
+    errors.push("delegateAgentId must be a different agent");
+  }
+  if (!isIsoDateTime(payload.startsAt)) {
+    errors.push("startsAt must be an ISO date-time");
+  }
+  if (!isIsoDateTime(payload.endsAt)) {
+    errors.push("endsAt must be an ISO date-time");
+  } else if (isIsoDateTime(payload.startsAt) && new Date(payload.endsAt) <= new Date(payload.startsAt)) {
+    errors.push("endsAt must be after startsAt");
+  } else if (new Date(payload.endsAt) <= now) {
+    errors.push("endsAt must be in the future");
+  }
+  if (payload.notes !== undefined && payload.notes !== null && (typeof payload.notes !== "string" || payload.notes.length > 1000)) {
+    errors.push("notes must be a string of at most 1000 characters");
   }
 
-  const result = await client.query(
-    `SELECT id,
-            agent_id,
-            starts_at,
-            ends_at,
-            timezone,
-            status,
-            source,
-            notes,
+  return {
+    errors,
+    value: {
+      agentId: payload.agentId,
+      delegateAgentId: payload.delegateAgentId,
+      startsAt: payload.startsAt,
+      endsAt: payload.endsAt,
+      notes: typeof payload.notes === "string" && payload.notes.trim() ? payload.notes.trim() : null
+    }
+  };
+}
+
+function toOutOfOfficeDto(row) {
+  return {
+    id: row.id,
+    agentId: row.agent_id,
+    agentName: row.agent_name,
+    delegateAgentId: row.delegate_agent_id,
+    delegateAgentName: row.delegate_agent_name,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    notes: row.notes,
+    status: row.status,
+    activatedAt: row.activated_at,
+    endedAt: row.ended_at,
+    reassignedConversations: Number(row.reassigned_conversations || 0),
+    reassignedShowings: Number(row.reassigned_showings || 0),
+    createdAt: row.created_at
+  };
+}
+
+const outOfOfficeSelectSql = `SELECT o.id,
+            o.agent_id,
+            agent.full_name AS agent_name,
+            o.delegate_agent_id,
+            delegate.full_name AS delegate_agent_name,
+            o.starts_at,
+            o.ends_at,
+            o.notes,
+            o.status,
+            o.activated_at,
+            o.ended_at,
+            o.created_at,
+            (SELECT COUNT(*)
+               FROM "AgentOutOfOfficeReassignments" r
+              WHERE r.out_of_office_id = o.id
+                AND r.entity_type = 'conversation') AS reassigned_conversations,
+            (SELECT COUNT(*)
+               FROM "AgentOutOfOfficeReassignments" r
+              WHERE r.out_of_office_id = o.id
+                AND r.entity_type = 'showing_appointment') AS reassigned_showings
+       FROM "AgentOutOfOffice" o
+       JOIN "Agents" agent ON agent.id = o.agent_id
+       JOIN "Agents" delegate ON delegate.id = o.delegate_agent_id`;
+
+// Upcoming and running delegations first, then the most recent closed ones.
+async function fetchOutOfOfficeRecords(client, { limit = 50 } = {}) {
+  const result = await client.query(
+    `${outOfOfficeSelectSql}
+      ORDER BY CASE WHEN o.status IN ('scheduled', 'active') THEN 0 ELSE 1 END ASC,
+               CASE WHEN o.status IN ('scheduled', 'active') THEN o.starts_at END ASC,
+               o.ends_at DESC
+      LIMIT $1`,
+    [limit]
+  );
+  return result.rows.map((row) => toOutOfOfficeDto(row));
+}
+
+async function fetchOutOfOfficeRecord(client, outOfOfficeId) {
+  const result = await client.query(`${outOfOfficeSelectSql} WHERE o.id = $1::uuid`, [outOfOfficeId]);
+  return result.rows[0] ? toOutOfOfficeDto(result.rows[0]) : null;
+}
+
+async function createOutOfOfficeRecord(client, value, { createdBy }) {
+  const agents = await client.query(
+    `SELECT id FROM "Agents" WHERE id = ANY($1::uuid[])`,
+    [[value.agentId, value.delegateAgentId]]
+  );
+  const knownAgentIds = new Set(agents.rows.map((row) => row.id));
+  if (!knownAgentIds.has(value.agentId)) {
+    return { error: "agent_not_found" };
+  }
+  if (!knownAgentIds.has(value.delegateAgentId)) {
+    return { error: "delegate_not_found" };
+  }
+
+  // Delegating to someone who is away themselves would leave the work uncovered.
+  const delegateAway = await client.query(
+    `SELECT 1
+       FROM "AgentOutOfOffice"
+      WHERE agent_id = $1::uuid
+        AND status IN ('scheduled', 'active')
+        AND tstzrange(starts_at, ends_at, '[)') && tstzrange($2::timestamptz, $3::timestamptz, '[)')
+      LIMIT 1`,
+    [value.delegateAgentId, value.startsAt, value.endsAt]
+  );
+  if (delegateAway.rowCount > 0) {
+    return { error: "delegate_out_of_office" };
+  }
+
+  try {
+    const result = await client.query(
+      `INSERT INTO "AgentOutOfOffice" (agent_id, delegate_agent_id, starts_at, ends_at, notes, created_by)
+       VALUES ($1::uuid, $2::uuid, $3::timestamptz, $4::timestamptz, $5, $6)
+       RETURNING id`,
+      [value.agentId, value.delegateAgentId, value.startsAt, value.endsAt, value.notes, createdBy]
+    );
+    return { id: result.rows[0].id };
+  } catch (error) {
+    if (error?.code === "23P01") {
+      return { error: "overlap" };
+    }
+    throw error;
+  }
+}
+
+async function fetchAgentAvailability(client, agentId, { fromDate, toDate, timezone }) {
+  const where = ["agent_id = $1::uuid"];
+  const params = [agentId];
+
+  if (fromDate) {
+    params.push(fromDate);
+    where.push(`starts_at >= ($${params.length}::date)::timestamptz`);
+  }
+  if (toDate) {
+    params.push(toDate);
+    where.push(`starts_at < (($${params.length}::date + INTERVAL '1 day'))::timestamptz`);
+  }
+
+  const result = await client.query(
+    `SELECT id,
+            agent_id,
+            starts_at,
+            ends_at,
+            timezone,
+            status,
+            source,
+            notes,
             created_at
        FROM "AgentAvailabilitySlots"
       WHERE ${where.join(" AND ")}
@@ -1918,6 +3029,12 @@ function toShowingAppointmentDto(row, displayTimezone = null) {
     externalBookingRef: row.external_booking_ref,
     notes: row.notes,
     metadata: row.metadata || {},
+    outcome: {
+      requestedAt: row.outcome_requested_at || null,
+      recordedAt: row.outcome_recorded_at || null,
+      interestLevel: row.outcome_interest || null,
+      notes: row.outcome_notes || null
+    },
     unit: row.property_name && row.unit_number ? `${row.property_name} ${row.unit_number}` : null,
     conversation: {
       externalThreadId: row.external_thread_id || null,
@@ -1947,6 +3064,10 @@ async function fetchShowingAppointmentByIdempotencyKey(client, idempotencyKey) {
             sa.external_booking_ref,
             sa.notes,
             sa.metadata,
+            sa.outcome_requested_at,
+            sa.outcome_interest,
+            sa.outcome_notes,
+            sa.outcome_recorded_at,
             sa.created_at,
             sa.updated_at,
             u.property_name,
@@ -1998,10 +3119,26 @@ async function resolveShowingBookingIdempotency(client, payload) {
   };
 }
 
-async function fetchShowingAppointments(client, { agentId = null, status = null, unitId = null, fromDate = null, toDate = null, timezone = null }) {
+// Returns up to limit rows in start order; callers pass one more than the page size to learn
+// whether another page exists (see paginateRows).
+async function fetchShowingAppointments(client, {
+  agentId = null,
+  status = null,
+  unitId = null,
+  fromDate = null,
+  toDate = null,
+  timezone = null,
+  awaitingOutcome = false,
+  limit = 201,
+  cursor = null
+}) {
   const where = [];
   const params = [];
 
+  if (awaitingOutcome) {
+    where.push("sa.status IN ('pending', 'confirmed') AND sa.outcome_requested_at IS NOT NULL AND sa.outcome_recorded_at IS NULL");
+  }
+
   if (agentId) {
     params.push(agentId);
     where.push(`sa.agent_id = $${params.length}::uuid`);
@@ -2022,7 +3159,12 @@ async function fetchShowingAppointments(client, { agentId = null, status = null,
     params.push(toDate);
     where.push(`sa.starts_at < (($${params.length}::date + INTERVAL '1 day'))::timestamptz`);
   }
+  if (cursor) {
+    params.push(cursor.at, cursor.id);
+    where.push(`(date_trunc('milliseconds', sa.starts_at), sa.id) > ($${params.length - 1}::timestamptz, $${params.length}::uuid)`);
+  }
 
+  params.push(limit);
   const whereClause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
   const result = await client.query(
     `SELECT sa.id,
@@ -2040,6 +3182,10 @@ async function fetchShowingAppointments(client, { agentId = null, status = null,
             sa.external_booking_ref,
             sa.notes,
             sa.metadata,
+            sa.outcome_requested_at,
+            sa.outcome_interest,
+            sa.outcome_notes,
+            sa.outcome_recorded_at,
             sa.created_at,
             sa.updated_at,
             u.property_name,
@@ -2052,13 +3198,193 @@ async function fetchShowingAppointments(client, { agentId = null, status = null,
        JOIN "Agents" a ON a.id = sa.agent_id
   LEFT JOIN "Conversations" c ON c.id = sa.conversation_id
       ${whereClause}
-      ORDER BY sa.starts_at ASC, sa.created_at ASC`,
+      ORDER BY date_trunc('milliseconds', sa.starts_at) ASC, sa.id ASC
+      LIMIT $${params.length}`,
     params
   );
 
   return result.rows.map((row) => toShowingAppointmentDto(row, timezone));
 }
 
+const calendarFeedLookbackDays = 30;
+
+function createCalendarFeedToken() {
+  return randomBytes(32).toString("base64url");
+}
+
+function hashCalendarFeedToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+function buildCalendarFeedUrl(token, env = process.env) {
+  const baseUrl = env.API_BASE_URL || env.BETTER_AUTH_URL || "http://localhost:3001";
+  return new URL(`/api/calendar-feeds/${token}.ics`, baseUrl).toString();
+}
+
+// Agents work their showings from the appointments page, so feed events open it on the showing's day.
+function buildAgentAppointmentsUrl(startsAt, timezone, env = process.env) {
+  const appUrl = new URL("/agent/appointments", env.WEB_BASE_URL || "http://localhost:5173");
+  appUrl.searchParams.set("date", formatInTimezone(startsAt, timezone || "UTC").slice(0, 10));
+  return appUrl.toString();
+}
+
+function toCalendarFeedDto(row) {
+  return {
+    id: row.id,
+    agentId: row.agent_id,
+    createdBy: row.created_by,
+    lastAccessedAt: row.last_accessed_at,
+    createdAt: row.created_at
+  };
+}
+
+async function fetchActiveCalendarFeed(client, agentId) {
+  const result = await client.query(
+    `SELECT id, agent_id, created_by, last_accessed_at, created_at
+       FROM "AgentCalendarFeeds"
+      WHERE agent_id = $1::uuid
+        AND revoked_at IS NULL
+      LIMIT 1`,
+    [agentId]
+  );
+  return result.rows[0] ? toCalendarFeedDto(result.rows[0]) : null;
+}
+
+// Issuing a feed replaces the live one, so a leaked URL is dealt with by rotating it. The raw token is only
+// returned here; the table keeps its hash.
+async function issueCalendarFeed(client, agentId, { actor }) {
+  await client.query("BEGIN");
+  try {
+    const revoked = await client.query(
+      `UPDATE "AgentCalendarFeeds"
+          SET revoked_at = NOW(),
+              updated_at = NOW()
+        WHERE agent_id = $1::uuid
+          AND revoked_at IS NULL
+        RETURNING id`,
+      [agentId]
+    );
+    const token = createCalendarFeedToken();
+    const inserted = await client.query(
+      `INSERT INTO "AgentCalendarFeeds" (agent_id, token_hash, created_by)
+       VALUES ($1::uuid, $2, $3)
+       RETURNING id, agent_id, created_by, last_accessed_at, created_at`,
+      [agentId, hashCalendarFeedToken(token), actor.actorId]
+    );
+    const feed = toCalendarFeedDto(inserted.rows[0]);
+    await recordAuditLog(client, {
+      ...actor,
+      entityType: "agent",
+      entityId: agentId,
+      action: revoked.rowCount > 0 ? "calendar_feed_rotated" : "calendar_feed_created",
+      details: { feedId: feed.id, revokedFeedIds: revoked.rows.map((row) => row.id) }
+    });
+    await client.query("COMMIT");
+    return { feed, token };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
+
+async function revokeCalendarFeed(client, agentId, { actor }) {
+  const result = await client.query(
+    `UPDATE "AgentCalendarFeeds"
+        SET revoked_at = NOW(),
+            updated_at = NOW()
+      WHERE agent_id = $1::uuid
+        AND revoked_at IS NULL
+      RETURNING id`,
+    [agentId]
+  );
+  if (result.rowCount === 0) {
+    return null;
+  }
+  await recordAuditLog(client, {
+    ...actor,
+    entityType: "agent",
+    entityId: agentId,
+    action: "calendar_feed_revoked",
+    details: { feedId: result.rows[0].id }
+  });
+  return { id: result.rows[0].id };
+}
+
+async function fetchCalendarFeedByToken(client, token) {
+  const result = await client.query(
+    `UPDATE "AgentCalendarFeeds" f
+        SET last_accessed_at = NOW()
+       FROM "Agents" a
+      WHERE f.token_hash = $1
+        AND f.revoked_at IS NULL
+        AND a.id = f.agent_id
+      RETURNING f.id, f.agent_id, a.full_name AS agent_name`,
+    [hashCalendarFeedToken(token)]
+  );
+  return result.rows[0] || null;
+}
+
+// Every showing the agent holds from the lookback window on, cancelled ones included, so subscribed
+// calendars see cancellations rather than silently dropping the event.
+// Showings reassigned to someone else stay in the previous agent's feed as cancelled, so calendars that
+// already have the event drop it instead of keeping a stale copy.
+async function fetchCalendarFeedShowings(client, agentId, { now = new Date() } = {}) {
+  const result = await client.query(
+    `SELECT sa.id,
+            sa.agent_id,
+            sa.starts_at,
+            sa.ends_at,
+            sa.timezone,
+            sa.status,
+            sa.notes,
+            sa.calendar_sequence,
+            sa.created_at,
+            sa.updated_at,
+            u.property_name,
+            u.unit_number,
+            u.address_line1,
+            u.city,
+            u.state,
+            u.postal_code,
+            c.external_thread_id,
+            c.lead_name,
+            pa.platform
+       FROM "ShowingAppointments" sa
+       JOIN "Units" u ON u.id = sa.unit_id
+       JOIN "PlatformAccounts" pa ON pa.id = sa.platform_account_id
+  LEFT JOIN "Conversations" c ON c.id = sa.conversation_id
+      WHERE (sa.agent_id = $1::uuid OR sa.previous_agent_ids @> ARRAY[$1::uuid])
+        AND sa.ends_at >= $2::timestamptz - make_interval(days => $3::int)
+      ORDER BY sa.starts_at ASC, sa.id ASC
+      LIMIT 1000`,
+    [agentId, now.toISOString(), calendarFeedLookbackDays]
+  );
+
+  return result.rows.map((row) => ({
+    id: row.id,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    status: row.status,
+    reassigned: row.agent_id !== agentId,
+    notes: row.notes,
+    sequence: row.calendar_sequence,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    propertyName: row.property_name,
+    unitNumber: row.unit_number,
+    addressLine1: row.address_line1,
+    city: row.city,
+    state: row.state,
+    postalCode: row.postal_code,
+    leadName: row.lead_name,
+    platform: row.platform,
+    appUrl: buildAgentAppointmentsUrl(row.starts_at, row.timezone),
+    conversationUrl: row.external_thread_id
+      ? platformAdapterRegistry.get(row.platform)?.threadUrl(row.external_thread_id) || null
+      : null
+  }));
+}
+
 async function createShowingAppointment(client, payload) {
   const startsAtIso = new Date(payload.startsAt).toISOString();
   const endsAtIso = new Date(payload.endsAt).toISOString();
@@ -2149,6 +3475,10 @@ async function createShowingAppointment(client, payload) {
               sa.external_booking_ref,
               sa.notes,
               sa.metadata,
+              sa.outcome_requested_at,
+              sa.outcome_interest,
+              sa.outcome_notes,
+              sa.outcome_recorded_at,
               sa.created_at,
               sa.updated_at,
               u.property_name,
@@ -2187,6 +3517,153 @@ async function createShowingAppointment(client, payload) {
   }
 }
 
+async function fetchShowingAppointmentById(client, appointmentId, { forUpdate = false } = {}) {
+  const result = await client.query(
+    `SELECT sa.id,
+            sa.idempotency_key,
+            sa.platform_account_id,
+            pa.platform,
+            sa.conversation_id,
+            sa.unit_id,
+            sa.listing_id,
+            sa.agent_id,
+            sa.starts_at,
+            sa.ends_at,
+            sa.timezone,
+            sa.status,
+            sa.source,
+            sa.external_booking_ref,
+            sa.notes,
+            sa.metadata,
+            sa.outcome_requested_at,
+            sa.outcome_interest,
+            sa.outcome_notes,
+            sa.outcome_recorded_at,
+            sa.created_at,
+            sa.updated_at,
+            u.property_name,
+            u.unit_number,
+            a.full_name AS agent_name,
+            c.external_thread_id,
+            c.lead_name,
+            c.showing_state AS conversation_showing_state
+       FROM "ShowingAppointments" sa
+       JOIN "PlatformAccounts" pa ON pa.id = sa.platform_account_id
+       JOIN "Units" u ON u.id = sa.unit_id
+       JOIN "Agents" a ON a.id = sa.agent_id
+  LEFT JOIN "Conversations" c ON c.id = sa.conversation_id
+      WHERE sa.id = $1::uuid
+      LIMIT 1
+      ${forUpdate ? "FOR UPDATE OF sa" : ""}`,
+    [appointmentId]
+  );
+
+  return result.rowCount > 0 ? result.rows[0] : null;
+}
+
+// Moves or closes an open appointment and carries the linked conversation's showing_state along when the
+// transition map allows it. Exclusion violations (23P01) are rethrown for the route to turn into a 409.
+async function applyShowingAppointmentChange(client, appointmentId, change) {
+  return inTransaction(client, async () => {
+    const current = await fetchShowingAppointmentById(client, appointmentId, { forUpdate: true });
+    if (!current) {
+      return null;
+    }
+    if (!openShowingStatuses.has(current.status)) {
+      return { error: "showing_closed", appointment: toShowingAppointmentDto(current) };
+    }
+
+    const lastChange = {
+      type: change.type,
+      reason: change.reason || null,
+      previousStatus: current.status,
+      previousStartsAt: current.starts_at,
+      previousEndsAt: current.ends_at,
+      previousAgentId: current.agent_id,
+      changedAt: new Date().toISOString()
+    };
+    await client.query(
+      `UPDATE "ShowingAppointments"
+          SET status = $2,
+              starts_at = COALESCE($3::timestamptz, starts_at),
+              ends_at = COALESCE($4::timestamptz, ends_at),
+              agent_id = COALESCE($5::uuid, agent_id),
+              outcome_requested_at = CASE WHEN $3::timestamptz IS NULL THEN outcome_requested_at END,
+              metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('lastChange', $6::jsonb),
+              updated_at = NOW()
+        WHERE id = $1::uuid`,
+      [
+        appointmentId,
+        change.status,
+        change.startsAt ? new Date(change.startsAt).toISOString() : null,
+        change.endsAt ? new Date(change.endsAt).toISOString() : null,
+        change.agentId || null,
+        JSON.stringify(lastChange)
+      ]
+    );
+
+    let conversationShowingState = current.conversation_showing_state ?? null;
+    if (current.conversation_id && isAllowedTransition(showingStateTransitionMap, conversationShowingState, change.status)) {
+      const updatedConversation = await client.query(
+        `UPDATE "Conversations"
+            SET showing_state = $2,
+                workflow_updated_at = NOW(),
+                updated_at = NOW()
+          WHERE id = $1::uuid
+          RETURNING showing_state`,
+        [current.conversation_id, change.status]
+      );
+      conversationShowingState = updatedConversation.rows[0]?.showing_state ?? conversationShowingState;
+    }
+
+    const updated = await fetchShowingAppointmentById(client, appointmentId);
+    return {
+      appointment: toShowingAppointmentDto(updated),
+      previous: toShowingAppointmentDto(current),
+      conversationShowingState
+    };
+  });
+}
+
+// Same delivery rules as showing reminders: auto_send accounts message the lead's thread right away, or
+// once the send window opens if that is still before the showing; everything else (or a failed dispatch)
+// leaves a draft in the inbox for review.
+async function notifyLeadOfShowingChange(client, appointment, { change, body, adapter }) {
+  if (!appointment.conversationId || !appointment.conversation.externalThreadId) {
+    return { status: "skipped", reason: "no_conversation" };
+  }
+
+  const platformPolicy = await fetchPlatformDispatchAccount(client, appointment.platformAccountId);
+  const agentWindow = appointment.agentId
+    ? (await client.query(`SELECT send_window FROM "Agents" WHERE id = $1::uuid`, [appointment.agentId])).rows[0]?.send_window
+    : null;
+
+  return deliverLeadMessage({
+    adapter,
+    target: {
+      platformAccountId: appointment.platformAccountId,
+      platform: platformPolicy?.platform,
+      platformCredentials: platformPolicy?.credentials || {},
+      platformIsActive: Boolean(platformPolicy?.isActive),
+      sendMode: platformPolicy?.sendMode || globalDefaultSendMode,
+      sendWindow: resolveSendWindow({ accountWindow: platformPolicy?.sendWindow, agentWindow }),
+      conversationId: appointment.conversationId,
+      externalThreadId: appointment.conversation.externalThreadId,
+      agentId: appointment.agentId
+    },
+    body,
+    dispatchKey: `showing-change:${appointment.id}:${change}:${new Date(appointment.updatedAt).toISOString()}`,
+    metadata: {
+      showingChange: {
+        appointmentId: appointment.id,
+        change,
+        startsAt: appointment.startsAt
+      }
+    },
+    deferBefore: appointment.startsAt
+  });
+}
+
 function handleLocalTimeValidationError(res, error) {
   if (!(error instanceof LocalTimeValidationError)) {
     return false;
@@ -2245,6 +3722,9 @@ function summarizeConversationStatus(counts) {
   if (counts.newCount > 0) {
     return "new";
   }
+  if (counts.deferredCount > 0) {
+    return "deferred";
+  }
   return "sent";
 }
 
@@ -2291,13 +3771,14 @@ async function fetchPlatformSendPolicy(client, platformAccountId) {
     platform: row.platform,
     isActive: Boolean(row.is_active),
     sendMode: row.send_mode || globalDefaultSendMode,
-    sendModeOverride: row.send_mode
+    sendModeOverride: row.send_mode,
+    sendWindow: row.send_window || null
   };
 }
 
 async function fetchPlatformDispatchAccount(client, platformAccountId) {
   const result = await client.query(
-    `SELECT id, platform, credentials, is_active, send_mode
+    `SELECT id, platform, credentials, is_active, send_mode, send_window
        FROM "PlatformAccounts"
       WHERE id = $1::uuid
       LIMIT 1`,
@@ -2315,7 +3796,8 @@ async function fetchPlatformDispatchAccount(client, platformAccountId) {
     credentials: row.credentials || {},
     isActive: Boolean(row.is_active),
     sendMode: row.send_mode || globalDefaultSendMode,
-    sendModeOverride: row.send_mode
+    sendModeOverride: row.send_mode,
+    sendWindow: row.send_window || null
   };
 }
 
@@ -2442,35 +3924,382 @@ async function fetchPlatformHealthSnapshot(client) {
   });
 }
 
-async function fetchInboxList(client, statusFilter = null, access = null, platformFilter = null) {
-  const where = [];
-  const params = [];
+// A worker counts as live while it has not reported itself stopped and its heartbeat is recent.
+// Stopped and stale workers stay listed for a day so a crash is still visible.
+async function fetchWorkerStatusSnapshot(client, { staleAfterMs = workerHeartbeatStaleMs } = {}) {
+  const workersResult = await client.query(
+    `SELECT worker_instance_id,
+            hostname,
+            pid,
+            tasks,
+            status,
+            started_at,
+            last_heartbeat_at,
+            last_cycle_at,
+            last_cycle_stats,
+            stopped_at,
+            (status <> 'stopped' AND last_heartbeat_at > NOW() - ($1::int * INTERVAL '1 millisecond')) AS is_live
+       FROM "WorkerHeartbeats"
+      WHERE last_heartbeat_at > NOW() - INTERVAL '24 hours'
+      ORDER BY is_live DESC, last_heartbeat_at DESC`,
+    [staleAfterMs]
+  );
+  const tasksResult = await client.query(
+    `SELECT task_name,
+            worker_instance_id,
+            last_status,
+            last_started_at,
+            last_finished_at,
+            last_duration_ms,
+            last_error,
+            last_result,
+            run_count,
+            failure_count
+       FROM "WorkerTaskRuns"
+      ORDER BY task_name ASC`
+  );
 
-  // Default inbox view shows active conversations only.
-  where.push(`c.status = 'open'`);
+  return {
+    workers: workersResult.rows.map((row) => ({
+      workerInstanceId: row.worker_instance_id,
+      hostname: row.hostname,
+      pid: row.pid,
+      tasks: row.tasks || [],
+      status: row.is_live ? row.status : row.status === "stopped" ? "stopped" : "stale",
+      isLive: Boolean(row.is_live),
+      startedAt: row.started_at,
+      lastHeartbeatAt: row.last_heartbeat_at,
+      lastCycleAt: row.last_cycle_at,
+      lastCycleStats: row.last_cycle_stats || {},
+      stoppedAt: row.stopped_at
+    })),
+    tasks: tasksResult.rows.map((row) => ({
+      taskName: row.task_name,
+      workerInstanceId: row.worker_instance_id,
+      lastStatus: row.last_status,
+      lastStartedAt: row.last_started_at,
+      lastFinishedAt: row.last_finished_at,
+      lastDurationMs: row.last_duration_ms,
+      lastError: row.last_error,
+      lastResult: row.last_result || {},
+      runCount: Number(row.run_count),
+      failureCount: Number(row.failure_count)
+    }))
+  };
+}
 
-  if (access?.role === roles.agent) {
-    const sessionAgentId = access.session?.user?.id;
-    if (!isUuid(sessionAgentId)) {
-      return [];
+// Mirrors summarizeConversationStatus so the status filter narrows rows in SQL, ahead of search
+// pagination; the messageStatus check on the mapped items stays the final word.
+const inboxStatusPredicates = {
+  draft: "counts.draft_count > 0",
+  hold: "counts.draft_count = 0 AND counts.hold_count > 0",
+  new: "counts.draft_count = 0 AND counts.hold_count = 0 AND counts.new_count > 0",
+  deferred: "counts.draft_count = 0 AND counts.hold_count = 0 AND counts.new_count = 0 AND counts.deferred_count > 0",
+  sent: "counts.draft_count = 0 AND counts.hold_count = 0 AND counts.new_count = 0 AND counts.deferred_count = 0"
+};
+
+// ts_headline wraps matches in <mark> tags; the web app splits on them rather than rendering HTML.
+const inboxSearchHeadlineOptions = "StartSel=<mark>, StopSel=</mark>, MaxWords=24, MinWords=8, MaxFragments=2, FragmentDelimiter=\" … \"";
+
+const inboxMessageStatuses = ["new", "draft", "sent", "hold", "deferred"];
+const inboxFollowUpDueFilters = ["overdue", "due_24h", "scheduled", "none"];
+const conversationTagColors = ["slate", "red", "amber", "green", "blue", "violet", "pink"];
+
+// Query parameters accepted by GET /api/inbox, and the keys a saved view stores. List filters take
+// comma-separated values in the query string and arrays in a saved view.
+const inboxFilterKeys = [
+  "status",
+  "platform",
+  "q",
+  "workflowState",
+  "showingState",
+  "followUpDue",
+  "assignedAgentId",
+  "unitId",
+  "listingId",
+  "tagId",
+  "fromDate",
+  "toDate"
+];
+
+function readInboxFilterParams(searchParams) {
+  return Object.fromEntries(
+    inboxFilterKeys
+      .filter((key) => searchParams.get(key) !== null && searchParams.get(key) !== "")
+      .map((key) => [key, searchParams.get(key)])
+  );
+}
+
+function toFilterList(value) {
+  const entries = Array.isArray(value) ? value : String(value ?? "").split(",");
+  return [...new Set(entries.map((entry) => String(entry).trim()).filter(Boolean))];
+}
+
+function validateInboxFilters(input) {
+  const errors = [];
+  const filters = input && typeof input === "object" && !Array.isArray(input) ? input : {};
+  const value = {};
+
+  for (const key of Object.keys(filters)) {
+    if (!inboxFilterKeys.includes(key)) {
+      errors.push(`${key} is not a supported inbox filter`);
     }
-    params.push(sessionAgentId);
-    where.push(`(c.assigned_agent_id = $${params.length}::uuid OR c.follow_up_owner_agent_id = $${params.length}::uuid)`);
   }
 
-  if (platformFilter) {
+  if (filters.status) {
+    if (!inboxMessageStatuses.includes(filters.status)) {
+      errors.push(`status must be one of ${inboxMessageStatuses.join(", ")}`);
+    } else {
+      value.status = filters.status;
+    }
+  }
+
+  if (filters.platform) {
+    if (!requiredPlatformSet.has(filters.platform)) {
+      errors.push(`platform must be one of ${requiredPlatforms.join(", ")}`);
+    } else {
+      value.platform = filters.platform;
+    }
+  }
+
+  if (filters.q !== undefined && filters.q !== null) {
+    const search = String(filters.q).trim();
+    if (search.length > 200) {
+      errors.push("q must be 200 characters or fewer");
+    } else if (search) {
+      value.q = search;
+    }
+  }
+
+  const workflowStates = toFilterList(filters.workflowState);
+  if (workflowStates.some((state) => !conversationWorkflowStates.has(state))) {
+    errors.push(`workflowState must be a list of ${[...conversationWorkflowStates].join(", ")}`);
+  } else if (workflowStates.length > 0) {
+    value.workflowState = workflowStates;
+  }
+
+  // "none" matches conversations that have not had a showing yet.
+  const showingStates = toFilterList(filters.showingState);
+  if (showingStates.some((state) => state !== "none" && !showingAppointmentStatuses.has(state))) {
+    errors.push(`showingState must be a list of none, ${[...showingAppointmentStatuses].join(", ")}`);
+  } else if (showingStates.length > 0) {
+    value.showingState = showingStates;
+  }
+
+  if (filters.followUpDue) {
+    if (!inboxFollowUpDueFilters.includes(filters.followUpDue)) {
+      errors.push(`followUpDue must be one of ${inboxFollowUpDueFilters.join(", ")}`);
+    } else {
+      value.followUpDue = filters.followUpDue;
+    }
+  }
+
+  if (filters.assignedAgentId) {
+    if (filters.assignedAgentId !== "unassigned" && !isUuid(filters.assignedAgentId)) {
+      errors.push("assignedAgentId must be a UUID or unassigned");
+    } else {
+      value.assignedAgentId = filters.assignedAgentId;
+    }
+  }
+
+  for (const key of ["unitId", "listingId"]) {
+    if (filters[key]) {
+      if (!isUuid(filters[key])) {
+        errors.push(`${key} must be a UUID`);
+      } else {
+        value[key] = filters[key];
+      }
+    }
+  }
+
+  const tagIds = toFilterList(filters.tagId);
+  if (tagIds.length > 20 || tagIds.some((tagId) => !isUuid(tagId))) {
+    errors.push("tagId must be a list of up to 20 tag UUIDs");
+  } else if (tagIds.length > 0) {
+    value.tagId = tagIds;
+  }
+
+  for (const key of ["fromDate", "toDate"]) {
+    if (filters[key]) {
+      if (!isDateString(filters[key])) {
+        errors.push(`${key} must be YYYY-MM-DD`);
+      } else {
+        value[key] = filters[key];
+      }
+    }
+  }
+  if (value.fromDate && value.toDate && value.fromDate > value.toDate) {
+    errors.push("fromDate must be on or before toDate");
+  }
+
+  return { errors, value };
+}
+
+// Tags of conversation c as a JSON array of { id, name, color }.
+const conversationTagsSql = `COALESCE(
+              (SELECT jsonb_agg(jsonb_build_object('id', t.id, 'name', t.name, 'color', t.color) ORDER BY LOWER(t.name))
+                 FROM "ConversationTagAssignments" cta
+                 JOIN "ConversationTags" t ON t.id = cta.tag_id
+                WHERE cta.conversation_id = c.id),
+              '[]'::jsonb
+            )`;
+
+// Pages are keyed on the last activity time (millisecond precision, see pagination.js); conversations
+// with no activity at all sort last. Ties fall back to the platform's own inbox order (threads without
+// a rank after ranked ones), then the most recently updated conversation, then the id. The rank is
+// negated inside row comparisons so the whole key compares in one direction.
+const inboxSortAtSql = `date_trunc('milliseconds', COALESCE(GREATEST(c.last_message_at, latest.sent_at), c.last_message_at, latest.sent_at))`;
+const inboxSortRankSql = `COALESCE(c.external_inbox_sort_rank::bigint, 2147483648)`;
+const inboxUpdatedAtSql = `date_trunc('milliseconds', c.updated_at)`;
+
+function readInboxCursorTies(cursor) {
+  const [rank, updatedAt] = cursor.ties || [];
+  if (cursor.ties?.length !== 2 || !Number.isInteger(rank) || typeof updatedAt !== "string" || !Number.isFinite(Date.parse(updatedAt))) {
+    return null;
+  }
+  return { rank, updatedAt };
+}
+
+async function fetchInboxList(client, statusFilter = null, access = null, platformFilter = null, { search = null, limit = 100, cursor = null, filters = {} } = {}) {
+  const where = [];
+  const params = [];
+
+  // Default inbox view shows active conversations only.
+  where.push(`c.status = 'open'`);
+
+  if (access?.role === roles.agent) {
+    const sessionAgentId = access.session?.user?.id;
+    if (!isUuid(sessionAgentId)) {
+      return { items: [], nextCursor: null };
+    }
+    params.push(sessionAgentId);
+    where.push(`(c.assigned_agent_id = $${params.length}::uuid OR c.follow_up_owner_agent_id = $${params.length}::uuid)`);
+  }
+
+  if (platformFilter) {
     params.push(platformFilter);
     where.push(`pa.platform = $${params.length}`);
   }
 
+  if (statusFilter) {
+    where.push(`(${inboxStatusPredicates[statusFilter]})`);
+  }
+
+  if (filters.workflowState) {
+    params.push(filters.workflowState);
+    where.push(`c.workflow_state = ANY($${params.length}::text[])`);
+  }
+
+  if (filters.showingState) {
+    params.push(filters.showingState.filter((state) => state !== "none"));
+    where.push(filters.showingState.includes("none")
+      ? `(c.showing_state IS NULL OR c.showing_state = ANY($${params.length}::text[]))`
+      : `c.showing_state = ANY($${params.length}::text[])`);
+  }
+
+  if (filters.followUpDue) {
+    const pendingFollowUp = `c.follow_up_stage IS NOT NULL AND c.follow_up_status = 'pending'`;
+    where.push({
+      overdue: `(${pendingFollowUp} AND c.follow_up_due_at <= NOW())`,
+      due_24h: `(${pendingFollowUp} AND c.follow_up_due_at > NOW() AND c.follow_up_due_at <= NOW() + INTERVAL '24 hours')`,
+      scheduled: `(${pendingFollowUp})`,
+      none: `NOT (${pendingFollowUp})`
+    }[filters.followUpDue]);
+  }
+
+  if (filters.assignedAgentId === "unassigned") {
+    where.push("c.assigned_agent_id IS NULL");
+  } else if (filters.assignedAgentId) {
+    params.push(filters.assignedAgentId);
+    where.push(`c.assigned_agent_id = $${params.length}::uuid`);
+  }
+
+  if (filters.unitId) {
+    params.push(filters.unitId);
+    where.push(`l.unit_id = $${params.length}::uuid`);
+  }
+
+  if (filters.listingId) {
+    params.push(filters.listingId);
+    where.push(`c.listing_id = $${params.length}::uuid`);
+  }
+
+  // Several tags match conversations carrying any of them.
+  if (filters.tagId) {
+    params.push(filters.tagId);
+    where.push(`EXISTS (
+      SELECT 1
+        FROM "ConversationTagAssignments" cta
+       WHERE cta.conversation_id = c.id
+         AND cta.tag_id = ANY($${params.length}::uuid[])
+    )`);
+  }
+
+  // The date range applies to the last activity, as UTC calendar days.
+  if (filters.fromDate) {
+    params.push(filters.fromDate);
+    where.push(`${inboxSortAtSql} >= $${params.length}::date::timestamptz`);
+  }
+
+  if (filters.toDate) {
+    params.push(filters.toDate);
+    where.push(`${inboxSortAtSql} < ($${params.length}::date + INTERVAL '1 day')::timestamptz`);
+  }
+
+  if (cursor) {
+    const ties = readInboxCursorTies(cursor);
+    params.push(cursor.id, ties.rank, ties.updatedAt);
+    const tieKeys = `-${inboxSortRankSql}, ${inboxUpdatedAtSql}, c.id`;
+    const tieValues = `-$${params.length - 1}::bigint, $${params.length}::timestamptz, $${params.length - 2}::uuid`;
+    if (cursor.at) {
+      params.push(cursor.at);
+      where.push(`(${inboxSortAtSql} IS NULL OR (${inboxSortAtSql}, ${tieKeys}) < ($${params.length}::timestamptz, ${tieValues}))`);
+    } else {
+      where.push(`(${inboxSortAtSql} IS NULL AND (${tieKeys}) < (${tieValues}))`);
+    }
+  }
+
+  let searchQuery = null;
+  if (search) {
+    params.push(search);
+    searchQuery = `websearch_to_tsquery('english', $${params.length})`;
+    where.push(`(
+      c.search_vector @@ ${searchQuery}
+      OR to_tsvector('english', COALESCE(u.property_name, '') || ' ' || COALESCE(u.unit_number, '') || ' ' || COALESCE(l.metadata->>'title', '')) @@ ${searchQuery}
+      OR c.id IN (SELECT sm.conversation_id FROM "Messages" sm WHERE sm.search_vector @@ ${searchQuery})
+    )`);
+  }
+
+  const searchJoin = searchQuery
+    ? `LEFT JOIN LATERAL (
+         SELECT sm.id,
+                sm.sent_at,
+                ts_headline('english', sm.body, ${searchQuery}, '${inboxSearchHeadlineOptions}') AS snippet
+           FROM "Messages" sm
+          WHERE sm.conversation_id = c.id
+            AND sm.search_vector @@ ${searchQuery}
+          ORDER BY ts_rank(sm.search_vector, ${searchQuery}) DESC, sm.sent_at DESC
+          LIMIT 1
+       ) search_hit ON TRUE`
+    : "";
+  const searchColumns = searchQuery
+    ? `,
+            search_hit.id AS search_message_id,
+            search_hit.sent_at AS search_message_sent_at,
+            search_hit.snippet AS search_snippet,
+            ts_headline(
+              'english',
+              CONCAT_WS(' · ', c.lead_name, c.external_thread_label, u.property_name || ' ' || u.unit_number, l.metadata->>'title'),
+              ${searchQuery},
+              'StartSel=<mark>, StopSel=</mark>, HighlightAll=true'
+            ) AS search_label`
+    : "";
+
   const whereClause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
   const roomiesThreadGuard = `AND NOT (pa.platform = 'roomies' AND (c.external_thread_id IS NULL OR c.external_thread_id !~ '^[0-9]+$'))`;
-  const orderByClause = `ORDER BY
-                                effective_last_message_at DESC NULLS LAST,
-                                CASE WHEN c.external_inbox_sort_rank IS NULL THEN 1 ELSE 0 END ASC,
-                                c.external_inbox_sort_rank ASC NULLS LAST,
-                                c.updated_at DESC NULLS LAST,
-                                c.id ASC`;
+  params.push(limit + 1);
+  const orderByClause = `ORDER BY inbox_sort_at DESC NULLS LAST, inbox_sort_rank ASC, inbox_updated_at DESC, c.id DESC
+       LIMIT $${params.length}`;
   const result = await client.query(
     `SELECT c.id,
             c.platform_account_id,
@@ -2479,6 +4308,7 @@ async function fetchInboxList(client, statusFilter = null, access = null, platfo
             c.external_thread_id,
             c.lead_name,
             c.lead_contact,
+            c.qualification_status,
             c.external_thread_label,
             c.external_thread_message_count,
             c.external_inbox_sort_rank,
@@ -2498,6 +4328,9 @@ async function fetchInboxList(client, statusFilter = null, access = null, platfo
               c.last_message_at,
               latest.sent_at
             ) AS effective_last_message_at,
+            ${inboxSortAtSql} AS inbox_sort_at,
+            ${inboxSortRankSql} AS inbox_sort_rank,
+            ${inboxUpdatedAtSql} AS inbox_updated_at,
             pa.platform,
             u.property_name,
             u.unit_number,
@@ -2508,7 +4341,10 @@ async function fetchInboxList(client, statusFilter = null, access = null, platfo
             COALESCE(counts.new_count, 0) AS new_count,
             COALESCE(counts.draft_count, 0) AS draft_count,
             COALESCE(counts.hold_count, 0) AS hold_count,
-            COALESCE(counts.sent_count, 0) AS sent_count
+            COALESCE(counts.sent_count, 0) AS sent_count,
+            COALESCE(counts.deferred_count, 0) AS deferred_count,
+            counts.next_deferred_until,
+            ${conversationTagsSql} AS tags${searchColumns}
        FROM "Conversations" c
        JOIN "PlatformAccounts" pa ON pa.id = c.platform_account_id
        LEFT JOIN "Listings" l ON l.id = c.listing_id
@@ -2532,22 +4368,35 @@ async function fetchInboxList(client, statusFilter = null, access = null, platfo
                 ) AS hold_count,
                 COUNT(*) FILTER (
                   WHERE COALESCE(m.metadata->>'reviewStatus', CASE WHEN m.direction = 'inbound' THEN 'new' ELSE 'sent' END) = 'sent'
-                ) AS sent_count
+                ) AS sent_count,
+                COUNT(*) FILTER (
+                  WHERE m.metadata->>'reviewStatus' = 'deferred'
+                ) AS deferred_count,
+                MIN(m.metadata->>'deferredUntil') FILTER (
+                  WHERE m.metadata->>'reviewStatus' = 'deferred'
+                ) AS next_deferred_until
            FROM "Messages" m
           WHERE m.conversation_id = c.id
        ) counts ON TRUE
+       ${searchJoin}
        ${whereClause}
        ${whereClause ? roomiesThreadGuard : `WHERE ${roomiesThreadGuard.replace(/^AND\s+/i, "")}`}
        ${orderByClause}`,
     params
   );
+  const page = paginateRows(result.rows, limit, (row) => ({
+    at: row.inbox_sort_at,
+    id: row.id,
+    ties: [Number(row.inbox_sort_rank), new Date(row.inbox_updated_at).toISOString()]
+  }));
 
-  const items = result.rows.map((row) => {
+  const items = page.items.map((row) => {
     const counts = {
       newCount: Number(row.new_count || 0),
       draftCount: Number(row.draft_count || 0),
       holdCount: Number(row.hold_count || 0),
-      sentCount: Number(row.sent_count || 0)
+      sentCount: Number(row.sent_count || 0),
+      deferredCount: Number(row.deferred_count || 0)
     };
 
     return {
@@ -2559,6 +4408,7 @@ async function fetchInboxList(client, statusFilter = null, access = null, platfo
       externalThreadId: row.external_thread_id,
       leadName: row.lead_name,
       leadContact: row.lead_contact || {},
+      qualificationStatus: row.qualification_status || "unknown",
       conversationStatus: row.conversation_status,
       workflowState: row.workflow_state,
       workflowOutcome: row.workflow_outcome,
@@ -2570,10 +4420,12 @@ async function fetchInboxList(client, statusFilter = null, access = null, platfo
       workflowUpdatedAt: row.workflow_updated_at,
       messageStatus: summarizeConversationStatus(counts),
       counts,
+      nextDeferredUntil: row.next_deferred_until || null,
       unit: row.property_name && row.unit_number
         ? `${row.property_name} ${row.unit_number}`
         : row.external_thread_label || null,
       threadLabel: row.external_thread_label || null,
+      tags: Array.isArray(row.tags) ? row.tags : [],
       threadMessageCount: row.external_thread_message_count === null || row.external_thread_message_count === undefined
         ? null
         : Number(row.external_thread_message_count),
@@ -2585,14 +4437,24 @@ async function fetchInboxList(client, statusFilter = null, access = null, platfo
       latestStatus: normalizeMessageStatus(row.latest_direction, row.latest_metadata || {}),
       latestSentAtText: row.latest_metadata?.sentAtText || null,
       lastMessageAt: row.effective_last_message_at || row.last_message_at,
-      updatedAt: row.updated_at
+      updatedAt: row.updated_at,
+      ...(search
+        ? {
+            searchMatch: {
+              messageId: row.search_message_id || null,
+              sentAt: row.search_message_sent_at || null,
+              snippet: row.search_snippet || null,
+              label: row.search_label || null
+            }
+          }
+        : {})
     };
   });
 
-  if (!statusFilter) {
-    return items;
-  }
-  return items.filter((item) => item.messageStatus === statusFilter);
+  return {
+    items: statusFilter ? items.filter((item) => item.messageStatus === statusFilter) : items,
+    nextCursor: page.nextCursor
+  };
 }
 
 async function fetchConversationDetail(client, conversationId, access = null) {
@@ -2616,6 +4478,10 @@ async function fetchConversationDetail(client, conversationId, access = null) {
             c.external_thread_id,
             c.lead_name,
             c.lead_contact,
+            c.lead_profile,
+            c.qualification_status,
+            c.qualification,
+            c.prescreen,
             c.external_thread_label,
             c.external_thread_message_count,
             c.external_inbox_sort_rank,
@@ -2630,6 +4496,8 @@ async function fetchConversationDetail(client, conversationId, access = null) {
             c.workflow_updated_at,
             c.last_message_at,
             c.updated_at,
+            c.lead_id,
+            ${conversationTagsSql} AS tags,
             pa.platform,
             u.property_name,
             u.unit_number,
@@ -2824,6 +4692,9 @@ async function fetchConversationDetail(client, conversationId, access = null) {
     [conversation.platform_account_id]
   );
 
+  const notes = await fetchConversationNotes(client, conversationId);
+  const lead = conversation.lead_id ? await fetchLeadSummary(client, conversation.lead_id) : null;
+
   const slotLabels = [];
   if (conversation.unit_id) {
     const slotResult = await client.query(
@@ -2859,7 +4730,8 @@ async function fetchConversationDetail(client, conversationId, access = null) {
     slot_options_list: slotOptionsList,
     slot_options_inline: slotOptionsInline,
     // Keep a backwards compatible alias used by some templates/contexts.
-    slot_options: slotOptionsList || slotOptionsInline
+    slot_options: slotOptionsList || slotOptionsInline,
+    ...buildLeadProfileTemplateVariables(conversation.lead_profile)
   };
 
   return {
@@ -2872,6 +4744,10 @@ async function fetchConversationDetail(client, conversationId, access = null) {
       externalThreadId: conversation.external_thread_id,
       leadName: conversation.lead_name,
       leadContact: conversation.lead_contact || {},
+      leadProfile: conversation.lead_profile || {},
+      qualificationStatus: conversation.qualification_status || "unknown",
+      qualification: conversation.qualification || {},
+      prescreen: conversation.prescreen || {},
       status: conversation.status,
       workflowState: conversation.workflow_state,
       workflowOutcome: conversation.workflow_outcome,
@@ -2883,6 +4759,7 @@ async function fetchConversationDetail(client, conversationId, access = null) {
       workflowUpdatedAt: conversation.workflow_updated_at,
       unit: templateContext.unit,
       threadLabel: conversation.external_thread_label || null,
+      tags: Array.isArray(conversation.tags) ? conversation.tags : [],
       threadMessageCount: conversation.external_thread_message_count === null || conversation.external_thread_message_count === undefined
         ? null
         : Number(conversation.external_thread_message_count),
@@ -2890,9 +4767,12 @@ async function fetchConversationDetail(client, conversationId, access = null) {
         ? null
         : Number(conversation.external_inbox_sort_rank),
       lastMessageAt: conversation.last_message_at,
-      updatedAt: conversation.updated_at
+      updatedAt: conversation.updated_at,
+      leadId: conversation.lead_id
     },
+    lead,
     messages: messagesResult.rows.map((row) => toMessageDto(row)),
+    notes,
     templates: templatesResult.rows.map((row) => ({
       id: row.id,
       platformAccountId: row.platform_account_id,
@@ -3001,6 +4881,12 @@ export async function routeApi(req, res, url) {
     const auditLimit = parsePositiveInt(url.searchParams.get("auditLimit"), 50, { min: 1, max: 200 });
     const errorLimit = parsePositiveInt(url.searchParams.get("errorLimit"), 25, { min: 1, max: 200 });
     const signalLimit = parsePositiveInt(url.searchParams.get("signalLimit"), 25, { min: 1, max: 100 });
+    const auditCursorParam = url.searchParams.get("auditCursor");
+    const auditCursor = auditCursorParam ? decodeCursor(auditCursorParam) : null;
+    if (auditCursorParam && (!auditCursor?.at || !/^\d+$/.test(auditCursor.id))) {
+      badRequest(res, "auditCursor is invalid");
+      return;
+    }
 
     const withClientRunner = routeTestOverrides?.withClient || withClient;
     const fetchObservabilitySnapshotRunner = routeTestOverrides?.fetchObservabilitySnapshot || fetchObservabilitySnapshot;
@@ -3010,7 +4896,8 @@ export async function routeApi(req, res, url) {
         windowHours,
         auditLimit,
         errorLimit,
-        signalLimit
+        signalLimit,
+        auditCursor
       })
     );
 
@@ -3025,7 +4912,7 @@ export async function routeApi(req, res, url) {
     }
 
     const result = await pool.query(
-      `SELECT id, full_name, email, timezone, role
+      `SELECT id, full_name, email, timezone, role, send_window
          FROM "Agents"
         ORDER BY full_name ASC`
     );
@@ -3036,12 +4923,209 @@ export async function routeApi(req, res, url) {
         fullName: row.full_name,
         email: row.email,
         timezone: row.timezone,
-        role: row.role
+        role: row.role,
+        sendWindow: normalizeSendWindow(row.send_window)
       }))
     });
     return;
   }
 
+  const adminAgentSendWindowMatch = url.pathname.match(/^\/api\/admin\/agents\/([0-9a-f\-]+)\/send-window$/i);
+  if (adminAgentSendWindowMatch && req.method === "PUT") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const agentId = adminAgentSendWindowMatch[1];
+    if (!isUuid(agentId)) {
+      badRequest(res, "agentId must be a UUID");
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    if (!isObject(payload) || payload.sendWindow === undefined) {
+      badRequest(res, "Invalid agent send window payload", ["sendWindow must be provided (null inherits the account window)"]);
+      return;
+    }
+
+    const errors = validateSendWindow(payload.sendWindow);
+    if (errors.length > 0) {
+      badRequest(res, "Invalid agent send window payload", errors);
+      return;
+    }
+
+    const sendWindow = normalizeSendWindow(payload.sendWindow);
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const updated = await withClientRunner(async (client) => {
+      const result = await client.query(
+        `UPDATE "Agents"
+            SET send_window = $2::jsonb,
+                updated_at = NOW()
+          WHERE id = $1::uuid
+          RETURNING id, send_window`,
+        [agentId, sendWindow ? JSON.stringify(sendWindow) : null]
+      );
+
+      if (result.rowCount === 0) {
+        return null;
+      }
+
+      await recordAuditLog(client, {
+        actorType: "user",
+        actorId: access.session.user.id,
+        entityType: "agent",
+        entityId: agentId,
+        action: "agent_send_window_updated",
+        details: { sendWindow }
+      });
+
+      return {
+        id: result.rows[0].id,
+        sendWindow: normalizeSendWindow(result.rows[0].send_window)
+      };
+    });
+
+    if (!updated) {
+      notFound(res);
+      return;
+    }
+
+    json(res, 200, updated);
+    return;
+  }
+
+  if (url.pathname === "/api/admin/out-of-office" && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const items = await withClientRunner((client) => fetchOutOfOfficeRecords(client));
+    json(res, 200, { items });
+    return;
+  }
+
+  if (url.pathname === "/api/admin/out-of-office" && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const { errors, value } = validateOutOfOfficePayload(payload);
+    if (errors.length > 0) {
+      badRequest(res, "Invalid out-of-office payload", errors);
+      return;
+    }
+
+    const actor = { actorType: "user", actorId: access.session.user.id };
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const created = await withClientRunner(async (client) => {
+      const result = await createOutOfOfficeRecord(client, value, { createdBy: access.session.user.id });
+      if (result.error) {
+        return result;
+      }
+
+      await recordAuditLog(client, {
+        ...actor,
+        entityType: "agent_out_of_office",
+        entityId: result.id,
+        action: "agent_out_of_office_created",
+        details: value
+      });
+      // A range that has already started takes effect now instead of on the next worker run.
+      await syncAgentOutOfOffice(client, { actor });
+      return { item: await fetchOutOfOfficeRecord(client, result.id) };
+    });
+
+    if (created.error === "agent_not_found") {
+      badRequest(res, "agentId does not exist");
+      return;
+    }
+    if (created.error === "delegate_not_found") {
+      badRequest(res, "delegateAgentId does not exist");
+      return;
+    }
+    if (created.error === "delegate_out_of_office") {
+      json(res, 409, {
+        error: "delegate_out_of_office",
+        message: "The delegate agent is out of office during this range"
+      });
+      return;
+    }
+    if (created.error === "overlap") {
+      json(res, 409, {
+        error: "out_of_office_conflict",
+        message: "Agent already has an out-of-office record overlapping this range"
+      });
+      return;
+    }
+
+    json(res, 201, created);
+    return;
+  }
+
+  const outOfOfficeEndMatch = url.pathname.match(/^\/api\/admin\/out-of-office\/([0-9a-f\-]+)\/end$/i);
+  if (outOfOfficeEndMatch && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const outOfOfficeId = outOfOfficeEndMatch[1];
+    if (!isUuid(outOfOfficeId)) {
+      badRequest(res, "outOfOfficeId must be a UUID");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const ended = await withClientRunner(async (client) => {
+      const existing = await fetchOutOfOfficeRecord(client, outOfOfficeId);
+      if (!existing) {
+        return null;
+      }
+      const result = await endAgentOutOfOffice(client, outOfOfficeId, {
+        status: "cancelled",
+        actor: { actorType: "user", actorId: access.session.user.id }
+      });
+      if (!result) {
+        return { error: "closed" };
+      }
+      return { item: await fetchOutOfOfficeRecord(client, outOfOfficeId), reverted: result };
+    });
+
+    if (!ended) {
+      notFound(res);
+      return;
+    }
+    if (ended.error === "closed") {
+      json(res, 409, {
+        error: "out_of_office_closed",
+        message: "Out-of-office record has already ended"
+      });
+      return;
+    }
+
+    json(res, 200, ended);
+    return;
+  }
+
   if (url.pathname === "/api/message-automation" && req.method === "GET") {
     const access = await requireRole(req, res, [roles.agent, roles.admin]);
     if (!access) {
@@ -3105,42 +5189,224 @@ export async function routeApi(req, res, url) {
     return;
   }
 
-  if (url.pathname === "/api/admin/users" && req.method === "GET") {
+  if (url.pathname === "/api/admin/workers" && req.method === "GET") {
     const access = await requireRole(req, res, [roles.admin]);
     if (!access) {
       return;
     }
 
     const withClientRunner = routeTestOverrides?.withClient || withClient;
-    const payload = await withClientRunner(async (client) => {
-      const usersResult = await client.query(
-        `SELECT id,
-                email,
-                name,
-                role,
-                "createdAt" AS created_at,
-                "updatedAt" AS updated_at
-           FROM "user"
-          ORDER BY "createdAt" DESC, email ASC`
-      );
+    const fetchWorkerStatusSnapshotRunner = routeTestOverrides?.fetchWorkerStatusSnapshot || fetchWorkerStatusSnapshot;
+    const snapshot = await withClientRunner((client) => fetchWorkerStatusSnapshotRunner(client));
 
-      const invitationsResult = await client.query(
-        `SELECT id,
-                email,
-                first_name,
-                last_name,
-                role,
-                invited_by,
-                expires_at,
-                accepted_at,
-                revoked_at,
-                created_at,
-                updated_at
-           FROM "UserInvitations"
-          ORDER BY created_at DESC`
-      );
+    json(res, 200, {
+      generatedAt: new Date().toISOString(),
+      staleAfterMs: workerHeartbeatStaleMs,
+      items: snapshot.workers,
+      tasks: snapshot.tasks
+    });
+    return;
+  }
 
-      return {
+  if (url.pathname === "/api/admin/dispatch/dlq" && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const platform = url.searchParams.get("platform");
+    if (platform && !requiredPlatformSet.has(platform)) {
+      badRequest(res, `platform must be one of: ${requiredPlatforms.join(", ")}`);
+      return;
+    }
+
+    const limit = parsePositiveInt(url.searchParams.get("limit"), 50, { min: 1, max: 200 });
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const items = await withClientRunner((client) => {
+      const adapter = routeTestOverrides?.dispatchDlqAdapter || createPostgresQueueAdapter(client, { connectorRegistry });
+      return adapter.fetchDeadLetteredDispatches({ platform, limit });
+    });
+
+    json(res, 200, {
+      generatedAt: new Date().toISOString(),
+      items
+    });
+    return;
+  }
+
+  const dispatchDlqActionMatch = url.pathname.match(/^\/api\/admin\/dispatch\/dlq\/(retry|discard)$/);
+  if (dispatchDlqActionMatch && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const action = dispatchDlqActionMatch[1];
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const { errors, value } = validateDeadLetterActionPayload(payload, { requireReason: action === "discard" });
+    if (errors.length > 0) {
+      badRequest(res, "Invalid dead-letter payload", errors);
+      return;
+    }
+
+    const actorId = access.session.user.id;
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const updated = await withClientRunner(async (client) => {
+      const adapter = routeTestOverrides?.dispatchDlqAdapter || createPostgresQueueAdapter(client, { connectorRegistry });
+      const rows = action === "retry"
+        ? await adapter.requeueDeadLetteredDispatches({ messageIds: value.messageIds, actorId })
+        : await adapter.discardDeadLetteredDispatches({ messageIds: value.messageIds, reason: value.reason, actorId });
+
+      for (const row of rows) {
+        await recordAuditLog(client, {
+          actorType: "user",
+          actorId,
+          entityType: "message",
+          entityId: row.messageId,
+          action: action === "retry" ? "dispatch_dlq_retry_requested" : "dispatch_dlq_discarded",
+          details: action === "retry" ? { retryNonce: row.retryNonce } : { reason: value.reason }
+        });
+      }
+      return rows;
+    });
+
+    // Ids that were not in the DLQ (already retried, discarded or never dead-lettered) are reported
+    // back rather than failing the whole batch.
+    const updatedIds = new Set(updated.map((row) => row.messageId));
+    json(res, 200, {
+      action,
+      updated: updated.map((row) => row.messageId),
+      skipped: value.messageIds.filter((messageId) => !updatedIds.has(messageId))
+    });
+    return;
+  }
+
+  const dispatchDlqItemMatch = url.pathname.match(/^\/api\/admin\/dispatch\/dlq\/([0-9a-f\-]+)$/i);
+  if (dispatchDlqItemMatch && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const messageId = dispatchDlqItemMatch[1];
+    if (!isUuid(messageId)) {
+      badRequest(res, "messageId must be a UUID");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const detail = await withClientRunner(async (client) => {
+      const adapter = routeTestOverrides?.dispatchDlqAdapter || createPostgresQueueAdapter(client, { connectorRegistry });
+      const [item] = await adapter.fetchDeadLetteredDispatches({ messageIds: [messageId], limit: 1 });
+      if (!item) {
+        return null;
+      }
+
+      const auditResult = await client.query(
+        `SELECT action, actor_type, actor_id, details, created_at
+           FROM "AuditLogs"
+          WHERE entity_type = 'message'
+            AND entity_id = $1
+          ORDER BY created_at DESC
+          LIMIT 20`,
+        [messageId]
+      );
+      return {
+        ...item,
+        history: auditResult.rows.map((row) => ({
+          action: row.action,
+          actorType: row.actor_type,
+          actorId: row.actor_id,
+          details: row.details || {},
+          createdAt: new Date(row.created_at).toISOString()
+        }))
+      };
+    });
+
+    if (!detail) {
+      notFound(res);
+      return;
+    }
+
+    json(res, 200, { item: detail });
+    return;
+  }
+
+  if (url.pathname === "/api/admin/follow-ups/preview" && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const platformAccountId = url.searchParams.get("platformAccountId");
+    if (platformAccountId && !isUuid(platformAccountId)) {
+      badRequest(res, "platformAccountId must be a UUID");
+      return;
+    }
+
+    const limit = parsePositiveInt(url.searchParams.get("limit"), 50, { min: 1, max: 200 });
+    const now = new Date();
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const preview = await withClientRunner((client) => processDueFollowUps({
+      adapter: routeTestOverrides?.followUpAdapter || createPostgresQueueAdapter(client, { connectorRegistry }),
+      now,
+      limit,
+      platformAccountId,
+      dryRun: true
+    }));
+
+    json(res, 200, {
+      generatedAt: now.toISOString(),
+      dryRun: true,
+      scanned: preview.scanned,
+      items: preview.items
+    });
+    return;
+  }
+
+  if (url.pathname === "/api/admin/users" && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const payload = await withClientRunner(async (client) => {
+      const usersResult = await client.query(
+        `SELECT id,
+                email,
+                name,
+                role,
+                "createdAt" AS created_at,
+                "updatedAt" AS updated_at
+           FROM "user"
+          ORDER BY "createdAt" DESC, email ASC`
+      );
+
+      const invitationsResult = await client.query(
+        `SELECT id,
+                email,
+                first_name,
+                last_name,
+                role,
+                invited_by,
+                expires_at,
+                accepted_at,
+                revoked_at,
+                created_at,
+                updated_at
+           FROM "UserInvitations"
+          ORDER BY created_at DESC`
+      );
+
+      return {
         users: usersResult.rows.map((row) => {
           const splitName = splitDisplayName(row.name);
           return {
@@ -3658,6 +5924,207 @@ export async function routeApi(req, res, url) {
     return;
   }
 
+  if (url.pathname === "/api/admin/guardrail-rules" && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const platformAccountId = url.searchParams.get("platformAccountId");
+    if (platformAccountId && !isUuid(platformAccountId)) {
+      badRequest(res, "platformAccountId must be a UUID");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const fetchGuardrailRulesRunner = routeTestOverrides?.fetchGuardrailRules || fetchGuardrailRules;
+    const items = await withClientRunner((client) => fetchGuardrailRulesRunner(client, { platformAccountId }));
+
+    json(res, 200, {
+      matchTypes: GUARDRAIL_MATCH_TYPES,
+      directions: GUARDRAIL_DIRECTIONS,
+      severities: GUARDRAIL_SEVERITIES,
+      actions: GUARDRAIL_ACTIONS,
+      items
+    });
+    return;
+  }
+
+  if (url.pathname === "/api/admin/guardrail-rules" && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const errors = validateGuardrailRulePayload(payload);
+    if (errors.length > 0) {
+      badRequest(res, "Invalid guardrail rule payload", errors);
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const saveGuardrailRuleRunner = routeTestOverrides?.saveGuardrailRule || saveGuardrailRule;
+    let created;
+    try {
+      created = await withClientRunner(async (client) => {
+        const rule = await saveGuardrailRuleRunner(client, payload, { actorId: access.session.user.id });
+
+        await recordAuditLog(client, {
+          actorType: "user",
+          actorId: access.session.user.id,
+          entityType: "guardrail_rule",
+          entityId: rule.id,
+          action: "guardrail_rule_created",
+          details: { rule }
+        });
+
+        return rule;
+      });
+    } catch (error) {
+      if (error?.code === "23503") {
+        badRequest(res, "platformAccountId does not reference an existing platform account");
+        return;
+      }
+      throw error;
+    }
+
+    json(res, 201, created);
+    return;
+  }
+
+  const guardrailRuleMatch = url.pathname.match(/^\/api\/admin\/guardrail-rules\/([0-9a-f\-]+)$/i);
+  if (guardrailRuleMatch && (req.method === "PUT" || req.method === "DELETE")) {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const ruleId = guardrailRuleMatch[1];
+    if (!isUuid(ruleId)) {
+      badRequest(res, "ruleId must be a UUID");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const fetchGuardrailRuleByIdRunner = routeTestOverrides?.fetchGuardrailRuleById || fetchGuardrailRuleById;
+
+    if (req.method === "DELETE") {
+      const deleted = await withClientRunner(async (client) => {
+        const existing = await fetchGuardrailRuleByIdRunner(client, ruleId);
+        if (!existing) {
+          return null;
+        }
+
+        await client.query(`DELETE FROM "GuardrailRules" WHERE id = $1::uuid`, [ruleId]);
+        await recordAuditLog(client, {
+          actorType: "user",
+          actorId: access.session.user.id,
+          entityType: "guardrail_rule",
+          entityId: ruleId,
+          action: "guardrail_rule_deleted",
+          details: { rule: existing }
+        });
+
+        return existing;
+      });
+
+      if (!deleted) {
+        notFound(res);
+        return;
+      }
+
+      json(res, 200, { deleted: true });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const editableFields = [
+      "platformAccountId",
+      "name",
+      "reasonCode",
+      "matchType",
+      "pattern",
+      "keywords",
+      "direction",
+      "severity",
+      "action",
+      "isEnabled"
+    ];
+    const updates = Object.fromEntries(
+      editableFields
+        .filter((field) => Object.prototype.hasOwnProperty.call(payload, field))
+        .map((field) => [field, payload[field]])
+    );
+
+    if (Object.keys(updates).length === 0) {
+      badRequest(res, "At least one guardrail rule field must be provided");
+      return;
+    }
+
+    const saveGuardrailRuleRunner = routeTestOverrides?.saveGuardrailRule || saveGuardrailRule;
+    let updated;
+    try {
+      updated = await withClientRunner(async (client) => {
+        const existing = await fetchGuardrailRuleByIdRunner(client, ruleId);
+        if (!existing) {
+          return null;
+        }
+
+        const nextRule = { ...existing, ...updates };
+        const errors = validateGuardrailRulePayload(nextRule);
+        if (errors.length > 0) {
+          return { error: "validation_error", details: errors };
+        }
+
+        const rule = await saveGuardrailRuleRunner(client, nextRule, { ruleId });
+        await recordAuditLog(client, {
+          actorType: "user",
+          actorId: access.session.user.id,
+          entityType: "guardrail_rule",
+          entityId: ruleId,
+          action: "guardrail_rule_updated",
+          details: { updates }
+        });
+
+        return rule;
+      });
+    } catch (error) {
+      if (error?.code === "23503") {
+        badRequest(res, "platformAccountId does not reference an existing platform account");
+        return;
+      }
+      throw error;
+    }
+
+    if (updated?.error === "validation_error") {
+      badRequest(res, "Invalid guardrail rule payload", updated.details);
+      return;
+    }
+
+    if (!updated) {
+      notFound(res);
+      return;
+    }
+
+    json(res, 200, updated);
+    return;
+  }
+
   if (url.pathname === "/api/message-automation" && req.method === "PUT") {
     const access = await requireRole(req, res, [roles.admin]);
     if (!access) {
@@ -3871,12 +6338,664 @@ export async function routeApi(req, res, url) {
       ]
     );
 
-    if (result.rowCount === 0) {
-      notFound(res);
+    if (result.rowCount === 0) {
+      notFound(res);
+      return;
+    }
+
+    json(res, 200, { updated: true });
+    return;
+  }
+
+  if (url.pathname === "/api/inbox/events" && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin, roles.agent]);
+    if (!access) {
+      return;
+    }
+
+    res.writeHead(200, {
+      "content-type": "text/event-stream; charset=utf-8",
+      "cache-control": "no-store",
+      connection: "keep-alive",
+      "x-accel-buffering": "no"
+    });
+    res.write(`retry: 5000\n${formatServerSentEvent("ready", { role: access.role })}`);
+
+    const hub = routeTestOverrides?.inboxEventHub || inboxEventHub;
+    const unsubscribe = hub.subscribe((event) => {
+      if (isInboxEventVisible(event, access)) {
+        res.write(formatServerSentEvent("inbox", event));
+      }
+    });
+    const heartbeat = setInterval(() => {
+      res.write(": keep-alive\n\n");
+    }, inboxEventHeartbeatMs);
+    heartbeat.unref?.();
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
+    return;
+  }
+
+  if (url.pathname === "/api/inbox/tags" && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const items = await withClientRunner((client) => fetchConversationTags(client));
+    json(res, 200, { colors: conversationTagColors, items });
+    return;
+  }
+
+  if (url.pathname === "/api/inbox/tags" && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const errors = validateConversationTagPayload(payload);
+    if (errors.length > 0) {
+      badRequest(res, "Invalid tag payload", errors);
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    let created;
+    try {
+      created = await withClientRunner(async (client) => {
+        const tag = await saveConversationTag(client, payload, { actorId: access.session.user.id });
+
+        await recordAuditLog(client, {
+          actorType: "user",
+          actorId: access.session.user.id,
+          entityType: "conversation_tag",
+          entityId: tag.id,
+          action: "conversation_tag_created",
+          details: { tag }
+        });
+
+        return tag;
+      });
+    } catch (error) {
+      if (error?.code === "23505") {
+        badRequest(res, "A tag with the same name already exists");
+        return;
+      }
+      throw error;
+    }
+
+    json(res, 201, created);
+    return;
+  }
+
+  const conversationTagMatch = url.pathname.match(/^\/api\/inbox\/tags\/([0-9a-f\-]+)$/i);
+  if (conversationTagMatch && (req.method === "PUT" || req.method === "DELETE")) {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const tagId = conversationTagMatch[1];
+    if (!isUuid(tagId)) {
+      badRequest(res, "tagId must be a UUID");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+
+    if (req.method === "DELETE") {
+      const deleted = await withClientRunner(async (client) => {
+        const result = await client.query(
+          `DELETE FROM "ConversationTags" WHERE id = $1::uuid RETURNING id, name, color`,
+          [tagId]
+        );
+        if (result.rowCount === 0) {
+          return null;
+        }
+
+        await recordAuditLog(client, {
+          actorType: "user",
+          actorId: access.session.user.id,
+          entityType: "conversation_tag",
+          entityId: tagId,
+          action: "conversation_tag_deleted",
+          details: { tag: result.rows[0] }
+        });
+
+        return result.rows[0];
+      });
+
+      if (!deleted) {
+        notFound(res);
+        return;
+      }
+
+      json(res, 200, { deleted: true });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const errors = validateConversationTagPayload(payload, { partial: true });
+    if (errors.length > 0) {
+      badRequest(res, "Invalid tag payload", errors);
+      return;
+    }
+
+    let updated;
+    try {
+      updated = await withClientRunner(async (client) => {
+        const tag = await saveConversationTag(client, payload, { tagId });
+        if (!tag) {
+          return null;
+        }
+
+        await recordAuditLog(client, {
+          actorType: "user",
+          actorId: access.session.user.id,
+          entityType: "conversation_tag",
+          entityId: tagId,
+          action: "conversation_tag_updated",
+          details: { tag }
+        });
+
+        return tag;
+      });
+    } catch (error) {
+      if (error?.code === "23505") {
+        badRequest(res, "A tag with the same name already exists");
+        return;
+      }
+      throw error;
+    }
+
+    if (!updated) {
+      notFound(res);
+      return;
+    }
+
+    json(res, 200, updated);
+    return;
+  }
+
+  const conversationTagsMatch = url.pathname.match(/^\/api\/inbox\/([0-9a-f\-]+)\/tags$/i);
+  if (conversationTagsMatch && req.method === "PUT") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const conversationId = conversationTagsMatch[1];
+    if (!isUuid(conversationId)) {
+      badRequest(res, "conversationId must be a UUID");
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const tagIds = Array.isArray(payload.tagIds) ? [...new Set(payload.tagIds)] : null;
+    if (!tagIds || tagIds.length > 20 || tagIds.some((tagId) => !isUuid(tagId))) {
+      badRequest(res, "tagIds must be an array of up to 20 tag UUIDs");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    let tags;
+    try {
+      tags = await withClientRunner(async (client) => {
+        const assigned = await setConversationTags(client, conversationId, tagIds, { actorId: access.session.user.id });
+        if (!assigned) {
+          return null;
+        }
+
+        await recordAuditLog(client, {
+          actorType: "user",
+          actorId: access.session.user.id,
+          entityType: "conversation",
+          entityId: conversationId,
+          action: "conversation_tags_updated",
+          details: { tagIds: assigned.map((tag) => tag.id) }
+        });
+
+        return assigned;
+      });
+    } catch (error) {
+      if (error?.code === "23503") {
+        badRequest(res, "tagIds must reference existing tags");
+        return;
+      }
+      throw error;
+    }
+
+    if (!tags) {
+      notFound(res);
+      return;
+    }
+
+    json(res, 200, { conversationId, tags });
+    return;
+  }
+
+  // Internal notes never reach a platform; they only show in the inbox timeline and notify mentioned users.
+  const conversationNotesMatch = url.pathname.match(/^\/api\/inbox\/([0-9a-f\-]+)\/notes$/i);
+  if (conversationNotesMatch && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const conversationId = conversationNotesMatch[1];
+    if (!isUuid(conversationId)) {
+      badRequest(res, "conversationId must be a UUID");
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const { errors, value } = validateConversationNotePayload(payload);
+    if (errors.length > 0) {
+      badRequest(res, "Invalid note payload", errors);
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const created = await withClientRunner(async (client) => {
+      const result = await createConversationNote(client, conversationId, value, { authorId: access.session.user.id });
+      if (!result?.note) {
+        return result;
+      }
+
+      await recordAuditLog(client, {
+        actorType: "user",
+        actorId: access.session.user.id,
+        entityType: "conversation",
+        entityId: conversationId,
+        action: "conversation_note_created",
+        details: { noteId: result.note.id, mentionedUserIds: value.mentionedUserIds }
+      });
+
+      return result;
+    });
+
+    if (!created) {
+      notFound(res);
+      return;
+    }
+    if (created.unknownUserIds) {
+      badRequest(res, "mentionedUserIds must reference existing users", created.unknownUserIds);
+      return;
+    }
+
+    json(res, 201, created.note);
+    return;
+  }
+
+  const leadMatch = url.pathname.match(/^\/api\/leads\/([0-9a-f\-]+)$/i);
+  if (leadMatch && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const leadId = leadMatch[1];
+    if (!isUuid(leadId)) {
+      badRequest(res, "leadId must be a UUID");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const payload = await withClientRunner(async (client) => {
+      const lead = await fetchLeadSummary(client, leadId);
+      if (!lead) {
+        return null;
+      }
+      return { lead, timeline: await fetchLeadTimeline(client, leadId) };
+    });
+
+    if (!payload) {
+      notFound(res);
+      return;
+    }
+
+    json(res, 200, payload);
+    return;
+  }
+
+  if (url.pathname === "/api/leads/merge" && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const conversationIds = Array.isArray(payload.conversationIds) ? [...new Set(payload.conversationIds)] : null;
+    if (!conversationIds || conversationIds.length < 2 || conversationIds.length > 20 || conversationIds.some((id) => !isUuid(id))) {
+      badRequest(res, "conversationIds must be an array of 2 to 20 conversation UUIDs");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const lead = await withClientRunner(async (client) => {
+      const merged = await mergeLeads(client, conversationIds);
+      if (!merged) {
+        return null;
+      }
+
+      await recordAuditLog(client, {
+        actorType: "user",
+        actorId: access.session.user.id,
+        entityType: "lead",
+        entityId: merged.leadId,
+        action: "lead_merged",
+        details: { conversationIds, mergedLeadIds: merged.mergedLeadIds }
+      });
+
+      return fetchLeadSummary(client, merged.leadId);
+    });
+
+    if (!lead) {
+      badRequest(res, "conversationIds must reference existing conversations");
+      return;
+    }
+
+    json(res, 200, lead);
+    return;
+  }
+
+  if (url.pathname === "/api/leads/unmerge" && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    if (!isUuid(payload.conversationId)) {
+      badRequest(res, "conversationId must be a UUID");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const result = await withClientRunner(async (client) => {
+      const unmerged = await unmergeLead(client, payload.conversationId);
+      if (!unmerged?.leadId) {
+        return unmerged;
+      }
+
+      await recordAuditLog(client, {
+        actorType: "user",
+        actorId: access.session.user.id,
+        entityType: "lead",
+        entityId: unmerged.previousLeadId,
+        action: "lead_unmerged",
+        details: { conversationId: payload.conversationId, leadId: unmerged.leadId }
+      });
+
+      return { lead: await fetchLeadSummary(client, unmerged.leadId) };
+    });
+
+    if (!result) {
+      notFound(res);
+      return;
+    }
+    if (result.notMerged) {
+      badRequest(res, "conversation is not merged with another conversation");
+      return;
+    }
+
+    json(res, 200, result.lead);
+    return;
+  }
+
+  if (url.pathname === "/api/inbox/views" && (req.method === "GET" || req.method === "POST")) {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const userId = access.session.user.id;
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+
+    if (req.method === "GET") {
+      const items = await withClientRunner((client) => fetchInboxSavedViews(client, userId));
+      json(res, 200, { items });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const { errors, value } = validateInboxSavedViewPayload(payload);
+    if (errors.length > 0) {
+      badRequest(res, "Invalid saved view payload", errors);
+      return;
+    }
+
+    try {
+      const created = await withClientRunner((client) => saveInboxSavedView(client, userId, value));
+      json(res, 201, created);
+    } catch (error) {
+      if (error?.code === "23505") {
+        badRequest(res, "A saved view with the same name already exists");
+        return;
+      }
+      throw error;
+    }
+    return;
+  }
+
+  // Saved views belong to the user who created them; another user's view id is reported as not found.
+  const inboxSavedViewMatch = url.pathname.match(/^\/api\/inbox\/views\/([0-9a-f\-]+)$/i);
+  if (inboxSavedViewMatch && (req.method === "PUT" || req.method === "DELETE")) {
+    const access = await requireRole(req, res, [roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const viewId = inboxSavedViewMatch[1];
+    if (!isUuid(viewId)) {
+      badRequest(res, "viewId must be a UUID");
+      return;
+    }
+
+    const userId = access.session.user.id;
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+
+    if (req.method === "DELETE") {
+      const result = await withClientRunner((client) =>
+        client.query(`DELETE FROM "InboxSavedViews" WHERE id = $1::uuid AND user_id = $2`, [viewId, userId])
+      );
+      if (result.rowCount === 0) {
+        notFound(res);
+        return;
+      }
+
+      json(res, 200, { deleted: true });
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const { errors, value } = validateInboxSavedViewPayload(payload, { partial: true });
+    if (errors.length > 0) {
+      badRequest(res, "Invalid saved view payload", errors);
+      return;
+    }
+
+    let updated;
+    try {
+      updated = await withClientRunner((client) => saveInboxSavedView(client, userId, value, { viewId }));
+    } catch (error) {
+      if (error?.code === "23505") {
+        badRequest(res, "A saved view with the same name already exists");
+        return;
+      }
+      throw error;
+    }
+
+    if (!updated) {
+      notFound(res);
+      return;
+    }
+
+    json(res, 200, updated);
+    return;
+  }
+
+  if (url.pathname === "/api/mentions" && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin, roles.agent]);
+    if (!access) {
+      return;
+    }
+
+    const unreadOnly = url.searchParams.get("unread") === "true";
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const payload = await withClientRunner((client) => fetchMentions(client, access.session.user.id, { unreadOnly }));
+    json(res, 200, payload);
+    return;
+  }
+
+  // Without noteIds every unread mention of the current user is marked read.
+  if (url.pathname === "/api/mentions/read" && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin, roles.agent]);
+    if (!access) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const noteIds = payload.noteIds === undefined ? null : payload.noteIds;
+    if (noteIds !== null && (!Array.isArray(noteIds) || noteIds.some((noteId) => !isUuid(noteId)))) {
+      badRequest(res, "noteIds must be an array of note UUIDs");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const result = await withClientRunner((client) =>
+      client.query(
+        `UPDATE "ConversationNoteMentions"
+            SET read_at = NOW()
+          WHERE user_id = $1
+            AND read_at IS NULL
+            AND ($2::uuid[] IS NULL OR note_id = ANY($2::uuid[]))`,
+        [access.session.user.id, noteIds]
+      )
+    );
+
+    json(res, 200, { updated: result.rowCount });
+    return;
+  }
+
+  // Showing reminders and other in-app notifications for the signed-in agent.
+  if (url.pathname === "/api/agent-notifications" && req.method === "GET") {
+    const access = await requireRole(req, res, [roles.admin, roles.agent]);
+    if (!access) {
+      return;
+    }
+
+    const unreadOnly = url.searchParams.get("unread") === "true";
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const payload = await withClientRunner((client) =>
+      fetchAgentNotifications(client, String(access.session.user.id), { unreadOnly })
+    );
+    json(res, 200, payload);
+    return;
+  }
+
+  // Without notificationIds every unread notification of the current agent is marked read.
+  if (url.pathname === "/api/agent-notifications/read" && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.admin, roles.agent]);
+    if (!access) {
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
       return;
     }
 
-    json(res, 200, { updated: true });
+    const notificationIds = payload.notificationIds === undefined ? null : payload.notificationIds;
+    if (notificationIds !== null && (!Array.isArray(notificationIds) || notificationIds.some((id) => !isUuid(id)))) {
+      badRequest(res, "notificationIds must be an array of notification UUIDs");
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const result = await withClientRunner((client) =>
+      client.query(
+        `UPDATE "AgentNotifications"
+            SET read_at = NOW()
+          WHERE agent_id::text = $1
+            AND read_at IS NULL
+            AND ($2::uuid[] IS NULL OR id = ANY($2::uuid[]))`,
+        [String(access.session.user.id), notificationIds]
+      )
+    );
+
+    json(res, 200, { updated: result.rowCount });
     return;
   }
 
@@ -3886,21 +7005,34 @@ export async function routeApi(req, res, url) {
       return;
     }
 
-    const status = url.searchParams.get("status");
-    if (status && !["new", "draft", "sent", "hold"].includes(status)) {
-      badRequest(res, "status must be one of new, draft, sent, hold");
+    // q searches message bodies, lead names, thread labels, and unit/listing names, with the best
+    // matching message highlighted. The other filters narrow by workflow, assignment, unit, tag and
+    // last activity date; saved views store the same set.
+    const { errors: filterErrors, value: filters } = validateInboxFilters(readInboxFilterParams(url.searchParams));
+    if (filterErrors.length > 0) {
+      badRequest(res, "Invalid inbox filters", filterErrors);
       return;
     }
+    const search = filters.q || "";
 
-    const platform = url.searchParams.get("platform");
-    if (platform && !requiredPlatformSet.has(platform)) {
-      badRequest(res, `platform must be one of ${requiredPlatforms.join(", ")}`);
+    const cursorParam = url.searchParams.get("cursor");
+    const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+    if (cursorParam && (!cursor || !isUuid(cursor.id) || !readInboxCursorTies(cursor))) {
+      badRequest(res, "cursor is invalid");
       return;
     }
+    const limit = parsePositiveInt(url.searchParams.get("limit"), 100, { min: 1, max: 200 });
 
     const withClientRunner = routeTestOverrides?.withClient || withClient;
-    const items = await withClientRunner((client) => fetchInboxList(client, status, access, platform));
-    json(res, 200, { items });
+    const { items, nextCursor } = await withClientRunner((client) =>
+      fetchInboxList(client, filters.status || null, access, filters.platform || null, {
+        search: search || null,
+        limit,
+        cursor,
+        filters
+      })
+    );
+    json(res, 200, search ? { items, nextCursor, search: { q: search } } : { items, nextCursor });
     return;
   }
 
@@ -4055,9 +7187,11 @@ export async function routeApi(req, res, url) {
         }
 
         const guardrailReviewReasons = collectGuardrailReviewReasons(payload.metadata);
-        const requiresAdminReview = guardrailReviewReasons.length > 0;
+        // Manual replies get the same fair-housing check as generated ones: a flagged body is held, never sent.
+        const fairHousing = checkFairHousingCompliance(messageBody);
+        const requiresAdminReview = guardrailReviewReasons.length > 0 || fairHousing.flagged;
         const shouldDispatch = (manualDispatchRequested || autoSendEnabled) && !requiresAdminReview;
-        const status = shouldDispatch ? "sent" : "draft";
+        const status = shouldDispatch ? "sent" : fairHousing.flagged ? "hold" : "draft";
         let delivery = null;
 
         if (shouldDispatch) {
@@ -4101,6 +7235,15 @@ export async function routeApi(req, res, url) {
           reviewRequired: requiresAdminReview,
           dispatchRequested: manualDispatchRequested,
           ...(guardrailReviewReasons.length > 0 ? { guardrailReviewReasons } : {}),
+          ...(fairHousing.flagged
+            ? {
+                fairHousing: {
+                  categories: fairHousing.categories,
+                  matches: fairHousing.matches,
+                  checkedAt: new Date().toISOString()
+                }
+              }
+            : {}),
           ...(templateId ? { templateId } : {}),
           ...(delivery ? { delivery } : {})
         };
@@ -4134,7 +7277,11 @@ export async function routeApi(req, res, url) {
           actorId: access.session.user.id,
           entityType: "message",
           entityId: inserted.rows[0].id,
-          action: shouldDispatch ? "inbox_manual_reply_dispatched" : "inbox_draft_saved",
+          action: shouldDispatch
+            ? "inbox_manual_reply_dispatched"
+            : fairHousing.flagged
+              ? "outbound_fair_housing_hold"
+              : "inbox_draft_saved",
           details: {
             conversationId,
             templateId,
@@ -4143,6 +7290,7 @@ export async function routeApi(req, res, url) {
             platformPolicy,
             requiresAdminReview,
             guardrailReviewReasons,
+            fairHousingCategories: fairHousing.categories,
             reviewStatus: status,
             externalThreadId: detail.conversation.externalThreadId || null,
             delivery
@@ -4157,7 +7305,8 @@ export async function routeApi(req, res, url) {
           autoSendEnabled,
           effectiveSendMode: platformPolicy.sendMode,
           requiresAdminReview,
-          guardrailReviewReasons
+          guardrailReviewReasons,
+          fairHousing: fairHousing.flagged ? { categories: fairHousing.categories } : null
         };
       });
     } catch (error) {
@@ -4832,6 +7981,7 @@ export async function routeApi(req, res, url) {
     const toDate = url.searchParams.get("toDate");
     const timezone = url.searchParams.get("timezone");
     const agentIdParam = url.searchParams.get("agentId");
+    const awaitingOutcome = url.searchParams.get("awaitingOutcome") === "true";
 
     if (status && !showingAppointmentStatuses.has(status)) {
       badRequest(res, "status must be one of pending, confirmed, reschedule_requested, cancelled, completed, no_show");
@@ -4857,6 +8007,13 @@ export async function routeApi(req, res, url) {
       badRequest(res, "agentId must be a UUID");
       return;
     }
+    const cursorParam = url.searchParams.get("cursor");
+    const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+    if (cursorParam && (!cursor?.at || !isUuid(cursor.id))) {
+      badRequest(res, "cursor is invalid");
+      return;
+    }
+    const limit = parsePositiveInt(url.searchParams.get("limit"), 200, { min: 1, max: 500 });
 
     let agentId = agentIdParam || null;
     if (access.role === roles.agent) {
@@ -4868,18 +8025,21 @@ export async function routeApi(req, res, url) {
 
     const withClientRunner = routeTestOverrides?.withClient || withClient;
     const fetchShowingAppointmentsRunner = routeTestOverrides?.fetchShowingAppointments || fetchShowingAppointments;
-    const items = await withClientRunner((client) =>
+    const rows = await withClientRunner((client) =>
       fetchShowingAppointmentsRunner(client, {
         agentId,
         status,
         unitId,
         fromDate,
         toDate,
-        timezone
+        timezone,
+        awaitingOutcome,
+        limit: limit + 1,
+        cursor
       })
     );
 
-    json(res, 200, { items });
+    json(res, 200, paginateRows(rows, limit, (item) => ({ at: item.startsAt, id: item.id })));
     return;
   }
 
@@ -5035,6 +8195,317 @@ export async function routeApi(req, res, url) {
     return;
   }
 
+  const showingChangeMatch = url.pathname.match(/^\/api\/showing-appointments\/([0-9a-f-]+)\/(reschedule|cancel)$/i);
+  if (showingChangeMatch && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.agent, roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const appointmentId = showingChangeMatch[1];
+    const action = showingChangeMatch[2].toLowerCase();
+    if (!isUuid(appointmentId)) {
+      badRequest(res, "appointment id must be a UUID");
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const errors = validateShowingChangePayload(payload, { allowSlot: action === "reschedule" });
+    if (errors.length > 0) {
+      badRequest(res, "Invalid showing change payload", errors);
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const fetchCandidates = routeTestOverrides?.fetchUnitAgentSlotCandidates || fetchUnitAgentSlotCandidates;
+    const recordAuditLogRunner = routeTestOverrides?.recordAuditLog || recordAuditLog;
+
+    const current = await withClientRunner((client) => fetchShowingAppointmentById(client, appointmentId));
+    if (!current) {
+      notFound(res);
+      return;
+    }
+    if (access.role === roles.agent && !enforceAgentSelfScope(res, access, current.agent_id)) {
+      return;
+    }
+    if (!openShowingStatuses.has(current.status)) {
+      json(res, 409, {
+        error: "showing_closed",
+        message: `Showing appointment is already ${current.status}`
+      });
+      return;
+    }
+
+    // A reschedule without a new slot asks the lead to pick one; with a slot it moves the showing outright.
+    const selection = action === "reschedule" && payload.startsAt !== undefined
+      ? {
+          unitId: current.unit_id,
+          agentId: payload.agentId || current.agent_id,
+          startsAt: new Date(payload.startsAt).toISOString(),
+          endsAt: new Date(payload.endsAt).toISOString(),
+          timezone: current.timezone
+        }
+      : null;
+    if (selection && access.role === roles.agent && !enforceAgentSelfScope(res, access, selection.agentId)) {
+      return;
+    }
+    const change = action === "cancel" ? "cancelled" : selection ? "rescheduled" : "reschedule_requested";
+
+    const writeChangeAuditLog = async (auditAction, details = {}) => {
+      try {
+        await withClientRunner((client) =>
+          recordAuditLogRunner(client, {
+            actorType: access.role === roles.admin ? "admin" : "agent",
+            actorId: access.session.user.id,
+            entityType: "showing_appointment",
+            entityId: appointmentId,
+            action: auditAction,
+            details: {
+              change,
+              reason: payload.reason || null,
+              previousStatus: current.status,
+              previousStartsAt: current.starts_at,
+              previousAgentId: current.agent_id,
+              ...(selection ? { startsAt: selection.startsAt, endsAt: selection.endsAt, agentId: selection.agentId } : {}),
+              ...details
+            }
+          })
+        );
+      } catch (loggingError) {
+        console.error("showing_change_audit_log_failed", loggingError);
+      }
+    };
+
+    let result;
+    try {
+      if (selection) {
+        const slotSelection = await withClientRunner((client) => validateBookingSlotSelection(client, selection, fetchCandidates));
+        if (!slotSelection.ok) {
+          await writeChangeAuditLog("showing_reschedule_slot_unavailable", {
+            rejectionReason: "assignment_availability_conflict",
+            alternativesCount: slotSelection.alternatives.length
+          });
+          json(res, 409, {
+            error: "slot_unavailable",
+            message: "Selected slot is not available for this agent assignment and availability window",
+            alternatives: slotSelection.alternatives,
+            adminReviewRequired: true
+          });
+          return;
+        }
+      }
+
+      result = await withClientRunner((client) =>
+        applyShowingAppointmentChange(client, appointmentId, {
+          type: change,
+          status: change === "rescheduled" ? "confirmed" : change,
+          startsAt: selection?.startsAt,
+          endsAt: selection?.endsAt,
+          agentId: selection?.agentId,
+          reason: payload.reason
+        })
+      );
+    } catch (error) {
+      if (handleShowingConflictError(error)) {
+        const date = selection.startsAt.slice(0, 10);
+        const alternatives = await withClientRunner((client) =>
+          fetchCandidates(client, current.unit_id, {
+            fromDate: date,
+            toDate: date,
+            timezone: current.timezone,
+            includePassive: true
+          })
+        );
+        await writeChangeAuditLog("showing_reschedule_conflict", {
+          conflictType: "agent_time_overlap",
+          alternativesCount: alternatives.length
+        });
+        json(res, 409, {
+          error: "booking_conflict",
+          message: "Agent already has a booking for the selected time range",
+          alternatives,
+          adminReviewRequired: true
+        });
+        return;
+      }
+      throw error;
+    }
+
+    if (!result) {
+      notFound(res);
+      return;
+    }
+    if (result.error === "showing_closed") {
+      json(res, 409, {
+        error: "showing_closed",
+        message: `Showing appointment is already ${result.appointment.status}`
+      });
+      return;
+    }
+
+    // Cancelled and reschedule-requested showings come back with open slots for the next two weeks to offer the lead.
+    const fromDate = new Date().toISOString().slice(0, 10);
+    const alternatives = change === "rescheduled"
+      ? []
+      : await withClientRunner((client) =>
+          fetchCandidates(client, current.unit_id, {
+            fromDate,
+            toDate: addDays(fromDate, 14),
+            timezone: current.timezone,
+            includePassive: true
+          })
+        );
+
+    let notification = { status: "skipped", reason: "notify_lead_disabled" };
+    if (payload.notifyLead !== false) {
+      const body = payload.message?.trim() || buildShowingChangeMessage(change, result.appointment, {
+        previousStartsAt: result.previous.startsAt,
+        offeredSlots: pickOfferedSlots(alternatives)
+      });
+      try {
+        notification = await withClientRunner((client) =>
+          notifyLeadOfShowingChange(client, result.appointment, {
+            change,
+            body,
+            adapter: routeTestOverrides?.showingChangeAdapter || createPostgresQueueAdapter(client, { connectorRegistry })
+          })
+        );
+      } catch (error) {
+        console.error("showing_change_notification_failed", error);
+        notification = { status: "failed", error: error instanceof Error ? error.message : String(error) };
+      }
+    }
+
+    const auditActions = {
+      rescheduled: "showing_rescheduled",
+      reschedule_requested: "showing_reschedule_requested",
+      cancelled: "showing_cancelled"
+    };
+    await writeChangeAuditLog(auditActions[change], {
+      conversationId: result.appointment.conversationId,
+      conversationShowingState: result.conversationShowingState,
+      alternativesCount: alternatives.length,
+      notification
+    });
+
+    json(res, 200, {
+      appointment: result.appointment,
+      conversationShowingState: result.conversationShowingState,
+      alternatives,
+      notification
+    });
+    return;
+  }
+
+  const showingOutcomeMatch = url.pathname.match(/^\/api\/showing-appointments\/([0-9a-f-]+)\/outcome$/i);
+  if (showingOutcomeMatch && req.method === "POST") {
+    const access = await requireRole(req, res, [roles.agent, roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const appointmentId = showingOutcomeMatch[1];
+    if (!isUuid(appointmentId)) {
+      badRequest(res, "appointment id must be a UUID");
+      return;
+    }
+
+    let payload;
+    try {
+      payload = await readJsonBody(req);
+    } catch {
+      badRequest(res, "Request body must be valid JSON");
+      return;
+    }
+
+    const errors = validateShowingOutcome(payload);
+    if (errors.length > 0) {
+      badRequest(res, "Invalid showing outcome payload", errors);
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const current = await withClientRunner((client) => fetchShowingAppointmentById(client, appointmentId));
+    if (!current) {
+      notFound(res);
+      return;
+    }
+    if (access.role === roles.agent && !enforceAgentSelfScope(res, access, current.agent_id)) {
+      return;
+    }
+
+    const actor = {
+      actorType: access.role === roles.admin ? "admin" : "agent",
+      actorId: access.session.user.id
+    };
+    const recorded = await withClientRunner((client) =>
+      recordShowingOutcome(client, appointmentId, {
+        outcome: payload.outcome,
+        interestLevel: payload.interestLevel ?? null,
+        notes: typeof payload.notes === "string" ? payload.notes.trim() : null,
+        actor,
+        defaultSendMode: globalDefaultSendMode
+      })
+    );
+    if (!recorded) {
+      notFound(res);
+      return;
+    }
+    if (recorded.error === "outcome_closed") {
+      json(res, 409, {
+        error: "outcome_closed",
+        message: `Showing appointment is already ${recorded.status}`
+      });
+      return;
+    }
+    if (recorded.error === "showing_not_ended") {
+      json(res, 409, {
+        error: "showing_not_ended",
+        message: "An outcome can be recorded once the showing has ended"
+      });
+      return;
+    }
+
+    let followUp;
+    try {
+      followUp = await withClientRunner((client) =>
+        sendShowingOutcomeFollowUp({
+          adapter: routeTestOverrides?.showingOutcomeAdapter || createPostgresQueueAdapter(client, { connectorRegistry }),
+          recorded
+        })
+      );
+    } catch (error) {
+      console.error("showing_outcome_follow_up_failed", error);
+      followUp = { status: "failed", error: error instanceof Error ? error.message : String(error) };
+    }
+    if (recorded.followUp) {
+      await withClientRunner((client) =>
+        recordAuditLog(client, {
+          ...actor,
+          entityType: "showing_appointment",
+          entityId: appointmentId,
+          action: "showing_outcome_follow_up",
+          details: { followUp: recorded.followUp, ...followUp }
+        })
+      );
+    }
+
+    const updated = await withClientRunner((client) => fetchShowingAppointmentById(client, appointmentId));
+    json(res, 200, {
+      appointment: toShowingAppointmentDto(updated),
+      conversation: recorded.conversation,
+      followUp: { kind: recorded.followUp, ...followUp }
+    });
+    return;
+  }
+
   if (url.pathname === "/api/listings" && req.method === "GET") {
     const access = await requireRole(req, res, [roles.agent, roles.admin]);
     if (!access) {
@@ -5118,8 +8589,10 @@ export async function routeApi(req, res, url) {
          rent_cents,
          currency_code,
          available_on,
-         metadata
-       ) VALUES ($1::uuid, $2::uuid, $3, $4, $5, $6, $7::date, $8::jsonb)
+         metadata,
+         qualification_criteria,
+         prescreen_questions
+       ) VALUES ($1::uuid, $2::uuid, $3, $4, $5, $6, $7::date, $8::jsonb, $9::jsonb, $10::jsonb)
        RETURNING id`,
       [
         payload.unitId,
@@ -5129,7 +8602,9 @@ export async function routeApi(req, res, url) {
         payload.rentCents,
         payload.currencyCode || "USD",
         payload.availableOn || null,
-        metadata
+        metadata,
+        JSON.stringify(payload.qualificationCriteria || {}),
+        JSON.stringify(payload.prescreenQuestions || [])
       ]
     );
 
@@ -5161,6 +8636,8 @@ export async function routeApi(req, res, url) {
                 l.currency_code,
                 l.available_on,
                 l.metadata,
+                l.qualification_criteria,
+                l.prescreen_questions,
                 pa.is_active AS platform_is_active,
                 pa.send_mode AS platform_send_mode,
                 pa.integration_mode AS platform_integration_mode,
@@ -5187,6 +8664,8 @@ export async function routeApi(req, res, url) {
         currencyCode: row.currency_code,
         availableOn: row.available_on,
         metadata: row.metadata || {},
+        qualificationCriteria: row.qualification_criteria || {},
+        prescreenQuestions: Array.isArray(row.prescreen_questions) ? row.prescreen_questions : [],
         assignedAgentId: row.metadata?.assignedAgentId || null,
         platformPolicy: {
           isActive: row.platform_is_active,
@@ -5247,6 +8726,8 @@ export async function routeApi(req, res, url) {
                 currency_code = COALESCE($7, currency_code),
                 available_on = COALESCE($8::date, available_on),
                 metadata = $9::jsonb,
+                qualification_criteria = COALESCE($10::jsonb, qualification_criteria),
+                prescreen_questions = COALESCE($11::jsonb, prescreen_questions),
                 updated_at = NOW()
           WHERE id = $1::uuid`,
         [
@@ -5258,7 +8739,9 @@ export async function routeApi(req, res, url) {
           payload.rentCents || null,
           payload.currencyCode || null,
           payload.availableOn || null,
-          metadata
+          metadata,
+          payload.qualificationCriteria !== undefined ? JSON.stringify(payload.qualificationCriteria) : null,
+          payload.prescreenQuestions !== undefined ? JSON.stringify(payload.prescreenQuestions) : null
         ]
       );
 
@@ -5592,6 +9075,85 @@ export async function routeApi(req, res, url) {
     }
   }
 
+  const calendarFeedTokenMatch = url.pathname.match(/^\/api\/calendar-feeds\/([A-Za-z0-9_-]{30,})\.ics$/);
+  if (calendarFeedTokenMatch && req.method === "GET") {
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    const calendar = await withClientRunner(async (client) => {
+      const feed = await fetchCalendarFeedByToken(client, calendarFeedTokenMatch[1]);
+      if (!feed) {
+        return null;
+      }
+      const showings = await fetchCalendarFeedShowings(client, feed.agent_id);
+      return buildShowingCalendar({ agentName: feed.agent_name, showings });
+    });
+
+    if (!calendar) {
+      notFound(res);
+      return;
+    }
+
+    res.writeHead(200, {
+      "content-type": "text/calendar; charset=utf-8",
+      "content-disposition": "inline; filename=\"showings.ics\"",
+      "cache-control": "no-store"
+    });
+    res.end(calendar);
+    return;
+  }
+
+  const agentCalendarFeedMatch = url.pathname.match(/^\/api\/agents\/([0-9a-f\-]+)\/calendar-feed$/i);
+  if (agentCalendarFeedMatch && ["GET", "POST", "DELETE"].includes(req.method)) {
+    const access = await requireRole(req, res, [roles.agent, roles.admin]);
+    if (!access) {
+      return;
+    }
+
+    const agentId = agentCalendarFeedMatch[1];
+    if (!isUuid(agentId)) {
+      badRequest(res, "agentId must be a UUID");
+      return;
+    }
+    const scopedAgentId = enforceAgentSelfScope(res, access, agentId);
+    if (!scopedAgentId) {
+      return;
+    }
+
+    const withClientRunner = routeTestOverrides?.withClient || withClient;
+    if (req.method === "GET") {
+      const feed = await withClientRunner((client) => fetchActiveCalendarFeed(client, scopedAgentId));
+      json(res, 200, { feed });
+      return;
+    }
+
+    const actor = {
+      actorType: access.role === roles.admin ? "admin" : "agent",
+      actorId: access.session.user.id
+    };
+
+    if (req.method === "POST") {
+      const agentExists = await withClientRunner(async (client) => {
+        const result = await client.query(`SELECT 1 FROM "Agents" WHERE id = $1::uuid`, [scopedAgentId]);
+        return result.rowCount > 0;
+      });
+      if (!agentExists) {
+        notFound(res);
+        return;
+      }
+
+      const { feed, token } = await withClientRunner((client) => issueCalendarFeed(client, scopedAgentId, { actor }));
+      json(res, 201, { feed, url: buildCalendarFeedUrl(token) });
+      return;
+    }
+
+    const revoked = await withClientRunner((client) => revokeCalendarFeed(client, scopedAgentId, { actor }));
+    if (!revoked) {
+      notFound(res);
+      return;
+    }
+    json(res, 200, { revoked: true, feedId: revoked.id });
+    return;
+  }
+
   const agentAvailabilityListMatch = url.pathname.match(/^\/api\/agents\/([0-9a-f\-]+)\/availability$/i);
   if (agentAvailabilityListMatch && req.method === "GET") {
     const access = await requireRole(req, res, [roles.agent, roles.admin]);
@@ -0,0 +1,57 @@
+const offeredSlotLimit = 3;
+
+function formatLeadShowingTime(startsAt, timezone) {
+  const instant = new Date(startsAt);
+  const zone = timezone || "UTC";
+  const dateLabel = new Intl.DateTimeFormat("en-US", { timeZone: zone, weekday: "short", month: "short", day: "numeric" }).format(instant);
+  const timeLabel = new Intl.DateTimeFormat("en-US", { timeZone: zone, hour: "numeric", minute: "2-digit", timeZoneName: "short" }).format(instant);
+  return `${dateLabel} at ${timeLabel}`;
+}
+
+// Candidates are availability windows, so the lead is offered each window's opening time, soonest first.
+export function pickOfferedSlots(candidates, { now = new Date(), limit = offeredSlotLimit } = {}) {
+  const seen = new Set();
+  return (Array.isArray(candidates) ? candidates : [])
+    .filter((candidate) => Date.parse(candidate.startsAt) > now.getTime())
+    .sort((left, right) => Date.parse(left.startsAt) - Date.parse(right.startsAt))
+    .filter((candidate) => {
+      const key = new Date(candidate.startsAt).toISOString();
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
+
+function describeOfferedSlots(intro, offeredSlots, timezone) {
+  if (offeredSlots.length === 0) {
+    return "";
+  }
+  const lines = offeredSlots.map((slot) => `- ${formatLeadShowingTime(slot.startsAt, timezone)}`);
+  return `\n\n${intro}\n${lines.join("\n")}`;
+}
+
+// change is "rescheduled", "reschedule_requested" or "cancelled"; appointment is a showing appointment DTO.
+export function buildShowingChangeMessage(change, appointment, { previousStartsAt = null, offeredSlots = [] } = {}) {
+  const leadName = appointment.conversation?.leadName;
+  const greeting = leadName ? `Hi ${leadName},` : "Hi,";
+  const listing = appointment.unit ? ` of ${appointment.unit}` : "";
+  const timezone = appointment.timezone;
+  const currentTime = formatLeadShowingTime(appointment.startsAt, timezone);
+
+  if (change === "rescheduled") {
+    const from = previousStartsAt ? ` from ${formatLeadShowingTime(previousStartsAt, timezone)}` : "";
+    return `${greeting}\n\nYour viewing${listing} has moved${from} to ${currentTime}. Reply here if the new time doesn't work for you.`;
+  }
+
+  if (change === "reschedule_requested") {
+    const offer = describeOfferedSlots("Would one of these times work instead?", offeredSlots, timezone);
+    const fallback = offer ? "" : " We'll follow up shortly with a new time.";
+    return `${greeting}\n\nWe need to move your viewing${listing} on ${currentTime}.${fallback}${offer}`;
+  }
+
+  const offer = describeOfferedSlots("If you'd still like to see it, these times are open:", offeredSlots, timezone);
+  return `${greeting}\n\nYour viewing${listing} on ${currentTime} has been cancelled.${offer}`;
+}
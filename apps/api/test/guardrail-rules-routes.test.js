@@ -0,0 +1,252 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.NODE_ENV = "test";
+process.env.DATABASE_URL = process.env.DATABASE_URL || "postgres://localhost:5432/lease_bot_test";
+process.env.BETTER_AUTH_SECRET = process.env.BETTER_AUTH_SECRET || "test-secret-value";
+
+const {
+  routeApi,
+  setRouteTestOverrides,
+  resetRouteTestOverrides
+} = await import("../src/server.js");
+
+const adminSession = async () => ({ user: { id: "22222222-2222-4222-8222-222222222222", role: "admin" } });
+const ruleId = "55555555-5555-4555-8555-555555555555";
+const platformAccountId = "11111111-1111-4111-8111-111111111111";
+
+function createRequest(method, pathnameWithQuery, body = null) {
+  const chunks = body === null ? [] : [Buffer.from(JSON.stringify(body))];
+  return {
+    method,
+    url: pathnameWithQuery,
+    headers: {
+      host: "localhost",
+      ...(body === null ? {} : { "content-type": "application/json" })
+    },
+    async *[Symbol.asyncIterator]() {
+      for (const chunk of chunks) {
+        yield chunk;
+      }
+    }
+  };
+}
+
+function createResponseCapture() {
+  return {
+    statusCode: null,
+    headers: null,
+    body: "",
+    writeHead(statusCode, headers) {
+      this.statusCode = statusCode;
+      this.headers = headers;
+    },
+    end(payload = "") {
+      this.body = payload;
+    }
+  };
+}
+
+function parseJsonBody(res) {
+  return JSON.parse(res.body || "{}");
+}
+
+function createRuleRow(overrides = {}) {
+  return {
+    id: ruleId,
+    platform_account_id: platformAccountId,
+    name: "Familial status steering",
+    reason_code: "familial_status_steering",
+    match_type: "keywords",
+    pattern: null,
+    keywords: ["no kids", "adults only"],
+    direction: "outbound",
+    severity: "high",
+    action: "hold",
+    is_enabled: true,
+    created_by: "22222222-2222-4222-8222-222222222222",
+    created_at: "2026-02-06T00:00:00.000Z",
+    updated_at: "2026-02-06T00:00:00.000Z",
+    ...overrides
+  };
+}
+
+function createRuleClient(row) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params = []) {
+      queries.push({ sql, params });
+      if (sql.includes("FROM \"GuardrailRules\"") && sql.includes("WHERE id = $1::uuid")) {
+        return row ? { rowCount: 1, rows: [row] } : { rowCount: 0, rows: [] };
+      }
+      if (sql.includes("INSERT INTO \"GuardrailRules\"")) {
+        return {
+          rowCount: 1,
+          rows: [createRuleRow({
+            platform_account_id: params[0],
+            name: params[1],
+            reason_code: params[2],
+            match_type: params[3],
+            pattern: params[4],
+            keywords: JSON.parse(params[5]),
+            direction: params[6],
+            severity: params[7],
+            action: params[8],
+            is_enabled: params[9]
+          })]
+        };
+      }
+      if (sql.includes("UPDATE \"GuardrailRules\"")) {
+        return {
+          rowCount: 1,
+          rows: [createRuleRow({
+            name: params[2],
+            match_type: params[4],
+            pattern: params[5],
+            keywords: JSON.parse(params[6]),
+            direction: params[7],
+            severity: params[8],
+            action: params[9],
+            is_enabled: params[10]
+          })]
+        };
+      }
+      return { rowCount: 1, rows: [] };
+    }
+  };
+}
+
+test("GET /api/admin/guardrail-rules is admin-only and returns rule catalog", async () => {
+  const agentReq = createRequest("GET", "/api/admin/guardrail-rules");
+  const agentRes = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "u-agent", role: "agent" } })
+  });
+
+  await routeApi(agentReq, agentRes, new URL(agentReq.url, "http://localhost"));
+  assert.equal(agentRes.statusCode, 403);
+
+  const calls = [];
+  const req = createRequest("GET", `/api/admin/guardrail-rules?platformAccountId=${platformAccountId}`);
+  const res = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: adminSession,
+    withClient: async (task) => task({ id: "fake" }),
+    fetchGuardrailRules: async (_client, options) => {
+      calls.push(options);
+      return [{ id: ruleId, name: "Familial status steering" }];
+    }
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  const payload = parseJsonBody(res);
+  assert.deepEqual(calls, [{ platformAccountId }]);
+  assert.deepEqual(payload.actions, ["block", "hold", "redact"]);
+  assert.deepEqual(payload.directions, ["inbound", "outbound"]);
+  assert.equal(payload.items.length, 1);
+});
+
+test("POST /api/admin/guardrail-rules validates pattern, action, and direction", async () => {
+  const req = createRequest("POST", "/api/admin/guardrail-rules", {
+    name: "Broken",
+    matchType: "pattern",
+    pattern: "([unclosed",
+    direction: "inbound",
+    action: "redact"
+  });
+  const res = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({ getSession: adminSession });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 400);
+  const payload = parseJsonBody(res);
+  assert.equal(payload.details.includes("pattern must be a valid regular expression"), true);
+  assert.equal(payload.details.includes("redact action is only supported for outbound rules"), true);
+});
+
+test("POST /api/admin/guardrail-rules creates rule with derived reason code and audit log", async () => {
+  const fakeClient = createRuleClient(null);
+  const req = createRequest("POST", "/api/admin/guardrail-rules", {
+    platformAccountId,
+    name: "Familial status steering",
+    matchType: "keywords",
+    keywords: [" no kids ", "adults only"],
+    direction: "outbound",
+    severity: "high",
+    action: "hold"
+  });
+  const res = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: adminSession,
+    withClient: async (task) => task(fakeClient)
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 201);
+  const payload = parseJsonBody(res);
+  assert.equal(payload.reasonCode, "familial_status_steering");
+  assert.deepEqual(payload.keywords, ["no kids", "adults only"]);
+  assert.equal(payload.action, "hold");
+  const auditInsert = fakeClient.queries.find((entry) => entry.sql.includes("INSERT INTO \"AuditLogs\""));
+  assert.equal(auditInsert.params[4], "guardrail_rule_created");
+});
+
+test("PUT /api/admin/guardrail-rules/:id validates merged rule and updates partial fields", async () => {
+  const invalidReq = createRequest("PUT", `/api/admin/guardrail-rules/${ruleId}`, { action: "redact", direction: "inbound" });
+  const invalidRes = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: adminSession,
+    withClient: async (task) => task(createRuleClient(createRuleRow()))
+  });
+
+  await routeApi(invalidReq, invalidRes, new URL(invalidReq.url, "http://localhost"));
+  assert.equal(invalidRes.statusCode, 400);
+
+  const fakeClient = createRuleClient(createRuleRow());
+  const req = createRequest("PUT", `/api/admin/guardrail-rules/${ruleId}`, { action: "block", isEnabled: false });
+  const res = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: adminSession,
+    withClient: async (task) => task(fakeClient)
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  const payload = parseJsonBody(res);
+  assert.equal(payload.action, "block");
+  assert.equal(payload.isEnabled, false);
+  assert.deepEqual(payload.keywords, ["no kids", "adults only"]);
+});
+
+test("DELETE /api/admin/guardrail-rules/:id returns 404 for unknown rule", async () => {
+  const req = createRequest("DELETE", `/api/admin/guardrail-rules/${ruleId}`);
+  const res = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: adminSession,
+    withClient: async (task) => task(createRuleClient(null))
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 404);
+});
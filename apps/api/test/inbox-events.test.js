@@ -0,0 +1,137 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+
+process.env.NODE_ENV = "test";
+process.env.DATABASE_URL = process.env.DATABASE_URL || "postgres://localhost:5432/lease_bot_test";
+process.env.BETTER_AUTH_SECRET = process.env.BETTER_AUTH_SECRET || "test-secret-value";
+
+const { routeApi, setRouteTestOverrides, resetRouteTestOverrides } = await import("../src/server.js");
+const { createInboxEventHub, INBOX_EVENTS_CHANNEL, isInboxEventVisible } = await import("../src/inbox-events.js");
+
+const agentId = "22222222-2222-4222-8222-222222222222";
+const otherAgentId = "33333333-3333-4333-8333-333333333333";
+
+function createStreamRequest(pathname) {
+  const req = new EventEmitter();
+  req.method = "GET";
+  req.url = pathname;
+  req.headers = { host: "localhost" };
+  return req;
+}
+
+function createStreamResponse() {
+  return {
+    statusCode: null,
+    headers: null,
+    chunks: [],
+    writeHead(statusCode, headers) {
+      this.statusCode = statusCode;
+      this.headers = headers;
+    },
+    write(chunk) {
+      this.chunks.push(chunk);
+      return true;
+    },
+    end(payload = "") {
+      this.chunks.push(payload);
+    }
+  };
+}
+
+function createFakeHub() {
+  const handlers = new Set();
+  return {
+    subscribe(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    emit(event) {
+      for (const handler of handlers) {
+        handler(event);
+      }
+    },
+    size() {
+      return handlers.size;
+    }
+  };
+}
+
+test("GET /api/inbox/events streams only the events in the agent's scope", async () => {
+  const hub = createFakeHub();
+  const req = createStreamRequest("/api/inbox/events");
+  const res = createStreamResponse();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: agentId, role: "agent" } }),
+    inboxEventHub: hub
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers["content-type"], /^text\/event-stream/);
+  assert.equal(hub.size(), 1);
+
+  hub.emit({ type: "inbound_message", conversationId: "c-1", assignedAgentId: agentId });
+  hub.emit({ type: "draft_created", conversationId: "c-2", assignedAgentId: otherAgentId });
+  hub.emit({ type: "showing_booked", conversationId: null, agentId });
+
+  const events = res.chunks
+    .join("")
+    .split("\n\n")
+    .filter((block) => block.includes("event: inbox"))
+    .map((block) => JSON.parse(block.split("data: ")[1]));
+  assert.deepEqual(events.map((event) => event.type), ["inbound_message", "showing_booked"]);
+
+  req.emit("close");
+  assert.equal(hub.size(), 0);
+});
+
+test("GET /api/inbox/events requires a session", async () => {
+  const req = createStreamRequest("/api/inbox/events");
+  const res = createStreamResponse();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => null,
+    inboxEventHub: createFakeHub()
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 401);
+});
+
+test("inbox event hub shares one LISTEN connection and releases it with the last subscriber", async () => {
+  const queries = [];
+  let released = 0;
+  const connection = new EventEmitter();
+  connection.query = async (sql) => {
+    queries.push(sql);
+  };
+  connection.release = () => {
+    released += 1;
+  };
+  const hub = createInboxEventHub({ pool: { connect: async () => connection }, logger: { warn() {} } });
+
+  const received = [];
+  const unsubscribeFirst = hub.subscribe((event) => received.push(["first", event.type]));
+  const unsubscribeSecond = hub.subscribe((event) => received.push(["second", event.type]));
+  await new Promise((resolve) => setImmediate(resolve));
+
+  connection.emit("notification", { channel: INBOX_EVENTS_CHANNEL, payload: JSON.stringify({ type: "workflow_transition" }) });
+  connection.emit("notification", { channel: INBOX_EVENTS_CHANNEL, payload: "not json" });
+
+  assert.deepEqual(received, [["first", "workflow_transition"], ["second", "workflow_transition"]]);
+  assert.deepEqual(queries, [`LISTEN ${INBOX_EVENTS_CHANNEL}`]);
+
+  unsubscribeFirst();
+  unsubscribeSecond();
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.deepEqual(queries, [`LISTEN ${INBOX_EVENTS_CHANNEL}`, `UNLISTEN ${INBOX_EVENTS_CHANNEL}`]);
+  assert.equal(released, 1);
+  assert.equal(isInboxEventVisible({ type: "inbound_message", assignedAgentId: otherAgentId }, { role: "admin" }), true);
+});
@@ -95,7 +95,8 @@ test("/api/admin/observability clamps and handles query params", async () => {
     windowHours: 1,
     auditLimit: 200,
     errorLimit: 25,
-    signalLimit: 100
+    signalLimit: 100,
+    auditCursor: null
   });
   assert.equal(parseJsonBody(res).windowHours, 1);
 });
@@ -23,6 +23,7 @@ test("parsePositiveInt clamps values and falls back on invalid values", () => {
   assert.equal(parsePositiveInt("0", 8, { min: 1, max: 168 }), 1);
   assert.equal(parsePositiveInt("999", 8, { min: 1, max: 168 }), 168);
   assert.equal(parsePositiveInt("abc", 8, { min: 1, max: 168 }), 8);
+  assert.equal(parsePositiveInt(null, 8, { min: 1, max: 168 }), 8);
 });
 
 test("builds observability payload with core metrics and recent feeds", async () => {
@@ -221,7 +222,8 @@ test("builds observability payload with core metrics and recent feeds", async ()
   assert.equal(client.calls[7].params[1].includes("inbox_manual_reply_dispatched"), true);
   assert.equal(client.calls[7].params[2], 25);
   assert.deepEqual(client.calls[8].params, [10]);
-  assert.deepEqual(client.calls[9].params, [20]);
+  assert.deepEqual(client.calls[9].params, [21, null, null]);
+  assert.equal(payload.recentAuditNextCursor, null);
 
   assert.match(client.calls[1].sql, /showing_booking_created/);
   assert.match(client.calls[1].sql, /showing_booking_replayed/);
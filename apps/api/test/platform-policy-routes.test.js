@@ -88,6 +88,8 @@ test("GET /api/admin/platform-policies returns policy contract payload", async (
 test("PUT /api/admin/platform-policies/:id validates payload fields", async () => {
   const req = createRequest("PUT", "/api/admin/platform-policies/11111111-1111-4111-8111-111111111111", {
     sendMode: "send_now",
+    aiProviderOrder: ["openai", "openai", "mystery"],
+    aiProviderTimeoutMs: 500,
     credentials: {
       passwordRef: "plain-text-secret"
     }
@@ -106,6 +108,414 @@ test("PUT /api/admin/platform-policies/:id validates payload fields", async () =
   assert.equal(payload.error, "validation_error");
   assert.equal(payload.details.includes("sendMode must be auto_send, draft_only, or null"), true);
   assert.equal(payload.details.includes("credentials.passwordRef must reference env: or secret:"), true);
+  assert.equal(
+    payload.details.includes("aiProviderOrder must be null or a list of distinct providers from gemini, openai, anthropic, local"),
+    true
+  );
+  assert.equal(payload.details.includes("aiProviderTimeoutMs must be null or an integer between 1000 and 120000"), true);
+});
+
+test("PUT /api/admin/platform-policies/:id stores per-account AI provider order and timeout", async () => {
+  const platformAccountId = "11111111-1111-4111-8111-111111111111";
+  const req = createRequest("PUT", `/api/admin/platform-policies/${platformAccountId}`, {
+    aiProviderOrder: ["local", "anthropic"],
+    aiProviderTimeoutMs: 8000
+  });
+  const res = createResponseCapture();
+  let updateParams = null;
+
+  const fakeClient = {
+    query: async (sql, params = []) => {
+      if (sql.includes("SELECT id, platform") && sql.includes("FROM \"PlatformAccounts\"")) {
+        return { rowCount: 1, rows: [{ id: platformAccountId, platform: "spareroom" }] };
+      }
+
+      if (sql.includes("UPDATE \"PlatformAccounts\"")) {
+        updateParams = params;
+        return {
+          rowCount: 1,
+          rows: [
+            {
+              id: platformAccountId,
+              platform: "spareroom",
+              account_name: "SpareRoom",
+              account_external_id: "sr-1",
+              credentials: {},
+              is_active: true,
+              send_mode: null,
+              integration_mode: "rpa",
+              ai_provider_order: JSON.parse(params[10]),
+              ai_provider_timeout_ms: params[20],
+              created_at: "2026-02-06T00:00:00.000Z",
+              updated_at: "2026-02-06T00:05:00.000Z"
+            }
+          ]
+        };
+      }
+
+      return { rowCount: 1, rows: [] };
+    }
+  };
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "22222222-2222-4222-8222-222222222222", role: "admin" } }),
+    withClient: async (task) => task(fakeClient)
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(updateParams[9], true);
+  assert.equal(updateParams[3], false);
+  assert.equal(updateParams[19], true);
+  assert.deepEqual(parseJsonBody(res).aiProviderOrder, ["local", "anthropic"]);
+  assert.equal(parseJsonBody(res).aiProviderTimeoutMs, 8000);
+});
+
+test("PUT /api/admin/platform-policies/:id validates and stores a normalized follow-up cadence", async () => {
+  const platformAccountId = "11111111-1111-4111-8111-111111111111";
+  const invalidReq = createRequest("PUT", `/api/admin/platform-policies/${platformAccountId}`, {
+    followUpCadence: { enabled: "yes", maxStages: 4 }
+  });
+  const invalidRes = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "u1", role: "admin" } })
+  });
+
+  await routeApi(invalidReq, invalidRes, new URL(invalidReq.url, "http://localhost"));
+
+  assert.equal(invalidRes.statusCode, 400);
+  assert.deepEqual(parseJsonBody(invalidRes).details, [
+    "followUpCadence.enabled must be a boolean",
+    "followUpCadence.maxStages must be an integer between 1 and 2"
+  ]);
+
+  const req = createRequest("PUT", `/api/admin/platform-policies/${platformAccountId}`, {
+    followUpCadence: { enabled: true, delayHours: [48], templates: { follow_up_1: "nudge_v2" } }
+  });
+  const res = createResponseCapture();
+  let updateParams = null;
+
+  const fakeClient = {
+    query: async (sql, params = []) => {
+      if (sql.includes("SELECT id, platform") && sql.includes("FROM \"PlatformAccounts\"")) {
+        return { rowCount: 1, rows: [{ id: platformAccountId, platform: "spareroom" }] };
+      }
+
+      if (sql.includes("UPDATE \"PlatformAccounts\"")) {
+        updateParams = params;
+        return {
+          rowCount: 1,
+          rows: [
+            {
+              id: platformAccountId,
+              platform: "spareroom",
+              account_name: "SpareRoom",
+              account_external_id: "sr-1",
+              credentials: {},
+              is_active: true,
+              send_mode: null,
+              integration_mode: "rpa",
+              ai_provider_order: null,
+              follow_up_cadence: JSON.parse(params[12]),
+              created_at: "2026-02-06T00:00:00.000Z",
+              updated_at: "2026-02-06T00:05:00.000Z"
+            }
+          ]
+        };
+      }
+
+      return { rowCount: 1, rows: [] };
+    }
+  };
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "22222222-2222-4222-8222-222222222222", role: "admin" } }),
+    withClient: async (task) => task(fakeClient)
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(updateParams[11], true);
+  assert.equal(updateParams[9], false);
+  assert.deepEqual(parseJsonBody(res).followUpCadence, {
+    enabled: true,
+    delayHours: [48, 72],
+    maxStages: 2,
+    templates: { follow_up_1: "nudge_v2", follow_up_2: "follow_up_2" }
+  });
+});
+
+test("GET /api/admin/follow-ups/preview plans due follow-ups without sending", async () => {
+  const platformAccountId = "11111111-1111-4111-8111-111111111111";
+  const req = createRequest("GET", `/api/admin/follow-ups/preview?platformAccountId=${platformAccountId}`);
+  const res = createResponseCapture();
+  const calls = [];
+
+  const followUpAdapter = {
+    async fetchDueFollowUps(request) {
+      calls.push(["fetchDueFollowUps", request]);
+      return [
+        {
+          conversationId: "33333333-3333-4333-8333-333333333333",
+          platformAccountId,
+          ownerAgentId: "44444444-4444-4444-8444-444444444444",
+          leadName: "Sam",
+          leadProfile: {},
+          followUpStage: null,
+          nextStage: "follow_up_1",
+          platform: "spareroom",
+          sendMode: "auto_send",
+          followUpCadence: { enabled: true },
+          propertyName: "Maple",
+          unitNumber: "2B",
+          dueAt: "2026-02-06T10:00:00.000Z"
+        }
+      ];
+    },
+    async findTemplate({ templateName }) {
+      return { id: "tpl-1", name: templateName, body: "Hi {{lead_name}}, still interested in {{unit}}?" };
+    },
+    async advanceFollowUpStage() {
+      calls.push(["advanceFollowUpStage"]);
+      return { applied: true };
+    },
+    async recordOutboundReply() {
+      calls.push(["recordOutboundReply"]);
+      return { inserted: true };
+    }
+  };
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "u1", role: "admin" } }),
+    withClient: async (task) => task({ id: "fake" }),
+    followUpAdapter
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  const payload = parseJsonBody(res);
+  assert.equal(payload.dryRun, true);
+  assert.equal(payload.items.length, 1);
+  assert.equal(payload.items[0].stage, "follow_up_1");
+  assert.equal(payload.items[0].action, "send");
+  assert.equal(payload.items[0].body, "Hi Sam, still interested in Maple 2B?");
+  assert.deepEqual(calls.map(([name]) => name), ["fetchDueFollowUps"]);
+  assert.equal(calls[0][1].platformAccountId, platformAccountId);
+});
+
+test("PUT /api/admin/agents/:id/send-window validates and stores an agent override", async () => {
+  const agentId = "44444444-4444-4444-8444-444444444444";
+  const invalidReq = createRequest("PUT", `/api/admin/agents/${agentId}/send-window`, {
+    sendWindow: { timezone: "America/New_York", start: "09:00", end: "09:00", days: [8] }
+  });
+  const invalidRes = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "u1", role: "admin" } })
+  });
+
+  await routeApi(invalidReq, invalidRes, new URL(invalidReq.url, "http://localhost"));
+
+  assert.equal(invalidRes.statusCode, 400);
+  assert.deepEqual(parseJsonBody(invalidRes).details, [
+    "sendWindow.start and sendWindow.end must differ",
+    "sendWindow.days must list distinct ISO weekdays (1 = Monday ... 7 = Sunday)"
+  ]);
+
+  const req = createRequest("PUT", `/api/admin/agents/${agentId}/send-window`, {
+    sendWindow: { timezone: "America/New_York", start: "08:00", end: "17:00", days: [5, 1, 3] }
+  });
+  const res = createResponseCapture();
+  const queries = [];
+
+  const fakeClient = {
+    query: async (sql, params = []) => {
+      queries.push({ sql, params });
+      if (sql.includes("UPDATE \"Agents\"")) {
+        return { rowCount: 1, rows: [{ id: agentId, send_window: JSON.parse(params[1]) }] };
+      }
+      return { rowCount: 1, rows: [] };
+    }
+  };
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "22222222-2222-4222-8222-222222222222", role: "admin" } }),
+    withClient: async (task) => task(fakeClient)
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(parseJsonBody(res), {
+    id: agentId,
+    sendWindow: { timezone: "America/New_York", start: "08:00", end: "17:00", days: [1, 3, 5] }
+  });
+  assert.ok(queries.some(({ sql, params }) => sql.includes("INSERT INTO \"AuditLogs\"") && params.includes("agent_send_window_updated")));
+});
+
+test("PUT /api/admin/platform-policies/:id validates and stores showing reminder offsets", async () => {
+  const platformAccountId = "11111111-1111-4111-8111-111111111111";
+  const invalidReq = createRequest("PUT", `/api/admin/platform-policies/${platformAccountId}`, {
+    showingReminders: { enabled: true, offsetsHours: [0, 2], notifyAgent: "no" }
+  });
+  const invalidRes = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "u1", role: "admin" } })
+  });
+
+  await routeApi(invalidReq, invalidRes, new URL(invalidReq.url, "http://localhost"));
+
+  assert.equal(invalidRes.statusCode, 400);
+  assert.deepEqual(parseJsonBody(invalidRes).details, [
+    "showingReminders.notifyAgent must be a boolean",
+    "showingReminders.offsetsHours must list 1-4 distinct whole hours between 1 and 336"
+  ]);
+
+  const req = createRequest("PUT", `/api/admin/platform-policies/${platformAccountId}`, {
+    showingReminders: { enabled: true, offsetsHours: [1, 48] }
+  });
+  const res = createResponseCapture();
+  let updateParams = null;
+
+  const fakeClient = {
+    query: async (sql, params = []) => {
+      if (sql.includes("SELECT id, platform") && sql.includes("FROM \"PlatformAccounts\"")) {
+        return { rowCount: 1, rows: [{ id: platformAccountId, platform: "spareroom" }] };
+      }
+
+      if (sql.includes("UPDATE \"PlatformAccounts\"")) {
+        updateParams = params;
+        return {
+          rowCount: 1,
+          rows: [
+            {
+              id: platformAccountId,
+              platform: "spareroom",
+              account_name: "SpareRoom",
+              account_external_id: "sr-1",
+              credentials: {},
+              is_active: true,
+              send_mode: null,
+              integration_mode: "rpa",
+              ai_provider_order: null,
+              follow_up_cadence: {},
+              send_window: {},
+              showing_reminders: JSON.parse(params[16]),
+              created_at: "2026-02-06T00:00:00.000Z",
+              updated_at: "2026-02-06T00:05:00.000Z"
+            }
+          ]
+        };
+      }
+
+      return { rowCount: 1, rows: [] };
+    }
+  };
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "22222222-2222-4222-8222-222222222222", role: "admin" } }),
+    withClient: async (task) => task(fakeClient)
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(updateParams[15], true);
+  assert.equal(updateParams[11], false);
+  assert.deepEqual(parseJsonBody(res).showingReminders, {
+    enabled: true,
+    offsetsHours: [48, 1],
+    notifyAgent: true,
+    template: "showing_reminder"
+  });
+});
+
+test("PUT /api/admin/platform-policies/:id validates and stores the conversation routing strategy", async () => {
+  const platformAccountId = "11111111-1111-4111-8111-111111111111";
+  const invalidReq = createRequest("PUT", `/api/admin/platform-policies/${platformAccountId}`, {
+    routingStrategy: "random"
+  });
+  const invalidRes = createResponseCapture();
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "u1", role: "admin" } })
+  });
+
+  await routeApi(invalidReq, invalidRes, new URL(invalidReq.url, "http://localhost"));
+
+  assert.equal(invalidRes.statusCode, 400);
+  assert.deepEqual(parseJsonBody(invalidRes).details, [
+    "routingStrategy must be one of priority, round_robin, least_open_conversations, least_upcoming_showings"
+  ]);
+
+  const req = createRequest("PUT", `/api/admin/platform-policies/${platformAccountId}`, {
+    routingStrategy: "least_open_conversations"
+  });
+  const res = createResponseCapture();
+  let updateParams = null;
+
+  const fakeClient = {
+    query: async (sql, params = []) => {
+      if (sql.includes("SELECT id, platform") && sql.includes("FROM \"PlatformAccounts\"")) {
+        return { rowCount: 1, rows: [{ id: platformAccountId, platform: "spareroom" }] };
+      }
+
+      if (sql.includes("UPDATE \"PlatformAccounts\"")) {
+        updateParams = params;
+        return {
+          rowCount: 1,
+          rows: [
+            {
+              id: platformAccountId,
+              platform: "spareroom",
+              account_name: "SpareRoom",
+              account_external_id: "sr-1",
+              credentials: {},
+              is_active: true,
+              send_mode: null,
+              integration_mode: "rpa",
+              ai_provider_order: null,
+              follow_up_cadence: {},
+              send_window: {},
+              showing_reminders: {},
+              routing_strategy: params[18],
+              created_at: "2026-02-06T00:00:00.000Z",
+              updated_at: "2026-02-06T00:05:00.000Z"
+            }
+          ]
+        };
+      }
+
+      return { rowCount: 1, rows: [] };
+    }
+  };
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "22222222-2222-4222-8222-222222222222", role: "admin" } }),
+    withClient: async (task) => task(fakeClient)
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(updateParams[17], true);
+  assert.equal(updateParams[15], false);
+  assert.equal(parseJsonBody(res).routingStrategy, "least_open_conversations");
 });
 
 test("PUT /api/admin/platform-policies/:id updates policy and returns dto", async () => {
@@ -270,6 +680,103 @@ test("GET /api/admin/platform-health returns platform health fields", async () =
   assert.equal(payload.items[0].error.count24h, 3);
 });
 
+test("GET /api/admin/workers lists live, stale, and stopped workers with their task runs", async () => {
+  const req = createRequest("GET", "/api/admin/workers");
+  const res = createResponseCapture();
+  const heartbeatBase = {
+    hostname: "worker-host",
+    tasks: ["ingest:spareroom", "reply-triage"],
+    started_at: "2026-02-06T09:00:00.000Z",
+    last_cycle_at: "2026-02-06T10:00:00.000Z",
+    stopped_at: null
+  };
+  const fakeClient = {
+    query: async (sql) => {
+      if (sql.includes('FROM "WorkerHeartbeats"')) {
+        return {
+          rows: [
+            {
+              ...heartbeatBase,
+              worker_instance_id: "worker-live",
+              pid: 101,
+              status: "running",
+              last_heartbeat_at: "2026-02-06T10:00:05.000Z",
+              last_cycle_stats: { "reply-triage": { status: "succeeded", scanned: 2, repliesCreated: 1 } },
+              is_live: true
+            },
+            {
+              ...heartbeatBase,
+              worker_instance_id: "worker-crashed",
+              pid: 102,
+              status: "running",
+              last_heartbeat_at: "2026-02-06T08:00:00.000Z",
+              last_cycle_stats: {},
+              is_live: false
+            },
+            {
+              ...heartbeatBase,
+              worker_instance_id: "worker-old",
+              pid: 103,
+              status: "stopped",
+              last_heartbeat_at: "2026-02-06T07:00:00.000Z",
+              last_cycle_stats: {},
+              stopped_at: "2026-02-06T07:00:00.000Z",
+              is_live: false
+            }
+          ]
+        };
+      }
+      return {
+        rows: [
+          {
+            task_name: "reply-triage",
+            worker_instance_id: "worker-live",
+            last_status: "succeeded",
+            last_started_at: "2026-02-06T10:00:00.000Z",
+            last_finished_at: "2026-02-06T10:00:01.000Z",
+            last_duration_ms: 1000,
+            last_error: null,
+            last_result: { scanned: 2 },
+            run_count: "12",
+            failure_count: "1"
+          }
+        ]
+      };
+    }
+  };
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "u1", role: "admin" } }),
+    withClient: async (task) => task(fakeClient)
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  const payload = parseJsonBody(res);
+  assert.deepEqual(
+    payload.items.map((item) => [item.workerInstanceId, item.status, item.isLive]),
+    [
+      ["worker-live", "running", true],
+      ["worker-crashed", "stale", false],
+      ["worker-old", "stopped", false]
+    ]
+  );
+  assert.deepEqual(payload.items[0].lastCycleStats["reply-triage"], { status: "succeeded", scanned: 2, repliesCreated: 1 });
+  assert.deepEqual(payload.items[0].tasks, ["ingest:spareroom", "reply-triage"]);
+  assert.equal(payload.tasks[0].runCount, 12);
+  assert.equal(payload.tasks[0].failureCount, 1);
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "u2", role: "agent" } })
+  });
+  const forbiddenRes = createResponseCapture();
+  await routeApi(req, forbiddenRes, new URL(req.url, "http://localhost"));
+  assert.equal(forbiddenRes.statusCode, 403);
+});
+
 test("R18: fetchPlatformHealthSnapshot maps admin visibility fields from DB row", async () => {
   let capturedSql = "";
   const fakeClient = {
@@ -889,3 +1396,122 @@ test("R16: manual inbox reply dispatches to platform thread and logs audit", asy
   assert.equal(auditAction, "inbox_manual_reply_dispatched");
   assert.equal(auditDetails.externalThreadId, "thread-manual-dispatch");
 });
+
+test("manual inbox replies with discriminatory language are held instead of dispatched", async () => {
+  const conversationId = "55555555-5555-4555-8555-555555555556";
+  const req = createRequest("POST", `/api/inbox/${conversationId}/draft`, {
+    body: "Happy to show it, but it is adults only, so no kids please.",
+    dispatchNow: true
+  });
+  const res = createResponseCapture();
+  let insertedMetadata = null;
+  let auditAction = null;
+  let auditDetails = null;
+  let dispatched = false;
+
+  const fakeClient = {
+    query: async (sql, params = []) => {
+      if (sql.includes("FROM \"Conversations\" c") && sql.includes("WHERE c.id = $1::uuid")) {
+        return {
+          rowCount: 1,
+          rows: [
+            {
+              id: conversationId,
+              platform_account_id: "66666666-6666-4666-8666-666666666666",
+              assigned_agent_id: "77777777-7777-4777-8777-777777777777",
+              external_thread_id: "thread-fair-housing",
+              lead_name: "Held Lead",
+              status: "open",
+              workflow_state: "lead"
+            }
+          ]
+        };
+      }
+      if (sql.includes("SELECT id, platform, credentials") && sql.includes("FROM \"PlatformAccounts\"")) {
+        return {
+          rowCount: 1,
+          rows: [{ id: "66666666-6666-4666-8666-666666666666", platform: "leasebreak", credentials: {}, is_active: true, send_mode: "auto_send" }]
+        };
+      }
+      if (sql.includes("INSERT INTO \"Messages\"")) {
+        insertedMetadata = JSON.parse(params[4]);
+        return { rowCount: 1, rows: [{ id: "88888888-8888-4888-8888-888888888889" }] };
+      }
+      if (sql.includes("INSERT INTO \"AuditLogs\"")) {
+        auditAction = params[4];
+        auditDetails = JSON.parse(params[5]);
+        return { rowCount: 1, rows: [] };
+      }
+      return { rowCount: 0, rows: [] };
+    }
+  };
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "99999999-9999-4999-8999-999999999999", role: "admin" } }),
+    withClient: async (task) => task(fakeClient),
+    dispatchOutboundMessage: async () => {
+      dispatched = true;
+      return { externalMessageId: "platform-msg-held" };
+    }
+  });
+
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 201);
+  const payload = parseJsonBody(res);
+  assert.equal(payload.status, "hold");
+  assert.equal(payload.dispatched, false);
+  assert.deepEqual(payload.fairHousing, { categories: ["familial_status"] });
+  assert.equal(dispatched, false);
+  assert.equal(insertedMetadata.reviewStatus, "hold");
+  assert.deepEqual(insertedMetadata.fairHousing.categories, ["familial_status"]);
+  assert.equal(auditAction, "outbound_fair_housing_hold");
+  assert.deepEqual(auditDetails.fairHousingCategories, ["familial_status"]);
+});
+
+test("POST /api/admin/dispatch/dlq/retry requeues dead letters, audits them, and reports skipped ids", async () => {
+  const deadLetterId = "33333333-3333-4333-8333-333333333333";
+  const alreadyRetriedId = "44444444-4444-4444-8444-444444444444";
+  const requeueCalls = [];
+  const auditInserts = [];
+  const fakeClient = {
+    query: async (sql, params) => {
+      if (sql.includes('INSERT INTO "AuditLogs"')) {
+        auditInserts.push(params);
+      }
+      return { rows: [] };
+    }
+  };
+
+  resetRouteTestOverrides();
+  setRouteTestOverrides({
+    getSession: async () => ({ user: { id: "admin-1", role: "admin" } }),
+    withClient: async (task) => task(fakeClient),
+    dispatchDlqAdapter: {
+      async requeueDeadLetteredDispatches(payload) {
+        requeueCalls.push(payload);
+        return [{ messageId: deadLetterId, retryNonce: "nonce-1" }];
+      }
+    }
+  });
+
+  const req = createRequest("POST", "/api/admin/dispatch/dlq/retry", { messageIds: [deadLetterId, alreadyRetriedId] });
+  const res = createResponseCapture();
+  await routeApi(req, res, new URL(req.url, "http://localhost"));
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(parseJsonBody(res), { action: "retry", updated: [deadLetterId], skipped: [alreadyRetriedId] });
+  assert.deepEqual(requeueCalls, [{ messageIds: [deadLetterId, alreadyRetriedId], actorId: "admin-1" }]);
+  assert.equal(auditInserts.length, 1);
+  assert.equal(auditInserts[0][3], deadLetterId);
+  assert.equal(auditInserts[0][4], "dispatch_dlq_retry_requested");
+
+  const discardReq = createRequest("POST", "/api/admin/dispatch/dlq/discard", { messageIds: [deadLetterId] });
+  const discardRes = createResponseCapture();
+  await routeApi(discardReq, discardRes, new URL(discardReq.url, "http://localhost"));
+  assert.equal(discardRes.statusCode, 400);
+  assert.deepEqual(parseJsonBody(discardRes).details, ["reason is required and must be 500 characters or fewer"]);
+
+  resetRouteTestOverrides();
+});
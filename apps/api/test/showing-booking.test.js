@@ -472,6 +472,42 @@ test("R15: showing appointments list validates filters and returns scoped items"
   assert.equal(filterArgs.fromDate, "2026-03-01");
 });
 
+test("showing appointments list pages with an opaque cursor", async () => {
+  const badResponse = await callRoute("GET", "/api/showing-appointments?cursor=not-a-cursor");
+  assert.equal(badResponse.res.statusCode, 400);
+  assert.equal(badResponse.json.message, "cursor is invalid");
+
+  const fetchCalls = [];
+  const appointments = [
+    { id: "a1a1a1a1-a1a1-4a1a-8a1a-a1a1a1a1a1a1", startsAt: "2026-03-02T15:00:00.000Z" },
+    { id: "b2b2b2b2-b2b2-4b2b-8b2b-b2b2b2b2b2b2", startsAt: "2026-03-03T15:00:00.000Z" },
+    { id: "c3c3c3c3-c3c3-4c3c-8c3c-c3c3c3c3c3c3", startsAt: "2026-03-04T15:00:00.000Z" }
+  ];
+  const overrides = {
+    withClient: async (task) => task({ id: "client-1" }),
+    fetchShowingAppointments: async (_client, filters) => {
+      fetchCalls.push(filters);
+      const start = filters.cursor ? appointments.findIndex((item) => item.id === filters.cursor.id) + 1 : 0;
+      return appointments.slice(start, start + filters.limit);
+    }
+  };
+
+  const firstPage = await callRoute("GET", "/api/showing-appointments?limit=2", { role: "admin", overrides });
+  assert.equal(firstPage.res.statusCode, 200);
+  assert.deepEqual(firstPage.json.items.map((item) => item.id), appointments.slice(0, 2).map((item) => item.id));
+  assert.equal(typeof firstPage.json.nextCursor, "string");
+  assert.equal(fetchCalls[0].limit, 3);
+
+  const secondPage = await callRoute(
+    "GET",
+    `/api/showing-appointments?limit=2&cursor=${encodeURIComponent(firstPage.json.nextCursor)}`,
+    { role: "admin", overrides }
+  );
+  assert.deepEqual(fetchCalls[1].cursor, { at: appointments[1].startsAt, id: appointments[1].id });
+  assert.deepEqual(secondPage.json.items.map((item) => item.id), [appointments[2].id]);
+  assert.equal(secondPage.json.nextCursor, null);
+});
+
 test("R15: agent cannot query showing appointments for another agent", async () => {
   let fetchCalled = false;
   const response = await callRoute(
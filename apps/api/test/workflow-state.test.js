@@ -303,7 +303,7 @@ test("R12/R27: workflow-state endpoint validates payload enums", async () => {
         withClient: async (task) => task({ id: "client-1" }),
         transitionConversationWorkflow: async () => ({
           error: "validation_error",
-          details: ["workflowState must be one of lead, showing, follow_up_1, follow_up_2, outcome"]
+          details: ["workflowState must be one of lead, prescreening, prescreened, showing, follow_up_1, follow_up_2, outcome"]
         })
       }
     }
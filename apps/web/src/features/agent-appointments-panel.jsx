@@ -10,12 +10,14 @@ import {
   startOfWeek,
   subMonths
 } from "date-fns";
-import { CalendarClock, ChevronLeft, ChevronRight, Clock3, RefreshCw, UserRound } from "lucide-react";
+import { Bell, CalendarClock, ChevronLeft, ChevronRight, ClipboardList, Clock3, RefreshCw, UserRound } from "lucide-react";
 
 import { Badge } from "../components/ui/badge";
 import { Button } from "../components/ui/button";
 import { cn } from "../lib/utils";
 import { useLeaseBot } from "../state/lease-bot-context";
+import { ShowingChangeActions } from "./showing-change-actions";
+import { ShowingOutcomeForm } from "./showing-outcome-form";
 
 function safeDate(value) {
   const date = new Date(value || "");
@@ -29,6 +31,12 @@ function dateKey(date) {
   return format(date, "yyyy-MM-dd");
 }
 
+// Calendar feed events link here with ?date=YYYY-MM-DD so the page opens on the showing's day.
+function readLinkedDate() {
+  const value = typeof window !== "undefined" ? new URLSearchParams(window.location.search).get("date") : null;
+  return /^\d{4}-\d{2}-\d{2}$/.test(value || "") ? safeDate(`${value}T12:00:00`) || new Date() : new Date();
+}
+
 function appointmentStatusTone(status) {
   if (status === "confirmed") return "bg-emerald-500/15 text-emerald-300";
   if (status === "pending") return "bg-amber-500/15 text-amber-200";
@@ -51,11 +59,16 @@ export function AgentAppointmentsPanel() {
   const {
     user,
     appointments,
-    refreshAppointments
+    appointmentsAwaitingOutcome,
+    agentNotifications,
+    refreshAppointments,
+    refreshAppointmentsAwaitingOutcome,
+    refreshAgentNotifications,
+    markAgentNotificationsRead
   } = useLeaseBot();
 
-  const [calendarMonth, setCalendarMonth] = useState(() => startOfMonth(new Date()));
-  const [selectedDate, setSelectedDate] = useState(() => new Date());
+  const [selectedDate, setSelectedDate] = useState(readLinkedDate);
+  const [calendarMonth, setCalendarMonth] = useState(() => startOfMonth(selectedDate));
   const [isRefreshing, setIsRefreshing] = useState(false);
 
   const selectedAgentId = user?.role === "agent" ? user.id : "";
@@ -72,13 +85,17 @@ export function AgentAppointmentsPanel() {
 
     setIsRefreshing(true);
     try {
-      await refreshAppointments({
-        status: "all",
-        agentId: selectedAgentId,
-        unitId: "all",
-        fromDate,
-        toDate
-      });
+      await Promise.all([
+        refreshAppointments({
+          status: "all",
+          agentId: selectedAgentId,
+          unitId: "all",
+          fromDate,
+          toDate
+        }),
+        refreshAppointmentsAwaitingOutcome(selectedAgentId),
+        refreshAgentNotifications()
+      ]);
     } finally {
       setIsRefreshing(false);
     }
@@ -117,6 +134,8 @@ export function AgentAppointmentsPanel() {
     return map;
   }, [appointments]);
 
+  const unreadNotifications = (agentNotifications?.items || []).filter((item) => !item.readAt);
+
   const selectedDayAppointments = useMemo(() => (
     appointmentItemsByDay.get(dateKey(selectedDate)) || []
   ), [appointmentItemsByDay, selectedDate]);
@@ -150,6 +169,61 @@ export function AgentAppointmentsPanel() {
           </Button>
         </div>
 
+        {unreadNotifications.length > 0 ? (
+          <section className="rounded-md border border-sky-500/40 bg-card p-3" data-testid="agent-notifications">
+            <div className="flex items-center justify-between gap-2">
+              <div className="flex items-center gap-2 text-sm font-semibold">
+                <Bell className="h-4 w-4 text-sky-300" />
+                Reminders
+                <span className="rounded-full bg-sky-500/15 px-2 py-0.5 text-xs text-sky-300">{agentNotifications.unreadCount}</span>
+              </div>
+              <Button type="button" variant="ghost" size="sm" className="text-muted-foreground" onClick={() => void markAgentNotificationsRead()}>
+                Mark all as read
+              </Button>
+            </div>
+
+            <div className="mt-2 space-y-1">
+              {unreadNotifications.map((item) => (
+                <button
+                  key={item.id}
+                  type="button"
+                  onClick={() => void markAgentNotificationsRead([item.id])}
+                  className="flex w-full items-center justify-between gap-2 rounded-md px-2 py-1.5 text-left text-xs hover:bg-muted"
+                >
+                  <span className="line-clamp-2">{item.body}</span>
+                  <span className="shrink-0 text-[11px] text-muted-foreground">
+                    {format(safeDate(item.createdAt) || new Date(), "MMM d, h:mm a")}
+                  </span>
+                </button>
+              ))}
+            </div>
+          </section>
+        ) : null}
+
+        {appointmentsAwaitingOutcome.length > 0 ? (
+          <section className="rounded-md border border-amber-500/40 bg-card p-3" data-testid="showings-awaiting-outcome">
+            <div className="flex items-center gap-2 text-sm font-semibold">
+              <ClipboardList className="h-4 w-4 text-amber-200" />
+              Needs outcome
+              <span className="rounded-full bg-amber-500/15 px-2 py-0.5 text-xs text-amber-200">{appointmentsAwaitingOutcome.length}</span>
+            </div>
+            <p className="mt-0.5 text-xs text-muted-foreground">These showings have ended. Record how they went to send the lead a follow-up.</p>
+
+            <div className="mt-3 grid gap-2 md:grid-cols-2 xl:grid-cols-3">
+              {appointmentsAwaitingOutcome.map((item) => (
+                <div key={item.id} className="rounded-md border border-border p-2">
+                  <p className="truncate text-xs font-medium">{appointmentLeadLabel(item)}</p>
+                  <div className="mt-1 flex items-center gap-1 text-[11px] text-muted-foreground">
+                    <Clock3 className="h-3 w-3" />
+                    <span>{format(safeDate(item.startsAt) || new Date(), "EEE, MMM d")} · {item.localStart} - {item.localEnd}</span>
+                  </div>
+                  <ShowingOutcomeForm appointment={item} />
+                </div>
+              ))}
+            </div>
+          </section>
+        ) : null}
+
         <div className="grid gap-4 xl:grid-cols-[2fr_1fr]">
           <section className="rounded-md border border-border bg-card p-3">
             <div className="mb-3 flex items-center justify-between">
@@ -219,6 +293,7 @@ export function AgentAppointmentsPanel() {
                     <Clock3 className="h-3 w-3" />
                     <span>{item.localStart} - {item.localEnd}</span>
                   </div>
+                  <ShowingChangeActions appointment={item} />
                 </div>
               ))}
 
@@ -33,6 +33,7 @@ import {
 } from "../components/ui/table";
 import { formatTimestamp } from "../lib/utils";
 import { useLeaseBot } from "../state/lease-bot-context";
+import { OutOfOfficeSection, describeOutOfOfficeCover } from "./out-of-office";
 
 function parseDateValue(value) {
   const parsed = Date.parse(value || "");
@@ -195,6 +196,7 @@ export function AssignmentPanel() {
         status,
         assignedState: assignedAgentId ? "assigned" : "unassigned",
         agentName: assignedAgentName,
+        coverNote: describeOutOfOfficeCover(target.unit, agentById),
         updatedAt: target.listing.updatedAt,
         target
       };
@@ -289,7 +291,14 @@ export function AssignmentPanel() {
       {
         accessorKey: "agentName",
         header: ({ column }) => <SortableHead column={column} label="Agent" />,
-        cell: ({ row }) => <span className="text-sm">{row.original.agentName}</span>
+        cell: ({ row }) => (
+          <div>
+            <span className="text-sm">{row.original.agentName}</span>
+            {row.original.coverNote ? (
+              <p className="text-[11px] text-amber-300">{row.original.coverNote}</p>
+            ) : null}
+          </div>
+        )
       },
       {
         accessorKey: "updatedAt",
@@ -474,6 +483,8 @@ export function AssignmentPanel() {
           </div>
         </div>
 
+        <OutOfOfficeSection />
+
         <div className="space-y-3">
           <div className="flex flex-col gap-3 xl:flex-row xl:items-center xl:justify-between">
             <div>
@@ -601,6 +612,9 @@ export function AssignmentPanel() {
                 <p className="mt-2 text-xs text-muted-foreground">
                   Agent: {row.original.agentName}
                 </p>
+                {row.original.coverNote ? (
+                  <p className="text-[11px] text-amber-300">{row.original.coverNote}</p>
+                ) : null}
                 <div className="mt-3 grid grid-cols-2 gap-2">
                   <Button
                     type="button"
@@ -0,0 +1,89 @@
+import { useEffect, useState } from "react";
+import { CalendarSync, Copy, KeyRound, Trash2 } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { formatTimestamp } from "../lib/utils";
+import { useLeaseBot } from "../state/lease-bot-context";
+
+export function CalendarFeedSettingsPanel() {
+  const { calendarFeed, calendarFeedUrl, refreshCalendarFeed, createCalendarFeed, revokeCalendarFeed } = useLeaseBot();
+  const [busy, setBusy] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    void refreshCalendarFeed();
+  }, []);
+
+  async function runAction(action) {
+    setBusy(true);
+    setCopied(false);
+    try {
+      await action();
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function copyFeedUrl() {
+    try {
+      await navigator.clipboard.writeText(calendarFeedUrl);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  }
+
+  return (
+    <div className="px-4 py-4 sm:px-6 lg:px-8">
+      <div className="mx-auto w-full max-w-[900px] space-y-4">
+        <div className="flex items-center gap-2 text-sm text-muted-foreground">
+          <CalendarSync className="h-4 w-4" />
+          <span>Settings</span>
+        </div>
+
+        <section className="rounded-md border border-border bg-card p-4" data-testid="calendar-feed-settings">
+          <p className="text-sm font-semibold">Calendar feed</p>
+          <p className="mt-0.5 text-xs text-muted-foreground">
+            Subscribe to your showings from Google Calendar, Outlook or Apple Calendar. Moved and cancelled showings update in place.
+            Anyone with the URL can read your schedule, so revoke it if it is shared by mistake.
+          </p>
+
+          {calendarFeedUrl ? (
+            <div className="mt-3 space-y-1.5">
+              <div className="flex gap-2">
+                <Input readOnly value={calendarFeedUrl} onFocus={(event) => event.target.select()} className="font-mono text-xs" />
+                <Button type="button" variant="secondary" onClick={() => void copyFeedUrl()}>
+                  <Copy className="mr-2 h-4 w-4" />
+                  {copied ? "Copied" : "Copy"}
+                </Button>
+              </div>
+              <p className="text-[11px] text-muted-foreground">This URL is only shown once. Create a new one if you lose it.</p>
+            </div>
+          ) : null}
+
+          {calendarFeed ? (
+            <p className="mt-3 text-xs text-muted-foreground">
+              Active since {formatTimestamp(calendarFeed.createdAt)}
+              {calendarFeed.lastAccessedAt ? ` · last synced ${formatTimestamp(calendarFeed.lastAccessedAt)}` : " · not synced yet"}
+            </p>
+          ) : (
+            <p className="mt-3 text-xs text-muted-foreground">No calendar feed yet.</p>
+          )}
+
+          <div className="mt-3 flex flex-wrap gap-2">
+            <Button type="button" disabled={busy} onClick={() => void runAction(createCalendarFeed)}>
+              <KeyRound className="mr-2 h-4 w-4" />
+              {calendarFeed ? "Replace feed URL" : "Create feed URL"}
+            </Button>
+            {calendarFeed ? (
+              <Button type="button" variant="ghost" className="text-destructive-text" disabled={busy} onClick={() => void runAction(revokeCalendarFeed)}>
+                <Trash2 className="mr-2 h-4 w-4" />
+                Revoke
+              </Button>
+            ) : null}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,182 @@
+import { useState } from "react";
+import { AtSign, Bell, StickyNote } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Textarea } from "../components/ui/textarea";
+import { cn, formatTimestamp } from "../lib/utils";
+import { useLeaseBot } from "../state/lease-bot-context";
+
+// Messages and notes share one timeline ordered by when they happened; notes have no sentAt.
+export function buildConversationTimeline(messages = [], notes = []) {
+  const entries = [
+    ...messages.map((message) => ({ kind: "message", at: message.sentAt || message.createdAt, item: message })),
+    ...notes.map((note) => ({ kind: "note", at: note.createdAt, item: note }))
+  ];
+  return entries.sort((left, right) => new Date(left.at || 0) - new Date(right.at || 0));
+}
+
+export function NoteBubble({ note }) {
+  return (
+    <div className="flex justify-center" data-testid="conversation-note">
+      <div className="w-full max-w-[85%] rounded-lg border border-dashed border-amber-500/40 bg-amber-500/10 px-4 py-3 md:max-w-[75%]">
+        <div className="mb-1 flex items-center gap-1.5 text-[11px] font-medium uppercase tracking-wide text-amber-700">
+          <StickyNote className="h-3 w-3" />
+          Internal note
+        </div>
+        <p className="whitespace-pre-wrap break-words text-sm leading-relaxed">{note.body}</p>
+        <div className="mt-2 flex flex-wrap items-center justify-between gap-2 text-[11px] text-muted-foreground">
+          <span>{note.authorName || "Unknown user"} · {formatTimestamp(note.createdAt)}</span>
+          {note.mentions?.length > 0 ? (
+            <span className="flex flex-wrap gap-1">
+              {note.mentions.map((mention) => (
+                <span key={mention.userId} className="rounded-full bg-amber-500/15 px-1.5 py-0.5 text-amber-700">
+                  @{mention.name}
+                </span>
+              ))}
+            </span>
+          ) : null}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export function NoteComposer({ conversationId }) {
+  const { adminUsers, user, createConversationNote } = useLeaseBot();
+  const [body, setBody] = useState("");
+  const [mentionedUserIds, setMentionedUserIds] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const teammates = (adminUsers || []).filter((candidate) => candidate.id !== user?.id);
+
+  function toggleMention(teammate) {
+    if (mentionedUserIds.includes(teammate.id)) {
+      setMentionedUserIds((current) => current.filter((userId) => userId !== teammate.id));
+      return;
+    }
+    setMentionedUserIds((current) => [...current, teammate.id]);
+    const handle = `@${teammate.fullName || teammate.email}`;
+    if (!body.includes(handle)) {
+      setBody((current) => `${current}${current && !current.endsWith(" ") ? " " : ""}${handle} `);
+    }
+  }
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    if (!body.trim() || saving) {
+      return;
+    }
+    setSaving(true);
+    try {
+      const note = await createConversationNote(conversationId, body.trim(), mentionedUserIds);
+      if (note) {
+        setBody("");
+        setMentionedUserIds([]);
+      }
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      {teammates.length > 0 ? (
+        <div className="flex flex-wrap items-center gap-1.5 text-[11px]">
+          <AtSign className="h-3 w-3 text-muted-foreground" />
+          {teammates.map((teammate) => (
+            <button
+              key={teammate.id}
+              type="button"
+              aria-pressed={mentionedUserIds.includes(teammate.id)}
+              onClick={() => toggleMention(teammate)}
+              className={cn(
+                "rounded-full px-2 py-0.5 font-medium transition-colors",
+                mentionedUserIds.includes(teammate.id)
+                  ? "bg-amber-500/25 text-amber-700"
+                  : "bg-muted text-muted-foreground hover:bg-accent hover:text-foreground"
+              )}
+            >
+              {teammate.fullName || teammate.email}
+            </button>
+          ))}
+        </div>
+      ) : null}
+      <div className="flex items-end gap-3">
+        <Textarea
+          rows={2}
+          placeholder="Add an internal note for the team..."
+          aria-label="Internal note"
+          value={body}
+          onChange={(event) => setBody(event.target.value)}
+          className="min-h-[3rem] flex-1 resize-none border-amber-500/40 bg-amber-500/5 text-sm"
+        />
+        <Button type="submit" size="sm" className="h-10 shrink-0" disabled={saving || !body.trim()}>
+          Add note
+        </Button>
+      </div>
+    </form>
+  );
+}
+
+export function MentionsMenu({ onSelectConversation }) {
+  const { mentions, markMentionsRead } = useLeaseBot();
+  const [open, setOpen] = useState(false);
+  const items = mentions?.items || [];
+  const unreadCount = mentions?.unreadCount || 0;
+
+  async function handleSelect(mention) {
+    setOpen(false);
+    onSelectConversation(mention.conversationId);
+    if (!mention.readAt) {
+      await markMentionsRead([mention.noteId]);
+    }
+  }
+
+  return (
+    <div className="px-2 pb-2">
+      <button
+        type="button"
+        onClick={() => setOpen((current) => !current)}
+        aria-expanded={open}
+        className="flex w-full items-center justify-between rounded-md bg-muted px-2 py-1 text-xs text-muted-foreground transition-colors hover:bg-accent hover:text-foreground"
+      >
+        <span className="inline-flex items-center gap-1.5">
+          <Bell className="h-3 w-3" />
+          Mentions
+        </span>
+        {unreadCount > 0 ? (
+          <span className="rounded-full bg-amber-500/25 px-1.5 font-semibold text-amber-700">{unreadCount}</span>
+        ) : null}
+      </button>
+      {open ? (
+        <div className="mt-1 space-y-0.5">
+          {items.length === 0 ? (
+            <p className="px-2 py-2 text-xs text-muted-foreground">Nobody has mentioned you yet.</p>
+          ) : null}
+          {items.map((mention) => (
+            <button
+              key={mention.noteId}
+              type="button"
+              onClick={() => handleSelect(mention)}
+              className={cn(
+                "flex w-full flex-col rounded-md px-2 py-1.5 text-left text-xs hover:bg-muted",
+                !mention.readAt && "bg-amber-500/10"
+              )}
+            >
+              <span className="flex items-center justify-between gap-2">
+                <span className="truncate font-medium">{mention.leadName || "Unknown lead"}</span>
+                <span className="shrink-0 text-[11px] text-muted-foreground">{formatTimestamp(mention.createdAt)}</span>
+              </span>
+              <span className="line-clamp-1 text-muted-foreground">
+                {mention.authorName || "Unknown user"}: {mention.body}
+              </span>
+            </button>
+          ))}
+          {unreadCount > 0 ? (
+            <Button type="button" variant="ghost" size="sm" className="w-full text-muted-foreground" onClick={() => markMentionsRead()}>
+              Mark all as read
+            </Button>
+          ) : null}
+        </div>
+      ) : null}
+    </div>
+  );
+}
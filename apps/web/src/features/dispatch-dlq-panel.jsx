@@ -0,0 +1,153 @@
+import { useMemo, useState } from "react";
+import { Inbox, RotateCcw, Trash2 } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { cn, formatTimestamp } from "../lib/utils";
+import { useLeaseBot } from "../state/lease-bot-context";
+
+function describeFailure(dispatch) {
+  const stage = dispatch.failedStage || dispatch.stage || "dispatch";
+  const attempts = dispatch.retry?.attempts ?? dispatch.attempts;
+  return `${stage}${attempts ? ` · ${attempts} attempts` : ""}`;
+}
+
+export function DispatchDlqPanel() {
+  const { deadLetters, fetchDeadLetter, resolveDeadLetters } = useLeaseBot();
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [discardReason, setDiscardReason] = useState("");
+  const [expanded, setExpanded] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const visibleIds = useMemo(() => new Set(deadLetters.map((item) => item.messageId)), [deadLetters]);
+  const selection = selectedIds.filter((messageId) => visibleIds.has(messageId));
+
+  function toggleSelected(messageId) {
+    setSelectedIds((current) =>
+      current.includes(messageId) ? current.filter((entry) => entry !== messageId) : [...current, messageId]
+    );
+  }
+
+  async function toggleExpanded(messageId) {
+    if (expanded?.messageId === messageId) {
+      setExpanded(null);
+      return;
+    }
+    const detail = await fetchDeadLetter(messageId);
+    setExpanded(detail);
+  }
+
+  async function resolveSelection(action) {
+    setBusy(true);
+    try {
+      const response = await resolveDeadLetters(action, selection, discardReason.trim());
+      if (response) {
+        setSelectedIds([]);
+        setDiscardReason("");
+        setExpanded(null);
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="px-4 pb-6 sm:px-6">
+      <div className="mx-auto max-w-4xl space-y-4" data-testid="dispatch-dlq-list">
+        <div className="flex items-center justify-between text-xs text-muted-foreground">
+          <span className="font-medium">Dead-lettered dispatches</span>
+          {deadLetters.length > 0 ? <span>{deadLetters.length} waiting for review</span> : null}
+        </div>
+
+        {deadLetters.length === 0 ? (
+          <div className="rounded-lg bg-card px-4 py-12 text-center text-sm text-muted-foreground shadow-card">
+            No failed dispatches in the queue.
+          </div>
+        ) : (
+          <div className="flex flex-col gap-2 rounded-lg bg-card p-3 shadow-card sm:flex-row sm:items-center">
+            <Input
+              value={discardReason}
+              onChange={(event) => setDiscardReason(event.target.value)}
+              placeholder="Discard reason (required to discard)"
+              className="h-9 bg-muted text-sm"
+            />
+            <div className="flex shrink-0 gap-2">
+              <Button
+                type="button"
+                size="sm"
+                disabled={busy || selection.length === 0}
+                onClick={() => resolveSelection("retry")}
+              >
+                <RotateCcw className="mr-2 h-3.5 w-3.5" />
+                Retry {selection.length || ""}
+              </Button>
+              <Button
+                type="button"
+                size="sm"
+                variant="destructive"
+                disabled={busy || selection.length === 0 || !discardReason.trim()}
+                onClick={() => resolveSelection("discard")}
+              >
+                <Trash2 className="mr-2 h-3.5 w-3.5" />
+                Discard
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {deadLetters.map((item) => {
+          const isSelected = selection.includes(item.messageId);
+          const detail = expanded?.messageId === item.messageId ? expanded : null;
+
+          return (
+            <div key={item.messageId} data-testid="dispatch-dlq-row" className="rounded-lg bg-card shadow-card">
+              <div className="flex items-start gap-3 p-4">
+                <input
+                  type="checkbox"
+                  checked={isSelected}
+                  onChange={() => toggleSelected(item.messageId)}
+                  aria-label={`Select dead letter for ${item.leadName || item.externalThreadId}`}
+                  className="mt-1 h-4 w-4 accent-primary"
+                />
+                <button
+                  type="button"
+                  onClick={() => toggleExpanded(item.messageId)}
+                  className="min-w-0 flex-1 text-left"
+                >
+                  <div className="flex flex-wrap items-center gap-2">
+                    <Inbox className="h-3.5 w-3.5 text-muted-foreground" />
+                    <span className="text-sm font-semibold">{item.leadName || item.externalThreadId}</span>
+                    <span className="rounded-full bg-muted px-2 py-0.5 text-[11px] text-muted-foreground">{item.platform}</span>
+                    <span className="text-[11px] text-muted-foreground">
+                      {formatTimestamp(item.dispatch.dlqQueuedAt || item.dispatch.failedAt || item.sentAt)}
+                    </span>
+                  </div>
+                  <p className="mt-1 truncate text-xs text-muted-foreground">{item.body}</p>
+                  <p className="mt-1 text-xs font-medium text-destructive-text">
+                    {describeFailure(item.dispatch)}{item.dispatch.lastError ? ` · ${item.dispatch.lastError}` : ""}
+                  </p>
+                </button>
+              </div>
+
+              {detail ? (
+                <div className="space-y-1 px-3 pb-3">
+                  {detail.history.map((entry, index) => (
+                    <div
+                      key={`${entry.action}-${entry.createdAt}-${index}`}
+                      className={cn(
+                        "flex items-center justify-between rounded-md px-4 py-2 text-xs",
+                        entry.action.includes("dlq") || entry.action.includes("error") ? "bg-destructive/10" : "bg-muted"
+                      )}
+                    >
+                      <span className="font-medium">{entry.action}</span>
+                      <span className="text-muted-foreground">{formatTimestamp(entry.createdAt)}</span>
+                    </div>
+                  ))}
+                </div>
+              ) : null}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
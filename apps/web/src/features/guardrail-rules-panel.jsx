@@ -0,0 +1,332 @@
+import { useMemo, useState } from "react";
+import { Pencil, Plus, ShieldAlert, Trash2 } from "lucide-react";
+import { Badge } from "../components/ui/badge";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "../components/ui/select";
+import { Switch } from "../components/ui/switch";
+import { cn, formatTimestamp } from "../lib/utils";
+import { useLeaseBot } from "../state/lease-bot-context";
+
+const emptyRuleForm = {
+  platformAccountId: "all",
+  name: "",
+  matchType: "keywords",
+  pattern: "",
+  keywords: "",
+  direction: "outbound",
+  severity: "medium",
+  action: "hold"
+};
+
+function actionBadgeClass(action) {
+  if (action === "block") {
+    return "bg-destructive/10 text-destructive-text";
+  }
+  if (action === "hold") {
+    return "bg-amber-500/15 text-amber-200";
+  }
+  return "bg-primary/10 text-primary";
+}
+
+function toRuleForm(rule) {
+  return {
+    platformAccountId: rule.platformAccountId || "all",
+    name: rule.name || "",
+    matchType: rule.matchType,
+    pattern: rule.pattern || "",
+    keywords: (rule.keywords || []).join(", "),
+    direction: rule.direction,
+    severity: rule.severity,
+    action: rule.action
+  };
+}
+
+function toRulePayload(form) {
+  return {
+    platformAccountId: form.platformAccountId === "all" ? null : form.platformAccountId,
+    name: form.name.trim(),
+    matchType: form.matchType,
+    pattern: form.matchType === "pattern" ? form.pattern : null,
+    keywords: form.matchType === "keywords"
+      ? form.keywords.split(",").map((keyword) => keyword.trim()).filter(Boolean)
+      : [],
+    direction: form.direction,
+    severity: form.severity,
+    action: form.action
+  };
+}
+
+export function GuardrailRulesPanel() {
+  const { guardrailRules, platformPolicies, saveGuardrailRule, deleteGuardrailRule, apiError } = useLeaseBot();
+  const [form, setForm] = useState(emptyRuleForm);
+  const [editingId, setEditingId] = useState("");
+  const [busyId, setBusyId] = useState("");
+
+  const accountLabels = useMemo(
+    () => new Map(platformPolicies.map((item) => [item.id, `${item.platform} · ${item.accountName}`])),
+    [platformPolicies]
+  );
+
+  function updateForm(field, value) {
+    setForm((current) => {
+      const next = { ...current, [field]: value };
+      // Redaction rewrites the outgoing reply, so it is only offered for outbound rules.
+      if (next.direction === "inbound" && next.action === "redact") {
+        next.action = "hold";
+      }
+      return next;
+    });
+  }
+
+  function resetForm() {
+    setForm(emptyRuleForm);
+    setEditingId("");
+  }
+
+  async function submitRule(event) {
+    event.preventDefault();
+    if (busyId) {
+      return;
+    }
+
+    setBusyId(editingId || "new");
+    try {
+      const saved = await saveGuardrailRule(editingId || null, toRulePayload(form));
+      if (saved) {
+        resetForm();
+      }
+    } finally {
+      setBusyId("");
+    }
+  }
+
+  async function toggleRule(rule, isEnabled) {
+    setBusyId(rule.id);
+    try {
+      await saveGuardrailRule(rule.id, { isEnabled });
+    } finally {
+      setBusyId("");
+    }
+  }
+
+  async function removeRule(rule) {
+    setBusyId(rule.id);
+    try {
+      await deleteGuardrailRule(rule.id);
+      if (editingId === rule.id) {
+        resetForm();
+      }
+    } finally {
+      setBusyId("");
+    }
+  }
+
+  return (
+    <div className="px-4 py-6 sm:px-6 lg:px-8">
+      <div className="mx-auto max-w-4xl space-y-6">
+        <section className="space-y-3">
+          <h2 className="text-base font-semibold">{editingId ? "Edit guardrail rule" : "New guardrail rule"}</h2>
+          <p className="text-xs text-muted-foreground">
+            Rules apply on top of the built-in checks. Block escalates to an agent, hold keeps the reply as a draft
+            for review, and redact masks the matched text before sending.
+          </p>
+
+          <form
+            onSubmit={submitRule}
+            data-testid="guardrail-rule-form"
+            className="grid gap-3 rounded-md border border-dashed border-border p-4 sm:grid-cols-2 lg:grid-cols-4"
+          >
+            <Label className="grid gap-1 text-xs text-muted-foreground sm:col-span-2">
+              Name
+              <Input
+                value={form.name}
+                onChange={(event) => updateForm("name", event.target.value)}
+                placeholder="Familial status steering"
+                required
+              />
+            </Label>
+
+            <Label className="grid gap-1 text-xs text-muted-foreground sm:col-span-2">
+              Platform account
+              <Select value={form.platformAccountId} onValueChange={(value) => updateForm("platformAccountId", value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">All accounts</SelectItem>
+                  {platformPolicies.map((item) => (
+                    <SelectItem key={item.id} value={item.id}>{accountLabels.get(item.id)}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </Label>
+
+            <Label className="grid gap-1 text-xs text-muted-foreground">
+              Match
+              <Select value={form.matchType} onValueChange={(value) => updateForm("matchType", value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="keywords">Keywords</SelectItem>
+                  <SelectItem value="pattern">Regex pattern</SelectItem>
+                </SelectContent>
+              </Select>
+            </Label>
+
+            <Label className="grid gap-1 text-xs text-muted-foreground sm:col-span-1 lg:col-span-3">
+              {form.matchType === "pattern" ? "Pattern" : "Keywords (comma separated)"}
+              {form.matchType === "pattern" ? (
+                <Input
+                  value={form.pattern}
+                  onChange={(event) => updateForm("pattern", event.target.value)}
+                  placeholder="\bno (kids|children)\b"
+                  required
+                />
+              ) : (
+                <Input
+                  value={form.keywords}
+                  onChange={(event) => updateForm("keywords", event.target.value)}
+                  placeholder="adults only, no kids"
+                  required
+                />
+              )}
+            </Label>
+
+            <Label className="grid gap-1 text-xs text-muted-foreground">
+              Direction
+              <Select value={form.direction} onValueChange={(value) => updateForm("direction", value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="inbound">Inbound</SelectItem>
+                  <SelectItem value="outbound">Outbound</SelectItem>
+                </SelectContent>
+              </Select>
+            </Label>
+
+            <Label className="grid gap-1 text-xs text-muted-foreground">
+              Severity
+              <Select value={form.severity} onValueChange={(value) => updateForm("severity", value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="low">Low</SelectItem>
+                  <SelectItem value="medium">Medium</SelectItem>
+                  <SelectItem value="high">High</SelectItem>
+                  <SelectItem value="critical">Critical</SelectItem>
+                </SelectContent>
+              </Select>
+            </Label>
+
+            <Label className="grid gap-1 text-xs text-muted-foreground">
+              Action
+              <Select value={form.action} onValueChange={(value) => updateForm("action", value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="block">Block</SelectItem>
+                  <SelectItem value="hold">Hold for review</SelectItem>
+                  {form.direction === "outbound" ? <SelectItem value="redact">Redact</SelectItem> : null}
+                </SelectContent>
+              </Select>
+            </Label>
+
+            <div className="flex items-end gap-2">
+              <Button type="submit" size="sm" disabled={Boolean(busyId)}>
+                <Plus className="mr-2 h-3.5 w-3.5" />
+                {editingId ? "Save rule" : "Add rule"}
+              </Button>
+              {editingId ? (
+                <Button type="button" size="sm" variant="secondary" onClick={resetForm}>
+                  Cancel
+                </Button>
+              ) : null}
+            </div>
+          </form>
+
+          {apiError ? (
+            <div className="rounded-md border border-destructive/30 bg-destructive/10 px-3 py-2 text-xs text-destructive-text">
+              {apiError}
+            </div>
+          ) : null}
+        </section>
+
+        <section className="space-y-3" data-testid="guardrail-rules-list">
+          <h3 className="text-sm font-semibold">Active rules</h3>
+          {guardrailRules.length === 0 ? (
+            <div className="rounded-lg bg-card px-4 py-12 text-center text-sm text-muted-foreground shadow-card">
+              No guardrail rules configured. Built-in checks still apply.
+            </div>
+          ) : null}
+
+          {guardrailRules.map((rule) => (
+            <div key={rule.id} data-testid="guardrail-rule-row" className="rounded-lg bg-card p-4 shadow-card">
+              <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+                <div className="flex min-w-0 items-start gap-3">
+                  <div className={cn(
+                    "flex h-9 w-9 shrink-0 items-center justify-center rounded-md",
+                    rule.isEnabled ? "bg-primary/10" : "bg-muted"
+                  )}>
+                    <ShieldAlert className={cn("h-4 w-4", rule.isEnabled ? "text-primary" : "text-muted-foreground")} />
+                  </div>
+                  <div className="min-w-0 space-y-1">
+                    <p className="truncate text-sm font-semibold">{rule.name}</p>
+                    <p className="truncate font-mono text-xs text-muted-foreground">
+                      {rule.matchType === "pattern" ? `/${rule.pattern}/i` : rule.keywords.join(", ")}
+                    </p>
+                    <div className="flex flex-wrap items-center gap-1.5">
+                      <Badge className={actionBadgeClass(rule.action)}>{rule.action}</Badge>
+                      <Badge>{rule.direction}</Badge>
+                      <Badge>{rule.severity}</Badge>
+                      <Badge>{rule.platformAccountId ? accountLabels.get(rule.platformAccountId) || "account" : "all accounts"}</Badge>
+                    </div>
+                    <p className="text-[11px] text-muted-foreground">
+                      {rule.reasonCode} · updated {formatTimestamp(rule.updatedAt || rule.createdAt)}
+                    </p>
+                  </div>
+                </div>
+
+                <div className="flex shrink-0 items-center gap-2">
+                  <Switch
+                    checked={rule.isEnabled}
+                    disabled={busyId === rule.id}
+                    aria-label={`${rule.name} enabled`}
+                    onCheckedChange={(nextChecked) => toggleRule(rule, nextChecked)}
+                  />
+                  <Button
+                    type="button"
+                    size="icon"
+                    variant="ghost"
+                    title="Edit"
+                    onClick={() => {
+                      setEditingId(rule.id);
+                      setForm(toRuleForm(rule));
+                    }}
+                  >
+                    <Pencil className="h-4 w-4" />
+                  </Button>
+                  <Button
+                    type="button"
+                    size="icon"
+                    variant="ghost"
+                    title="Delete"
+                    disabled={busyId === rule.id}
+                    onClick={() => removeRule(rule)}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            </div>
+          ))}
+        </section>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,400 @@
+import { useMemo, useState } from "react";
+import { Bookmark, SlidersHorizontal, Tag, Trash2, X } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "../components/ui/select";
+import { cn } from "../lib/utils";
+import { emptyInboxFilters, useLeaseBot } from "../state/lease-bot-context";
+
+const WORKFLOW_STATE_OPTIONS = [
+  { value: "lead", label: "Lead" },
+  { value: "prescreening", label: "Prescreening" },
+  { value: "prescreened", label: "Prescreened" },
+  { value: "showing", label: "Showing" },
+  { value: "follow_up_1", label: "Follow-up 1" },
+  { value: "follow_up_2", label: "Follow-up 2" },
+  { value: "outcome", label: "Outcome" }
+];
+
+const SHOWING_STATE_OPTIONS = [
+  { value: "none", label: "No showing" },
+  { value: "pending", label: "Pending" },
+  { value: "confirmed", label: "Confirmed" },
+  { value: "reschedule_requested", label: "Reschedule" },
+  { value: "cancelled", label: "Cancelled" },
+  { value: "completed", label: "Completed" },
+  { value: "no_show", label: "No-show" }
+];
+
+const FOLLOW_UP_OPTIONS = [
+  { value: "all", label: "Any follow-up" },
+  { value: "overdue", label: "Follow-up overdue" },
+  { value: "due_24h", label: "Due in 24 hours" },
+  { value: "scheduled", label: "Follow-up scheduled" },
+  { value: "none", label: "No follow-up" }
+];
+
+const TAG_COLOR_CLASSES = {
+  slate: "bg-slate-500/15 text-slate-700",
+  red: "bg-red-500/15 text-red-700",
+  amber: "bg-amber-500/15 text-amber-700",
+  green: "bg-green-500/15 text-green-700",
+  blue: "bg-blue-500/15 text-blue-700",
+  violet: "bg-violet-500/15 text-violet-700",
+  pink: "bg-pink-500/15 text-pink-700"
+};
+
+export function TagChip({ tag, className }) {
+  return (
+    <span className={cn("rounded-full px-2 py-0.5 text-[11px] font-medium", TAG_COLOR_CLASSES[tag.color] || TAG_COLOR_CLASSES.slate, className)}>
+      {tag.name}
+    </span>
+  );
+}
+
+function ToggleChip({ pressed, onClick, children }) {
+  return (
+    <button
+      type="button"
+      aria-pressed={pressed}
+      onClick={onClick}
+      className={cn(
+        "rounded-full px-2.5 py-1 text-[11px] font-medium transition-colors",
+        pressed ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground hover:bg-accent hover:text-foreground"
+      )}
+    >
+      {children}
+    </button>
+  );
+}
+
+function countActiveFilters(filters) {
+  return Object.values(filters).filter((value) => (Array.isArray(value) ? value.length > 0 : Boolean(value))).length;
+}
+
+export function InboxFilterBar() {
+  const {
+    agents,
+    units,
+    listings,
+    inboxFilters,
+    setInboxFilters,
+    inboxTags,
+    inboxSavedViews,
+    createInboxTag,
+    deleteInboxTag,
+    saveInboxView,
+    deleteInboxView,
+    applyInboxView
+  } = useLeaseBot();
+  const [open, setOpen] = useState(false);
+  const [viewName, setViewName] = useState("");
+  const [tagName, setTagName] = useState("");
+  const [selectedViewId, setSelectedViewId] = useState("none");
+  const activeCount = countActiveFilters(inboxFilters);
+  const visibleListings = useMemo(
+    () => listings.filter((listing) => !inboxFilters.unitId || listing.unitId === inboxFilters.unitId),
+    [listings, inboxFilters.unitId]
+  );
+
+  function updateFilter(key, value) {
+    setSelectedViewId("none");
+    setInboxFilters((current) => ({ ...current, [key]: value }));
+  }
+
+  function toggleListFilter(key, value) {
+    const current = inboxFilters[key];
+    updateFilter(key, current.includes(value) ? current.filter((entry) => entry !== value) : [...current, value]);
+  }
+
+  function handleSelectView(viewId) {
+    setSelectedViewId(viewId);
+    const view = inboxSavedViews.find((entry) => entry.id === viewId);
+    if (view) {
+      applyInboxView(view);
+    }
+  }
+
+  async function handleSaveView(event) {
+    event.preventDefault();
+    const name = viewName.trim();
+    if (!name) {
+      return;
+    }
+    const saved = await saveInboxView(name);
+    if (saved) {
+      setViewName("");
+      setSelectedViewId(saved.id);
+    }
+  }
+
+  async function handleDeleteView() {
+    if (await deleteInboxView(selectedViewId)) {
+      setSelectedViewId("none");
+    }
+  }
+
+  async function handleCreateTag(event) {
+    event.preventDefault();
+    const name = tagName.trim();
+    if (name && (await createInboxTag({ name }))) {
+      setTagName("");
+    }
+  }
+
+  return (
+    <div className="space-y-2 px-2 pb-2" data-testid="inbox-filter-bar">
+      <div className="flex items-center gap-2">
+        <Select value={selectedViewId} onValueChange={handleSelectView}>
+          <SelectTrigger className="min-w-0 flex-1" aria-label="Saved views">
+            <Bookmark className="mr-2 h-3.5 w-3.5 shrink-0 text-muted-foreground" />
+            <SelectValue placeholder="Saved views" />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="none">Saved views</SelectItem>
+            {inboxSavedViews.map((view) => (
+              <SelectItem key={view.id} value={view.id}>{view.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {selectedViewId !== "none" ? (
+          <button
+            type="button"
+            onClick={handleDeleteView}
+            className="inline-flex h-11 w-11 items-center justify-center rounded-md bg-muted text-muted-foreground hover:bg-accent hover:text-foreground"
+            title="Delete view"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        ) : null}
+        <button
+          type="button"
+          onClick={() => setOpen((current) => !current)}
+          aria-expanded={open}
+          className={cn(
+            "inline-flex h-11 shrink-0 items-center gap-1.5 rounded-md px-3 text-xs font-medium transition-colors",
+            open || activeCount > 0 ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground hover:bg-accent hover:text-foreground"
+          )}
+        >
+          <SlidersHorizontal className="h-4 w-4" />
+          {activeCount > 0 ? activeCount : "Filters"}
+        </button>
+      </div>
+
+      {open ? (
+        <div className="space-y-3 rounded-lg bg-muted/50 p-3 text-xs">
+          <div className="space-y-1.5">
+            <span className="font-medium text-muted-foreground">Workflow</span>
+            <div className="flex flex-wrap gap-1.5">
+              {WORKFLOW_STATE_OPTIONS.map((option) => (
+                <ToggleChip
+                  key={option.value}
+                  pressed={inboxFilters.workflowState.includes(option.value)}
+                  onClick={() => toggleListFilter("workflowState", option.value)}
+                >
+                  {option.label}
+                </ToggleChip>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-1.5">
+            <span className="font-medium text-muted-foreground">Showing</span>
+            <div className="flex flex-wrap gap-1.5">
+              {SHOWING_STATE_OPTIONS.map((option) => (
+                <ToggleChip
+                  key={option.value}
+                  pressed={inboxFilters.showingState.includes(option.value)}
+                  onClick={() => toggleListFilter("showingState", option.value)}
+                >
+                  {option.label}
+                </ToggleChip>
+              ))}
+            </div>
+          </div>
+
+          <Select value={inboxFilters.followUpDue || "all"} onValueChange={(value) => updateFilter("followUpDue", value === "all" ? "" : value)}>
+            <SelectTrigger className="w-full" aria-label="Follow-up due">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {FOLLOW_UP_OPTIONS.map((option) => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          <Select value={inboxFilters.assignedAgentId || "all"} onValueChange={(value) => updateFilter("assignedAgentId", value === "all" ? "" : value)}>
+            <SelectTrigger className="w-full" aria-label="Assigned agent">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">Any agent</SelectItem>
+              <SelectItem value="unassigned">Unassigned</SelectItem>
+              {agents.map((agent) => (
+                <SelectItem key={agent.id} value={agent.id}>{agent.fullName}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+
+          <div className="grid grid-cols-2 gap-2">
+            <Select
+              value={inboxFilters.unitId || "all"}
+              onValueChange={(value) => {
+                setSelectedViewId("none");
+                setInboxFilters((current) => ({ ...current, unitId: value === "all" ? "" : value, listingId: "" }));
+              }}
+            >
+              <SelectTrigger className="w-full" aria-label="Unit">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Any unit</SelectItem>
+                {units.map((unit) => (
+                  <SelectItem key={unit.id} value={unit.id}>{`${unit.propertyName} ${unit.unitNumber}`}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Select value={inboxFilters.listingId || "all"} onValueChange={(value) => updateFilter("listingId", value === "all" ? "" : value)}>
+              <SelectTrigger className="w-full" aria-label="Listing">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Any listing</SelectItem>
+                {visibleListings.map((listing) => (
+                  <SelectItem key={listing.id} value={listing.id}>
+                    {listing.metadata?.title || listing.listingExternalId || "Listing"}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2">
+            <Input
+              type="date"
+              value={inboxFilters.fromDate}
+              onChange={(event) => updateFilter("fromDate", event.target.value)}
+              aria-label="Active from"
+              className="h-9 text-xs"
+            />
+            <Input
+              type="date"
+              value={inboxFilters.toDate}
+              onChange={(event) => updateFilter("toDate", event.target.value)}
+              aria-label="Active until"
+              className="h-9 text-xs"
+            />
+          </div>
+
+          <div className="space-y-1.5">
+            <span className="font-medium text-muted-foreground">Tags</span>
+            <div className="flex flex-wrap items-center gap-1.5">
+              {inboxTags.map((tag) => (
+                <span key={tag.id} className="inline-flex items-center gap-0.5">
+                  <ToggleChip pressed={inboxFilters.tagId.includes(tag.id)} onClick={() => toggleListFilter("tagId", tag.id)}>
+                    {tag.name} · {tag.conversationCount}
+                  </ToggleChip>
+                  <button
+                    type="button"
+                    onClick={() => deleteInboxTag(tag.id)}
+                    className="rounded-full p-0.5 text-muted-foreground hover:text-foreground"
+                    aria-label={`Delete tag ${tag.name}`}
+                  >
+                    <X className="h-3 w-3" />
+                  </button>
+                </span>
+              ))}
+            </div>
+            <form className="flex gap-2" onSubmit={handleCreateTag}>
+              <Input
+                value={tagName}
+                onChange={(event) => setTagName(event.target.value)}
+                placeholder="New tag"
+                maxLength={40}
+                className="h-8 text-xs"
+              />
+              <Button type="submit" size="sm" variant="ghost" disabled={!tagName.trim()}>
+                <Tag className="mr-1 h-3.5 w-3.5" />
+                Add
+              </Button>
+            </form>
+          </div>
+
+          <div className="flex items-center justify-between gap-2 border-t border-dashed border-border pt-3">
+            <form className="flex min-w-0 flex-1 gap-2" onSubmit={handleSaveView}>
+              <Input
+                value={viewName}
+                onChange={(event) => setViewName(event.target.value)}
+                placeholder="Name this view"
+                aria-label="View name"
+                maxLength={80}
+                className="h-8 text-xs"
+              />
+              <Button type="submit" size="sm" disabled={!viewName.trim()}>Save view</Button>
+            </form>
+            <Button
+              type="button"
+              size="sm"
+              variant="ghost"
+              disabled={activeCount === 0}
+              onClick={() => {
+                setSelectedViewId("none");
+                setInboxFilters(emptyInboxFilters);
+              }}
+            >
+              Clear
+            </Button>
+          </div>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Tag toggles for the open conversation; changes are saved immediately.
+export function ConversationTagPicker({ conversationId, tags }) {
+  const { inboxTags, updateConversationTags } = useLeaseBot();
+  const [saving, setSaving] = useState(false);
+  const assignedIds = (tags || []).map((tag) => tag.id);
+
+  async function toggleTag(tagId) {
+    setSaving(true);
+    try {
+      await updateConversationTags(
+        conversationId,
+        assignedIds.includes(tagId) ? assignedIds.filter((entry) => entry !== tagId) : [...assignedIds, tagId]
+      );
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (inboxTags.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5 px-4 py-2 md:px-6" data-testid="conversation-tag-picker">
+      <Tag className="h-3.5 w-3.5 text-muted-foreground" />
+      {inboxTags.map((tag) => {
+        const assigned = assignedIds.includes(tag.id);
+        return (
+          <button
+            key={tag.id}
+            type="button"
+            aria-pressed={assigned}
+            disabled={saving}
+            onClick={() => toggleTag(tag.id)}
+            className={cn(
+              "rounded-full px-2 py-0.5 text-[11px] font-medium transition-opacity disabled:opacity-50",
+              assigned ? TAG_COLOR_CLASSES[tag.color] || TAG_COLOR_CLASSES.slate : "bg-muted text-muted-foreground/70 hover:text-foreground"
+            )}
+          >
+            {tag.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,13 +1,20 @@
-import { RefreshCw, ChevronLeft, ChevronRight, Send, Check, X, MessageSquare, User, Building2, ArrowLeft } from "lucide-react";
+import { RefreshCw, ChevronLeft, ChevronRight, Send, Check, X, MessageSquare, User, Building2, ArrowLeft, Search } from "lucide-react";
 import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
 import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "../components/ui/select";
 import { Textarea } from "../components/ui/textarea";
 import { formatTimestamp } from "../lib/utils";
 import { useLeaseBot } from "../state/lease-bot-context";
+import { ConversationTagPicker, InboxFilterBar, TagChip } from "./inbox-filter-bar";
+import { buildConversationTimeline, MentionsMenu, NoteBubble, NoteComposer } from "./conversation-notes";
+import { LeadLinksStrip } from "./lead-links";
 import { useEffect, useMemo, useState } from "react";
 import { cn } from "../lib/utils";
 
 const INBOX_PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 300;
+// Distance from the bottom of the card list at which the next server page is requested.
+const LOAD_MORE_THRESHOLD_PX = 120;
 
 const STATUS_OPTIONS = [
   { value: "all", label: "All threads" },
@@ -15,6 +22,17 @@ const STATUS_OPTIONS = [
   { value: "draft", label: "Draft" },
   { value: "sent", label: "Sent" },
   { value: "hold", label: "Hold" },
+  { value: "deferred", label: "Deferred" },
+];
+
+const LEAD_PROFILE_LABELS = [
+  { key: "lead_move_in_date", label: "Move-in" },
+  { key: "lead_budget", label: "Budget" },
+  { key: "lead_occupants", label: "Occupants" },
+  { key: "lead_pets", label: "Pets" },
+  { key: "lead_stay_length", label: "Stay" },
+  { key: "lead_employment", label: "Employment" },
+  { key: "lead_income", label: "Income" }
 ];
 
 const PLATFORM_OPTIONS = [
@@ -26,6 +44,24 @@ const PLATFORM_OPTIONS = [
   { value: "furnishedfinder", label: "FurnishedFinder" }
 ];
 
+// Search snippets come back with matches wrapped in <mark> tags; they are split into text nodes
+// here so message bodies are never rendered as HTML.
+function HighlightedText({ text, active }) {
+  const parts = String(text || "").split(/<mark>(.*?)<\/mark>/g);
+  return parts.map((part, index) =>
+    index % 2 === 1 ? (
+      <mark
+        key={index}
+        className={cn("rounded-sm px-0.5", active ? "bg-primary-foreground/25 text-primary-foreground" : "bg-amber-500/25 text-foreground")}
+      >
+        {part}
+      </mark>
+    ) : (
+      part
+    )
+  );
+}
+
 export function InboxPanel() {
   const {
     inboxItems,
@@ -34,6 +70,11 @@ export function InboxPanel() {
     setSelectedInboxStatus,
     selectedInboxPlatform,
     setSelectedInboxPlatform,
+    inboxSearchQuery,
+    setInboxSearchQuery,
+    inboxNextCursor,
+    loadMoreInbox,
+    inboxFilters,
     selectedConversationId,
     setSelectedConversationId,
     conversationDetail,
@@ -45,17 +86,31 @@ export function InboxPanel() {
     approveMessage,
     rejectMessage,
     refreshInbox,
+    fetchLeadTimeline,
     appointments,
   } = useLeaseBot();
   const [inboxPage, setInboxPage] = useState(1);
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [mobileShowDetail, setMobileShowDetail] = useState(false);
+  const [searchDraft, setSearchDraft] = useState(inboxSearchQuery || "");
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [composerMode, setComposerMode] = useState("reply");
+  const [unifiedTimeline, setUnifiedTimeline] = useState(false);
+  const [leadMessages, setLeadMessages] = useState(null);
+  const leadId = conversationDetail?.lead?.id || null;
   const listBusy = isRefreshing || inboxLoading;
   const inboxPageCount = Math.max(1, Math.ceil(inboxItems.length / INBOX_PAGE_SIZE));
   const pagedInboxItems = useMemo(() => {
     const start = (inboxPage - 1) * INBOX_PAGE_SIZE;
     return inboxItems.slice(start, start + INBOX_PAGE_SIZE);
   }, [inboxItems, inboxPage]);
+  const timeline = useMemo(
+    () => buildConversationTimeline(
+      unifiedTimeline && leadMessages ? leadMessages : conversationDetail?.messages || [],
+      conversationDetail?.notes || []
+    ),
+    [conversationDetail, unifiedTimeline, leadMessages]
+  );
   const todayKey = new Date().toISOString().slice(0, 10);
   const humanRequiredQueue = useMemo(
     () => inboxItems.filter((item) => item.workflowOutcome === "human_required" || item.latestStatus === "hold"),
@@ -68,7 +123,36 @@ export function InboxPanel() {
 
   useEffect(() => {
     setInboxPage(1);
-  }, [selectedInboxStatus, selectedInboxPlatform, inboxItems.length]);
+  }, [selectedInboxStatus, selectedInboxPlatform, inboxSearchQuery, inboxFilters]);
+
+  useEffect(() => {
+    setUnifiedTimeline(false);
+  }, [selectedConversationId]);
+
+  useEffect(() => {
+    if (!unifiedTimeline || !leadId) {
+      setLeadMessages(null);
+      return undefined;
+    }
+    let cancelled = false;
+    fetchLeadTimeline(leadId).then((payload) => {
+      if (!cancelled) {
+        setLeadMessages(payload?.timeline || null);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [unifiedTimeline, leadId, conversationDetail]);
+
+  useEffect(() => {
+    const nextQuery = searchDraft.trim();
+    if (nextQuery === (inboxSearchQuery || "")) {
+      return undefined;
+    }
+    const timer = setTimeout(() => setInboxSearchQuery(nextQuery), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchDraft, inboxSearchQuery]);
 
   useEffect(() => {
     if (inboxPage > inboxPageCount) {
@@ -81,6 +165,25 @@ export function InboxPanel() {
     setMobileShowDetail(true);
   }
 
+  async function handleLoadMore() {
+    if (loadingMore || !inboxNextCursor) {
+      return;
+    }
+    setLoadingMore(true);
+    try {
+      await loadMoreInbox();
+    } finally {
+      setLoadingMore(false);
+    }
+  }
+
+  function handleCardListScroll(event) {
+    const { scrollTop, clientHeight, scrollHeight } = event.currentTarget;
+    if (inboxPage >= inboxPageCount && scrollHeight - scrollTop - clientHeight < LOAD_MORE_THRESHOLD_PX) {
+      handleLoadMore();
+    }
+  }
+
   async function handleRefreshInbox() {
     setIsRefreshing(true);
     try {
@@ -101,6 +204,17 @@ export function InboxPanel() {
         )}>
           {/* Thread list header */}
           <div className="space-y-2 px-2 py-3">
+            <div className="relative">
+              <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+              <Input
+                type="search"
+                value={searchDraft}
+                onChange={(event) => setSearchDraft(event.target.value)}
+                placeholder="Search messages, leads, units"
+                aria-label="Search conversations"
+                className="pl-9"
+              />
+            </div>
             <Select value={selectedInboxStatus} onValueChange={setSelectedInboxStatus}>
               <SelectTrigger className="w-full">
                 <SelectValue />
@@ -134,6 +248,9 @@ export function InboxPanel() {
             </div>
           </div>
 
+          <InboxFilterBar />
+          <MentionsMenu onSelectConversation={handleSelectConversation} />
+
           <div className="flex flex-wrap items-center gap-2 px-2 pb-2 text-xs text-muted-foreground">
             <span className="rounded-md bg-muted px-2 py-1">
               Human required: <span className="font-semibold text-foreground">{humanRequiredQueue.length}</span>
@@ -144,7 +261,7 @@ export function InboxPanel() {
           </div>
 
           {/* Thread list */}
-          <div className="flex-1 overflow-y-auto px-2" data-testid="inbox-card-list">
+          <div className="flex-1 overflow-y-auto px-2" data-testid="inbox-card-list" onScroll={handleCardListScroll}>
             {inboxLoading && inboxItems.length === 0 ? (
               <InboxListSkeleton />
             ) : null}
@@ -194,11 +311,31 @@ export function InboxPanel() {
                   <span className="truncate">{item.unit || "No unit"}</span>
                   <span className="shrink-0">{item.latestSentAtText || formatTimestamp(item.lastMessageAt)}</span>
                 </div>
+                {item.tags?.length > 0 ? (
+                  <span className="mt-1 flex flex-wrap gap-1">
+                    {item.tags.map((tag) => (
+                      <TagChip key={tag.id} tag={tag} className="px-1.5 text-[10px]" />
+                    ))}
+                  </span>
+                ) : null}
+                {item.counts?.deferredCount > 0 ? (
+                  <span className={cn(
+                    "mt-1 block text-[11px] font-medium",
+                    selectedConversationId === item.id ? "text-primary-foreground/70" : "text-amber-500"
+                  )}>
+                    {item.counts.deferredCount} deferred until {formatTimestamp(item.nextDeferredUntil)}
+                  </span>
+                ) : null}
                 <span className={cn(
                   "mt-1 line-clamp-1 text-xs",
                   selectedConversationId === item.id ? "text-primary-foreground/50" : "text-muted-foreground/70"
                 )}>
-                  {item.latestMessage
+                  {item.searchMatch?.snippet || item.searchMatch?.label ? (
+                    <HighlightedText
+                      text={item.searchMatch.snippet || item.searchMatch.label}
+                      active={selectedConversationId === item.id}
+                    />
+                  ) : item.latestMessage
                     ? item.latestDirection === "outbound"
                       ? `You: ${item.latestMessage}`
                       : item.latestMessage
@@ -209,9 +346,22 @@ export function InboxPanel() {
             {!inboxLoading && inboxItems.length === 0 ? (
               <div className="flex flex-col items-center justify-center py-16 text-muted-foreground">
                 <MessageSquare className="mb-2 h-8 w-8 opacity-30" />
-                <p className="text-sm">No conversations</p>
+                <p className="text-sm">{inboxSearchQuery ? "No conversations match your search" : "No conversations"}</p>
               </div>
             ) : null}
+            {inboxNextCursor && inboxPage >= inboxPageCount ? (
+              <Button
+                type="button"
+                variant="ghost"
+                size="sm"
+                className="mb-2 w-full text-muted-foreground"
+                disabled={loadingMore}
+                onClick={handleLoadMore}
+                data-testid="inbox-load-more"
+              >
+                {loadingMore ? "Loading..." : "Load more conversations"}
+              </Button>
+            ) : null}
           </div>
 
           {/* Pagination */}
@@ -281,6 +431,18 @@ export function InboxPanel() {
                     {conversationDetail.conversation.platform ? (
                       <span className="uppercase tracking-wide">{conversationDetail.conversation.platform}</span>
                     ) : null}
+                    {conversationDetail.conversation.qualificationStatus && conversationDetail.conversation.qualificationStatus !== "unknown" ? (
+                      <span
+                        className={cn(
+                          "rounded px-1.5 py-0.5 font-medium capitalize",
+                          conversationDetail.conversation.qualificationStatus === "qualified"
+                            ? "bg-emerald-500/15 text-emerald-300"
+                            : "bg-destructive/10 text-destructive-text"
+                        )}
+                      >
+                        {conversationDetail.conversation.qualificationStatus}
+                      </span>
+                    ) : null}
                     {conversationDetail.templateContext?.slot ? (
                       <span>Slot: {conversationDetail.templateContext.slot}</span>
                     ) : null}
@@ -291,15 +453,34 @@ export function InboxPanel() {
                 ) : null}
               </div>
 
+              <LeadProfileStrip
+                templateContext={conversationDetail.templateContext}
+                conversation={conversationDetail.conversation}
+              />
+              <ConversationTagPicker
+                conversationId={conversationDetail.conversation.id}
+                tags={conversationDetail.conversation.tags}
+              />
+              <LeadLinksStrip
+                conversationId={conversationDetail.conversation.id}
+                lead={conversationDetail.lead}
+                unified={unifiedTimeline}
+                onToggleUnified={() => setUnifiedTimeline((current) => !current)}
+                onSelectConversation={handleSelectConversation}
+              />
+
               {/* Messages */}
               <div className="flex-1 overflow-y-auto px-4 py-6 md:px-6">
                 <div className="mx-auto max-w-2xl space-y-4">
-                  {(conversationDetail.messages || []).length === 0 ? (
+                  {timeline.length === 0 ? (
                     <p className="py-12 text-center text-sm text-muted-foreground">
                       No messages in this thread.
                     </p>
                   ) : null}
-                  {(conversationDetail.messages || []).map((item) => {
+                  {timeline.map(({ kind, item }) => {
+                    if (kind === "note") {
+                      return <NoteBubble key={`note-${item.id}`} note={item} />;
+                    }
                     const isOutbound = item.direction === "outbound";
                     return (
                       <div
@@ -319,8 +500,15 @@ export function InboxPanel() {
                             "mt-2 flex items-center justify-between gap-4 text-[11px]",
                             isOutbound ? "text-primary-foreground/60" : "text-muted-foreground"
                           )}>
-                            <span>{formatTimestamp(item.sentAt || item.createdAt)}</span>
-                            <span className="font-medium capitalize">{item.status}</span>
+                            <span>
+                              {unifiedTimeline && item.platform ? <span className="uppercase tracking-wide">{item.platform} · </span> : null}
+                              {formatTimestamp(item.sentAt || item.createdAt)}
+                            </span>
+                            <span className="font-medium capitalize">
+                              {item.status === "deferred" && item.metadata?.deferredUntil
+                                ? `Deferred until ${formatTimestamp(item.metadata.deferredUntil)}`
+                                : item.status}
+                            </span>
                           </div>
                           {isOutbound && (item.status === "draft" || item.status === "hold") ? (
                             <div className="mt-3 flex gap-2">
@@ -363,20 +551,44 @@ export function InboxPanel() {
 
               {/* Compose */}
               <div className="border-t border-dashed border-border bg-card px-4 py-4 md:px-6">
-                <form onSubmit={createDraft} className="mx-auto max-w-2xl space-y-3">
-                  <div className="flex items-end gap-3">
-                    <Textarea
-                      rows={2}
-                      placeholder="Type your message..."
-                      value={draftForm.body}
-                      onChange={(e) => setDraftForm((c) => ({ ...c, body: e.target.value }))}
-                      className="min-h-[3rem] flex-1 resize-none text-sm"
-                    />
-                    <Button type="submit" size="icon" className="h-10 w-10 shrink-0">
-                      <Send className="h-4 w-4" />
-                    </Button>
+                <div className="mx-auto max-w-2xl space-y-3">
+                  <div className="flex gap-1 text-xs">
+                    {[["reply", "Reply"], ["note", "Internal note"]].map(([mode, label]) => (
+                      <button
+                        key={mode}
+                        type="button"
+                        aria-pressed={composerMode === mode}
+                        onClick={() => setComposerMode(mode)}
+                        className={cn(
+                          "rounded-md px-2.5 py-1 font-medium transition-colors",
+                          composerMode === mode
+                            ? mode === "note" ? "bg-amber-500/15 text-amber-700" : "bg-muted text-foreground"
+                            : "text-muted-foreground hover:text-foreground"
+                        )}
+                      >
+                        {label}
+                      </button>
+                    ))}
                   </div>
-                </form>
+                  {composerMode === "note" ? (
+                    <NoteComposer conversationId={conversationDetail.conversation.id} />
+                  ) : (
+                    <form onSubmit={createDraft} className="space-y-3">
+                      <div className="flex items-end gap-3">
+                        <Textarea
+                          rows={2}
+                          placeholder="Type your message..."
+                          value={draftForm.body}
+                          onChange={(e) => setDraftForm((c) => ({ ...c, body: e.target.value }))}
+                          className="min-h-[3rem] flex-1 resize-none text-sm"
+                        />
+                        <Button type="submit" size="icon" className="h-10 w-10 shrink-0">
+                          <Send className="h-4 w-4" />
+                        </Button>
+                      </div>
+                    </form>
+                  )}
+                </div>
               </div>
             </>
           ) : (
@@ -391,6 +603,32 @@ export function InboxPanel() {
   );
 }
 
+function LeadProfileStrip({ templateContext, conversation }) {
+  const items = LEAD_PROFILE_LABELS.filter(({ key }) => templateContext?.[key]);
+  const prescreenRemaining = conversation?.workflowState === "prescreening"
+    ? (conversation.prescreen?.missingFields || []).length
+    : 0;
+  if (items.length === 0 && prescreenRemaining === 0) {
+    return null;
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-x-4 gap-y-1 border-b border-dashed border-border bg-muted/30 px-4 py-2 text-xs md:px-6">
+      <span className="font-medium text-muted-foreground">Lead profile</span>
+      {prescreenRemaining > 0 ? (
+        <span className="rounded bg-muted px-1.5 py-0.5 text-muted-foreground">
+          Pre-screening: {prescreenRemaining} {prescreenRemaining === 1 ? "question" : "questions"} left
+        </span>
+      ) : null}
+      {items.map(({ key, label }) => (
+        <span key={key}>
+          <span className="text-muted-foreground">{label}:</span> {templateContext[key]}
+        </span>
+      ))}
+    </div>
+  );
+}
+
 function InboxListSkeleton() {
   return (
     <div className="space-y-2 py-1">
@@ -1,6 +1,6 @@
 // @vitest-environment jsdom
 import { beforeEach, describe, expect, it, vi } from "vitest";
-import { render, screen } from "@testing-library/react";
+import { fireEvent, render, screen, within } from "@testing-library/react";
 import userEvent from "@testing-library/user-event";
 
 const mockLeaseBot = vi.hoisted(() => ({
@@ -10,6 +10,11 @@ const mockLeaseBot = vi.hoisted(() => ({
   setSelectedInboxStatus: vi.fn(),
   selectedInboxPlatform: "all",
   setSelectedInboxPlatform: vi.fn(),
+  inboxSearchQuery: "",
+  setInboxSearchQuery: vi.fn(),
+  inboxSearch: null,
+  inboxNextCursor: null,
+  loadMoreInbox: vi.fn(async () => {}),
   selectedConversationId: "",
   setSelectedConversationId: vi.fn(),
   conversationDetail: null,
@@ -22,10 +27,44 @@ const mockLeaseBot = vi.hoisted(() => ({
   approveMessage: vi.fn(async () => ({})),
   rejectMessage: vi.fn(async () => ({})),
   refreshInbox: vi.fn(async () => ({})),
-  appointments: []
+  appointments: [],
+  agents: [],
+  units: [],
+  listings: [],
+  inboxFilters: null,
+  setInboxFilters: vi.fn(),
+  inboxTags: [],
+  inboxSavedViews: [],
+  createInboxTag: vi.fn(async () => ({})),
+  deleteInboxTag: vi.fn(async () => true),
+  updateConversationTags: vi.fn(async () => []),
+  saveInboxView: vi.fn(async () => ({})),
+  deleteInboxView: vi.fn(async () => true),
+  applyInboxView: vi.fn(),
+  user: { id: "admin-1", role: "admin" },
+  adminUsers: [],
+  mentions: { items: [], unreadCount: 0 },
+  createConversationNote: vi.fn(async () => ({ id: "note-1" })),
+  markMentionsRead: vi.fn(async () => {}),
+  fetchLeadTimeline: vi.fn(async () => null),
+  mergeLeadConversations: vi.fn(async () => ({})),
+  unmergeLeadConversation: vi.fn(async () => ({}))
+}));
+
+const emptyInboxFilters = vi.hoisted(() => ({
+  workflowState: [],
+  showingState: [],
+  followUpDue: "",
+  assignedAgentId: "",
+  unitId: "",
+  listingId: "",
+  tagId: [],
+  fromDate: "",
+  toDate: ""
 }));
 
 vi.mock("../state/lease-bot-context", () => ({
+  emptyInboxFilters,
   useLeaseBot: () => mockLeaseBot
 }));
 
@@ -71,6 +110,13 @@ describe("InboxPanel workboard", () => {
     vi.clearAllMocks();
     mockLeaseBot.inboxItems = buildInboxItems();
     mockLeaseBot.selectedInboxStatus = "all";
+    mockLeaseBot.inboxSearchQuery = "";
+    mockLeaseBot.inboxSearch = null;
+    mockLeaseBot.inboxNextCursor = null;
+    mockLeaseBot.inboxFilters = emptyInboxFilters;
+    mockLeaseBot.inboxTags = [];
+    mockLeaseBot.adminUsers = [];
+    mockLeaseBot.mentions = { items: [], unreadCount: 0 };
     mockLeaseBot.selectedConversationId = "11111111-1111-4111-8111-111111111111";
     mockLeaseBot.appointments = [
       { id: "a1", startsAt: `${new Date().toISOString().slice(0, 10)}T10:00:00.000Z` },
@@ -182,4 +228,152 @@ describe("InboxPanel workboard", () => {
     await user.click(approveButtons[0]);
     expect(mockLeaseBot.approveMessage).toHaveBeenCalledWith("bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb");
   });
+
+  it("searches after typing and highlights matched snippets without rendering HTML", async () => {
+    mockLeaseBot.inboxSearchQuery = "parking";
+    mockLeaseBot.inboxSearch = { q: "parking" };
+    mockLeaseBot.inboxNextCursor = "next-page-cursor";
+    mockLeaseBot.inboxItems = [
+      {
+        ...buildInboxItems()[0],
+        searchMatch: {
+          messageId: "aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa",
+          snippet: "Is there <mark>parking</mark> near <b>the</b> building?",
+          label: null
+        }
+      }
+    ];
+
+    const { container } = render(<InboxPanel />);
+    expect(container.querySelector("mark")?.textContent).toBe("parking");
+    expect(container.querySelector("b")).toBeNull();
+
+    const user = userEvent.setup();
+    const panel = within(container);
+    await user.click(panel.getByTestId("inbox-load-more"));
+    expect(mockLeaseBot.loadMoreInbox).toHaveBeenCalledTimes(1);
+
+    await user.clear(panel.getByLabelText("Search conversations"));
+    await user.type(panel.getByLabelText("Search conversations"), "deposit");
+    await vi.waitFor(() => expect(mockLeaseBot.setInboxSearchQuery).toHaveBeenLastCalledWith("deposit"));
+  });
+
+  it("shows conversation tags and narrows the inbox from the filter bar", async () => {
+    const vipTag = { id: "dddddddd-dddd-4ddd-8ddd-dddddddddddd", name: "VIP", color: "amber", conversationCount: 1 };
+    mockLeaseBot.inboxTags = [vipTag];
+    mockLeaseBot.inboxItems = [{ ...buildInboxItems()[0], tags: [vipTag] }];
+
+    const { container } = render(<InboxPanel />);
+    const panel = within(container);
+    expect(panel.getByTestId("inbox-row").textContent).toContain("VIP");
+
+    const user = userEvent.setup();
+    await user.click(panel.getByRole("button", { name: "Filters" }));
+    await user.click(panel.getByRole("button", { name: "Follow-up 1" }));
+    const update = mockLeaseBot.setInboxFilters.mock.calls.at(-1)[0];
+    expect(update(emptyInboxFilters)).toEqual({ ...emptyInboxFilters, workflowState: ["follow_up_1"] });
+
+    await user.click(panel.getByRole("button", { name: "VIP · 1" }));
+    const tagUpdate = mockLeaseBot.setInboxFilters.mock.calls.at(-1)[0];
+    expect(tagUpdate(emptyInboxFilters).tagId).toEqual([vipTag.id]);
+  });
+
+  it("renders internal notes inline and posts new notes with mentions", async () => {
+    mockLeaseBot.adminUsers = [
+      { id: "admin-1", fullName: "Current Admin" },
+      { id: "admin-2", fullName: "Dana Ops" }
+    ];
+    mockLeaseBot.conversationDetail = {
+      ...mockLeaseBot.conversationDetail,
+      messages: [
+        { id: "m1", direction: "inbound", status: "new", body: "First question", sentAt: "2026-02-08T12:00:00.000Z" },
+        { id: "m2", direction: "inbound", status: "new", body: "Second question", sentAt: "2026-02-08T12:10:00.000Z" }
+      ],
+      notes: [
+        {
+          id: "n1",
+          body: "Called them, prefers evenings",
+          authorName: "Current Admin",
+          mentions: [{ userId: "admin-2", name: "Dana Ops", readAt: null }],
+          createdAt: "2026-02-08T12:05:00.000Z"
+        }
+      ]
+    };
+
+    const { container } = render(<InboxPanel />);
+    const panel = within(container);
+    const note = panel.getByTestId("conversation-note");
+    expect(note.textContent).toContain("Internal note");
+    expect(note.textContent).toContain("@Dana Ops");
+    const timelineText = container.textContent;
+    expect(timelineText.indexOf("First question")).toBeLessThan(timelineText.indexOf("Called them"));
+    expect(timelineText.indexOf("Called them")).toBeLessThan(timelineText.indexOf("Second question"));
+
+    const user = userEvent.setup();
+    await user.click(panel.getByRole("button", { name: "Internal note" }));
+    expect(panel.queryByRole("button", { name: "Current Admin" })).toBeNull();
+    await user.type(panel.getByLabelText("Internal note"), "Please follow up");
+    await user.click(panel.getByRole("button", { name: "Dana Ops" }));
+    await user.click(panel.getByRole("button", { name: "Add note" }));
+    expect(mockLeaseBot.createConversationNote).toHaveBeenCalledWith(
+      "11111111-1111-4111-8111-111111111111",
+      "Please follow up @Dana Ops",
+      ["admin-2"]
+    );
+  });
+
+  it("shows showings booked on another platform and the unified lead timeline", async () => {
+    mockLeaseBot.conversationDetail = {
+      ...mockLeaseBot.conversationDetail,
+      messages: [{ id: "m2", direction: "inbound", status: "new", body: "Roomies hello", sentAt: "2026-02-08T12:10:00.000Z" }],
+      lead: {
+        id: "eeeeeeee-eeee-4eee-8eee-eeeeeeeeeeee",
+        conversations: [
+          { id: "44444444-4444-4444-8444-444444444444", platform: "spareroom", leadName: "Hold Lead", unit: "Atlas 4B" },
+          { id: "11111111-1111-4111-8111-111111111111", platform: "roomies", leadName: "Hold Lead", unit: "Atlas 4B" }
+        ],
+        showings: [
+          {
+            id: "s1",
+            conversationId: "44444444-4444-4444-8444-444444444444",
+            platform: "spareroom",
+            unit: "Atlas 4B",
+            startsAt: "2026-02-10T15:00:00.000Z",
+            status: "confirmed"
+          }
+        ]
+      }
+    };
+    mockLeaseBot.fetchLeadTimeline.mockResolvedValue({
+      timeline: [
+        { id: "m1", direction: "inbound", status: "new", body: "SpareRoom hello", platform: "spareroom", sentAt: "2026-02-08T12:00:00.000Z" },
+        { id: "m2", direction: "inbound", status: "new", body: "Roomies hello", platform: "roomies", sentAt: "2026-02-08T12:10:00.000Z" }
+      ]
+    });
+
+    const { container } = render(<InboxPanel />);
+    const panel = within(container);
+    const strip = panel.getByTestId("lead-links");
+    expect(strip.textContent).toContain("via spareroom");
+    expect(panel.queryByText("SpareRoom hello")).toBeNull();
+
+    const user = userEvent.setup();
+    await user.click(panel.getByRole("button", { name: "Unified timeline" }));
+    expect(mockLeaseBot.fetchLeadTimeline).toHaveBeenCalledWith("eeeeeeee-eeee-4eee-8eee-eeeeeeeeeeee");
+    await vi.waitFor(() => expect(panel.getByText("SpareRoom hello")).toBeTruthy());
+
+    await user.click(panel.getByRole("button", { name: "Unlink" }));
+    expect(mockLeaseBot.unmergeLeadConversation).toHaveBeenCalledWith("11111111-1111-4111-8111-111111111111");
+
+    await user.click(panel.getByRole("button", { name: /spareroom Hold Lead/i }));
+    expect(mockLeaseBot.setSelectedConversationId).toHaveBeenCalledWith("44444444-4444-4444-8444-444444444444");
+  });
+
+  it("requests the next page when the card list is scrolled to the bottom", async () => {
+    mockLeaseBot.inboxNextCursor = "next-page-cursor";
+
+    const { container } = render(<InboxPanel />);
+    fireEvent.scroll(within(container).getByTestId("inbox-card-list"));
+    await vi.waitFor(() => expect(mockLeaseBot.loadMoreInbox).toHaveBeenCalledTimes(1));
+  });
 });
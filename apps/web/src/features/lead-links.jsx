@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { CalendarClock, Link2, Unlink } from "lucide-react";
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "../components/ui/select";
+import { cn, formatTimestamp } from "../lib/utils";
+import { useLeaseBot } from "../state/lease-bot-context";
+
+// Other threads from the same renter and the showings booked on any of them, shown above the open
+// conversation so a showing booked on one platform is not missed when the lead writes on another.
+export function LeadLinksStrip({ conversationId, lead, unified, onToggleUnified, onSelectConversation }) {
+  const { inboxItems, mergeLeadConversations, unmergeLeadConversation } = useLeaseBot();
+  const [busy, setBusy] = useState(false);
+  if (!lead) {
+    return null;
+  }
+
+  const linkedConversations = lead.conversations.filter((conversation) => conversation.id !== conversationId);
+  const leadConversationIds = new Set(lead.conversations.map((conversation) => conversation.id));
+  const linkCandidates = inboxItems.filter((item) => !leadConversationIds.has(item.id));
+  const activeShowings = lead.showings.filter((showing) => showing.status !== "cancelled");
+
+  async function handleLink(otherConversationId) {
+    setBusy(true);
+    try {
+      await mergeLeadConversations([conversationId, otherConversationId]);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleUnlink() {
+    setBusy(true);
+    try {
+      await unmergeLeadConversation(conversationId);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="space-y-1.5 border-b border-dashed border-border px-4 py-2 text-xs md:px-6" data-testid="lead-links">
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="font-medium text-muted-foreground">Same lead</span>
+        {linkedConversations.length === 0 ? (
+          <span className="text-muted-foreground">No other conversations</span>
+        ) : null}
+        {linkedConversations.map((conversation) => (
+          <button
+            key={conversation.id}
+            type="button"
+            onClick={() => onSelectConversation(conversation.id)}
+            className="rounded-full bg-muted px-2 py-0.5 font-medium text-foreground transition-colors hover:bg-accent"
+          >
+            <span className="uppercase tracking-wide text-muted-foreground">{conversation.platform}</span>
+            {" "}
+            {conversation.leadName || "Unknown lead"}
+            {conversation.unit ? ` · ${conversation.unit}` : ""}
+          </button>
+        ))}
+        <div className="ml-auto flex items-center gap-2">
+          {linkedConversations.length > 0 ? (
+            <>
+              <button
+                type="button"
+                aria-pressed={unified}
+                onClick={onToggleUnified}
+                className={cn(
+                  "rounded-md px-2 py-0.5 font-medium transition-colors",
+                  unified ? "bg-primary text-primary-foreground" : "bg-muted text-muted-foreground hover:bg-accent hover:text-foreground"
+                )}
+              >
+                Unified timeline
+              </button>
+              <button
+                type="button"
+                disabled={busy}
+                onClick={handleUnlink}
+                className="inline-flex items-center gap-1 rounded-md px-2 py-0.5 text-muted-foreground transition-colors hover:bg-accent hover:text-foreground disabled:opacity-50"
+              >
+                <Unlink className="h-3 w-3" />
+                Unlink
+              </button>
+            </>
+          ) : null}
+          {linkCandidates.length > 0 ? (
+            <Select value="" onValueChange={handleLink} disabled={busy}>
+              <SelectTrigger className="h-7 w-auto gap-1 px-2 text-xs" aria-label="Link conversation">
+                <Link2 className="h-3 w-3" />
+                <SelectValue placeholder="Link conversation" />
+              </SelectTrigger>
+              <SelectContent>
+                {linkCandidates.map((item) => (
+                  <SelectItem key={item.id} value={item.id}>
+                    {item.leadName || item.externalThreadId || "Unknown lead"}
+                    {item.platform ? ` (${item.platform})` : ""}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          ) : null}
+        </div>
+      </div>
+      {activeShowings.length > 0 ? (
+        <div className="flex flex-wrap items-center gap-2">
+          <CalendarClock className="h-3 w-3 text-muted-foreground" />
+          {activeShowings.map((showing) => (
+            <span key={showing.id} className="rounded bg-muted px-1.5 py-0.5">
+              {formatTimestamp(showing.startsAt)} · {showing.unit} · <span className="capitalize">{showing.status}</span>
+              {showing.conversationId !== conversationId ? (
+                <span className="text-muted-foreground"> via {showing.platform}</span>
+              ) : null}
+            </span>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
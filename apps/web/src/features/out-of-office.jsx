@@ -0,0 +1,182 @@
+import { useState } from "react";
+import { CalendarOff, Plus } from "lucide-react";
+import { Badge } from "../components/ui/badge";
+import { Button } from "../components/ui/button";
+import { Input } from "../components/ui/input";
+import { Label } from "../components/ui/label";
+import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "../components/ui/select";
+import { formatTimestamp } from "../lib/utils";
+import { useLeaseBot } from "../state/lease-bot-context";
+
+const emptyForm = { agentId: "", delegateAgentId: "", startsAt: "", endsAt: "", notes: "" };
+
+const statusClassNames = {
+  scheduled: "bg-sky-500/15 text-sky-300",
+  active: "bg-amber-500/15 text-amber-300",
+  ended: "bg-muted text-muted-foreground",
+  cancelled: "bg-muted text-muted-foreground"
+};
+
+// "Covering for Dana until Mar 4" for units whose assignee is a delegate; null otherwise.
+export function describeOutOfOfficeCover(unit, agentById) {
+  if (!unit?.outOfOffice) {
+    return null;
+  }
+  const absentName = agentById.get(unit.outOfOffice.agentId) || "Unknown agent";
+  return `Covering for ${absentName} until ${formatTimestamp(unit.outOfOffice.endsAt)}`;
+}
+
+function AgentSelect({ label, value, agents, onChange }) {
+  return (
+    <div>
+      <Label className="text-xs text-muted-foreground">{label}</Label>
+      <Select value={value || "__none__"} onValueChange={(v) => onChange(v === "__none__" ? "" : v)}>
+        <SelectTrigger className="mt-1.5" aria-label={label}>
+          <SelectValue placeholder={`Select ${label.toLowerCase()}`} />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="__none__">Select {label.toLowerCase()}</SelectItem>
+          {agents.map((agent) => (
+            <SelectItem key={agent.id} value={agent.id}>
+              {agent.fullName}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+}
+
+export function OutOfOfficeSection() {
+  const { agents, outOfOfficeRecords, createOutOfOffice, endOutOfOffice } = useLeaseBot();
+  const [form, setForm] = useState(emptyForm);
+  const [busy, setBusy] = useState(false);
+
+  const canSubmit = form.agentId
+    && form.delegateAgentId
+    && form.agentId !== form.delegateAgentId
+    && form.startsAt
+    && form.endsAt
+    && !busy;
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    if (!canSubmit) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const created = await createOutOfOffice({
+        agentId: form.agentId,
+        delegateAgentId: form.delegateAgentId,
+        startsAt: new Date(form.startsAt).toISOString(),
+        endsAt: new Date(form.endsAt).toISOString(),
+        notes: form.notes || null
+      });
+      if (created) {
+        setForm(emptyForm);
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function handleEnd(outOfOfficeId) {
+    setBusy(true);
+    try {
+      await endOutOfOffice(outOfOfficeId);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div data-testid="out-of-office">
+      <h2 className="text-sm font-semibold">Out of office</h2>
+      <p className="mt-1 text-xs text-muted-foreground">
+        The delegate takes over the agent's units, open conversations and upcoming showings for the range; they go back when it ends.
+      </p>
+      <form onSubmit={handleSubmit} className="mt-4 grid gap-3 rounded-lg bg-card p-4 shadow-card sm:grid-cols-2 xl:grid-cols-5">
+        <AgentSelect
+          label="Agent"
+          value={form.agentId}
+          agents={agents}
+          onChange={(agentId) => setForm((current) => ({ ...current, agentId }))}
+        />
+        <AgentSelect
+          label="Delegate"
+          value={form.delegateAgentId}
+          agents={agents.filter((agent) => agent.id !== form.agentId)}
+          onChange={(delegateAgentId) => setForm((current) => ({ ...current, delegateAgentId }))}
+        />
+        <div>
+          <Label htmlFor="out-of-office-starts-at" className="text-xs text-muted-foreground">From</Label>
+          <Input
+            id="out-of-office-starts-at"
+            type="datetime-local"
+            value={form.startsAt}
+            onChange={(event) => setForm((current) => ({ ...current, startsAt: event.target.value }))}
+            className="mt-1.5"
+          />
+        </div>
+        <div>
+          <Label htmlFor="out-of-office-ends-at" className="text-xs text-muted-foreground">Until</Label>
+          <Input
+            id="out-of-office-ends-at"
+            type="datetime-local"
+            value={form.endsAt}
+            onChange={(event) => setForm((current) => ({ ...current, endsAt: event.target.value }))}
+            className="mt-1.5"
+          />
+        </div>
+        <div className="flex items-end gap-2">
+          <Input
+            value={form.notes}
+            onChange={(event) => setForm((current) => ({ ...current, notes: event.target.value }))}
+            placeholder="Notes"
+            aria-label="Out of office notes"
+            maxLength={1000}
+          />
+          <Button type="submit" size="sm" disabled={!canSubmit}>
+            <Plus className="mr-1.5 h-3.5 w-3.5" />
+            Add
+          </Button>
+        </div>
+      </form>
+
+      {outOfOfficeRecords.length > 0 ? (
+        <ul className="mt-3 space-y-2">
+          {outOfOfficeRecords.map((record) => (
+            <li key={record.id} className="flex flex-wrap items-center gap-2 rounded-md border border-border px-3 py-2 text-sm">
+              <CalendarOff className="h-4 w-4 text-muted-foreground" />
+              <span className="font-medium">{record.agentName}</span>
+              <span className="text-muted-foreground">→ {record.delegateAgentName}</span>
+              <span className="text-xs text-muted-foreground">
+                {formatTimestamp(record.startsAt)} – {formatTimestamp(record.endsAt)}
+              </span>
+              <Badge className={statusClassNames[record.status]}>{record.status}</Badge>
+              {record.status === "active" ? (
+                <span className="text-xs text-muted-foreground">
+                  {record.reassignedConversations} conversations · {record.reassignedShowings} showings reassigned
+                </span>
+              ) : null}
+              {record.notes ? <span className="text-xs text-muted-foreground">{record.notes}</span> : null}
+              {record.status === "scheduled" || record.status === "active" ? (
+                <Button
+                  type="button"
+                  size="sm"
+                  variant="outline"
+                  className="ml-auto"
+                  disabled={busy}
+                  onClick={() => handleEnd(record.id)}
+                >
+                  {record.status === "active" ? "End now" : "Cancel"}
+                </Button>
+              ) : null}
+            </li>
+          ))}
+        </ul>
+      ) : null}
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
-import { RefreshCw, Zap, AlertTriangle } from "lucide-react";
+import { RefreshCw, Zap, AlertTriangle, Server } from "lucide-react";
+import { Input } from "../components/ui/input";
 import { Label } from "../components/ui/label";
 import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from "../components/ui/select";
 import { Switch } from "../components/ui/switch";
@@ -7,17 +8,52 @@ import { useLeaseBot } from "../state/lease-bot-context";
 import { useMemo, useState } from "react";
 import { cn } from "../lib/utils";
 
+// Mirrors ROUTING_STRATEGIES in packages/integrations; unavailable agents are skipped by every strategy.
+const routingStrategyOptions = [
+  { value: "priority", label: "Assignment priority" },
+  { value: "round_robin", label: "Round robin" },
+  { value: "least_open_conversations", label: "Fewest open conversations" },
+  { value: "least_upcoming_showings", label: "Fewest upcoming showings" }
+];
+
 function formatHealthTimestamp(value) {
   if (!value) return "n/a";
   return formatTimestamp(value);
 }
 
+// null inherits the server-wide provider list; an empty list pins the account to the heuristic.
+function formatProviderOrder(order) {
+  if (!Array.isArray(order)) return "";
+  return order.length === 0 ? "heuristic" : order.join(", ");
+}
+
+function parseProviderOrder(value) {
+  const entries = value
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+  if (entries.length === 0) return null;
+  return entries.filter((entry) => entry !== "heuristic");
+}
+
+// Edited in seconds; an empty field keeps each provider's server-side timeout.
+function formatProviderTimeout(timeoutMs) {
+  return Number.isInteger(timeoutMs) ? String(timeoutMs / 1000) : "";
+}
+
+function parseProviderTimeout(value) {
+  const seconds = Number(value.trim());
+  if (!value.trim() || !Number.isFinite(seconds) || seconds <= 0) return null;
+  return Math.round(seconds * 1000);
+}
+
 export function PlatformControlsPanel() {
   const {
     platformPolicies,
     platformHealth,
     globalPlatformSendMode,
     platformHealthGeneratedAt,
+    workerStatuses,
     refreshAdminPlatformData,
     updatePlatformPolicy,
   } = useLeaseBot();
@@ -28,6 +64,8 @@ export function PlatformControlsPanel() {
     () => new Map(platformHealth.map((item) => [item.id, item])),
     [platformHealth]
   );
+  const liveWorkers = useMemo(() => workerStatuses.filter((worker) => worker.isLive), [workerStatuses]);
+  const inactiveWorkerCount = workerStatuses.length - liveWorkers.length;
 
   async function savePolicy(platformAccountId, updates) {
     setSavingId(platformAccountId);
@@ -153,6 +191,62 @@ export function PlatformControlsPanel() {
                         </SelectContent>
                       </Select>
                     </div>
+                    <div className="flex flex-col items-start gap-2 rounded-md bg-muted px-4 py-3 sm:col-span-2 sm:flex-row sm:items-center">
+                      <Label className="shrink-0 text-sm">Conversation routing</Label>
+                      <Select
+                        value={item.routingStrategy || "priority"}
+                        disabled={isSaving}
+                        onValueChange={(v) => savePolicy(item.id, { routingStrategy: v })}
+                      >
+                        <SelectTrigger className="h-9 bg-card text-sm" aria-label={`${item.platform} conversation routing`}>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {routingStrategyOptions.map((option) => (
+                            <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div className="flex flex-col items-start gap-2 rounded-md bg-muted px-4 py-3 sm:col-span-2 sm:flex-row sm:items-center">
+                      <Label htmlFor={`platform-ai-providers-${item.id}`} className="shrink-0 text-sm">
+                        AI providers
+                      </Label>
+                      <Input
+                        id={`platform-ai-providers-${item.id}`}
+                        key={formatProviderOrder(item.aiProviderOrder)}
+                        defaultValue={formatProviderOrder(item.aiProviderOrder)}
+                        disabled={isSaving}
+                        placeholder="Inherit server default (e.g. local, openai, gemini)"
+                        className="h-9 bg-card text-sm"
+                        onBlur={(event) => {
+                          const nextOrder = parseProviderOrder(event.target.value);
+                          if (formatProviderOrder(nextOrder) !== formatProviderOrder(item.aiProviderOrder)) {
+                            savePolicy(item.id, { aiProviderOrder: nextOrder });
+                          }
+                        }}
+                      />
+                      <Label htmlFor={`platform-ai-timeout-${item.id}`} className="shrink-0 text-sm">
+                        Timeout (s)
+                      </Label>
+                      <Input
+                        id={`platform-ai-timeout-${item.id}`}
+                        key={`timeout-${formatProviderTimeout(item.aiProviderTimeoutMs)}`}
+                        type="number"
+                        min={1}
+                        max={120}
+                        defaultValue={formatProviderTimeout(item.aiProviderTimeoutMs)}
+                        disabled={isSaving}
+                        placeholder="Default"
+                        className="h-9 w-24 bg-card text-sm"
+                        onBlur={(event) => {
+                          const nextTimeoutMs = parseProviderTimeout(event.target.value);
+                          if (nextTimeoutMs !== (item.aiProviderTimeoutMs ?? null)) {
+                            savePolicy(item.id, { aiProviderTimeoutMs: nextTimeoutMs });
+                          }
+                        }}
+                      />
+                    </div>
                   </div>
 
                   {/* Health stats */}
@@ -195,6 +289,61 @@ export function PlatformControlsPanel() {
             );
           })}
         </div>
+
+        {/* Workers */}
+        <div className="space-y-4" data-testid="worker-status-list">
+          <div className="flex items-center justify-between text-xs text-muted-foreground">
+            <span className="font-medium">Workers</span>
+            {inactiveWorkerCount > 0 ? <span>{inactiveWorkerCount} stopped or stale in the last 24h</span> : null}
+          </div>
+
+          {liveWorkers.length === 0 ? (
+            <div className="rounded-lg bg-card px-4 py-12 text-center text-sm text-muted-foreground shadow-card">
+              No live workers.
+            </div>
+          ) : null}
+
+          {liveWorkers.map((worker) => (
+            <div key={worker.workerInstanceId} data-testid="worker-status-row" className="rounded-lg bg-card shadow-card">
+              <div className="flex flex-col gap-3 p-5 sm:flex-row sm:items-center sm:justify-between">
+                <div className="flex min-w-0 items-center gap-3">
+                  <div className="flex h-10 w-10 items-center justify-center rounded-md bg-primary/10">
+                    <Server className="h-4 w-4 text-primary" />
+                  </div>
+                  <div>
+                    <p className="truncate text-sm font-semibold">{worker.workerInstanceId}</p>
+                    <p className="truncate text-xs text-muted-foreground">
+                      {worker.hostname || "unknown host"}{worker.pid ? ` (pid ${worker.pid})` : ""} · heartbeat {formatHealthTimestamp(worker.lastHeartbeatAt)}
+                    </p>
+                  </div>
+                </div>
+                <span className={cn(
+                  "rounded-full px-3 py-1 text-[11px] font-medium",
+                  worker.status === "running"
+                    ? "bg-status-confirmed text-status-confirmed-foreground"
+                    : "bg-muted text-muted-foreground"
+                )}>
+                  {worker.status}
+                </span>
+              </div>
+
+              <div className="grid grid-cols-1 gap-1 px-3 pb-3 sm:grid-cols-2 xl:grid-cols-4">
+                {worker.tasks.map((taskName) => {
+                  const stats = worker.lastCycleStats?.[taskName];
+                  const failed = stats?.status === "failed";
+                  return (
+                    <div key={taskName} className={cn("rounded-md px-4 py-2.5", failed ? "bg-destructive/10" : "bg-muted")}>
+                      <p className="text-[11px] text-muted-foreground">{taskName}</p>
+                      <p className={cn("text-xs font-medium", failed && "text-destructive-text")}>
+                        {stats ? `${stats.status} · ${formatHealthTimestamp(stats.finishedAt)}` : "not run yet"}
+                      </p>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
       </div>
     </div>
   );
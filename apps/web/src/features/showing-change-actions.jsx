@@ -0,0 +1,40 @@
+import { useState } from "react";
+import { CalendarX2, RotateCcw } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { useLeaseBot } from "../state/lease-bot-context";
+
+const openStatuses = new Set(["pending", "confirmed", "reschedule_requested"]);
+
+// Asking to reschedule keeps the showing on hold and messages the lead with open slots to pick from.
+export function ShowingChangeActions({ appointment }) {
+  const { changeShowingAppointment } = useLeaseBot();
+  const [busy, setBusy] = useState(false);
+
+  if (!openStatuses.has(appointment.status)) {
+    return null;
+  }
+
+  async function handleChange(action) {
+    setBusy(true);
+    try {
+      await changeShowingAppointment(appointment.id, action);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mt-2 flex flex-wrap gap-1.5" data-testid="showing-change-actions">
+      {appointment.status !== "reschedule_requested" ? (
+        <Button type="button" size="sm" variant="outline" className="h-7 text-xs" disabled={busy} onClick={() => void handleChange("reschedule")}>
+          <RotateCcw className="mr-1 h-3 w-3" />
+          Ask to reschedule
+        </Button>
+      ) : null}
+      <Button type="button" size="sm" variant="ghost" className="h-7 text-xs text-destructive-text" disabled={busy} onClick={() => void handleChange("cancel")}>
+        <CalendarX2 className="mr-1 h-3 w-3" />
+        Cancel showing
+      </Button>
+    </div>
+  );
+}
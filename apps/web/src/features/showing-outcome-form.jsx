@@ -0,0 +1,85 @@
+import { useState } from "react";
+import { ClipboardCheck } from "lucide-react";
+import { Button } from "../components/ui/button";
+import { Textarea } from "../components/ui/textarea";
+import { cn } from "../lib/utils";
+import { useLeaseBot } from "../state/lease-bot-context";
+
+const interestLevels = [
+  { value: "high", label: "High" },
+  { value: "medium", label: "Medium" },
+  { value: "low", label: "Low" },
+  { value: "none", label: "None" }
+];
+
+function OptionButton({ active, onClick, children }) {
+  return (
+    <Button
+      type="button"
+      size="sm"
+      variant={active ? "default" : "outline"}
+      className={cn("h-7 text-xs", !active && "text-muted-foreground")}
+      aria-pressed={active}
+      onClick={onClick}
+    >
+      {children}
+    </Button>
+  );
+}
+
+// Interest only applies when the lead showed up; it decides between the application link and a re-engagement message.
+export function ShowingOutcomeForm({ appointment }) {
+  const { recordShowingOutcome } = useLeaseBot();
+  const [outcome, setOutcome] = useState("attended");
+  const [interestLevel, setInterestLevel] = useState("");
+  const [notes, setNotes] = useState("");
+  const [saving, setSaving] = useState(false);
+  const canSubmit = outcome === "no_show" || Boolean(interestLevel);
+
+  async function handleSubmit(event) {
+    event.preventDefault();
+    if (!canSubmit || saving) {
+      return;
+    }
+    setSaving(true);
+    try {
+      await recordShowingOutcome(appointment.id, {
+        outcome,
+        interestLevel: outcome === "attended" ? interestLevel : undefined,
+        notes: notes.trim() || undefined
+      });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-2 space-y-2" data-testid="showing-outcome-form">
+      <div className="flex flex-wrap gap-1.5">
+        <OptionButton active={outcome === "attended"} onClick={() => setOutcome("attended")}>Attended</OptionButton>
+        <OptionButton active={outcome === "no_show"} onClick={() => setOutcome("no_show")}>No-show</OptionButton>
+      </div>
+      {outcome === "attended" ? (
+        <div className="flex flex-wrap items-center gap-1.5">
+          <span className="text-[11px] text-muted-foreground">Interest</span>
+          {interestLevels.map((level) => (
+            <OptionButton key={level.value} active={interestLevel === level.value} onClick={() => setInterestLevel(level.value)}>
+              {level.label}
+            </OptionButton>
+          ))}
+        </div>
+      ) : null}
+      <Textarea
+        value={notes}
+        onChange={(event) => setNotes(event.target.value)}
+        placeholder="Notes (optional)"
+        maxLength={2000}
+        className="min-h-[60px] text-xs"
+      />
+      <Button type="submit" size="sm" className="h-7 text-xs" disabled={!canSubmit || saving}>
+        <ClipboardCheck className="mr-1 h-3 w-3" />
+        Record outcome
+      </Button>
+    </form>
+  );
+}
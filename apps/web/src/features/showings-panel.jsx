@@ -17,6 +17,7 @@ import { Button } from "../components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "../components/ui/select";
 import { cn } from "../lib/utils";
 import { useLeaseBot } from "../state/lease-bot-context";
+import { ShowingChangeActions } from "./showing-change-actions";
 
 const SHOWING_STATUS_OPTIONS = [
   { value: "all", label: "All statuses" },
@@ -72,7 +73,9 @@ export function ShowingsPanel() {
     listings,
     agents,
     appointments,
+    appointmentsNextCursor,
     refreshAppointments,
+    loadMoreAppointments,
   } = useLeaseBot();
 
   const [calendarMonth, setCalendarMonth] = useState(() => startOfMonth(new Date()));
@@ -185,6 +188,19 @@ export function ShowingsPanel() {
           <CalendarDays className="h-4 w-4" />
           <span>Calendar-driven showings</span>
           <span className="rounded-full bg-muted px-2 py-0.5 text-xs text-foreground">{visibleAppointments.length} events</span>
+          {appointmentsNextCursor ? (
+            <Button
+              type="button"
+              variant="ghost"
+              size="sm"
+              className="h-7 text-xs"
+              disabled={isRefreshing}
+              onClick={() => void loadMoreAppointments()}
+              data-testid="showings-load-more"
+            >
+              Load more events
+            </Button>
+          ) : null}
         </div>
 
         <div className="grid gap-2 md:grid-cols-4">
@@ -324,6 +340,7 @@ export function ShowingsPanel() {
                       <Clock3 className="h-3.5 w-3.5" />
                       <span>{item.localStart} - {item.localEnd}</span>
                     </div>
+                    <ShowingChangeActions appointment={item} />
                   </div>
                 ))}
               </div>
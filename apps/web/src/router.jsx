@@ -4,11 +4,13 @@ import { adminInboxRoute } from "./routes/admin-inbox-route";
 import { adminAssignmentsRoute } from "./routes/admin-assignments-route";
 import { adminShowingsRoute } from "./routes/admin-showings-route";
 import { adminPlatformRoute } from "./routes/admin-platform-route";
+import { adminGuardrailsRoute } from "./routes/admin-guardrails-route";
 import { adminUsersRoute } from "./routes/admin-users-route";
 import { agentRoute, agentIndexRoute } from "./routes/agent-route";
 import { agentInboxRoute } from "./routes/agent-inbox-route";
 import { agentAppointmentsRoute } from "./routes/agent-appointments-route";
 import { agentAvailabilityRoute } from "./routes/agent-availability-route";
+import { agentSettingsRoute } from "./routes/agent-settings-route";
 import { appLayoutRoute } from "./routes/app-layout-route";
 import { indexRoute } from "./routes/index-route";
 import { loginRoute } from "./routes/login-route";
@@ -26,6 +28,7 @@ const routeTree = rootRoute.addChildren([
       adminAssignmentsRoute,
       adminShowingsRoute,
       adminPlatformRoute,
+      adminGuardrailsRoute,
       adminUsersRoute,
     ]),
     agentRoute.addChildren([
@@ -33,6 +36,7 @@ const routeTree = rootRoute.addChildren([
       agentInboxRoute,
       agentAppointmentsRoute,
       agentAvailabilityRoute,
+      agentSettingsRoute,
     ]),
   ]),
 ]);
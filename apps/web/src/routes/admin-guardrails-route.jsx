@@ -0,0 +1,21 @@
+import { createRoute } from "@tanstack/react-router";
+import { Suspense, lazy } from "react";
+import { adminRoute } from "./admin-route";
+
+const GuardrailRulesPanel = lazy(() =>
+  import("../features/guardrail-rules-panel").then((module) => ({ default: module.GuardrailRulesPanel }))
+);
+
+function AdminGuardrailsPage() {
+  return (
+    <Suspense fallback={<div className="p-6 text-sm text-muted-foreground">Loading guardrail rules...</div>}>
+      <GuardrailRulesPanel />
+    </Suspense>
+  );
+}
+
+export const adminGuardrailsRoute = createRoute({
+  getParentRoute: () => adminRoute,
+  path: "/guardrails",
+  component: AdminGuardrailsPage
+});
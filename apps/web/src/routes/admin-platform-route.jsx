@@ -5,11 +5,15 @@ import { adminRoute } from "./admin-route";
 const PlatformControlsPanel = lazy(() =>
   import("../features/platform-controls-panel").then((module) => ({ default: module.PlatformControlsPanel }))
 );
+const DispatchDlqPanel = lazy(() =>
+  import("../features/dispatch-dlq-panel").then((module) => ({ default: module.DispatchDlqPanel }))
+);
 
 function AdminPlatformPage() {
   return (
     <Suspense fallback={<div className="p-6 text-sm text-muted-foreground">Loading platform controls...</div>}>
       <PlatformControlsPanel />
+      <DispatchDlqPanel />
     </Suspense>
   );
 }
@@ -0,0 +1,21 @@
+import { createRoute } from "@tanstack/react-router";
+import { Suspense, lazy } from "react";
+import { agentRoute } from "./agent-route";
+
+const CalendarFeedSettingsPanel = lazy(() =>
+  import("../features/calendar-feed-settings").then((module) => ({ default: module.CalendarFeedSettingsPanel }))
+);
+
+function AgentSettingsPage() {
+  return (
+    <Suspense fallback={<div className="p-6 text-sm text-muted-foreground">Loading settings...</div>}>
+      <CalendarFeedSettingsPanel />
+    </Suspense>
+  );
+}
+
+export const agentSettingsRoute = createRoute({
+  getParentRoute: () => agentRoute,
+  path: "/settings",
+  component: AgentSettingsPage,
+});
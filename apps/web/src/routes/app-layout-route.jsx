@@ -4,6 +4,7 @@ import {
   ArrowLeftRight,
   CalendarDays,
   Settings2,
+  ShieldAlert,
   UserRoundPlus,
   CalendarClock,
   Clock3,
@@ -26,11 +27,13 @@ const adminNav = [
   { to: "/admin/users", label: "Users", icon: UserRoundPlus },
   { to: "/admin/showings", label: "Showings", icon: CalendarDays },
   { to: "/admin/platform", label: "Platform", icon: Settings2 },
+  { to: "/admin/guardrails", label: "Guardrails", icon: ShieldAlert },
 ];
 
 const agentNav = [
   { to: "/agent/appointments", label: "My Showings", icon: CalendarClock },
   { to: "/agent/availability", label: "Availability", icon: Clock3 },
+  { to: "/agent/settings", label: "Settings", icon: Settings2 },
 ];
 
 function AppLayout() {
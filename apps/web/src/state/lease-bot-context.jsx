@@ -5,6 +5,20 @@ const apiBaseUrl = import.meta.env.VITE_API_BASE_URL || "http://localhost:3001";
 const defaultPlatformAccountId = "11111111-1111-1111-1111-111111111111";
 const inboxPollIntervalMs = Number(import.meta.env.VITE_INBOX_POLL_INTERVAL_MS || 15000);
 const inboxCacheTtlMs = Number(import.meta.env.VITE_INBOX_CACHE_TTL_MS || 10000);
+const inboxPageSize = 50;
+// Inbox criteria beyond status, platform and search; list entries become comma-separated params.
+export const emptyInboxFilters = {
+  workflowState: [],
+  showingState: [],
+  followUpDue: "",
+  assignedAgentId: "",
+  unitId: "",
+  listingId: "",
+  tagId: [],
+  fromDate: "",
+  toDate: ""
+};
+const appointmentsPageSize = 200;
 const conversationCacheTtlMs = Number(import.meta.env.VITE_CONVERSATION_CACHE_TTL_MS || 12000);
 const conversationThreadSyncRetryMs = Number(import.meta.env.VITE_CONVERSATION_THREAD_SYNC_RETRY_MS || 60000);
 const conversationThreadSyncSuccessCooldownMs = Number(import.meta.env.VITE_CONVERSATION_THREAD_SYNC_SUCCESS_COOLDOWN_MS || 300000);
@@ -12,6 +26,7 @@ const conversationPrefetchCount = Number(import.meta.env.VITE_CONVERSATION_PREFE
 const conversationPrefetchTtlMs = Number(import.meta.env.VITE_CONVERSATION_PREFETCH_TTL_MS || 45000);
 const listingsCacheTtlMs = Number(import.meta.env.VITE_LISTINGS_CACHE_TTL_MS || 180000);
 const listingsPollIntervalMs = Number(import.meta.env.VITE_LISTINGS_POLL_INTERVAL_MS || 180000);
+const inboxStreamDebounceMs = Number(import.meta.env.VITE_INBOX_STREAM_DEBOUNCE_MS || 400);
 
 function parseApiError(payload, fallback) {
   if (!payload || typeof payload !== "object") {
@@ -205,13 +220,26 @@ export function LeaseBotProvider({ children }) {
   const [inboxLastFetchedAt, setInboxLastFetchedAt] = useState(null);
   const [selectedInboxStatus, setSelectedInboxStatus] = useState("all");
   const [selectedInboxPlatform, setSelectedInboxPlatform] = useState("all");
+  const [inboxSearchQuery, setInboxSearchQuery] = useState("");
+  const [inboxSearch, setInboxSearch] = useState(null);
+  const [inboxNextCursor, setInboxNextCursor] = useState(null);
+  const [inboxFilters, setInboxFilters] = useState(emptyInboxFilters);
+  const [inboxTags, setInboxTags] = useState([]);
+  const [inboxSavedViews, setInboxSavedViews] = useState([]);
+  const [mentions, setMentions] = useState({ items: [], unreadCount: 0 });
   const [selectedConversationId, setSelectedConversationId] = useState("");
   const [conversationDetail, setConversationDetail] = useState(null);
   const [conversationLoading, setConversationLoading] = useState(false);
   const [conversationRefreshing, setConversationRefreshing] = useState(false);
+  const [inboxStreamConnected, setInboxStreamConnected] = useState(false);
   const [draftForm, setDraftForm] = useState({ body: "" });
   const [syncedConversations, setSyncedConversations] = useState({});
   const [appointments, setAppointments] = useState([]);
+  const [appointmentsNextCursor, setAppointmentsNextCursor] = useState(null);
+  const [appointmentsAwaitingOutcome, setAppointmentsAwaitingOutcome] = useState([]);
+  const [agentNotifications, setAgentNotifications] = useState({ items: [], unreadCount: 0 });
+  const [calendarFeed, setCalendarFeed] = useState(null);
+  const [calendarFeedUrl, setCalendarFeedUrl] = useState("");
   const [listingsLoading, setListingsLoading] = useState(false);
   const [listingsLastFetchedAt, setListingsLastFetchedAt] = useState(null);
   const [appointmentFilters, setAppointmentFilters] = useState({
@@ -225,8 +253,12 @@ export function LeaseBotProvider({ children }) {
   const [platformHealth, setPlatformHealth] = useState([]);
   const [globalPlatformSendMode, setGlobalPlatformSendMode] = useState("draft_only");
   const [platformHealthGeneratedAt, setPlatformHealthGeneratedAt] = useState(null);
+  const [workerStatuses, setWorkerStatuses] = useState([]);
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [guardrailRules, setGuardrailRules] = useState([]);
   const [adminUsers, setAdminUsers] = useState([]);
   const [userInvitations, setUserInvitations] = useState([]);
+  const [outOfOfficeRecords, setOutOfOfficeRecords] = useState([]);
   const sessionRequestSeq = useRef(0);
   const inboxRequestSeq = useRef(0);
   const conversationRequestSeq = useRef(0);
@@ -235,6 +267,9 @@ export function LeaseBotProvider({ children }) {
   const conversationPrefetchInFlightRef = useRef(new Set());
   const conversationSyncInFlightRef = useRef(new Set());
   const listingsCacheRef = useRef({ items: [], fetchedAt: 0 });
+  // Filters behind the loaded appointment pages; a later page is dropped if they changed meanwhile.
+  const appointmentsFiltersRef = useRef(null);
+  const inboxStreamHandlerRef = useRef(null);
 
   const isAdmin = user?.role === "admin";
   const canAccessInbox = isAdmin;
@@ -608,6 +643,7 @@ export function LeaseBotProvider({ children }) {
     if (!user || !canAccessInbox) {
       inboxCacheRef.current.clear();
       setInboxItems([]);
+      setInboxNextCursor(null);
       setSelectedConversationId("");
       setConversationDetail(null);
       setConversationLoading(false);
@@ -616,13 +652,17 @@ export function LeaseBotProvider({ children }) {
       return [];
     }
 
-    const { force = false, background = false } = options;
+    const { force = false, background = false, search = inboxSearchQuery, filters = inboxFilters } = options;
     const statusValue = status || "all";
     const platformValue = platform || "all";
-    const cacheKey = `${statusValue}::${platformValue}`;
+    const searchValue = search.trim();
+    const filterParams = buildInboxFilterParams(filters);
+    const cacheKey = `${statusValue}::${platformValue}::${searchValue}::${filterParams.toString()}`;
     const cached = inboxCacheRef.current.get(cacheKey);
     if (!force && cached?.items && isFresh(cached.fetchedAt, inboxCacheTtlMs)) {
       applyInboxItems(cached.items, preserveSelection);
+      setInboxSearch(cached.search || null);
+      setInboxNextCursor(cached.nextCursor || null);
       setInboxLastFetchedAt(new Date(cached.fetchedAt).toISOString());
       if (!background) {
         prefetchInboxConversations(cached.items, preserveSelection);
@@ -637,13 +677,23 @@ export function LeaseBotProvider({ children }) {
     }
 
     try {
-      const params = new URLSearchParams();
+      const params = new URLSearchParams(filterParams);
       if (statusValue !== "all") {
         params.set("status", statusValue);
       }
       if (platformValue !== "all") {
         params.set("platform", platformValue);
       }
+      if (searchValue) {
+        params.set("q", searchValue);
+      }
+      // Background refreshes keep the pages already scrolled in instead of dropping back to the first.
+      const sameList = (inboxSearch?.q || "") === searchValue;
+      if (background && sameList && inboxItems.length > inboxPageSize) {
+        params.set("limit", String(Math.min(inboxItems.length, 200)));
+      } else {
+        params.set("limit", String(inboxPageSize));
+      }
       const query = params.toString() ? `?${params.toString()}` : "";
       const result = await request(`/api/inbox${query}`);
       if (requestId !== inboxRequestSeq.current) {
@@ -652,7 +702,9 @@ export function LeaseBotProvider({ children }) {
 
       const items = result.items || [];
       const fetchedAt = Date.now();
-      inboxCacheRef.current.set(cacheKey, { items, fetchedAt });
+      inboxCacheRef.current.set(cacheKey, { items, search: result.search || null, nextCursor: result.nextCursor || null, fetchedAt });
+      setInboxSearch(result.search || null);
+      setInboxNextCursor(result.nextCursor || null);
       setInboxLastFetchedAt(new Date(fetchedAt).toISOString());
       applyInboxItems(items, preserveSelection);
       if (!background) {
@@ -669,6 +721,294 @@ export function LeaseBotProvider({ children }) {
     }
   }
 
+  async function loadMoreInbox() {
+    if (!inboxNextCursor) {
+      return;
+    }
+
+    // Loading a further page keeps the current rows on screen, so it leaves inboxLoading alone.
+    const requestId = inboxRequestSeq.current + 1;
+    inboxRequestSeq.current = requestId;
+    const searchValue = inboxSearch?.q || "";
+    try {
+      const filterParams = buildInboxFilterParams(inboxFilters);
+      const params = new URLSearchParams(filterParams);
+      params.set("limit", String(inboxPageSize));
+      params.set("cursor", inboxNextCursor);
+      if (searchValue) {
+        params.set("q", searchValue);
+      }
+      if (selectedInboxStatus !== "all") {
+        params.set("status", selectedInboxStatus);
+      }
+      if (selectedInboxPlatform !== "all") {
+        params.set("platform", selectedInboxPlatform);
+      }
+      const result = await request(`/api/inbox?${params.toString()}`);
+      if (requestId !== inboxRequestSeq.current) {
+        return;
+      }
+
+      const knownIds = new Set(inboxItems.map((item) => item.id));
+      const items = [...inboxItems, ...(result.items || []).filter((item) => !knownIds.has(item.id))];
+      inboxCacheRef.current.set(`${selectedInboxStatus}::${selectedInboxPlatform}::${searchValue}::${filterParams.toString()}`, {
+        items,
+        search: result.search || null,
+        nextCursor: result.nextCursor || null,
+        fetchedAt: Date.now()
+      });
+      setInboxItems(items);
+      setInboxNextCursor(result.nextCursor || null);
+    } catch (error) {
+      if (requestId === inboxRequestSeq.current) {
+        setApiError(error.message);
+      }
+    }
+  }
+
+  function buildInboxFilterParams(filters) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters || {})) {
+      const serialized = Array.isArray(value) ? value.join(",") : value;
+      if (serialized) {
+        params.set(key, serialized);
+      }
+    }
+    return params;
+  }
+
+  async function refreshInboxTags() {
+    if (!canAccessInbox) {
+      return;
+    }
+
+    try {
+      const response = await request("/api/inbox/tags");
+      setInboxTags(response.items || []);
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  async function createInboxTag(payload) {
+    setApiError("");
+    try {
+      const created = await request("/api/inbox/tags", {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+      toast.success("Tag created", { description: created.name });
+      await refreshInboxTags();
+      return created;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Tag create failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function deleteInboxTag(tagId) {
+    setApiError("");
+    try {
+      await request(`/api/inbox/tags/${tagId}`, { method: "DELETE" });
+      toast.success("Tag deleted");
+      setInboxFilters((current) => ({ ...current, tagId: current.tagId.filter((entry) => entry !== tagId) }));
+      await Promise.all([
+        refreshInboxTags(),
+        refreshInbox(selectedInboxStatus, true, selectedInboxPlatform, { force: true })
+      ]);
+      return true;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Tag delete failed", { description: error.message });
+      return false;
+    }
+  }
+
+  async function updateConversationTags(conversationId, tagIds) {
+    setApiError("");
+    try {
+      const response = await request(`/api/inbox/${conversationId}/tags`, {
+        method: "PUT",
+        body: JSON.stringify({ tagIds })
+      });
+      setInboxItems((current) =>
+        current.map((item) => (item.id === conversationId ? { ...item, tags: response.tags || [] } : item))
+      );
+      inboxCacheRef.current.clear();
+      await Promise.all([
+        refreshInboxTags(),
+        refreshConversationDetail(conversationId, { force: true, background: true })
+      ]);
+      return response.tags || [];
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Tag update failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function refreshInboxSavedViews() {
+    if (!canAccessInbox) {
+      return;
+    }
+
+    try {
+      const response = await request("/api/inbox/views");
+      setInboxSavedViews(response.items || []);
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  // Saves the inbox as it is currently filtered, including status, platform and search.
+  async function saveInboxView(name) {
+    const filters = Object.fromEntries(
+      Object.entries(inboxFilters).filter(([, value]) => (Array.isArray(value) ? value.length > 0 : Boolean(value)))
+    );
+    if (selectedInboxStatus !== "all") {
+      filters.status = selectedInboxStatus;
+    }
+    if (selectedInboxPlatform !== "all") {
+      filters.platform = selectedInboxPlatform;
+    }
+    if (inboxSearchQuery.trim()) {
+      filters.q = inboxSearchQuery.trim();
+    }
+
+    setApiError("");
+    try {
+      const saved = await request("/api/inbox/views", {
+        method: "POST",
+        body: JSON.stringify({ name, filters })
+      });
+      toast.success("View saved", { description: saved.name });
+      await refreshInboxSavedViews();
+      return saved;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("View save failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function deleteInboxView(viewId) {
+    setApiError("");
+    try {
+      await request(`/api/inbox/views/${viewId}`, { method: "DELETE" });
+      toast.success("View deleted");
+      await refreshInboxSavedViews();
+      return true;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("View delete failed", { description: error.message });
+      return false;
+    }
+  }
+
+  // Notes are internal: they are stored next to the thread and never dispatched to the platform.
+  async function createConversationNote(conversationId, body, mentionedUserIds = []) {
+    if (!conversationId) {
+      return null;
+    }
+
+    setApiError("");
+    try {
+      const note = await request(`/api/inbox/${conversationId}/notes`, {
+        method: "POST",
+        body: JSON.stringify({ body, mentionedUserIds })
+      });
+      toast.success("Note added", {
+        description: note.mentions?.length > 0
+          ? `Notified ${note.mentions.map((mention) => mention.name).join(", ")}`
+          : undefined
+      });
+      await refreshConversationDetail(conversationId, { force: true, background: true });
+      return note;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Note failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function fetchLeadTimeline(leadId) {
+    try {
+      return await request(`/api/leads/${leadId}`);
+    } catch (error) {
+      setApiError(error.message);
+      return null;
+    }
+  }
+
+  // The first conversation's lead absorbs the others, so pass the open conversation first.
+  async function mergeLeadConversations(conversationIds) {
+    setApiError("");
+    try {
+      const lead = await request("/api/leads/merge", {
+        method: "POST",
+        body: JSON.stringify({ conversationIds })
+      });
+      toast.success("Conversations linked", { description: `${lead.conversations.length} conversations now share one lead` });
+      await refreshConversationDetail(conversationIds[0], { force: true, background: true });
+      return lead;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Link failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function unmergeLeadConversation(conversationId) {
+    setApiError("");
+    try {
+      const lead = await request("/api/leads/unmerge", {
+        method: "POST",
+        body: JSON.stringify({ conversationId })
+      });
+      toast.success("Conversation unlinked");
+      await refreshConversationDetail(conversationId, { force: true, background: true });
+      return lead;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Unlink failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function refreshMentions() {
+    if (!canAccessInbox) {
+      return;
+    }
+
+    try {
+      const response = await request("/api/mentions");
+      setMentions({ items: response.items || [], unreadCount: response.unreadCount || 0 });
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  async function markMentionsRead(noteIds) {
+    try {
+      await request("/api/mentions/read", {
+        method: "POST",
+        body: JSON.stringify(noteIds ? { noteIds } : {})
+      });
+      await refreshMentions();
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  function applyInboxView(view) {
+    const { status, platform, q, ...filters } = view?.filters || {};
+    setSelectedInboxStatus(status || "all");
+    setSelectedInboxPlatform(platform || "all");
+    setInboxSearchQuery(q || "");
+    setInboxFilters({ ...emptyInboxFilters, ...filters });
+  }
+
   async function refreshAvailability(unitId) {
     if (!unitId) {
       setAvailability([]);
@@ -689,12 +1029,8 @@ export function LeaseBotProvider({ children }) {
     }
   }
 
-  async function refreshAppointments(filters = appointmentFilters) {
-    if (!user) {
-      return;
-    }
-
-    const params = new URLSearchParams();
+  function buildAppointmentParams(filters) {
+    const params = new URLSearchParams({ limit: String(appointmentsPageSize) });
     if (filters.status && filters.status !== "all") {
       params.set("status", filters.status);
     }
@@ -710,17 +1046,215 @@ export function LeaseBotProvider({ children }) {
     if (filters.toDate) {
       params.set("toDate", filters.toDate);
     }
+    return params;
+  }
 
-    const query = params.toString() ? `?${params.toString()}` : "";
+  async function refreshAppointments(filters = appointmentFilters) {
+    if (!user) {
+      return;
+    }
 
+    appointmentsFiltersRef.current = filters;
     try {
-      const response = await request(`/api/showing-appointments${query}`);
+      const response = await request(`/api/showing-appointments?${buildAppointmentParams(filters).toString()}`);
+      if (appointmentsFiltersRef.current !== filters) {
+        return;
+      }
       setAppointments(response.items || []);
+      setAppointmentsNextCursor(response.nextCursor || null);
     } catch (error) {
       setApiError(error.message);
     }
   }
 
+  async function loadMoreAppointments() {
+    if (!user || !appointmentsNextCursor) {
+      return;
+    }
+
+    const filters = appointmentsFiltersRef.current;
+    const params = buildAppointmentParams(filters);
+    params.set("cursor", appointmentsNextCursor);
+    try {
+      const response = await request(`/api/showing-appointments?${params.toString()}`);
+      if (appointmentsFiltersRef.current !== filters) {
+        return;
+      }
+      setAppointments((current) => {
+        const knownIds = new Set(current.map((item) => item.id));
+        return [...current, ...(response.items || []).filter((item) => !knownIds.has(item.id))];
+      });
+      setAppointmentsNextCursor(response.nextCursor || null);
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  // action is "reschedule" or "cancel"; the API drafts or sends the lead message per the platform send mode.
+  async function changeShowingAppointment(appointmentId, action, payload = {}) {
+    if (!user || !appointmentId) {
+      return null;
+    }
+
+    setApiError("");
+    setMessage("");
+    try {
+      const response = await request(`/api/showing-appointments/${appointmentId}/${action}`, {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+      setAppointments((current) => current.map((item) => (item.id === response.appointment.id ? response.appointment : item)));
+      const summary = action === "cancel" ? "Showing cancelled" : "Reschedule requested";
+      const leadNote = response.notification?.status === "sent"
+        ? "Lead notified"
+        : response.notification?.status === "draft" || response.notification?.status === "hold"
+          ? "Lead message waiting for review in the inbox"
+          : null;
+      setMessage(summary);
+      toast.success(summary, leadNote ? { description: leadNote } : undefined);
+      return response;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error(action === "cancel" ? "Cancelling showing failed" : "Reschedule failed", { description: error.message });
+      return null;
+    }
+  }
+
+  // The worker flags showings once they have ended; they stay here until the agent records an outcome.
+  async function refreshAppointmentsAwaitingOutcome(agentId) {
+    if (!user) {
+      return;
+    }
+
+    const params = new URLSearchParams({ awaitingOutcome: "true" });
+    if (agentId) {
+      params.set("agentId", agentId);
+    }
+    try {
+      const response = await request(`/api/showing-appointments?${params.toString()}`);
+      setAppointmentsAwaitingOutcome(response.items || []);
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  async function refreshAgentNotifications() {
+    if (!user) {
+      return;
+    }
+
+    try {
+      const response = await request("/api/agent-notifications");
+      setAgentNotifications({ items: response.items || [], unreadCount: response.unreadCount || 0 });
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  async function markAgentNotificationsRead(notificationIds) {
+    try {
+      await request("/api/agent-notifications/read", {
+        method: "POST",
+        body: JSON.stringify(notificationIds ? { notificationIds } : {})
+      });
+      await refreshAgentNotifications();
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  async function recordShowingOutcome(appointmentId, payload) {
+    if (!user || !appointmentId) {
+      return null;
+    }
+
+    setApiError("");
+    setMessage("");
+    try {
+      const response = await request(`/api/showing-appointments/${appointmentId}/outcome`, {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+      setAppointments((current) => current.map((item) => (item.id === response.appointment.id ? response.appointment : item)));
+      setAppointmentsAwaitingOutcome((current) => current.filter((item) => item.id !== response.appointment.id));
+      const summary = response.appointment.status === "no_show" ? "No-show recorded" : "Showing outcome recorded";
+      const followUpNote = response.followUp?.status === "sent"
+        ? "Follow-up sent to the lead"
+        : response.followUp?.status === "draft" || response.followUp?.status === "hold"
+          ? "Follow-up waiting for review in the inbox"
+          : null;
+      setMessage(summary);
+      toast.success(summary, followUpNote ? { description: followUpNote } : undefined);
+      if (response.conversation?.showingStateMismatch) {
+        toast.error("Conversation showing state not updated", {
+          description: `The conversation is still ${response.conversation.showingState}; update it from the inbox.`
+        });
+      }
+      return response;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Recording outcome failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function refreshCalendarFeed() {
+    if (user?.role !== "agent") {
+      return;
+    }
+
+    try {
+      const response = await request(`/api/agents/${user.id}/calendar-feed`);
+      setCalendarFeed(response.feed || null);
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  // The API only returns the subscription URL when a feed is issued, so it is kept until the page reloads.
+  // Issuing again rotates the token and the previous URL stops working.
+  async function createCalendarFeed() {
+    if (user?.role !== "agent") {
+      return null;
+    }
+
+    setApiError("");
+    setMessage("");
+    try {
+      const response = await request(`/api/agents/${user.id}/calendar-feed`, { method: "POST" });
+      setCalendarFeed(response.feed);
+      setCalendarFeedUrl(response.url);
+      setMessage("Calendar feed created");
+      toast.success("Calendar feed created");
+      return response.url;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Creating calendar feed failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function revokeCalendarFeed() {
+    if (user?.role !== "agent") {
+      return false;
+    }
+
+    setApiError("");
+    setMessage("");
+    try {
+      await request(`/api/agents/${user.id}/calendar-feed`, { method: "DELETE" });
+      setCalendarFeed(null);
+      setCalendarFeedUrl("");
+      setMessage("Calendar feed revoked");
+      toast.success("Calendar feed revoked");
+      return true;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Revoking calendar feed failed", { description: error.message });
+      return false;
+    }
+  }
+
   async function refreshAgentAvailability(agentId, filters = {}) {
     if (!user || !agentId) {
       setAgentAvailability([]);
@@ -843,20 +1377,125 @@ export function LeaseBotProvider({ children }) {
     }
 
     try {
-      const [policyResponse, healthResponse] = await Promise.all([
+      const [policyResponse, healthResponse, workersResponse, deadLetterResponse] = await Promise.all([
         request("/api/admin/platform-policies"),
-        request("/api/admin/platform-health")
+        request("/api/admin/platform-health"),
+        request("/api/admin/workers"),
+        request("/api/admin/dispatch/dlq")
       ]);
 
       setPlatformPolicies(policyResponse.items || []);
       setGlobalPlatformSendMode(policyResponse.globalDefaultSendMode || "draft_only");
       setPlatformHealth(healthResponse.items || []);
       setPlatformHealthGeneratedAt(healthResponse.generatedAt || null);
+      setWorkerStatuses(workersResponse.items || []);
+      setDeadLetters(deadLetterResponse.items || []);
     } catch (error) {
       setApiError(error.message);
     }
   }
 
+  async function fetchDeadLetter(messageId) {
+    if (!isAdmin || !messageId) {
+      return null;
+    }
+
+    try {
+      const response = await request(`/api/admin/dispatch/dlq/${messageId}`);
+      return response.item || null;
+    } catch (error) {
+      setApiError(error.message);
+      return null;
+    }
+  }
+
+  // action is "retry" or "discard"; discards need a reason. Ids no longer in the DLQ come back as skipped.
+  async function resolveDeadLetters(action, messageIds, reason = "") {
+    if (!isAdmin || messageIds.length === 0) {
+      return null;
+    }
+
+    setApiError("");
+    setMessage("");
+    try {
+      const response = await request(`/api/admin/dispatch/dlq/${action}`, {
+        method: "POST",
+        body: JSON.stringify(action === "discard" ? { messageIds, reason } : { messageIds })
+      });
+      const label = action === "retry" ? "Dispatch retry queued" : "Dead letters discarded";
+      const description = response.skipped.length > 0
+        ? `${response.updated.length} updated, ${response.skipped.length} no longer in the queue`
+        : `${response.updated.length} updated`;
+      setMessage(`${label}: ${description}`);
+      toast.success(label, { description });
+      await refreshAdminPlatformData();
+      return response;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error(action === "retry" ? "Dispatch retry failed" : "Discard failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function refreshGuardrailRules() {
+    if (!isAdmin) {
+      return;
+    }
+
+    try {
+      const response = await request("/api/admin/guardrail-rules");
+      setGuardrailRules(response.items || []);
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  async function saveGuardrailRule(ruleId, payload) {
+    if (!isAdmin) {
+      return null;
+    }
+
+    setApiError("");
+    setMessage("");
+    try {
+      const saved = await request(ruleId ? `/api/admin/guardrail-rules/${ruleId}` : "/api/admin/guardrail-rules", {
+        method: ruleId ? "PUT" : "POST",
+        body: JSON.stringify(payload)
+      });
+      const label = ruleId ? "Guardrail rule updated" : "Guardrail rule created";
+      setMessage(`${label}: ${saved.name}`);
+      toast.success(label, { description: saved.name });
+      await refreshGuardrailRules();
+      return saved;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Guardrail rule save failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function deleteGuardrailRule(ruleId) {
+    if (!isAdmin || !ruleId) {
+      return false;
+    }
+
+    setApiError("");
+    setMessage("");
+    try {
+      await request(`/api/admin/guardrail-rules/${ruleId}`, {
+        method: "DELETE"
+      });
+      setMessage("Guardrail rule deleted");
+      toast.success("Guardrail rule deleted");
+      await refreshGuardrailRules();
+      return true;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Guardrail rule delete failed", { description: error.message });
+      return false;
+    }
+  }
+
   async function refreshAdminUsers() {
     if (!isAdmin) {
       return;
@@ -900,6 +1539,66 @@ export function LeaseBotProvider({ children }) {
     }
   }
 
+  async function refreshOutOfOffice() {
+    if (!isAdmin) {
+      return;
+    }
+
+    try {
+      const response = await request("/api/admin/out-of-office");
+      setOutOfOfficeRecords(response.items || []);
+    } catch (error) {
+      setApiError(error.message);
+    }
+  }
+
+  // A range that has already started hands the agent's units over immediately, so the units are
+  // reloaded along with the records to show the covering agent.
+  async function createOutOfOffice(payload) {
+    if (!isAdmin) {
+      return null;
+    }
+
+    setApiError("");
+    setMessage("");
+    try {
+      const response = await request("/api/admin/out-of-office", {
+        method: "POST",
+        body: JSON.stringify(payload)
+      });
+      setMessage("Out of office scheduled");
+      toast.success("Out of office scheduled");
+      await refreshData();
+      return response.item;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Out of office failed", { description: error.message });
+      return null;
+    }
+  }
+
+  async function endOutOfOffice(outOfOfficeId) {
+    if (!isAdmin || !outOfOfficeId) {
+      return false;
+    }
+
+    setApiError("");
+    setMessage("");
+    try {
+      await request(`/api/admin/out-of-office/${outOfOfficeId}/end`, {
+        method: "POST"
+      });
+      setMessage("Out of office ended");
+      toast.success("Out of office ended");
+      await refreshData();
+      return true;
+    } catch (error) {
+      setApiError(error.message);
+      toast.error("Ending out of office failed", { description: error.message });
+      return false;
+    }
+  }
+
   async function revokeUserInvitation(invitationId) {
     if (!isAdmin || !invitationId) {
       return false;
@@ -989,10 +1688,17 @@ export function LeaseBotProvider({ children }) {
       }));
 
       await Promise.all([
-        ...(canAccessInbox ? [refreshInbox(selectedInboxStatus, false, selectedInboxPlatform, { force: true })] : []),
+        ...(canAccessInbox
+          ? [
+              refreshInbox(selectedInboxStatus, false, selectedInboxPlatform, { force: true }),
+              refreshInboxTags(),
+              refreshInboxSavedViews(),
+              refreshMentions()
+            ]
+          : []),
         refreshAvailability(fallbackUnitId),
         refreshAppointments(),
-        ...(isAdmin ? [refreshAdminPlatformData(), refreshAdminUsers()] : [])
+        ...(isAdmin ? [refreshAdminPlatformData(), refreshAdminUsers(), refreshGuardrailRules(), refreshOutOfOffice()] : [])
       ]);
     } catch (error) {
       setApiError(error.message);
@@ -1268,6 +1974,10 @@ export function LeaseBotProvider({ children }) {
       setConversationRefreshing(false);
       setAgentAvailability([]);
       setAgentWeeklyRules([]);
+      setInboxSavedViews([]);
+      setInboxFilters(emptyInboxFilters);
+      setMentions({ items: [], unreadCount: 0 });
+      setAgentNotifications({ items: [], unreadCount: 0 });
       return;
     }
     refreshData({ forceListings: true });
@@ -1278,7 +1988,7 @@ export function LeaseBotProvider({ children }) {
       return;
     }
     refreshInbox(selectedInboxStatus, true, selectedInboxPlatform, { force: true });
-  }, [user, canAccessInbox, selectedInboxStatus, selectedInboxPlatform]);
+  }, [user, canAccessInbox, selectedInboxStatus, selectedInboxPlatform, inboxSearchQuery, inboxFilters]);
 
   useEffect(() => {
     if (!canAccessInbox) {
@@ -1287,8 +1997,98 @@ export function LeaseBotProvider({ children }) {
     refreshConversationDetail(selectedConversationId);
   }, [canAccessInbox, selectedConversationId]);
 
+  // The stream handler is rebuilt every render so it always sees the current filters and selection.
+  inboxStreamHandlerRef.current = async (conversationIds, { mentioned = false } = {}) => {
+    if (mentioned) {
+      await refreshMentions();
+    }
+    await refreshInbox(selectedInboxStatus, true, selectedInboxPlatform, {
+      force: true,
+      background: true
+    });
+    if (selectedConversationId && conversationIds.has(selectedConversationId)) {
+      await refreshConversationDetail(selectedConversationId, {
+        force: true,
+        background: true
+      });
+    }
+  };
+
   useEffect(() => {
-    if (!user || !canAccessInbox) {
+    if (!user || !canAccessInbox || typeof EventSource === "undefined") {
+      setInboxStreamConnected(false);
+      return;
+    }
+
+    const source = new EventSource(`${apiBaseUrl}/api/inbox/events`, { withCredentials: true });
+    const pendingConversationIds = new Set();
+    let pendingMention = false;
+    let flushTimer = null;
+    let inFlight = false;
+    let hasOpened = false;
+
+    // Worker bursts (ingest, drafts, transitions) arrive together; one refresh covers the batch.
+    const flush = async () => {
+      flushTimer = null;
+      if (inFlight) {
+        flushTimer = setTimeout(flush, inboxStreamDebounceMs);
+        return;
+      }
+      const conversationIds = new Set(pendingConversationIds);
+      const mentioned = pendingMention;
+      pendingConversationIds.clear();
+      pendingMention = false;
+      inFlight = true;
+      try {
+        await inboxStreamHandlerRef.current?.(conversationIds, { mentioned });
+      } finally {
+        inFlight = false;
+      }
+    };
+
+    source.addEventListener("open", () => {
+      setInboxStreamConnected(true);
+      // Events sent while the stream was down are gone, so catch up once after a reconnect.
+      if (hasOpened && !flushTimer) {
+        flushTimer = setTimeout(flush, inboxStreamDebounceMs);
+      }
+      hasOpened = true;
+    });
+    source.addEventListener("error", () => setInboxStreamConnected(false));
+    source.addEventListener("inbox", (event) => {
+      try {
+        const payload = JSON.parse(event.data);
+        if (payload?.conversationId) {
+          const cached = conversationCacheRef.current.get(payload.conversationId);
+          if (cached) {
+            conversationCacheRef.current.set(payload.conversationId, { ...cached, fetchedAt: 0 });
+          }
+          pendingConversationIds.add(payload.conversationId);
+        }
+        // Admins receive every note_mention event; only the mentioned user is told about it.
+        if (payload?.type === "note_mention" && payload.mentionedUserId === user.id) {
+          pendingMention = true;
+          toast.success("You were mentioned in a note");
+        }
+      } catch {
+        return;
+      }
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, inboxStreamDebounceMs);
+      }
+    });
+
+    return () => {
+      if (flushTimer) {
+        clearTimeout(flushTimer);
+      }
+      source.close();
+      setInboxStreamConnected(false);
+    };
+  }, [user, canAccessInbox]);
+
+  useEffect(() => {
+    if (!user || !canAccessInbox || inboxStreamConnected) {
       return;
     }
     if (!Number.isFinite(inboxPollIntervalMs) || inboxPollIntervalMs <= 0) {
@@ -1318,7 +2118,7 @@ export function LeaseBotProvider({ children }) {
     }, inboxPollIntervalMs);
 
     return () => clearInterval(timer);
-  }, [user, canAccessInbox, selectedInboxStatus, selectedInboxPlatform, selectedConversationId]);
+  }, [user, canAccessInbox, inboxStreamConnected, selectedInboxStatus, selectedInboxPlatform, inboxSearchQuery, inboxFilters, selectedConversationId]);
 
   useEffect(() => {
     if (!user) {
@@ -1377,10 +2177,20 @@ export function LeaseBotProvider({ children }) {
     inboxItems,
     inboxLoading,
     inboxLastFetchedAt,
+    inboxStreamConnected,
     selectedInboxStatus,
     setSelectedInboxStatus,
     selectedInboxPlatform,
     setSelectedInboxPlatform,
+    inboxSearchQuery,
+    setInboxSearchQuery,
+    inboxSearch,
+    inboxNextCursor,
+    inboxFilters,
+    setInboxFilters,
+    inboxTags,
+    inboxSavedViews,
+    mentions,
     selectedConversationId,
     setSelectedConversationId,
     conversationDetail,
@@ -1389,17 +2199,48 @@ export function LeaseBotProvider({ children }) {
     draftForm,
     setDraftForm,
     appointments,
+    appointmentsNextCursor,
+    appointmentsAwaitingOutcome,
+    agentNotifications,
+    calendarFeed,
+    calendarFeedUrl,
     appointmentFilters,
     setAppointmentFilters,
     platformPolicies,
     platformHealth,
     globalPlatformSendMode,
     platformHealthGeneratedAt,
+    workerStatuses,
+    deadLetters,
+    guardrailRules,
     adminUsers,
     userInvitations,
+    outOfOfficeRecords,
     refreshData,
     refreshListings: refreshListingsSnapshot,
     refreshInbox,
+    loadMoreInbox,
+    createInboxTag,
+    deleteInboxTag,
+    updateConversationTags,
+    saveInboxView,
+    deleteInboxView,
+    applyInboxView,
+    createConversationNote,
+    fetchLeadTimeline,
+    mergeLeadConversations,
+    unmergeLeadConversation,
+    refreshMentions,
+    markMentionsRead,
+    loadMoreAppointments,
+    changeShowingAppointment,
+    refreshAppointmentsAwaitingOutcome,
+    refreshAgentNotifications,
+    markAgentNotificationsRead,
+    recordShowingOutcome,
+    refreshCalendarFeed,
+    createCalendarFeed,
+    revokeCalendarFeed,
     refreshAvailability,
     refreshAgentAvailability,
     refreshAgentWeeklyRules,
@@ -1409,6 +2250,7 @@ export function LeaseBotProvider({ children }) {
     deleteAgentWeeklyRule,
     createAgentDailyOverride,
     refreshAdminPlatformData,
+    refreshGuardrailRules,
     refreshAdminUsers,
     signInEmail,
     signOut,
@@ -1417,13 +2259,20 @@ export function LeaseBotProvider({ children }) {
     verifyInvitationToken,
     acceptInvitationToken,
     saveAssignment,
+    refreshOutOfOffice,
+    createOutOfOffice,
+    endOutOfOffice,
     updateUnitAssignment,
     bulkUpdateUnitAssignments,
     createDraft,
     updateConversationWorkflow,
     approveMessage,
     rejectMessage,
-    updatePlatformPolicy
+    updatePlatformPolicy,
+    fetchDeadLetter,
+    resolveDeadLetters,
+    saveGuardrailRule,
+    deleteGuardrailRule
   };
 
   return <LeaseBotContext.Provider value={value}>{children}</LeaseBotContext.Provider>;
@@ -1,4 +1,16 @@
-import { classifyIntent, detectFollowUp, runReplyPipelineWithAI } from "../../../packages/ai/src/index.js";
+import {
+  buildLeadProfileTemplateVariables,
+  classifyIntent,
+  detectFollowUp,
+  extractLeadProfile,
+  loadIntentModel,
+  mergeLeadProfile,
+  parseAiProviderOrder,
+  resolvePrescreenProgress,
+  runReplyPipelineWithAI,
+  scoreLeadQualification
+} from "../../../packages/ai/src/index.js";
+import { deferUntilSendWindow } from "../../../packages/integrations/src/send-windows.js";
 
 import { createHash } from "node:crypto";
 import { readFile } from "node:fs/promises";
@@ -33,6 +45,33 @@ async function loadAiPlaybook() {
   }
 }
 
+let cachedIntentModel = null;
+let cachedIntentModelPath = null;
+
+function loadWorkerIntentModel(logger) {
+  const path = process.env.AI_INTENT_MODEL_PATH;
+  if (!path) {
+    return null;
+  }
+
+  if (cachedIntentModelPath === path) {
+    return cachedIntentModel;
+  }
+
+  cachedIntentModelPath = path;
+  try {
+    cachedIntentModel = loadIntentModel(path);
+    logger.info?.("[worker] loaded intent model", { path, modelVersion: cachedIntentModel.modelVersion });
+  } catch (error) {
+    cachedIntentModel = null;
+    logger.warn?.("[worker] failed loading intent model, using heuristic classifier", {
+      path,
+      error: error instanceof Error ? error.message : String(error)
+    });
+  }
+  return cachedIntentModel;
+}
+
 function parseCsvEnv(value) {
   if (typeof value !== "string") {
     return [];
@@ -257,7 +296,8 @@ function buildTemplateContext(message, slotOptions) {
     slot_options_inline: slotOptionsInline,
     slot_options_list: slotOptionsList,
     slotOptions,
-    lead_name: message.leadName || ""
+    lead_name: message.leadName || "",
+    ...buildLeadProfileTemplateVariables(message.leadProfile)
   };
 }
 
@@ -271,7 +311,9 @@ function createMetricsSnapshot() {
     sends: {
       attempted: 0,
       sent: 0,
-      drafted: 0
+      drafted: 0,
+      held: 0,
+      deferred: 0
     },
     escalations: {
       raised: 0,
@@ -300,11 +342,16 @@ function getPolicyContext(message) {
     isActive: policy.isActive !== false,
     sendMode,
     sendModeOverride: policy.sendModeOverride ?? null,
-    globalDefaultSendMode: policy.globalDefaultSendMode || "draft_only"
+    globalDefaultSendMode: policy.globalDefaultSendMode || "draft_only",
+    aiProviderOrder: Array.isArray(policy.aiProviderOrder) ? policy.aiProviderOrder : null,
+    aiProviderTimeoutMs: Number.isInteger(policy.aiProviderTimeoutMs) ? policy.aiProviderTimeoutMs : null
   };
 }
 
+// A dead letter requeued by an admin carries a retryNonce; it only joins the key when present so
+// keys of messages that were never requeued stay stable.
 function buildDispatchKey({ message, pipeline, status }) {
+  const retryNonce = message.metadata?.dispatch?.retryNonce;
   const payload = JSON.stringify({
     messageId: message.id,
     conversationId: message.conversationId,
@@ -314,7 +361,8 @@ function buildDispatchKey({ message, pipeline, status }) {
     status,
     body: pipeline.replyBody,
     intent: pipeline.intent,
-    effectiveIntent: pipeline.effectiveIntent
+    effectiveIntent: pipeline.effectiveIntent,
+    ...(retryNonce ? { retryNonce } : {})
   });
   return createHash("sha256").update(payload).digest("hex");
 }
@@ -418,6 +466,143 @@ async function fetchSlotRowsForMessage(adapter, message) {
   return [];
 }
 
+const GUARDRAIL_RULES_UNAVAILABLE_HOLD = Object.freeze({
+  id: "guardrail_rules_unavailable",
+  reasonCode: "guardrail_rules_unavailable",
+  matchType: "pattern",
+  pattern: "^",
+  direction: "outbound",
+  severity: "critical",
+  action: "hold"
+});
+
+async function loadGuardrailRules({ adapter, logger, platformAccountId, cache }) {
+  if (typeof adapter.fetchGuardrailRules !== "function") {
+    return [];
+  }
+
+  const cacheKey = platformAccountId || "global";
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  let rules = [];
+  try {
+    rules = await adapter.fetchGuardrailRules({ platformAccountId: platformAccountId || null });
+  } catch (error) {
+    // Fail closed: without the account's rules every reply this cycle goes to the hold queue.
+    logger.error?.("[worker] failed fetching guardrail rules; holding replies for review", {
+      platformAccountId,
+      error: error instanceof Error ? error.message : String(error)
+    });
+    rules = [GUARDRAIL_RULES_UNAVAILABLE_HOLD];
+  }
+
+  cache.set(cacheKey, Array.isArray(rules) ? rules : []);
+  return cache.get(cacheKey);
+}
+
+// Folds anything the lead just told us into the stored profile. Persisting is best effort so a
+// failed write never blocks the reply; the in-memory profile is still used for this message.
+async function updateLeadProfileFromMessage({ adapter, logger, message, now }) {
+  const { profile, changedFields } = mergeLeadProfile(
+    message.leadProfile,
+    extractLeadProfile(message.body, { now }),
+    { messageId: message.id, now }
+  );
+
+  if (changedFields.length > 0 && typeof adapter.updateLeadProfile === "function" && message.conversationId) {
+    try {
+      await adapter.updateLeadProfile({ conversationId: message.conversationId, profile });
+    } catch (error) {
+      logger.warn?.("[worker] failed updating lead profile", {
+        conversationId: message.conversationId,
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+
+  return { profile, changedFields };
+}
+
+// Re-scores the lead against the listing criteria and tags the conversation when the result moved.
+async function updateLeadQualification({ adapter, logger, message, now }) {
+  const scored = scoreLeadQualification({
+    profile: message.leadProfile,
+    criteria: message.qualificationCriteria,
+    rentCents: message.listingRentCents
+  });
+  const previous = message.qualification || {};
+  const changed = (previous.status || "unknown") !== scored.status
+    || (previous.score ?? null) !== scored.score
+    || JSON.stringify(previous.checks || []) !== JSON.stringify(scored.checks);
+  const qualification = changed ? { ...scored, scoredAt: now.toISOString() } : { ...previous, ...scored };
+
+  if (changed && typeof adapter.updateConversationQualification === "function" && message.conversationId) {
+    try {
+      await adapter.updateConversationQualification({ conversationId: message.conversationId, qualification });
+    } catch (error) {
+      logger.warn?.("[worker] failed updating lead qualification", {
+        conversationId: message.conversationId,
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+
+  return qualification;
+}
+
+const PRESCREEN_TRIGGER_INTENTS = new Set(["tour_request", "availability_question"]);
+
+// A listing questionnaire starts when a fresh lead asks about tours or availability and keeps
+// going while the conversation sits in "prescreening" until every required answer is known.
+function resolvePrescreenTurn(message, intent) {
+  const workflowState = message.workflowState || "lead";
+  const progress = resolvePrescreenProgress({
+    questions: message.prescreenQuestions,
+    profile: message.leadProfile,
+    state: message.prescreen
+  });
+  const awaitingAnswer = workflowState === "prescreening";
+  const active = progress.questions.length > 0
+    && !progress.complete
+    && (awaitingAnswer || (workflowState === "lead" && PRESCREEN_TRIGGER_INTENTS.has(intent)));
+
+  return {
+    active,
+    awaitingAnswer,
+    completedNow: awaitingAnswer && progress.complete,
+    progress
+  };
+}
+
+function buildPrescreenState(current, prescreen, { asked, now }) {
+  const state = {
+    ...(current && typeof current === "object" ? current : {}),
+    answeredFields: prescreen.progress.answeredFields,
+    missingFields: prescreen.progress.missingFields
+  };
+
+  if (asked) {
+    const field = prescreen.progress.nextQuestion.field;
+    state.askedField = field;
+    state.askedAt = now.toISOString();
+    state.askCounts = { ...(state.askCounts || {}), [field]: Number(state.askCounts?.[field] || 0) + 1 };
+  }
+  if (prescreen.completedNow) {
+    state.askedField = null;
+    state.completedAt = now.toISOString();
+  }
+  return state;
+}
+
+function rememberConversationState(states, message, updates) {
+  if (!message.conversationId) {
+    return;
+  }
+  states.set(message.conversationId, { ...(states.get(message.conversationId) || {}), ...updates });
+}
+
 export async function processPendingMessagesWithAi({
   adapter,
   logger = console,
@@ -425,13 +610,18 @@ export async function processPendingMessagesWithAi({
   now = new Date(),
   workerId = null,
   claimTtlMs = null,
+  shouldStop = () => false,
   aiClassifier,
   aiEnabled,
-  geminiModel
+  geminiModel,
+  intentModel = loadWorkerIntentModel(logger)
 }) {
   const globalLeadAllowlist = parseCsvEnv(process.env.WORKER_AUTOREPLY_ALLOW_LEAD_NAMES);
   const platformLeadAllowlistMap = parsePlatformCsvMapEnv(process.env.WORKER_AUTOREPLY_ALLOW_LEAD_NAMES_BY_PLATFORM);
   const maxAutoReplyAgeMinutes = Number(process.env.WORKER_AUTOREPLY_MAX_MESSAGE_AGE_MINUTES || 60);
+  const intentModelMinConfidence = process.env.AI_INTENT_MODEL_MIN_CONFIDENCE
+    ? Number(process.env.AI_INTENT_MODEL_MIN_CONFIDENCE)
+    : undefined;
 
   const pendingMessages = await adapter.fetchPendingMessages({
     limit,
@@ -441,9 +631,22 @@ export async function processPendingMessagesWithAi({
   });
   let repliesCreated = 0;
   const metrics = createMetricsSnapshot();
+  const guardrailRulesByAccount = new Map();
+  // Several messages from one conversation can be claimed together; each one starts from the lead
+  // profile, qualification, prescreen and workflow state the previous one left, not the claim snapshot.
+  const conversationStates = new Map();
+
+  let stoppedEarly = false;
 
   for (const message of pendingMessages) {
-    let msg = message;
+    // On shutdown the rest of the batch is left claimed; the worker releases those claims before exiting.
+    if (shouldStop()) {
+      stoppedEarly = true;
+      break;
+    }
+    let msg = conversationStates.has(message.conversationId)
+      ? { ...message, ...conversationStates.get(message.conversationId) }
+      : message;
     const platform = message.platform || "unknown";
     const platformPolicy = getPolicyContext(message);
     const {
@@ -598,7 +801,15 @@ export async function processPendingMessagesWithAi({
         }
       }
 
-      const slotRows = await fetchSlotRowsForMessage(adapter, msg);
+      const leadProfileUpdate = await updateLeadProfileFromMessage({ adapter, logger, message: msg, now });
+      msg = { ...msg, leadProfile: leadProfileUpdate.profile };
+      const qualification = await updateLeadQualification({ adapter, logger, message: msg, now });
+      rememberConversationState(conversationStates, msg, { leadProfile: msg.leadProfile, qualification });
+      const messageIntent = classifyIntent(msg.body, { intentModel, minConfidence: intentModelMinConfidence });
+      const prescreen = resolvePrescreenTurn(msg, messageIntent);
+
+      // Tour slots are only offered once the required pre-screening answers are in.
+      const slotRows = prescreen.active ? [] : await fetchSlotRowsForMessage(adapter, msg);
       const maxSlotOptions = Math.max(1, Number(process.env.WORKER_AUTOREPLY_SLOT_OPTION_LIMIT || 4));
       let normalizedSlotCandidates = (Array.isArray(slotRows) ? slotRows : [])
         .map((slot) => normalizeSlotCandidate(slot))
@@ -613,14 +824,15 @@ export async function processPendingMessagesWithAi({
       }
       const slotOptions = Array.from(new Set(normalizedSlotCandidates.map((slot) => slot.label))).slice(0, maxSlotOptions);
       const followUpRuleFallbackIntent = message.metadata?.intent || "tour_request";
-      const messageIntent = classifyIntent(msg.body);
       const followUp = detectFollowUp(msg.body, msg.hasRecentOutbound);
       const ruleIntent = followUp ? followUpRuleFallbackIntent : messageIntent;
 
       const rule = await adapter.findRule({
         platformAccountId: msg.platformAccountId,
         intent: ruleIntent,
-        fallbackIntent: followUpRuleFallbackIntent
+        fallbackIntent: followUpRuleFallbackIntent,
+        qualificationStatus: qualification.status,
+        qualificationScore: qualification.score
       });
 
       const templateName = rule?.actionConfig?.template || null;
@@ -633,16 +845,16 @@ export async function processPendingMessagesWithAi({
 
       const templateContext = buildTemplateContext(msg, slotOptions);
 
-      const provider = process.env.AI_DECISION_PROVIDER || "heuristic";
-      const geminiEnabled = Boolean(aiEnabled ?? provider === "gemini");
+      const providerOrder = parseAiProviderOrder(platformPolicy.aiProviderOrder ?? process.env.AI_DECISION_PROVIDER);
+      const aiProvidersEnabled = Boolean(aiEnabled ?? providerOrder.length > 0);
       const contextMessageLimit = Math.max(0, Number(process.env.WORKER_AI_CONTEXT_MESSAGE_LIMIT || 12));
       const fewShotLimit = Math.max(0, Number(process.env.WORKER_AI_FEWSHOT_EXAMPLE_LIMIT || 3));
 
-      const playbook = geminiEnabled ? await loadAiPlaybook() : "";
+      const playbook = aiProvidersEnabled ? await loadAiPlaybook() : "";
       let conversationContext = [];
       let fewShotExamples = [];
 
-      if (geminiEnabled) {
+      if (aiProvidersEnabled) {
         if (contextMessageLimit > 0 && typeof adapter.fetchConversationRecentMessages === "function" && msg.conversationId) {
           try {
             conversationContext = await adapter.fetchConversationRecentMessages({
@@ -673,6 +885,13 @@ export async function processPendingMessagesWithAi({
         }
       }
 
+      const guardrailRules = await loadGuardrailRules({
+        adapter,
+        logger,
+        platformAccountId: msg.platformAccountId,
+        cache: guardrailRulesByAccount
+      });
+
       let pipeline = await runReplyPipelineWithAI({
         inboundBody: msg.body,
         hasRecentOutbound: msg.hasRecentOutbound,
@@ -683,12 +902,27 @@ export async function processPendingMessagesWithAi({
         autoSendEnabled: Boolean(rule?.enabled) && platformPolicy.sendMode === "auto_send",
         aiClassifier,
         aiEnabled,
+        aiProviderOrder: platformPolicy.aiProviderOrder,
+        aiProviderTimeoutMs: platformPolicy.aiProviderTimeoutMs,
         geminiModel,
         conversationContext,
         fewShotExamples,
-        playbook
+        playbook,
+        leadProfile: msg.leadProfile,
+        prescreenQuestion: prescreen.active && !prescreen.progress.exhausted ? prescreen.progress.nextQuestion.question : null,
+        awaitingPrescreenAnswer: prescreen.awaitingAnswer,
+        guardrailRules,
+        intentModel,
+        intentModelMinConfidence
       });
 
+      if (pipeline.provider === "heuristic" && pipeline.providerAttempts.length > 0) {
+        logger.warn?.("[worker] all AI decision providers failed, using heuristic decision", {
+          messageId: message.id,
+          attempts: pipeline.providerAttempts
+        });
+      }
+
       let selectedSlotCandidates = normalizedSlotCandidates;
       let slotConfirmationState = null;
 
@@ -737,8 +971,23 @@ export async function processPendingMessagesWithAi({
           };
         }
       }
+      if (prescreen.active && prescreen.progress.exhausted) {
+        // The lead was asked twice without a usable answer; hand the thread to an agent.
+        const eligibility = { eligible: false, reason: "escalate_prescreen_unanswered", outcome: "escalate" };
+        pipeline = {
+          ...pipeline,
+          eligibility,
+          outcome: eligibility.outcome,
+          workflowOutcome: "human_required",
+          escalationReasonCode: eligibility.reason
+        };
+      }
+
+      const prescreenAsked = prescreen.active && pipeline.eligibility.eligible;
       const humanActionRequired = requiresHumanAction(pipeline);
-      const workflowPersistencePayload = buildWorkflowPersistencePayload(pipeline.workflowOutcome);
+      const workflowPersistencePayload = prescreenAsked
+        ? { workflowState: "prescreening" }
+        : buildWorkflowPersistencePayload(pipeline.workflowOutcome) || (prescreen.completedNow ? { workflowState: "prescreened" } : null);
 
       if (workflowPersistencePayload && typeof adapter.transitionConversationWorkflow === "function" && message.conversationId) {
         failureStage = "persist_workflow_transition";
@@ -750,10 +999,13 @@ export async function processPendingMessagesWithAi({
           source: "ai_outcome_decision",
           messageId: message.id
         });
+        if (workflowPersistencePayload.workflowState) {
+          rememberConversationState(conversationStates, msg, { workflowState: workflowPersistencePayload.workflowState });
+        }
       }
 
       if (
-        workflowPersistencePayload
+        workflowPersistencePayload?.workflowOutcome
         && message.conversationId
         && typeof adapter.syncShowingFromWorkflowOutcome === "function"
       ) {
@@ -771,6 +1023,20 @@ export async function processPendingMessagesWithAi({
         });
       }
 
+      if (
+        (prescreenAsked || prescreen.completedNow)
+        && message.conversationId
+        && typeof adapter.updatePrescreenState === "function"
+      ) {
+        failureStage = "persist_prescreen_state";
+        const prescreenState = buildPrescreenState(msg.prescreen, prescreen, { asked: prescreenAsked, now });
+        await adapter.updatePrescreenState({
+          conversationId: message.conversationId,
+          prescreen: prescreenState
+        });
+        rememberConversationState(conversationStates, msg, { prescreen: prescreenState });
+      }
+
       await adapter.recordLog({
         actorType: "worker",
         entityType: "message",
@@ -781,6 +1047,8 @@ export async function processPendingMessagesWithAi({
           effectiveIntent: pipeline.effectiveIntent,
           followUp: pipeline.followUp,
           provider: pipeline.provider,
+          providerAttempts: pipeline.providerAttempts,
+          intentClassification: pipeline.intentClassification,
           outcome: pipeline.outcome,
           workflowOutcome: pipeline.workflowOutcome,
           confidence: pipeline.confidence,
@@ -790,7 +1058,18 @@ export async function processPendingMessagesWithAi({
           escalationReasonCode: pipeline.escalationReasonCode,
           slotConfirmationState,
           platformPolicy,
-          guardrails: pipeline.guardrails.reasons
+          guardrails: pipeline.guardrails.reasons,
+          guardrailMatches: pipeline.guardrails.matches,
+          leadProfileChangedFields: leadProfileUpdate.changedFields,
+          qualification: { status: qualification.status, score: qualification.score },
+          prescreen: prescreen.active || prescreen.completedNow
+            ? {
+                askedField: prescreenAsked ? prescreen.progress.nextQuestion.field : null,
+                answeredFields: prescreen.progress.answeredFields,
+                missingFields: prescreen.progress.missingFields,
+                complete: prescreen.progress.complete
+              }
+            : null
         }
       });
       metrics.auditLogsWritten += 1;
@@ -846,7 +1125,10 @@ export async function processPendingMessagesWithAi({
       }
 
       if (pipeline.eligibility.eligible) {
-        const status = pipeline.outcome === "send" ? "sent" : "draft";
+        // Guardrail "hold" rules park the reply in the hold queue, like fair-housing flags, rather than leaving a plain draft.
+        const status = pipeline.outcome === "send" ? "sent" : pipeline.outcome === "hold" ? "hold" : "draft";
+        // Auto-sends outside the account (or agent) send window wait for the next opening instead of going out now.
+        const deferredUntil = status === "sent" ? deferUntilSendWindow(now, msg.sendWindow) : null;
         const dispatchKey = buildDispatchKey({ message: msg, pipeline, status });
         let dispatchGuard = {
           shouldDispatch: true,
@@ -887,7 +1169,7 @@ export async function processPendingMessagesWithAi({
         failureStage = "dispatch_outbound_message";
         const deliveryReceipt = !dispatchGuard.shouldDispatch
           ? dispatchGuard.delivery || null
-          : status === "sent" && typeof adapter.dispatchOutboundMessage === "function"
+          : status === "sent" && !deferredUntil && typeof adapter.dispatchOutboundMessage === "function"
           ? await adapter.dispatchOutboundMessage({
               platformAccountId: msg.platformAccountId,
               platform: msg.platform,
@@ -900,13 +1182,15 @@ export async function processPendingMessagesWithAi({
               }
             })
           : null;
+        // The adapter refuses to deliver replies that fail the fair-housing check.
+        const deliveryStatus = deferredUntil ? "deferred" : deliveryReceipt?.held === true ? "hold" : status;
 
         if (dispatchGuard.shouldDispatch && typeof adapter.completeDispatchAttempt === "function") {
           failureStage = "dispatch_idempotency_complete";
           await adapter.completeDispatchAttempt({
             messageId: message.id,
             dispatchKey,
-            status,
+            status: deliveryStatus,
             delivery: deliveryReceipt,
             now: now.toISOString()
           });
@@ -919,17 +1203,24 @@ export async function processPendingMessagesWithAi({
             actorType: "worker",
             entityType: "message",
             entityId: message.id,
-            action: status === "sent" ? "ai_reply_send_attempted" : "ai_reply_draft_created",
+            action: deliveryStatus === "sent"
+              ? "ai_reply_send_attempted"
+              : deliveryStatus === "hold"
+                ? "ai_reply_held_for_review"
+                : deliveryStatus === "deferred"
+                  ? "ai_reply_deferred_to_send_window"
+                  : "ai_reply_draft_created",
             details: {
               platform,
               intent: pipeline.intent,
               effectiveIntent: pipeline.effectiveIntent,
-              reviewStatus: status,
+              reviewStatus: deliveryStatus,
               platformPolicy,
               dispatchKey,
               selectedSlotIndex: pipeline.selectedSlotIndex,
               slotConfirmationState,
-              delivery: deliveryReceipt
+              delivery: deliveryReceipt,
+              deferredUntil
             }
           });
           metrics.auditLogsWritten += 1;
@@ -937,7 +1228,7 @@ export async function processPendingMessagesWithAi({
 
         if (dispatchGuard.shouldDispatch) {
           const outboundMetadata = {
-            reviewStatus: status,
+            reviewStatus: deliveryStatus,
             templateId: template?.id || null,
             intent: pipeline.intent,
             effectiveIntent: pipeline.effectiveIntent,
@@ -952,6 +1243,19 @@ export async function processPendingMessagesWithAi({
             dispatchKey,
             delivery: deliveryReceipt
           };
+          if (deferredUntil) {
+            outboundMetadata.deferredUntil = deferredUntil;
+          }
+          if (pipeline.outcome === "hold") {
+            outboundMetadata.reviewRequired = true;
+            outboundMetadata.guardrailHold = {
+              ruleIds: pipeline.guardrails.matches
+                .filter((match) => match.action === "hold")
+                .map((match) => match.ruleId),
+              reasons: pipeline.guardrails.holdReasons,
+              checkedAt: now.toISOString()
+            };
+          }
           if (slotConfirmationState?.status === "pending" && slotConfirmationState.slotCandidate) {
             outboundMetadata.slotConfirmationPending = {
               ...slotConfirmationState.slotCandidate,
@@ -968,7 +1272,7 @@ export async function processPendingMessagesWithAi({
           }
 
           failureStage = "record_outbound_reply";
-          await adapter.recordOutboundReply({
+          const recordedReply = await adapter.recordOutboundReply({
             conversationId: msg.conversationId,
             assignedAgentId: msg.assignedAgentId,
             body: pipeline.replyBody,
@@ -978,8 +1282,12 @@ export async function processPendingMessagesWithAi({
           });
 
           repliesCreated += 1;
-          if (status === "sent") {
+          if (deliveryStatus === "hold" || recordedReply?.reviewStatus === "hold") {
+            metrics.sends.held += 1;
+          } else if (deliveryStatus === "sent") {
             metrics.sends.sent += 1;
+          } else if (deliveryStatus === "deferred") {
+            metrics.sends.deferred += 1;
           } else {
             metrics.sends.drafted += 1;
           }
@@ -1119,6 +1427,7 @@ export async function processPendingMessagesWithAi({
   return {
     scanned: pendingMessages.length,
     repliesCreated,
+    stoppedEarly,
     metrics
   };
 }
@@ -0,0 +1,58 @@
+import os from "node:os";
+
+// Keeps this process's row in WorkerHeartbeats fresh so the admin dashboard can list live workers
+// and what each task did on its last run.
+export function createWorkerHeartbeat({
+  adapter,
+  workerInstanceId,
+  tasks = [],
+  intervalMs = 15000,
+  logger = console,
+  hostname = os.hostname(),
+  pid = process.pid,
+  startedAt = new Date()
+}) {
+  const taskStats = {};
+  let lastCycleAt = null;
+  let timer = null;
+
+  async function beat(status = "running") {
+    try {
+      await adapter.recordWorkerHeartbeat({
+        workerInstanceId,
+        hostname,
+        pid,
+        tasks,
+        status,
+        startedAt: startedAt.toISOString(),
+        lastCycleAt,
+        lastCycleStats: taskStats
+      });
+    } catch (error) {
+      logger.warn("[worker] heartbeat failed", {
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+
+  return {
+    beat,
+
+    start() {
+      if (!timer) {
+        timer = setInterval(() => beat("running"), intervalMs);
+      }
+      return beat("running");
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    recordTaskRun(taskName, { status, finishedAt, durationMs, summary = {} }) {
+      lastCycleAt = finishedAt;
+      taskStats[taskName] = { status, finishedAt, durationMs, ...summary };
+    }
+  };
+}
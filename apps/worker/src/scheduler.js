@@ -0,0 +1,118 @@
+// Runs each task on its own timer so a slow task (e.g. RPA ingest on one platform) never holds up
+// another. Ticks that find a task at its concurrency limit are skipped; wake-ups are debounced and,
+// when the task is busy, queue one more run for when a slot frees up.
+export function createTaskScheduler({
+  tasks,
+  runTask,
+  logger = console,
+  random = Math.random,
+  wakeDebounceMs = 500,
+  now = () => Date.now()
+}) {
+  const states = new Map(
+    tasks.map((task) => [
+      task.name,
+      {
+        task,
+        active: 0,
+        timer: null,
+        wakeTimer: null,
+        rerunRequested: false
+      }
+    ])
+  );
+  const inFlight = new Set();
+  let stopped = false;
+
+  function jitter(task) {
+    return task.jitterMs > 0 ? Math.round(random() * task.jitterMs) : 0;
+  }
+
+  function launch(state, trigger) {
+    if (stopped) {
+      return false;
+    }
+    if (state.active >= state.task.concurrency) {
+      if (trigger === "wake") {
+        state.rerunRequested = true;
+      }
+      return false;
+    }
+
+    state.active += 1;
+    const run = Promise.resolve()
+      .then(() => runTask(state.task, { trigger }))
+      .catch((error) => {
+        logger.error(`[worker] task ${state.task.name} failed`, error);
+      })
+      .finally(() => {
+        state.active -= 1;
+        inFlight.delete(run);
+        if (state.rerunRequested && !stopped) {
+          state.rerunRequested = false;
+          wake(state.task.name);
+        }
+      });
+    inFlight.add(run);
+    return true;
+  }
+
+  function scheduleNext(state, delayMs) {
+    if (stopped) {
+      return;
+    }
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      launch(state, "interval");
+      scheduleNext(state, state.task.intervalMs);
+    }, Math.max(0, delayMs) + jitter(state.task));
+  }
+
+  function wake(name) {
+    const state = states.get(name);
+    if (!state || stopped || state.wakeTimer) {
+      return;
+    }
+    state.wakeTimer = setTimeout(() => {
+      state.wakeTimer = null;
+      launch(state, "wake");
+    }, wakeDebounceMs);
+  }
+
+  return {
+    // lastRuns maps task names to their last start time, so a restart keeps each task's cadence
+    // instead of running everything at once.
+    start({ lastRuns = {} } = {}) {
+      for (const state of states.values()) {
+        const lastStartedAt = Date.parse(lastRuns[state.task.name] || "");
+        const delayMs = Number.isFinite(lastStartedAt)
+          ? Math.min(lastStartedAt + state.task.intervalMs - now(), state.task.intervalMs)
+          : 0;
+        scheduleNext(state, delayMs);
+      }
+    },
+
+    wake,
+
+    isStopped() {
+      return stopped;
+    },
+
+    activeRuns() {
+      return Object.fromEntries([...states.values()].map((state) => [state.task.name, state.active]));
+    },
+
+    // Stops scheduling new runs and resolves once the runs already in progress settle.
+    async stop() {
+      stopped = true;
+      for (const state of states.values()) {
+        clearTimeout(state.timer);
+        clearTimeout(state.wakeTimer);
+        state.timer = null;
+        state.wakeTimer = null;
+        state.rerunRequested = false;
+      }
+      await Promise.allSettled([...inFlight]);
+    }
+  };
+}
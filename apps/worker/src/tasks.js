@@ -0,0 +1,304 @@
+import {
+  createAgentNotifier,
+  dispatchDeferredMessages,
+  listSupportedPlatforms,
+  processDueFollowUps,
+  processDueShowingReminders
+} from "../../../packages/integrations/src/index.js";
+
+import { processPendingMessagesWithAi } from "./decision-pipeline.js";
+
+// The legacy single-task value; it used to run everything in one cycle, so it still selects every task.
+const legacyTaskSelection = "ai-triage-reply";
+
+function readPositiveNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function taskEnvKey(taskName) {
+  return taskName.toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+}
+
+// WORKER_TASK_<NAME>_INTERVAL_MS / _CONCURRENCY / _JITTER_MS override a task's defaults, where
+// <NAME> is the task name upper-cased with separators as underscores (ingest:spareroom -> INGEST_SPAREROOM).
+export function resolveTaskSchedule(env, taskName, defaults) {
+  const prefix = `WORKER_TASK_${taskEnvKey(taskName)}`;
+  const jitterMs = Number(env[`${prefix}_JITTER_MS`]);
+  return {
+    intervalMs: readPositiveNumber(env[`${prefix}_INTERVAL_MS`], defaults.intervalMs),
+    concurrency: Math.floor(readPositiveNumber(env[`${prefix}_CONCURRENCY`], defaults.concurrency || 1)),
+    jitterMs: Number.isFinite(jitterMs) && jitterMs >= 0 ? jitterMs : defaults.jitterMs || 0
+  };
+}
+
+export async function runIngestStep({ adapter, config, platforms = config.ingestPlatforms }) {
+  if (typeof adapter.ingestInboundMessages !== "function") {
+    return { scanned: 0, ingested: 0, platforms: [] };
+  }
+  return adapter.ingestInboundMessages({
+    limit: config.ingestBatchSize,
+    platforms
+  });
+}
+
+export async function runThreadSyncStep({ adapter, config }) {
+  if (!config.threadSyncEnabled || typeof adapter.syncRequestedThreads !== "function") {
+    return { scanned: 0, synced: 0, failed: 0 };
+  }
+  return adapter.syncRequestedThreads({
+    limit: config.threadSyncMaxPerRun,
+    platforms: config.threadSyncPlatforms
+  });
+}
+
+export async function runReplyTriageStep({ adapter, config, logger, now, shouldStop }) {
+  return processPendingMessagesWithAi({
+    adapter,
+    logger,
+    limit: config.queueBatchSize,
+    now,
+    workerId: config.workerInstanceId,
+    claimTtlMs: config.claimTtlMs,
+    shouldStop
+  });
+}
+
+export async function runFollowUpsStep({ adapter, config, logger, now }) {
+  if (!config.followUpsEnabled) {
+    return { scanned: 0, sent: 0, drafted: 0, held: 0, deferred: 0, skipped: 0, failed: 0, items: [] };
+  }
+  return processDueFollowUps({
+    adapter,
+    logger,
+    now,
+    limit: config.followUpBatchSize
+  });
+}
+
+export async function runDeferredSendsStep({ adapter, config, logger, now }) {
+  return dispatchDeferredMessages({
+    adapter,
+    logger,
+    now,
+    limit: config.queueBatchSize,
+    leaseMs: config.claimTtlMs
+  });
+}
+
+export async function runShowingRemindersStep({ adapter, config, logger, now, agentNotifier }) {
+  if (!config.showingRemindersEnabled) {
+    return { scanned: 0, sent: 0, drafted: 0, held: 0, deferred: 0, notified: 0, skipped: 0, failed: 0 };
+  }
+  return processDueShowingReminders({
+    adapter,
+    notifier: agentNotifier || createAgentNotifier({ env: process.env }),
+    logger,
+    now,
+    limit: config.queueBatchSize
+  });
+}
+
+// Starts and ends agent out-of-office delegations whose ranges began or ran out since the last run.
+export async function runOutOfOfficeStep({ adapter, now }) {
+  if (typeof adapter.syncAgentOutOfOffice !== "function") {
+    return { activated: 0, ended: 0, items: [] };
+  }
+  return adapter.syncAgentOutOfOffice({ now });
+}
+
+// Flags pending and confirmed showings that have ended so their agent records an outcome.
+export async function runShowingOutcomesStep({ adapter, config, now }) {
+  if (typeof adapter.flagShowingsAwaitingOutcome !== "function") {
+    return { flagged: 0, appointmentIds: [] };
+  }
+  return adapter.flagShowingsAwaitingOutcome({ now, limit: config.queueBatchSize });
+}
+
+export function buildWorkerTasks(config, env = process.env) {
+  const ingestPlatforms = config.ingestPlatforms || listSupportedPlatforms();
+  const defineTask = (name, defaults, run) => ({
+    name,
+    ...resolveTaskSchedule(env, name, defaults),
+    run
+  });
+
+  const tasks = ingestPlatforms.map((platform) =>
+    defineTask(
+      `ingest:${platform}`,
+      { intervalMs: config.pollIntervalMs, jitterMs: config.jitterMs },
+      async (context) => {
+        const result = await runIngestStep({ ...context, config, platforms: [platform] });
+        if (result.threadSyncRequested > 0) {
+          context.wake("thread-sync");
+        }
+        return result;
+      }
+    )
+  );
+
+  tasks.push(
+    // Inbound inserts and approvals also wake this task through Postgres notifications.
+    defineTask("reply-triage", { intervalMs: config.pollIntervalMs }, (context) =>
+      runReplyTriageStep({ ...context, config })
+    )
+  );
+
+  if (config.threadSyncEnabled) {
+    tasks.push(
+      defineTask("thread-sync", { intervalMs: config.pollIntervalMs * 2, jitterMs: config.jitterMs }, (context) =>
+        runThreadSyncStep({ ...context, config })
+      )
+    );
+  }
+
+  if (config.listingSyncEnabled) {
+    tasks.push(
+      defineTask("listing-sync", { intervalMs: config.listingSyncIntervalMs, jitterMs: config.jitterMs }, ({ adapter }) =>
+        adapter.syncPlatformListings({ platforms: config.listingSyncPlatforms })
+      )
+    );
+  }
+
+  if (config.followUpsEnabled) {
+    tasks.push(
+      defineTask("follow-ups", { intervalMs: 60000, jitterMs: config.jitterMs }, (context) =>
+        runFollowUpsStep({ ...context, config })
+      )
+    );
+  }
+
+  tasks.push(
+    defineTask("deferred-sends", { intervalMs: config.pollIntervalMs, jitterMs: config.jitterMs }, (context) =>
+      runDeferredSendsStep({ ...context, config })
+    )
+  );
+
+  if (config.showingRemindersEnabled) {
+    tasks.push(
+      defineTask("showing-reminders", { intervalMs: 60000, jitterMs: config.jitterMs }, (context) =>
+        runShowingRemindersStep({ ...context, config })
+      )
+    );
+  }
+
+  tasks.push(
+    defineTask("showing-outcomes", { intervalMs: 300000, jitterMs: config.jitterMs }, (context) =>
+      runShowingOutcomesStep({ ...context, config })
+    )
+  );
+
+  tasks.push(
+    defineTask("out-of-office", { intervalMs: 60000, jitterMs: config.jitterMs }, (context) =>
+      runOutOfOfficeStep(context)
+    )
+  );
+
+  tasks.push(
+    defineTask("cleanup", { intervalMs: 3600000, jitterMs: 60000 }, ({ adapter, now }) =>
+      adapter.cleanupExpiredRecords({ now })
+    )
+  );
+
+  return tasks;
+}
+
+// selection is WORKER_TASK: "all" (or the legacy "ai-triage-reply"), or a comma-separated list of task
+// names where a bare prefix such as "ingest" selects every ingest:<platform> task.
+export function selectWorkerTasks(tasks, selection) {
+  const requested = String(selection || "all").split(",").map((value) => value.trim()).filter(Boolean);
+  if (requested.length === 0 || requested.includes("all") || requested.includes(legacyTaskSelection)) {
+    return tasks;
+  }
+
+  const selected = tasks.filter((task) =>
+    requested.some((name) => task.name === name || task.name.startsWith(`${name}:`))
+  );
+  const unknown = requested.filter((name) =>
+    !tasks.some((task) => task.name === name || task.name.startsWith(`${name}:`))
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown WORKER_TASK entries: ${unknown.join(", ")} (available: ${tasks.map((task) => task.name).join(", ")})`);
+  }
+  return selected;
+}
+
+// Keeps the scalar counters of a task result for the WorkerTaskRuns row; item lists and nested
+// metrics stay in the log.
+export function summarizeTaskResult(result) {
+  if (!result || typeof result !== "object") {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(result).filter(([, value]) =>
+      ["number", "string", "boolean"].includes(typeof value)
+      || (Array.isArray(value) && value.every((entry) => typeof entry === "string"))
+    )
+  );
+}
+
+export async function runWorkerTask({
+  task,
+  adapter,
+  workerInstanceId,
+  logger = console,
+  trigger = "interval",
+  wake = () => {},
+  shouldStop = () => false,
+  onFinish = () => {},
+  now = new Date(),
+  agentNotifier
+}) {
+  const startedAt = Date.now();
+  const bookkeeping = typeof adapter.recordWorkerTaskStart === "function";
+
+  if (bookkeeping) {
+    await adapter.recordWorkerTaskStart({
+      taskName: task.name,
+      workerInstanceId,
+      startedAt: new Date(startedAt).toISOString()
+    });
+  }
+
+  let result = null;
+  let failure = null;
+  try {
+    result = await task.run({ adapter, logger, now, wake, shouldStop, agentNotifier });
+  } catch (error) {
+    failure = error;
+  }
+
+  const durationMs = Date.now() - startedAt;
+  const summary = summarizeTaskResult(result);
+  const finished = {
+    taskName: task.name,
+    status: failure ? "failed" : "succeeded",
+    finishedAt: new Date().toISOString(),
+    durationMs,
+    summary
+  };
+  if (bookkeeping) {
+    await adapter.recordWorkerTaskFinish({
+      taskName: task.name,
+      workerInstanceId,
+      status: finished.status,
+      finishedAt: finished.finishedAt,
+      durationMs,
+      result: summary,
+      error: failure ? (failure instanceof Error ? failure.message : String(failure)) : null
+    });
+  }
+  onFinish(finished);
+
+  if (failure) {
+    throw failure;
+  }
+
+  logger.log("[worker] task complete", {
+    task: task.name,
+    trigger,
+    durationMs,
+    ...summary
+  });
+  return result;
+}
@@ -0,0 +1,47 @@
+// The worker shares the inbox event channel with the API's live stream (see migration 020).
+export const WORKER_WAKE_CHANNEL = "lease_bot_inbox_events";
+
+// Only new inbound messages and admin approvals need the worker. Everything else on the channel,
+// including the drafts and sends the worker itself writes, would just wake reply triage for nothing.
+export function isWorkerWakeEvent(event) {
+  if (!event || typeof event !== "object") {
+    return false;
+  }
+  if (event.type === "inbound_message") {
+    return true;
+  }
+  return event.type === "message_status_changed"
+    && event.reviewStatus === "sent"
+    && ["draft", "hold"].includes(event.previousReviewStatus);
+}
+
+// Notifications raised on the listening connection itself are skipped. Tasks run on pooled
+// connections, so messages stored by the ingest tasks do wake reply triage.
+export async function listenForWakeEvents(client, onWake, { logger = console } = {}) {
+  const handleNotification = (notification) => {
+    if (notification.channel !== WORKER_WAKE_CHANNEL) {
+      return;
+    }
+    if (client.processID && notification.processId === client.processID) {
+      return;
+    }
+    let event;
+    try {
+      event = JSON.parse(notification.payload);
+    } catch {
+      logger.warn("[worker] ignored malformed wake notification", { payload: notification.payload });
+      return;
+    }
+    if (isWorkerWakeEvent(event)) {
+      onWake(event);
+    }
+  };
+
+  client.on("notification", handleNotification);
+  await client.query(`LISTEN ${WORKER_WAKE_CHANNEL}`);
+
+  return async () => {
+    client.removeListener("notification", handleNotification);
+    await client.query(`UNLISTEN ${WORKER_WAKE_CHANNEL}`);
+  };
+}
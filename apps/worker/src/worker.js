@@ -1,7 +1,8 @@
 import { fileURLToPath } from "node:url";
 
-import { createClient } from "../../../packages/db/src/index.js";
+import { createClient, createPool } from "../../../packages/db/src/index.js";
 import {
+  createAgentNotifier,
   createConnectorRegistry,
   createPostgresQueueAdapter,
   createRpaAlertDispatcher
@@ -10,52 +11,119 @@ import { ensureDevTestData } from "../../../packages/integrations/src/bootstrap-
 import { ensureRequiredPlatformAccounts } from "../../../packages/integrations/src/bootstrap-platform-accounts.js";
 
 import { processPendingMessagesWithAi } from "./decision-pipeline.js";
+import { createWorkerHeartbeat } from "./heartbeat.js";
+import { createTaskScheduler } from "./scheduler.js";
+import {
+  buildWorkerTasks,
+  runDeferredSendsStep,
+  runFollowUpsStep,
+  runIngestStep,
+  runOutOfOfficeStep,
+  runShowingOutcomesStep,
+  runShowingRemindersStep,
+  runThreadSyncStep,
+  runWorkerTask,
+  selectWorkerTasks
+} from "./tasks.js";
+import { listenForWakeEvents } from "./wake-events.js";
 
 const pollIntervalMs = Number(process.env.WORKER_POLL_INTERVAL_MS || 15000);
 const queueBatchSize = Number(process.env.WORKER_QUEUE_BATCH_SIZE || 20);
-const ingestBatchSize = Number(process.env.WORKER_INGEST_BATCH_SIZE || 250);
 const claimTtlMs = Number(process.env.WORKER_CLAIM_TTL_MS || Math.max(pollIntervalMs * 4, 60000));
-const workerInstanceId = process.env.WORKER_INSTANCE_ID || `worker-${process.pid}`;
-const ingestPlatforms = process.env.WORKER_INGEST_PLATFORMS
-  ? process.env.WORKER_INGEST_PLATFORMS.split(",").map((platform) => platform.trim()).filter(Boolean)
-  : null;
-const task = process.env.WORKER_TASK || "ai-triage-reply";
+const task = process.env.WORKER_TASK || "all";
 const runOnce = process.env.WORKER_RUN_ONCE === "1";
+const wakeOnNotify = process.env.WORKER_WAKE_ON_NOTIFY !== "0";
+const wakeDebounceMs = Number(process.env.WORKER_WAKE_DEBOUNCE_MS || 500);
+const shutdownTimeoutMs = Number(process.env.WORKER_SHUTDOWN_TIMEOUT_MS || 30000);
+const heartbeatIntervalMs = Number(process.env.WORKER_HEARTBEAT_INTERVAL_MS || 15000);
+const workerConfig = {
+  pollIntervalMs,
+  queueBatchSize,
+  claimTtlMs,
+  ingestBatchSize: Number(process.env.WORKER_INGEST_BATCH_SIZE || 250),
+  workerInstanceId: process.env.WORKER_INSTANCE_ID || `worker-${process.pid}`,
+  ingestPlatforms: process.env.WORKER_INGEST_PLATFORMS
+    ? process.env.WORKER_INGEST_PLATFORMS.split(",").map((platform) => platform.trim()).filter(Boolean)
+    : null,
+  jitterMs: Number(process.env.WORKER_TASK_JITTER_MS || 2000),
+  followUpsEnabled: process.env.WORKER_FOLLOW_UPS_ENABLED !== "0",
+  followUpBatchSize: Number(process.env.WORKER_FOLLOW_UP_BATCH_SIZE || queueBatchSize),
+  showingRemindersEnabled: process.env.WORKER_SHOWING_REMINDERS_ENABLED !== "0",
+  threadSyncEnabled: process.env.WORKER_THREAD_SYNC_ON_NEW_INBOUND === "1",
+  threadSyncPlatforms: process.env.WORKER_THREAD_SYNC_PLATFORMS
+    ? process.env.WORKER_THREAD_SYNC_PLATFORMS.split(",").map((value) => value.trim()).filter(Boolean)
+    : ["spareroom", "roomies", "leasebreak"],
+  threadSyncMaxPerRun: Number(process.env.WORKER_THREAD_SYNC_MAX_PER_CYCLE || 2),
+  listingSyncEnabled: process.env.WORKER_LISTING_SYNC_ENABLED === "1",
+  listingSyncPlatforms: process.env.LEASE_BOT_SYNC_LISTINGS_PLATFORMS
+    ? process.env.LEASE_BOT_SYNC_LISTINGS_PLATFORMS.split(",").map((value) => value.trim()).filter(Boolean)
+    : ["spareroom"],
+  listingSyncIntervalMs: Number(process.env.LEASE_BOT_SYNC_LISTINGS_INTERVAL_MS || 180000)
+};
 
+// Runs every step once, in order, on one connection. Used for WORKER_RUN_ONCE; the long-running
+// worker schedules the same steps as independent tasks instead (see startWorker).
 export async function runWorkerCycle(client, logger = console, options = {}) {
   const adapter = options.adapter || createPostgresQueueAdapter(client);
   const startedAt = Date.now();
   const now = options.now || new Date();
-  const ingestResult = typeof adapter.ingestInboundMessages === "function"
-    ? await adapter.ingestInboundMessages({
-        limit: ingestBatchSize,
-        platforms: ingestPlatforms
-      })
-    : { scanned: 0, ingested: 0, platforms: [] };
+  const context = { adapter, config: workerConfig, logger, now, agentNotifier: options.agentNotifier };
 
+  const outOfOfficeResult = await runOutOfOfficeStep(context);
+  const ingestResult = await runIngestStep(context);
+  const threadSyncResult = await runThreadSyncStep(context);
   const result = await processPendingMessages({
     adapter,
     logger,
     limit: queueBatchSize,
     now,
-    workerId: workerInstanceId,
+    workerId: workerConfig.workerInstanceId,
     claimTtlMs
   });
+  const followUpResult = await runFollowUpsStep(context);
+  const deferredResult = await runDeferredSendsStep(context);
+  const reminderResult = await runShowingRemindersStep(context);
+  const outcomeResult = await runShowingOutcomesStep(context);
 
   logger.log("[worker] cycle complete", {
     ingestScanned: ingestResult.scanned,
     ingestIngested: ingestResult.ingested,
+    threadsSynced: threadSyncResult.synced,
     scanned: result.scanned,
     repliesCreated: result.repliesCreated,
+    followUpsSent: followUpResult.sent,
+    followUpsDrafted: followUpResult.drafted,
+    followUpsDeferred: followUpResult.deferred,
+    deferredSent: deferredResult.sent,
+    deferredRescheduled: deferredResult.rescheduled,
+    remindersSent: reminderResult.sent,
+    remindersNotified: reminderResult.notified,
+    showingsAwaitingOutcome: outcomeResult.flagged,
+    outOfOfficeActivated: outOfOfficeResult.activated,
+    outOfOfficeEnded: outOfOfficeResult.ended,
     durationMs: Date.now() - startedAt
   });
 
   return {
     ...result,
-    ingest: ingestResult
+    ingest: ingestResult,
+    threadSync: threadSyncResult,
+    followUps: followUpResult,
+    deferred: deferredResult,
+    showingReminders: reminderResult,
+    showingOutcomes: outcomeResult,
+    outOfOffice: outOfOfficeResult
   };
 }
 
+function settlesWithin(promise, timeoutMs) {
+  let timer = null;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(false), timeoutMs);
+  });
+  return Promise.race([promise.then(() => true), deadline]).finally(() => clearTimeout(timer));
+}
+
 export async function processPendingMessages(params) {
   return processPendingMessagesWithAi(params);
 }
@@ -95,44 +163,130 @@ export async function startWorker() {
     });
   }
 
-  console.log(`worker started (${task}) interval=${pollIntervalMs}ms batch=${queueBatchSize}`);
-
-  let shuttingDown = false;
-  let running = false;
-
-  const executeCycle = async () => {
-    if (running || shuttingDown) {
-      return;
-    }
-    running = true;
+  if (runOnce) {
+    console.log(`worker started (run once) batch=${queueBatchSize}`);
     try {
       await runWorkerCycle(client, console, { adapter });
     } catch (error) {
       console.error("[worker] cycle failed", error);
+    }
+    await client.end();
+    return;
+  }
+
+  const tasks = selectWorkerTasks(buildWorkerTasks(workerConfig), task);
+  const pool = createPool({
+    max: Number(process.env.WORKER_DB_POOL_SIZE || tasks.reduce((total, entry) => total + entry.concurrency, 0))
+  });
+  const agentNotifier = createAgentNotifier({ env: process.env });
+
+  const heartbeat = createWorkerHeartbeat({
+    adapter,
+    workerInstanceId: workerConfig.workerInstanceId,
+    tasks: tasks.map((entry) => entry.name),
+    intervalMs: heartbeatIntervalMs,
+    logger: console
+  });
+
+  let scheduler = null;
+  const executeTask = async (scheduledTask, { trigger }) => {
+    const taskClient = await pool.connect();
+    try {
+      await runWorkerTask({
+        task: scheduledTask,
+        adapter: createPostgresQueueAdapter(taskClient, { connectorRegistry }),
+        workerInstanceId: workerConfig.workerInstanceId,
+        logger: console,
+        trigger,
+        wake: (name) => scheduler.wake(name),
+        shouldStop: () => scheduler.isStopped(),
+        onFinish: ({ taskName, ...run }) => heartbeat.recordTaskRun(taskName, run),
+        now: new Date(),
+        agentNotifier
+      });
     } finally {
-      running = false;
+      taskClient.release();
     }
   };
+  scheduler = createTaskScheduler({
+    tasks,
+    runTask: executeTask,
+    logger: console,
+    wakeDebounceMs
+  });
+
+  console.log(
+    `worker started tasks=${tasks.map((entry) => `${entry.name}@${entry.intervalMs}ms`).join(",")} batch=${queueBatchSize} wake=${wakeOnNotify ? "notify" : "off"}`
+  );
 
-  const shutdown = async () => {
+  let shuttingDown = false;
+  let stopListening = null;
+
+  // Stops new runs, gives the running ones until the deadline to finish, then hands back any
+  // messages this worker still has claimed so another worker can take them immediately.
+  const shutdown = async (signal) => {
     if (shuttingDown) {
       return;
     }
     shuttingDown = true;
-    console.log("[worker] shutting down");
+    console.log("[worker] shutting down", { signal, activeRuns: scheduler.activeRuns() });
+    heartbeat.stop();
+    await heartbeat.beat("stopping");
+    if (stopListening) {
+      await stopListening().catch(() => {});
+    }
+
+    const drained = await settlesWithin(scheduler.stop(), shutdownTimeoutMs);
+    if (!drained) {
+      console.warn("[worker] shutdown deadline reached with tasks still running", {
+        timeoutMs: shutdownTimeoutMs,
+        activeRuns: scheduler.activeRuns()
+      });
+    }
+
+    try {
+      const { released } = await adapter.releaseWorkerClaims({ workerId: workerConfig.workerInstanceId });
+      console.log("[worker] released message claims", { workerInstanceId: workerConfig.workerInstanceId, released });
+    } catch (error) {
+      console.warn("[worker] failed releasing message claims", {
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+    await heartbeat.beat("stopped");
+
+    if (!drained) {
+      // The runs still in flight hold pool connections, so pool.end() would wait on them.
+      await client.end().catch(() => {});
+      process.exit(1);
+    }
+    await pool.end();
     await client.end();
   };
 
-  process.on("SIGINT", shutdown);
-  process.on("SIGTERM", shutdown);
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
 
-  await executeCycle();
-  if (runOnce) {
-    await shutdown();
-    return;
+  let lastRuns = {};
+  try {
+    const runs = await adapter.fetchWorkerTaskRuns();
+    lastRuns = Object.fromEntries(runs.map((run) => [run.taskName, run.lastStartedAt]));
+  } catch (error) {
+    console.warn("[worker] failed loading task run history", {
+      error: error instanceof Error ? error.message : String(error)
+    });
   }
+  scheduler.start({ lastRuns });
+  await heartbeat.start();
 
-  setInterval(executeCycle, pollIntervalMs);
+  if (wakeOnNotify && tasks.some((entry) => entry.name === "reply-triage")) {
+    try {
+      stopListening = await listenForWakeEvents(client, () => scheduler.wake("reply-triage"), { logger: console });
+    } catch (error) {
+      console.warn("[worker] failed to listen for wake notifications; polling only", {
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
 }
 
 const isDirectRun = process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1];
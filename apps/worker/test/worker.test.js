@@ -1,9 +1,31 @@
 import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
 import test from "node:test";
 
-import { classifyIntent, detectFollowUp, listWorkflowOutcomes, runReplyPipelineWithAI } from "../../../packages/ai/src/index.js";
+import {
+  buildLeadProfileTemplateVariables,
+  checkFairHousingCompliance,
+  classifyIntent,
+  classifyIntentWithDetails,
+  detectFollowUp,
+  extractLeadProfile,
+  INTENT_MODEL_FORMAT_VERSION,
+  listWorkflowOutcomes,
+  mergeLeadProfile,
+  parseIntentModel,
+  predictIntentWithModel,
+  resolvePrescreenProgress,
+  runReplyPipelineWithAI,
+  scoreLeadQualification,
+  trainIntentModel,
+  validatePrescreenQuestions
+} from "../../../packages/ai/src/index.js";
 import { buildWorkflowPersistencePayload } from "../src/decision-pipeline.js";
 import { processPendingMessages, runWorkerCycle } from "../src/worker.js";
+import { createWorkerHeartbeat } from "../src/heartbeat.js";
+import { createTaskScheduler } from "../src/scheduler.js";
+import { buildWorkerTasks, resolveTaskSchedule, runWorkerTask, selectWorkerTasks } from "../src/tasks.js";
+import { isWorkerWakeEvent, listenForWakeEvents, WORKER_WAKE_CHANNEL } from "../src/wake-events.js";
 import {
   createConnectorRegistry,
   resolvePlatformCredentials,
@@ -17,7 +39,8 @@ function createMemoryAdapter({
   slotOptionsByUnit = {},
   assignedSlotOptionsByUnitAndAgent = null,
   conversationContextByConversationId = {},
-  fewShotExamplesByPlatformAccountId = {}
+  fewShotExamplesByPlatformAccountId = {},
+  guardrailRulesByPlatformAccountId = null
 }) {
   const processed = [];
   const outbound = [];
@@ -27,6 +50,9 @@ function createMemoryAdapter({
   const dispatchByMessageId = new Map();
   const slotOptionCalls = [];
   const assignedSlotOptionCalls = [];
+  const leadProfileUpdates = [];
+  const qualificationUpdates = [];
+  const prescreenUpdates = [];
 
   const adapter = {
       async fetchPendingMessages() {
@@ -117,6 +143,15 @@ function createMemoryAdapter({
       async markInboundProcessed(payload) {
         processed.push(payload);
       },
+      async updateLeadProfile(payload) {
+        leadProfileUpdates.push(payload);
+      },
+      async updateConversationQualification(payload) {
+        qualificationUpdates.push(payload);
+      },
+      async updatePrescreenState(payload) {
+        prescreenUpdates.push(payload);
+      },
       async transitionConversationWorkflow(payload) {
         workflowTransitions.push(payload);
         return {
@@ -148,6 +183,14 @@ function createMemoryAdapter({
     };
   }
 
+  const guardrailRuleCalls = [];
+  if (guardrailRulesByPlatformAccountId) {
+    adapter.fetchGuardrailRules = async ({ platformAccountId }) => {
+      guardrailRuleCalls.push({ platformAccountId });
+      return guardrailRulesByPlatformAccountId[platformAccountId] || [];
+    };
+  }
+
   return {
     adapter,
     processed,
@@ -157,7 +200,11 @@ function createMemoryAdapter({
     showingOutcomeSyncs,
     dispatchByMessageId,
     slotOptionCalls,
-    assignedSlotOptionCalls
+    assignedSlotOptionCalls,
+    guardrailRuleCalls,
+    leadProfileUpdates,
+    qualificationUpdates,
+    prescreenUpdates
   };
 }
 
@@ -191,6 +238,441 @@ test("classifies intent and follow-up signals", () => {
   assert.equal(detectFollowUp("Just checking in, any update?", false), false);
 });
 
+const intentTrainingExamples = [
+  { body: "Is the rent negotiable?", intent: "pricing_question", approved: true },
+  { body: "Would you take less on the rent?", intent: "pricing_question", approved: true },
+  { body: "Is there any flexibility on the rent?", intent: "pricing_question", approved: true },
+  { body: "Are utilities included in the rent?", intent: "pricing_question", approved: true },
+  { body: "What would the rent be with parking?", intent: "pricing_question", approved: true },
+  { body: "Can I come see the room Saturday?", intent: "tour_request", approved: true },
+  { body: "Could I stop by to see the apartment tomorrow?", intent: "tour_request", approved: true },
+  { body: "I would like to see the place this week", intent: "tour_request", approved: true },
+  { body: "Can I come by and see it after work?", intent: "tour_request", approved: true },
+  { body: "Could we see the room on Sunday morning?", intent: "tour_request", approved: true },
+  { body: "Is the room still free from March?", intent: "availability_question", approved: true },
+  { body: "Is this still on the market?", intent: "availability_question", approved: true },
+  { body: "Is the room still open for next month?", intent: "availability_question", approved: true },
+  { body: "Has the room been taken yet?", intent: "availability_question", approved: true },
+  { body: "Is the flat still free for April?", intent: "availability_question", approved: true },
+  { body: "Is the rent negotiable?", intent: "availability_question", approved: false }
+];
+
+test("trained intent model handles phrasing the regex heuristic misses", () => {
+  const model = trainIntentModel(intentTrainingExamples, { trainedAt: "2026-02-06T10:00:00.000Z" });
+
+  assert.equal(model.formatVersion, INTENT_MODEL_FORMAT_VERSION);
+  assert.equal(model.modelVersion, "intent-20260206T100000Z");
+  assert.deepEqual(model.labels, ["tour_request", "pricing_question", "availability_question"]);
+  assert.equal(model.exampleCount, 16);
+  assert.equal(model.labelCounts.unsubscribe, 0);
+
+  assert.equal(classifyIntent("is the rent negotiable?"), "unknown");
+  const classification = classifyIntentWithDetails("is the rent negotiable?", { intentModel: model });
+  assert.equal(classification.intent, "pricing_question");
+  assert.equal(classification.source, "model");
+  assert.equal(classification.heuristicIntent, "unknown");
+  assert.equal(classification.modelVersion, "intent-20260206T100000Z");
+
+  const roundTripped = parseIntentModel(JSON.stringify(model));
+  assert.equal(predictIntentWithModel(roundTripped, "could I come see the room?").intent, "tour_request");
+});
+
+test("intent model falls back to heuristic on low confidence and rejects other format versions", () => {
+  const model = trainIntentModel(intentTrainingExamples);
+
+  const lowConfidence = classifyIntentWithDetails("Hello there", { intentModel: model, minConfidence: 0.99 });
+  assert.equal(lowConfidence.intent, "unknown");
+  assert.equal(lowConfidence.source, "heuristic_low_confidence");
+  assert.equal(typeof lowConfidence.confidence, "number");
+
+  assert.equal(classifyIntentWithDetails("", { intentModel: model }).source, "heuristic");
+  assert.throws(() => parseIntentModel({ ...model, formatVersion: 99 }), /unsupported intent model format version/);
+  assert.throws(() => trainIntentModel([{ body: "hi", intent: "tour_request", approved: false }]), /at least 2 labels/);
+});
+
+test("intent model needs enough examples per label and never overrides labels it lacks or an opt-out", () => {
+  const tourOnly = intentTrainingExamples.filter((example) => example.intent === "tour_request");
+  assert.throws(() => trainIntentModel(tourOnly), /at least 2 labels with 5 approved examples each/);
+
+  // Pricing has five examples, availability only two, so availability is left to the heuristic.
+  const withoutAvailability = intentTrainingExamples.filter((example) =>
+    example.intent !== "availability_question" || /March|market/.test(example.body)
+  );
+  const model = trainIntentModel(withoutAvailability);
+  assert.deepEqual(model.labels, ["tour_request", "pricing_question"]);
+  assert.equal(model.labelCounts.availability_question, 2);
+
+  const notModeled = classifyIntentWithDetails("Is it still available?", { intentModel: model, minConfidence: 0 });
+  assert.equal(notModeled.intent, "availability_question");
+  assert.equal(notModeled.source, "heuristic_label_not_modeled");
+
+  for (const body of ["Please stop messaging me about the room", "I want to opt out, can I see the room?"]) {
+    const optOut = classifyIntentWithDetails(body, { intentModel: model, minConfidence: 0 });
+    assert.equal(optOut.intent, "unsubscribe");
+    assert.equal(optOut.source, "heuristic");
+  }
+});
+
+test("worker classifies with the supplied intent model and records the classifier source", async () => {
+  const fixture = createMemoryAdapter({
+    pendingMessages: [
+      {
+        id: "m-intent-model",
+        conversationId: "c-intent-model",
+        body: "Is the rent negotiable?",
+        metadata: {},
+        platformAccountId: "p1",
+        assignedAgentId: "a1",
+        leadName: "Jamie",
+        unitId: "u1",
+        unitNumber: "4B",
+        hasRecentOutbound: false
+      }
+    ],
+    ruleByIntent: {},
+    templatesByName: {}
+  });
+
+  await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:00:00.000Z"),
+    intentModel: trainIntentModel(intentTrainingExamples)
+  });
+
+  const decisionLog = fixture.logs.find((entry) => entry.action === "ai_reply_decision");
+  assert.equal(decisionLog.details.intent, "pricing_question");
+  assert.equal(decisionLog.details.intentClassification.source, "model");
+  assert.equal(decisionLog.details.decision.reason, "escalate_non_tour_intent");
+});
+
+test("extracts lead profile fields and merges newer answers over stored ones", () => {
+  const now = new Date("2026-02-06T10:00:00.000Z");
+
+  assert.deepEqual(
+    extractLeadProfile("Hi! Looking to move in March 1st, budget is $1,500. It's me and my partner, we have a small dog. Planning to stay 12 months, I work as a nurse.", { now }),
+    {
+      moveInDate: "2026-03-01",
+      budgetMonthly: 1500,
+      occupants: 2,
+      pets: { hasPets: true, types: ["dog"] },
+      stayLengthMonths: 12,
+      employment: "employed"
+    }
+  );
+  // Tour dates are not move-in dates.
+  assert.deepEqual(extractLeadProfile("Can I see it March 3?", { now }), {});
+  assert.deepEqual(extractLeadProfile("Moving in early Jan, no pets", { now }), {
+    moveInDate: "2027-01-01",
+    pets: { hasPets: false, types: [] }
+  });
+
+  const existing = { moveInDate: "2026-03-01", budgetMonthly: 1500, updatedAt: "2026-02-01T00:00:00.000Z" };
+  const merged = mergeLeadProfile(existing, { budgetMonthly: 1800, moveInDate: "2026-03-01" }, { messageId: "m2", now });
+  assert.deepEqual(merged.changedFields, ["budgetMonthly"]);
+  assert.equal(merged.profile.moveInDate, "2026-03-01");
+  assert.equal(merged.profile.budgetMonthly, 1800);
+  assert.equal(merged.profile.sourceMessageId, "m2");
+  assert.equal(merged.profile.updatedAt, now.toISOString());
+  assert.equal(mergeLeadProfile(existing, {}, { now }).profile, existing);
+
+  assert.deepEqual(buildLeadProfileTemplateVariables(merged.profile), {
+    lead_move_in_date: "March 1",
+    lead_budget: "$1,800",
+    lead_occupants: "",
+    lead_pets: "",
+    lead_stay_length: "",
+    lead_employment: "",
+    lead_income: ""
+  });
+});
+
+test("worker stores extracted lead profile and exposes it to templates", async () => {
+  const fixture = createMemoryAdapter({
+    pendingMessages: [
+      {
+        id: "m-lead-profile",
+        conversationId: "c-lead-profile",
+        body: "Can I tour this week? I'm a student and my budget is 1200.",
+        metadata: {},
+        platformAccountId: "p1",
+        assignedAgentId: "a1",
+        leadName: "Jamie",
+        leadProfile: { moveInDate: "2026-03-01", updatedAt: "2026-02-01T00:00:00.000Z" },
+        unitId: "u1",
+        unitNumber: "4B",
+        hasRecentOutbound: false
+      }
+    ],
+    ruleByIntent: {
+      tour_request: { id: "r1", enabled: true, actionConfig: { template: "tour_invite" } }
+    },
+    templatesByName: {
+      tour_invite: {
+        id: "tmpl-1",
+        name: "tour_invite",
+        body: "Hi {{lead_name}}, noted a move-in of {{lead_move_in_date}} and {{lead_budget}}/month. Slots: {{slot}}"
+      }
+    },
+    slotOptionsByUnit: {
+      u1: [
+        {
+          starts_at: "2026-02-07T17:00:00.000Z",
+          ends_at: "2026-02-07T17:30:00.000Z",
+          timezone: "UTC"
+        }
+      ]
+    }
+  });
+
+  await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:00:00.000Z")
+  });
+
+  assert.equal(fixture.leadProfileUpdates.length, 1);
+  assert.equal(fixture.leadProfileUpdates[0].conversationId, "c-lead-profile");
+  assert.deepEqual(
+    { ...fixture.leadProfileUpdates[0].profile, updatedAt: undefined },
+    {
+      moveInDate: "2026-03-01",
+      budgetMonthly: 1200,
+      employment: "student",
+      updatedAt: undefined,
+      sourceMessageId: "m-lead-profile"
+    }
+  );
+  assert.equal(fixture.outbound.length, 1);
+  assert.match(fixture.outbound[0].body, /move-in of March 1 and \$1,200\/month/);
+
+  const decisionLog = fixture.logs.find((entry) => entry.action === "ai_reply_decision");
+  assert.deepEqual(decisionLog.details.leadProfileChangedFields, ["budgetMonthly", "employment"]);
+});
+
+test("scores lead qualification against listing criteria", () => {
+  const criteria = { minStayMonths: 6, maxOccupants: 2, petPolicy: "cats_only", earliestMoveIn: "2026-03-01", incomeMultiple: 3 };
+
+  const qualified = scoreLeadQualification({
+    profile: { stayLengthMonths: 12, occupants: 1, pets: { hasPets: true, types: ["cat"] }, moveInDate: "2026-03-15", incomeMonthly: 4800 },
+    criteria,
+    rentCents: 150000
+  });
+  assert.equal(qualified.status, "qualified");
+  assert.equal(qualified.score, 100);
+  assert.equal(qualified.checks.find((check) => check.criterion === "incomeMultiple").expected, 4500);
+
+  const partial = scoreLeadQualification({ profile: { stayLengthMonths: 12, occupants: 2 }, criteria, rentCents: 150000 });
+  assert.equal(partial.status, "unknown");
+  assert.equal(partial.score, 40);
+
+  const unqualified = scoreLeadQualification({
+    profile: { stayLengthMonths: 12, pets: { hasPets: true, types: ["dog"] } },
+    criteria,
+    rentCents: 150000
+  });
+  assert.equal(unqualified.status, "unqualified");
+  assert.equal(unqualified.checks.find((check) => check.criterion === "petPolicy").result, "fail");
+
+  // Without a rent the income multiple cannot be checked, and without criteria there is nothing to score.
+  assert.equal(scoreLeadQualification({ profile: {}, criteria: { incomeMultiple: 3 } }).checks.length, 0);
+  assert.deepEqual(scoreLeadQualification({ profile: { occupants: 3 }, criteria: {} }), { status: "unknown", score: null, checks: [] });
+});
+
+test("worker tags conversation qualification and passes it to rule lookup", async () => {
+  const fixture = createMemoryAdapter({
+    pendingMessages: [
+      {
+        id: "m-qualification",
+        conversationId: "c-qualification",
+        body: "Can I tour this week? It would be 3 people and we have a dog.",
+        metadata: {},
+        platformAccountId: "p1",
+        assignedAgentId: "a1",
+        leadName: "Jamie",
+        leadProfile: {},
+        qualification: { status: "unknown" },
+        qualificationCriteria: { maxOccupants: 2, petPolicy: "no_pets" },
+        listingRentCents: 150000,
+        unitId: "u1",
+        unitNumber: "4B",
+        hasRecentOutbound: false
+      }
+    ],
+    ruleByIntent: {},
+    templatesByName: {}
+  });
+  const ruleLookups = [];
+  fixture.adapter.findRule = async (payload) => {
+    ruleLookups.push(payload);
+    return null;
+  };
+
+  await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:00:00.000Z")
+  });
+
+  assert.equal(fixture.qualificationUpdates.length, 1);
+  assert.equal(fixture.qualificationUpdates[0].conversationId, "c-qualification");
+  assert.equal(fixture.qualificationUpdates[0].qualification.status, "unqualified");
+  assert.equal(fixture.qualificationUpdates[0].qualification.score, 0);
+  assert.equal(fixture.qualificationUpdates[0].qualification.scoredAt, "2026-02-06T10:00:00.000Z");
+  assert.equal(ruleLookups[0].qualificationStatus, "unqualified");
+  assert.equal(ruleLookups[0].qualificationScore, 0);
+
+  const decisionLog = fixture.logs.find((entry) => entry.action === "ai_reply_decision");
+  assert.deepEqual(decisionLog.details.qualification, { status: "unqualified", score: 0 });
+});
+
+test("pre-screening progress follows the lead profile and validates listing questions", () => {
+  const questions = [{ field: "moveInDate" }, { field: "pets", question: "Any pets?" }, { field: "employment", required: false }];
+
+  const progress = resolvePrescreenProgress({ questions, profile: { pets: { hasPets: false, types: [] } } });
+  assert.deepEqual(progress.answeredFields, ["pets"]);
+  assert.deepEqual(progress.missingFields, ["moveInDate"]);
+  assert.equal(progress.nextQuestion.question, "When are you hoping to move in?");
+  assert.equal(progress.complete, false);
+  assert.equal(resolvePrescreenProgress({ questions, profile: {}, state: { askCounts: { moveInDate: 2 } } }).exhausted, true);
+  assert.equal(resolvePrescreenProgress({ questions, profile: { moveInDate: "2026-03-01", pets: { hasPets: true, types: [] } } }).complete, true);
+
+  assert.deepEqual(validatePrescreenQuestions(questions), []);
+  assert.deepEqual(validatePrescreenQuestions([{ field: "shoeSize" }, { field: "pets", required: "yes" }]), [
+    "prescreenQuestions[0].field must be one of moveInDate, budgetMonthly, occupants, pets, stayLengthMonths, employment, incomeMonthly",
+    "prescreenQuestions[1].required must be a boolean"
+  ]);
+});
+
+function createPrescreenFixture(...messages) {
+  return createMemoryAdapter({
+    pendingMessages: messages.map((message) => ({
+      conversationId: "c-prescreen",
+      metadata: {},
+      platformAccountId: "p1",
+      assignedAgentId: "a1",
+      leadName: "Jamie",
+      leadProfile: {},
+      prescreenQuestions: [{ field: "moveInDate" }, { field: "pets" }],
+      prescreen: {},
+      workflowState: "lead",
+      unitId: "u1",
+      unitNumber: "4B",
+      hasRecentOutbound: false,
+      ...message
+    })),
+    ruleByIntent: {
+      tour_request: { id: "r1", enabled: true, actionConfig: { template: "tour_invite" } }
+    },
+    templatesByName: {
+      tour_invite: { id: "tmpl-1", name: "tour_invite", body: "Tours for {{unit_number}}: {{slot_options_inline}}" }
+    },
+    slotOptionsByUnit: {
+      u1: [
+        {
+          starts_at: "2026-02-10T17:00:00.000Z",
+          ends_at: "2026-02-10T17:30:00.000Z",
+          timezone: "UTC"
+        }
+      ]
+    }
+  });
+}
+
+test("worker asks pre-screening questions one at a time before offering slots", async () => {
+  const fixture = createPrescreenFixture({ id: "m-prescreen-1", body: "Can I tour this week? No pets." });
+
+  await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:00:00.000Z")
+  });
+
+  assert.equal(fixture.slotOptionCalls.length, 0);
+  assert.equal(fixture.outbound.length, 1);
+  assert.equal(fixture.outbound[0].body, "When are you hoping to move in?");
+  assert.deepEqual(fixture.workflowTransitions[0].payload, { workflowState: "prescreening" });
+  assert.equal(fixture.showingOutcomeSyncs.length, 0);
+  assert.equal(fixture.prescreenUpdates[0].prescreen.askedField, "moveInDate");
+  assert.deepEqual(fixture.prescreenUpdates[0].prescreen.askCounts, { moveInDate: 1 });
+  assert.deepEqual(fixture.prescreenUpdates[0].prescreen.answeredFields, ["pets"]);
+
+  const decisionLog = fixture.logs.find((entry) => entry.action === "ai_reply_decision");
+  assert.equal(decisionLog.details.decision.reason, "prescreen_send_allowed");
+  assert.equal(decisionLog.details.prescreen.askedField, "moveInDate");
+});
+
+test("worker offers slots once the pre-screening answers are complete", async () => {
+  const fixture = createPrescreenFixture({
+    id: "m-prescreen-2",
+    body: "We would move in March 1st",
+    workflowState: "prescreening",
+    hasRecentOutbound: true,
+    leadProfile: { pets: { hasPets: false, types: [] } },
+    prescreen: { askedField: "moveInDate", askCounts: { moveInDate: 1 } }
+  });
+
+  await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:00:00.000Z")
+  });
+
+  assert.equal(fixture.slotOptionCalls.length, 1);
+  assert.equal(fixture.outbound.length, 1);
+  assert.match(fixture.outbound[0].body, /^Tours for 4B: /);
+  assert.deepEqual(fixture.workflowTransitions[0].payload, { workflowState: "prescreened" });
+  assert.equal(fixture.prescreenUpdates[0].prescreen.completedAt, "2026-02-06T10:00:00.000Z");
+  assert.equal(fixture.prescreenUpdates[0].prescreen.askedField, null);
+});
+
+test("messages from one conversation in the same batch build on each other's profile and prescreen state", async () => {
+  const fixture = createPrescreenFixture(
+    { id: "m-prescreen-batch-1", body: "Can I tour this week? No pets." },
+    { id: "m-prescreen-batch-2", body: "We would move in March 1st" }
+  );
+
+  await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:00:00.000Z")
+  });
+
+  assert.equal(fixture.leadProfileUpdates.length, 2);
+  assert.deepEqual(fixture.leadProfileUpdates[1].profile.pets, { hasPets: false, types: [] });
+  assert.equal(fixture.leadProfileUpdates[1].profile.moveInDate, "2026-03-01");
+  assert.deepEqual(
+    fixture.workflowTransitions.map((transition) => transition.payload),
+    [{ workflowState: "prescreening" }, { workflowState: "prescreened" }]
+  );
+  assert.deepEqual(fixture.prescreenUpdates[1].prescreen.askCounts, { moveInDate: 1 });
+  assert.equal(fixture.prescreenUpdates[1].prescreen.completedAt, "2026-02-06T10:00:00.000Z");
+  assert.equal(fixture.outbound.length, 2);
+  assert.match(fixture.outbound[1].body, /^Tours for 4B: /);
+});
+
+test("worker escalates when a pre-screening question keeps going unanswered", async () => {
+  const fixture = createPrescreenFixture({
+    id: "m-prescreen-3",
+    body: "Sounds good",
+    workflowState: "prescreening",
+    hasRecentOutbound: true,
+    prescreen: { askedField: "moveInDate", askCounts: { moveInDate: 2 } }
+  });
+
+  await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:00:00.000Z")
+  });
+
+  assert.equal(fixture.outbound.length, 0);
+  assert.equal(fixture.slotOptionCalls.length, 0);
+  const decisionLog = fixture.logs.find((entry) => entry.action === "ai_reply_decision");
+  assert.equal(decisionLog.details.escalationReasonCode, "escalate_prescreen_unanswered");
+  assert.equal(fixture.workflowTransitions[0].payload.workflowOutcome, "human_required");
+});
+
 test("R7: workflow outcome classifier exposes required outcome set", () => {
   const outcomes = listWorkflowOutcomes().sort();
   assert.deepEqual(outcomes, [
@@ -915,6 +1397,265 @@ test("guardrails block unsafe messages and still record logs", async () => {
   assert.equal(fixture.logs.some((entry) => entry.action === "ai_reply_skipped"), true);
 });
 
+test("admin guardrail rules block inbound, hold outbound, and redact reply text", async () => {
+  const tourInput = {
+    hasRecentOutbound: false,
+    fallbackIntent: "tour_request",
+    rule: { enabled: true },
+    template: { body: "Tours for {{unit}}: {{slot_options}}. Call 555-0100 to confirm." },
+    templateContext: {
+      unit: "Atlas Apartments 4B",
+      slot_options: "2026-02-10T17:00:00.000Z - 2026-02-10T17:30:00.000Z UTC"
+    },
+    autoSendEnabled: true,
+    aiClassifier: async () => null
+  };
+
+  const blocked = await runReplyPipelineWithAI({
+    ...tourInput,
+    inboundBody: "Can I tour? Also is the landlord a scammer?",
+    guardrailRules: [
+      { id: "g1", reasonCode: "scam_accusation", matchType: "keywords", keywords: ["scammer"], direction: "inbound", severity: "high", action: "block" }
+    ]
+  });
+  assert.equal(blocked.outcome, "escalate");
+  assert.equal(blocked.workflowOutcome, "human_required");
+  assert.deepEqual(blocked.guardrails.reasons, ["scam_accusation"]);
+
+  const held = await runReplyPipelineWithAI({
+    ...tourInput,
+    inboundBody: "Can I schedule a tour this week?",
+    guardrailRules: [
+      { id: "g2", reasonCode: "phone_number_in_reply", matchType: "pattern", pattern: "\\d{3}-\\d{4}", direction: "outbound", severity: "medium", action: "hold" },
+      { id: "g3", reasonCode: "disabled_rule", matchType: "keywords", keywords: ["tours"], direction: "outbound", action: "block", enabled: false }
+    ]
+  });
+  assert.equal(held.outcome, "hold");
+  assert.equal(held.eligibility.reason, "policy_guardrail_hold");
+  assert.deepEqual(held.guardrails.holdReasons, ["phone_number_in_reply"]);
+
+  const redacted = await runReplyPipelineWithAI({
+    ...tourInput,
+    inboundBody: "Can I schedule a tour this week?",
+    guardrailRules: [
+      { id: "g4", reasonCode: "phone_number_in_reply", matchType: "pattern", pattern: "\\d{3}-\\d{4}", direction: "outbound", action: "redact" }
+    ]
+  });
+  assert.equal(redacted.outcome, "send");
+  assert.equal(redacted.replyBody.endsWith("Call [redacted] to confirm."), true);
+  assert.equal(redacted.guardrails.redacted, true);
+  assert.deepEqual(redacted.guardrails.reasons, []);
+});
+
+test("worker loads guardrail rules once per platform account and records matches", async () => {
+  const pendingMessage = {
+    conversationId: "c-guard",
+    body: "Can I schedule a showing this week?",
+    metadata: {},
+    platformAccountId: "p-guard",
+    assignedAgentId: "a1",
+    leadName: "Jamie",
+    unitId: "u1",
+    propertyName: "Atlas Apartments",
+    unitNumber: "4B",
+    hasRecentOutbound: false
+  };
+  const fixture = createMemoryAdapter({
+    pendingMessages: [
+      { ...pendingMessage, id: "m-guard-1" },
+      { ...pendingMessage, id: "m-guard-2", conversationId: "c-guard-2" }
+    ],
+    ruleByIntent: {
+      tour_request: {
+        id: "r1",
+        enabled: true,
+        actionConfig: { template: "tour_invite_v1" }
+      }
+    },
+    templatesByName: {
+      tour_invite_v1: {
+        id: "t1",
+        body: "Tours for {{unit_number}}: {{slot_options}}"
+      }
+    },
+    slotOptionsByUnit: {
+      u1: [
+        {
+          starts_at: "2026-02-10T17:00:00.000Z",
+          ends_at: "2026-02-10T17:30:00.000Z",
+          timezone: "UTC"
+        }
+      ]
+    },
+    guardrailRulesByPlatformAccountId: {
+      "p-guard": [
+        { id: "g1", reasonCode: "tour_copy_review", matchType: "keywords", keywords: ["tours for"], direction: "outbound", severity: "low", action: "hold" }
+      ]
+    }
+  });
+
+  const result = await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:00:00.000Z")
+  });
+
+  assert.deepEqual(fixture.guardrailRuleCalls, [{ platformAccountId: "p-guard" }]);
+  assert.equal(result.metrics.sends.sent, 0);
+  assert.equal(result.metrics.sends.drafted, 0);
+  assert.equal(result.metrics.sends.held, 2);
+  assert.equal(fixture.outbound[0].metadata.reviewStatus, "hold");
+  assert.deepEqual(fixture.outbound[0].metadata.guardrailHold.ruleIds, ["g1"]);
+  assert.deepEqual(fixture.outbound[0].metadata.guardrailHold.reasons, ["tour_copy_review"]);
+  assert.deepEqual(fixture.outbound[0].metadata.guardrails, ["tour_copy_review"]);
+  assert.equal(fixture.processed[0].metadataPatch.replyDecisionReason, "policy_guardrail_hold");
+  const decisionLog = fixture.logs.find((entry) => entry.action === "ai_reply_decision");
+  assert.equal(decisionLog.details.guardrailMatches[0].ruleId, "g1");
+});
+
+test("worker holds every reply for an account whose guardrail rules fail to load", async () => {
+  const pendingMessage = {
+    conversationId: "c-guard-down",
+    body: "Can I schedule a showing this week?",
+    metadata: {},
+    platformAccountId: "p-guard-down",
+    assignedAgentId: "a1",
+    leadName: "Jamie",
+    unitId: "u1",
+    propertyName: "Atlas Apartments",
+    unitNumber: "4B",
+    hasRecentOutbound: false
+  };
+  const fixture = createMemoryAdapter({
+    pendingMessages: [
+      { ...pendingMessage, id: "m-guard-down-1" },
+      { ...pendingMessage, id: "m-guard-down-2", conversationId: "c-guard-down-2" }
+    ],
+    ruleByIntent: {
+      tour_request: {
+        id: "r1",
+        enabled: true,
+        actionConfig: { template: "tour_invite_v1" }
+      }
+    },
+    templatesByName: {
+      tour_invite_v1: {
+        id: "t1",
+        body: "Tours for {{unit_number}}: {{slot_options}}"
+      }
+    },
+    slotOptionsByUnit: {
+      u1: [
+        {
+          starts_at: "2026-02-10T17:00:00.000Z",
+          ends_at: "2026-02-10T17:30:00.000Z",
+          timezone: "UTC"
+        }
+      ]
+    }
+  });
+  let fetchCalls = 0;
+  fixture.adapter.fetchGuardrailRules = async () => {
+    fetchCalls += 1;
+    throw new Error("guardrail table unavailable");
+  };
+  let dispatchCalls = 0;
+  fixture.adapter.dispatchOutboundMessage = async () => {
+    dispatchCalls += 1;
+    return { channel: "platform", externalMessageId: "ext-1" };
+  };
+
+  const result = await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: { info() {}, warn() {}, error() {} },
+    now: new Date("2026-02-06T10:00:00.000Z")
+  });
+
+  assert.equal(fetchCalls, 1);
+  assert.equal(dispatchCalls, 0);
+  assert.equal(result.metrics.sends.sent, 0);
+  assert.equal(result.metrics.sends.held, 2);
+  assert.equal(fixture.outbound[1].metadata.reviewStatus, "hold");
+  assert.deepEqual(fixture.outbound[1].metadata.guardrailHold.reasons, ["guardrail_rules_unavailable"]);
+});
+
+test("fair-housing check flags protected-class language and ignores neutral listing copy", () => {
+  const flagged = checkFairHousingCompliance(
+    "Adults only, no wheelchairs please. Christians preferred and no Section 8."
+  );
+  assert.equal(flagged.flagged, true);
+  assert.deepEqual(flagged.categories, ["familial_status", "religion", "disability", "source_of_income"]);
+  assert.equal(flagged.matches[0].phrase, "Adults only");
+
+  const neutral = checkFairHousingCompliance(
+    "Two bedrooms, close to the elementary school and a short walk from the church on Main St."
+  );
+  assert.equal(neutral.flagged, false);
+  assert.deepEqual(neutral.categories, []);
+});
+
+test("worker records held reply when adapter refuses fair-housing flagged delivery", async () => {
+  const fixture = createMemoryAdapter({
+    pendingMessages: [
+      {
+        id: "m-fair-housing",
+        conversationId: "c-fair-housing",
+        body: "Can I tour tomorrow?",
+        metadata: {},
+        platform: "spareroom",
+        platformAccountId: "p1",
+        externalThreadId: "thread-fair-housing",
+        assignedAgentId: "a1",
+        leadName: "Jamie",
+        unitId: "u1",
+        unitNumber: "4B",
+        hasRecentOutbound: false
+      }
+    ],
+    ruleByIntent: {
+      tour_request: {
+        id: "r1",
+        enabled: true,
+        actionConfig: { template: "tour_invite_v1" }
+      }
+    },
+    templatesByName: {
+      tour_invite_v1: {
+        id: "t1",
+        body: "Tours for {{unit_number}} are open. Note: adults only."
+      }
+    },
+    slotOptionsByUnit: {
+      u1: [
+        {
+          starts_at: "2026-02-10T17:00:00.000Z",
+          ends_at: "2026-02-10T17:30:00.000Z",
+          timezone: "UTC"
+        }
+      ]
+    }
+  });
+
+  const dispatched = [];
+  fixture.adapter.dispatchOutboundMessage = async (payload) => {
+    dispatched.push(payload);
+    return { held: true, reason: "fair_housing_violation", categories: ["familial_status"] };
+  };
+
+  const result = await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:00:00.000Z")
+  });
+
+  assert.equal(dispatched.length, 1);
+  assert.equal(result.metrics.sends.sent, 0);
+  assert.equal(result.metrics.sends.held, 1);
+  assert.equal(fixture.outbound[0].metadata.reviewStatus, "hold");
+  assert.equal(fixture.outbound[0].metadata.delivery.reason, "fair_housing_violation");
+  assert.equal(fixture.logs.some((entry) => entry.action === "ai_reply_held_for_review"), true);
+});
+
 test("human_required AI outcome queues agent action instead of auto-send", async () => {
   const fixture = createMemoryAdapter({
     pendingMessages: [
@@ -1450,6 +2191,68 @@ test("dispatch duplicate suppression prevents double-send for the same dispatch
   assert.equal(fixture.logs.some((entry) => entry.action === "ai_reply_dispatch_duplicate_suppressed"), true);
 });
 
+test("a requeued dead letter dispatches again under a fresh dispatch key", async () => {
+  const pendingMessage = {
+    id: "m9-requeue",
+    conversationId: "c9-requeue",
+    body: "Can I tour this unit this weekend?",
+    metadata: {},
+    platform: "leasebreak",
+    platformAccountId: "p9",
+    assignedAgentId: "a1",
+    leadName: "Jamie",
+    unitId: "u1",
+    propertyName: "Atlas Apartments",
+    unitNumber: "4B",
+    hasRecentOutbound: false
+  };
+  const fixture = createMemoryAdapter({
+    pendingMessages: [pendingMessage],
+    ruleByIntent: {
+      tour_request: {
+        id: "r1",
+        enabled: true,
+        actionConfig: { template: "tour_invite_v1" }
+      }
+    },
+    templatesByName: {
+      tour_invite_v1: {
+        id: "t1",
+        body: "Tours for {{unit_number}}"
+      }
+    },
+    slotOptionsByUnit: {
+      u1: [
+        {
+          starts_at: "2026-02-10T17:00:00.000Z",
+          ends_at: "2026-02-10T17:30:00.000Z",
+          timezone: "UTC"
+        }
+      ]
+    }
+  });
+
+  let sendCount = 0;
+  fixture.adapter.dispatchOutboundMessage = async () => {
+    sendCount += 1;
+    return { externalMessageId: `ext-requeue-${sendCount}`, channel: "in_app", providerStatus: "sent" };
+  };
+
+  await processPendingMessages({ adapter: fixture.adapter, logger: console, now: new Date("2026-02-06T10:00:00.000Z") });
+  const firstKey = fixture.dispatchByMessageId.get("m9-requeue").key;
+
+  pendingMessage.metadata = { dispatch: { key: firstKey, state: "retry_requested", retryNonce: "nonce-1" } };
+  const retryRun = await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-06T10:05:00.000Z")
+  });
+
+  assert.equal(retryRun.metrics.dispatch.duplicatesSuppressed, 0);
+  assert.equal(sendCount, 2);
+  assert.notEqual(fixture.dispatchByMessageId.get("m9-requeue").key, firstKey);
+});
+
 test("multi-worker concurrent cycles suppress duplicate outbound sends", async () => {
   const fixture = createMemoryAdapter({
     pendingMessages: [
@@ -2129,6 +2932,59 @@ test("queue processing dispatches through connector when auto-send is enabled",
   assert.equal(fixture.outbound[0].metadata.delivery.externalMessageId, "ext-123");
 });
 
+test("auto-send outside the send window is deferred to the next opening", async () => {
+  const fixture = createMemoryAdapter({
+    pendingMessages: [
+      {
+        id: "m-window",
+        conversationId: "c-window",
+        body: "Can I tour this place this weekend?",
+        metadata: {},
+        platformAccountId: "p5",
+        platform: "leasebreak",
+        platformCredentials: {},
+        externalThreadId: "thread-window",
+        assignedAgentId: "a1",
+        leadName: "Jamie",
+        unitId: "u1",
+        propertyName: "Atlas Apartments",
+        unitNumber: "4B",
+        hasRecentOutbound: false,
+        sendWindow: { timezone: "America/New_York", start: "09:00", end: "18:00", days: [1, 2, 3, 4, 5] }
+      }
+    ],
+    ruleByIntent: {
+      tour_request: { id: "r1", enabled: true, actionConfig: { template: "tour_invite_v1" } }
+    },
+    templatesByName: {
+      tour_invite_v1: { id: "t1", body: "Tours for {{unit_number}}" }
+    },
+    slotOptionsByUnit: {
+      u1: [{ starts_at: "2026-02-10T17:00:00.000Z", ends_at: "2026-02-10T17:30:00.000Z", timezone: "UTC" }]
+    }
+  });
+
+  let dispatchCalls = 0;
+  fixture.adapter.dispatchOutboundMessage = async () => {
+    dispatchCalls += 1;
+    return { externalMessageId: "ext-window", channel: "in_app" };
+  };
+
+  // Saturday 10:00 in New York; the weekday window next opens Monday 09:00.
+  const result = await processPendingMessages({
+    adapter: fixture.adapter,
+    logger: console,
+    now: new Date("2026-02-07T15:00:00.000Z")
+  });
+
+  assert.equal(dispatchCalls, 0);
+  assert.equal(fixture.outbound.length, 1);
+  assert.equal(fixture.outbound[0].metadata.reviewStatus, "deferred");
+  assert.equal(fixture.outbound[0].metadata.deferredUntil, "2026-02-09T14:00:00.000Z");
+  assert.equal(result.metrics.sends.deferred, 1);
+  assert.equal(fixture.logs.some((entry) => entry.action === "ai_reply_deferred_to_send_window"), true);
+});
+
 test("auto-send disabled drafts policy-eligible tour replies", async () => {
   const fixture = createMemoryAdapter({
     pendingMessages: [
@@ -2340,3 +3196,299 @@ test("draft_only platform policy forces draft even when rule enables auto-send",
   assert.equal(fixture.outbound[0].metadata.reviewStatus, "draft");
   assert.equal(fixture.outbound[0].metadata.platformPolicy.sendMode, "draft_only");
 });
+
+test("wake events cover inbound messages and approvals but not the worker's own writes", () => {
+  assert.equal(isWorkerWakeEvent({ type: "inbound_message", direction: "inbound" }), true);
+  assert.equal(isWorkerWakeEvent({ type: "message_status_changed", reviewStatus: "sent", previousReviewStatus: "draft" }), true);
+  assert.equal(isWorkerWakeEvent({ type: "message_status_changed", reviewStatus: "sent", previousReviewStatus: "hold" }), true);
+  assert.equal(isWorkerWakeEvent({ type: "message_status_changed", reviewStatus: "sent", previousReviewStatus: "deferred" }), false);
+  assert.equal(isWorkerWakeEvent({ type: "draft_created", reviewStatus: "draft" }), false);
+  assert.equal(isWorkerWakeEvent({ type: "workflow_transition" }), false);
+  assert.equal(isWorkerWakeEvent(null), false);
+});
+
+test("scheduler debounces wake-ups and queues one rerun for wake-ups during a run", async () => {
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  let runs = 0;
+  let releaseRun = null;
+  const scheduler = createTaskScheduler({
+    tasks: [{ name: "reply-triage", intervalMs: 60000, concurrency: 1, jitterMs: 0 }],
+    wakeDebounceMs: 10,
+    logger: { error() {} },
+    runTask: async () => {
+      runs += 1;
+      if (runs === 2) {
+        await new Promise((resolve) => {
+          releaseRun = resolve;
+        });
+      }
+    }
+  });
+
+  scheduler.wake("reply-triage");
+  scheduler.wake("reply-triage");
+  scheduler.wake("reply-triage");
+  await wait(30);
+  assert.equal(runs, 1);
+
+  scheduler.wake("reply-triage");
+  await wait(30);
+  assert.equal(runs, 2);
+  assert.deepEqual(scheduler.activeRuns(), { "reply-triage": 1 });
+
+  scheduler.wake("reply-triage");
+  await wait(30);
+  scheduler.wake("reply-triage");
+  await wait(30);
+  releaseRun();
+  await wait(30);
+  assert.equal(runs, 3);
+
+  scheduler.wake("reply-triage");
+  await scheduler.stop();
+  await wait(30);
+  assert.equal(runs, 3);
+});
+
+test("scheduler runs tasks independently so a slow task does not block the others", async () => {
+  const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const started = [];
+  let releaseIngest = null;
+  const scheduler = createTaskScheduler({
+    tasks: [
+      { name: "ingest:spareroom", intervalMs: 40, concurrency: 1, jitterMs: 0 },
+      { name: "reply-triage", intervalMs: 40, concurrency: 1, jitterMs: 0 },
+      { name: "cleanup", intervalMs: 40, concurrency: 1, jitterMs: 0 }
+    ],
+    logger: { error() {} },
+    now: () => Date.parse("2026-02-06T10:00:00.000Z"),
+    runTask: async (task) => {
+      started.push(task.name);
+      if (task.name === "ingest:spareroom") {
+        await new Promise((resolve) => {
+          releaseIngest = resolve;
+        });
+      }
+    }
+  });
+
+  // cleanup ran a moment ago, so it waits out its interval; the others start right away.
+  scheduler.start({ lastRuns: { cleanup: "2026-02-06T09:59:59.990Z" } });
+  await wait(5);
+  assert.deepEqual(started.sort(), ["ingest:spareroom", "reply-triage"]);
+
+  await wait(150);
+  const counts = started.reduce((total, name) => ({ ...total, [name]: (total[name] || 0) + 1 }), {});
+  assert.equal(counts["ingest:spareroom"], 1);
+  assert.ok(counts["reply-triage"] >= 2);
+  assert.ok(counts.cleanup >= 1);
+
+  const stopped = scheduler.stop();
+  releaseIngest();
+  await stopped;
+  assert.deepEqual(scheduler.activeRuns(), { "ingest:spareroom": 0, "reply-triage": 0, cleanup: 0 });
+});
+
+test("worker tasks are split per ingest platform and configurable per task", () => {
+  const config = {
+    pollIntervalMs: 15000,
+    queueBatchSize: 20,
+    claimTtlMs: 60000,
+    ingestBatchSize: 250,
+    workerInstanceId: "worker-a",
+    ingestPlatforms: ["spareroom", "roomies"],
+    jitterMs: 2000,
+    followUpsEnabled: true,
+    showingRemindersEnabled: false,
+    threadSyncEnabled: true,
+    threadSyncPlatforms: ["spareroom"],
+    threadSyncMaxPerRun: 2,
+    listingSyncEnabled: false
+  };
+  const env = {
+    WORKER_TASK_INGEST_SPAREROOM_INTERVAL_MS: "120000",
+    WORKER_TASK_REPLY_TRIAGE_CONCURRENCY: "2",
+    WORKER_TASK_CLEANUP_JITTER_MS: "0"
+  };
+  const tasks = buildWorkerTasks(config, env);
+
+  assert.deepEqual(tasks.map((task) => task.name), [
+    "ingest:spareroom",
+    "ingest:roomies",
+    "reply-triage",
+    "thread-sync",
+    "follow-ups",
+    "deferred-sends",
+    "showing-outcomes",
+    "out-of-office",
+    "cleanup"
+  ]);
+  const byName = Object.fromEntries(tasks.map((task) => [task.name, task]));
+  assert.equal(byName["ingest:spareroom"].intervalMs, 120000);
+  assert.equal(byName["ingest:roomies"].intervalMs, 15000);
+  assert.equal(byName["reply-triage"].concurrency, 2);
+  assert.equal(byName.cleanup.jitterMs, 0);
+  assert.deepEqual(resolveTaskSchedule({ WORKER_TASK_FOLLOW_UPS_INTERVAL_MS: "nope" }, "follow-ups", { intervalMs: 60000 }), {
+    intervalMs: 60000,
+    concurrency: 1,
+    jitterMs: 0
+  });
+
+  assert.equal(selectWorkerTasks(tasks, "ai-triage-reply").length, tasks.length);
+  assert.deepEqual(selectWorkerTasks(tasks, "ingest, cleanup").map((task) => task.name), [
+    "ingest:spareroom",
+    "ingest:roomies",
+    "cleanup"
+  ]);
+  assert.throws(() => selectWorkerTasks(tasks, "reply-triage,listing-sync"), /Unknown WORKER_TASK entries: listing-sync/);
+});
+
+test("worker task runs record last-run bookkeeping and wake thread sync after ingest", async () => {
+  const bookkeeping = [];
+  const woken = [];
+  const adapter = {
+    async ingestInboundMessages(request) {
+      assert.deepEqual(request.platforms, ["spareroom"]);
+      return { scanned: 4, ingested: 2, threadSyncRequested: 1, platforms: ["spareroom"] };
+    },
+    async recordWorkerTaskStart(entry) {
+      bookkeeping.push(["start", entry.taskName, entry.workerInstanceId]);
+    },
+    async recordWorkerTaskFinish(entry) {
+      bookkeeping.push(["finish", entry.taskName, entry.status, entry.result, entry.error]);
+    }
+  };
+  const [ingestTask] = buildWorkerTasks({ pollIntervalMs: 15000, ingestBatchSize: 250, ingestPlatforms: ["spareroom"] }, {});
+
+  const result = await runWorkerTask({
+    task: ingestTask,
+    adapter,
+    workerInstanceId: "worker-a",
+    logger: { log() {} },
+    wake: (name) => woken.push(name)
+  });
+
+  assert.equal(result.ingested, 2);
+  assert.deepEqual(woken, ["thread-sync"]);
+  assert.deepEqual(bookkeeping, [
+    ["start", "ingest:spareroom", "worker-a"],
+    ["finish", "ingest:spareroom", "succeeded", { scanned: 4, ingested: 2, threadSyncRequested: 1, platforms: ["spareroom"] }, null]
+  ]);
+
+  bookkeeping.length = 0;
+  await assert.rejects(
+    runWorkerTask({
+      task: { name: "cleanup", run: async () => { throw new Error("cleanup exploded"); } },
+      adapter,
+      workerInstanceId: "worker-a",
+      logger: { log() {} }
+    }),
+    /cleanup exploded/
+  );
+  assert.deepEqual(bookkeeping, [
+    ["start", "cleanup", "worker-a"],
+    ["finish", "cleanup", "failed", {}, "cleanup exploded"]
+  ]);
+});
+
+test("wake listener ignores notifications from the worker's own session", async () => {
+  const queries = [];
+  const client = new EventEmitter();
+  client.processID = 101;
+  client.query = async (sql) => {
+    queries.push(sql);
+  };
+  const wakes = [];
+  const stopListening = await listenForWakeEvents(client, (event) => wakes.push(event.type), { logger: { warn() {} } });
+
+  const notify = (processId, event) => client.emit("notification", {
+    channel: WORKER_WAKE_CHANNEL,
+    processId,
+    payload: typeof event === "string" ? event : JSON.stringify(event)
+  });
+  notify(101, { type: "inbound_message" });
+  notify(202, { type: "inbound_message" });
+  notify(202, { type: "message_status_changed", reviewStatus: "sent", previousReviewStatus: "draft" });
+  notify(202, { type: "draft_created" });
+  notify(202, "not json");
+
+  assert.deepEqual(wakes, ["inbound_message", "message_status_changed"]);
+
+  await stopListening();
+  notify(202, { type: "inbound_message" });
+  assert.equal(wakes.length, 2);
+  assert.deepEqual(queries, [`LISTEN ${WORKER_WAKE_CHANNEL}`, `UNLISTEN ${WORKER_WAKE_CHANNEL}`]);
+});
+
+test("reply triage stops between messages once shutdown starts and leaves the rest claimed", async () => {
+  const processed = [];
+  const adapter = {
+    async fetchPendingMessages() {
+      return [
+        { id: "m-stop-1", conversationId: "c-stop", body: "Hi", metadata: {}, platform: "leasebreak" },
+        { id: "m-stop-2", conversationId: "c-stop", body: "Hello?", metadata: {}, platform: "leasebreak" }
+      ];
+    },
+    async markInboundProcessed({ messageId }) {
+      processed.push(messageId);
+    }
+  };
+
+  const result = await processPendingMessages({
+    adapter,
+    logger: { log() {}, warn() {}, error() {} },
+    now: new Date("2026-02-06T10:00:00.000Z"),
+    workerId: "worker-a",
+    shouldStop: () => true
+  });
+
+  assert.equal(result.scanned, 2);
+  assert.equal(result.stoppedEarly, true);
+  assert.equal(result.repliesCreated, 0);
+  assert.deepEqual(processed, []);
+});
+
+test("worker heartbeat reports tasks, last run stats, and shutdown status", async () => {
+  const beats = [];
+  const heartbeat = createWorkerHeartbeat({
+    adapter: {
+      async recordWorkerHeartbeat(entry) {
+        beats.push(structuredClone(entry));
+      }
+    },
+    workerInstanceId: "worker-a",
+    tasks: ["ingest:spareroom", "reply-triage"],
+    intervalMs: 60000,
+    hostname: "host-a",
+    pid: 4242,
+    startedAt: new Date("2026-02-06T09:00:00.000Z"),
+    logger: { warn() {} }
+  });
+
+  await heartbeat.start();
+  heartbeat.recordTaskRun("reply-triage", {
+    status: "succeeded",
+    finishedAt: "2026-02-06T10:00:01.000Z",
+    durationMs: 1000,
+    summary: { scanned: 2, repliesCreated: 1 }
+  });
+  heartbeat.stop();
+  await heartbeat.beat("stopped");
+
+  assert.equal(beats.length, 2);
+  assert.deepEqual(beats[0], {
+    workerInstanceId: "worker-a",
+    hostname: "host-a",
+    pid: 4242,
+    tasks: ["ingest:spareroom", "reply-triage"],
+    status: "running",
+    startedAt: "2026-02-06T09:00:00.000Z",
+    lastCycleAt: null,
+    lastCycleStats: {}
+  });
+  assert.equal(beats[1].status, "stopped");
+  assert.equal(beats[1].lastCycleAt, "2026-02-06T10:00:01.000Z");
+  assert.deepEqual(beats[1].lastCycleStats, {
+    "reply-triage": { status: "succeeded", finishedAt: "2026-02-06T10:00:01.000Z", durationMs: 1000, scanned: 2, repliesCreated: 1 }
+  });
+});
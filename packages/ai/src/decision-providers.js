@@ -0,0 +1,285 @@
+import { generateObject } from "ai";
+import { google } from "@ai-sdk/google";
+
+export const AI_PROVIDER_NAMES = ["gemini", "openai", "anthropic", "local"];
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_OPENAI_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_OPENAI_MODEL = "gpt-4o-mini";
+const DEFAULT_ANTHROPIC_BASE_URL = "https://api.anthropic.com";
+const DEFAULT_ANTHROPIC_MODEL = "claude-3-5-haiku-latest";
+const DEFAULT_LOCAL_BASE_URL = "http://127.0.0.1:11434";
+const DEFAULT_LOCAL_MODEL = "llama3.1";
+
+function parseTimeoutMs(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function trimTrailingSlash(value) {
+  return String(value).replace(/\/+$/, "");
+}
+
+function buildJsonInstructions(schema) {
+  const keys = schema?.shape ? Object.keys(schema.shape) : [];
+  return [
+    "Respond with a single JSON object and no other text.",
+    keys.length > 0 ? `The object must contain exactly these keys: ${keys.join(", ")}.` : null,
+    "Use null for any value you cannot determine."
+  ].filter(Boolean).join(" ");
+}
+
+// Models wrap JSON in prose or markdown fences often enough that a strict JSON.parse is not worth it.
+export function extractJsonObject(text) {
+  const value = String(text || "").replace(/```(?:json)?/gi, "");
+  const start = value.indexOf("{");
+  const end = value.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw new Error("provider response did not contain a JSON object");
+  }
+  return JSON.parse(value.slice(start, end + 1));
+}
+
+async function postJson(fetchImpl, url, { headers = {}, body, signal }) {
+  const response = await fetchImpl(url, {
+    method: "POST",
+    headers: {
+      "content-type": "application/json",
+      ...headers
+    },
+    body: JSON.stringify(body),
+    signal
+  });
+
+  if (!response.ok) {
+    const error = new Error(`provider responded with status ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response.json();
+}
+
+export function createOpenAiCompatibleProvider({
+  name = "openai",
+  baseUrl = DEFAULT_OPENAI_BASE_URL,
+  apiKey = null,
+  model = DEFAULT_OPENAI_MODEL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  fetchImpl = fetch
+} = {}) {
+  return {
+    name,
+    kind: "openai_compatible",
+    model,
+    timeoutMs,
+    async generate({ prompt, schema, signal }) {
+      const payload = await postJson(fetchImpl, `${trimTrailingSlash(baseUrl)}/chat/completions`, {
+        headers: apiKey ? { authorization: `Bearer ${apiKey}` } : {},
+        body: {
+          model,
+          temperature: 0,
+          response_format: { type: "json_object" },
+          messages: [
+            { role: "system", content: buildJsonInstructions(schema) },
+            { role: "user", content: prompt }
+          ]
+        },
+        signal
+      });
+      return extractJsonObject(payload?.choices?.[0]?.message?.content);
+    }
+  };
+}
+
+export function createAnthropicProvider({
+  name = "anthropic",
+  baseUrl = DEFAULT_ANTHROPIC_BASE_URL,
+  apiKey,
+  model = DEFAULT_ANTHROPIC_MODEL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  fetchImpl = fetch
+} = {}) {
+  return {
+    name,
+    kind: "anthropic",
+    model,
+    timeoutMs,
+    async generate({ prompt, schema, signal }) {
+      const payload = await postJson(fetchImpl, `${trimTrailingSlash(baseUrl)}/v1/messages`, {
+        headers: {
+          "x-api-key": apiKey,
+          "anthropic-version": "2023-06-01"
+        },
+        body: {
+          model,
+          max_tokens: 1024,
+          temperature: 0,
+          system: buildJsonInstructions(schema),
+          messages: [{ role: "user", content: prompt }]
+        },
+        signal
+      });
+      const text = (Array.isArray(payload?.content) ? payload.content : [])
+        .filter((block) => block?.type === "text")
+        .map((block) => block.text)
+        .join("");
+      return extractJsonObject(text);
+    }
+  };
+}
+
+// Ollama-style /api/chat. llama.cpp and vLLM servers expose the OpenAI-compatible API instead.
+export function createLocalHttpProvider({
+  name = "local",
+  baseUrl = DEFAULT_LOCAL_BASE_URL,
+  model = DEFAULT_LOCAL_MODEL,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  fetchImpl = fetch
+} = {}) {
+  return {
+    name,
+    kind: "local_http",
+    model,
+    timeoutMs,
+    async generate({ prompt, schema, signal }) {
+      const payload = await postJson(fetchImpl, `${trimTrailingSlash(baseUrl)}/api/chat`, {
+        body: {
+          model,
+          stream: false,
+          format: "json",
+          options: { temperature: 0 },
+          messages: [
+            { role: "system", content: buildJsonInstructions(schema) },
+            { role: "user", content: prompt }
+          ]
+        },
+        signal
+      });
+      return extractJsonObject(payload?.message?.content);
+    }
+  };
+}
+
+export function createGeminiProvider({ name = "gemini", model = "gemini-2.5-flash", timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  return {
+    name,
+    kind: "gemini",
+    model,
+    timeoutMs,
+    async generate({ prompt, schema, signal }) {
+      const result = await generateObject({
+        model: google(model),
+        schema,
+        prompt,
+        abortSignal: signal
+      });
+      return result.object;
+    }
+  };
+}
+
+export function parseAiProviderOrder(value) {
+  const entries = Array.isArray(value)
+    ? value
+    : String(value || "")
+        .split(",")
+        .map((entry) => entry.trim().toLowerCase());
+
+  return [...new Set(entries.filter((entry) => AI_PROVIDER_NAMES.includes(entry)))];
+}
+
+export function createAiProviderRegistry({ env = process.env, providers = null, geminiModel = null } = {}) {
+  const defaultTimeoutMs = parseTimeoutMs(env.AI_PROVIDER_TIMEOUT_MS, DEFAULT_TIMEOUT_MS);
+  const registered = new Map();
+
+  if (Array.isArray(providers)) {
+    for (const provider of providers) {
+      registered.set(provider.name, provider);
+    }
+  } else {
+    registered.set("gemini", createGeminiProvider({
+      model: geminiModel || env.AI_GEMINI_MODEL || "gemini-2.5-flash",
+      timeoutMs: parseTimeoutMs(env.AI_GEMINI_TIMEOUT_MS, defaultTimeoutMs)
+    }));
+
+    const openAiKey = env.AI_OPENAI_API_KEY || env.OPENAI_API_KEY;
+    if (openAiKey || env.AI_OPENAI_BASE_URL) {
+      registered.set("openai", createOpenAiCompatibleProvider({
+        baseUrl: env.AI_OPENAI_BASE_URL || DEFAULT_OPENAI_BASE_URL,
+        apiKey: openAiKey || null,
+        model: env.AI_OPENAI_MODEL || DEFAULT_OPENAI_MODEL,
+        timeoutMs: parseTimeoutMs(env.AI_OPENAI_TIMEOUT_MS, defaultTimeoutMs)
+      }));
+    }
+
+    const anthropicKey = env.AI_ANTHROPIC_API_KEY || env.ANTHROPIC_API_KEY;
+    if (anthropicKey) {
+      registered.set("anthropic", createAnthropicProvider({
+        baseUrl: env.AI_ANTHROPIC_BASE_URL || DEFAULT_ANTHROPIC_BASE_URL,
+        apiKey: anthropicKey,
+        model: env.AI_ANTHROPIC_MODEL || DEFAULT_ANTHROPIC_MODEL,
+        timeoutMs: parseTimeoutMs(env.AI_ANTHROPIC_TIMEOUT_MS, defaultTimeoutMs)
+      }));
+    }
+
+    registered.set("local", createLocalHttpProvider({
+      baseUrl: env.AI_LOCAL_BASE_URL || DEFAULT_LOCAL_BASE_URL,
+      model: env.AI_LOCAL_MODEL || DEFAULT_LOCAL_MODEL,
+      timeoutMs: parseTimeoutMs(env.AI_LOCAL_TIMEOUT_MS, defaultTimeoutMs)
+    }));
+  }
+
+  return {
+    names() {
+      return [...registered.keys()];
+    },
+    get(name) {
+      return registered.get(name) || null;
+    },
+    resolve(order) {
+      const names = Array.isArray(order) ? order : parseAiProviderOrder(order);
+      return names.map((name) => registered.get(name)).filter(Boolean);
+    }
+  };
+}
+
+function describeProviderError(error) {
+  if (error?.name === "TimeoutError" || error?.name === "AbortError") {
+    return "timeout";
+  }
+  return error instanceof Error ? error.message : String(error);
+}
+
+// Tries providers in order and returns the first response that satisfies the decision schema. A per-account
+// timeoutMs replaces each provider's own timeout.
+export async function runDecisionProviders({ providers, prompt, schema, timeoutMs = null }) {
+  const attempts = [];
+  const timeoutOverrideMs = parseTimeoutMs(timeoutMs, null);
+
+  for (const provider of Array.isArray(providers) ? providers : []) {
+    const startedAt = Date.now();
+    try {
+      const raw = await provider.generate({
+        prompt,
+        schema,
+        signal: AbortSignal.timeout(timeoutOverrideMs || provider.timeoutMs || DEFAULT_TIMEOUT_MS)
+      });
+      const parsed = schema.safeParse(raw);
+      if (parsed.success) {
+        attempts.push({ provider: provider.name, status: "ok", durationMs: Date.now() - startedAt });
+        return { decision: parsed.data, provider: provider.name, attempts };
+      }
+      attempts.push({ provider: provider.name, status: "invalid_response", durationMs: Date.now() - startedAt });
+    } catch (error) {
+      attempts.push({
+        provider: provider.name,
+        status: "error",
+        error: describeProviderError(error),
+        durationMs: Date.now() - startedAt
+      });
+    }
+  }
+
+  return { decision: null, provider: null, attempts };
+}
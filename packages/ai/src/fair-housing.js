@@ -0,0 +1,53 @@
+// Phrases that signal a preference, limitation, or discrimination based on a protected class
+// (Fair Housing Act plus common state/local additions such as source of income). Neutral
+// descriptions of the unit or nearby landmarks are intentionally not matched.
+const FAIR_HOUSING_PATTERNS = [
+  {
+    category: "familial_status",
+    pattern: /\b(no (kids|children|families|babies|toddlers|teens?)|adults? only|not suitable for (kids|children|families)|couples? only|singles? only|perfect for (singles|couples)|no pregnant|empty[- ]nesters? only|mature (adults?|couples?|persons?|tenants?) only)\b/i
+  },
+  {
+    category: "religion",
+    pattern: /\b(no (christians?|muslims?|jews|jewish|catholics?|hindus?|sikhs?|atheists?)|(christians?|muslims?|jews|jewish|catholics?|hindus?|sikhs?|atheists?) (only|preferred|welcome only)|(christian|muslim|jewish|catholic) (home|household|tenants?|community) only)\b/i
+  },
+  {
+    category: "race_color",
+    pattern: /\b(no (blacks|whites|asians|hispanics|latinos)|(white|black|asian|hispanic|latino) (only|tenants? only|preferred|neighborhood)|whites? only)\b/i
+  },
+  {
+    category: "national_origin",
+    pattern: /\b(no (immigrants|foreigners|refugees)|english speakers? only|must speak (fluent )?english|(americans?|u\.?s\.? citizens?) only|must be an? (american|u\.?s\.? citizen)|no (accents|foreign nationals))\b/i
+  },
+  {
+    category: "sex",
+    pattern: /\b((males?|females?|men|women|guys|girls) only|no (males?|females?|men|women))\b/i
+  },
+  {
+    category: "disability",
+    pattern: /\b(no (wheelchairs?|handicapped|disabled|mentally ill)|must be able to (climb|walk up) (the )?stairs|able[- ]bodied (only|tenants?)|not suitable for (the )?(disabled|handicapped)|no (service|emotional support|assistance) animals)\b/i
+  },
+  {
+    category: "source_of_income",
+    pattern: /\b(no (section 8|section-8|vouchers?|housing vouchers?|government assistance|welfare|public assistance|hud)|(section 8|vouchers?) (not accepted|holders? need not apply)|we do not (accept|take) (section 8|vouchers?|housing assistance)|must be employed)\b/i
+  }
+];
+
+export const FAIR_HOUSING_CATEGORIES = FAIR_HOUSING_PATTERNS.map((entry) => entry.category);
+
+export function checkFairHousingCompliance(text) {
+  const body = typeof text === "string" ? text : "";
+  const matches = [];
+
+  for (const candidate of FAIR_HOUSING_PATTERNS) {
+    const match = body.match(candidate.pattern);
+    if (match) {
+      matches.push({ category: candidate.category, phrase: match[0] });
+    }
+  }
+
+  return {
+    flagged: matches.length > 0,
+    categories: matches.map((match) => match.category),
+    matches
+  };
+}
@@ -4,23 +4,127 @@ const BLOCKED_INBOUND_PATTERNS = [
   { reason: "payment_or_pii", pattern: /\b(ssn|social security|credit card|routing number)\b/i }
 ];
 
-export function evaluateGuardrails({ inboundBody, outboundBody }) {
-  const reasons = [];
+const OUTBOUND_SSN_PATTERN = /\b\d{3}[-\s]?\d{2}[-\s]?\d{4}\b/;
+
+export const GUARDRAIL_MATCH_TYPES = ["pattern", "keywords"];
+export const GUARDRAIL_DIRECTIONS = ["inbound", "outbound"];
+export const GUARDRAIL_SEVERITIES = ["low", "medium", "high", "critical"];
+export const GUARDRAIL_ACTIONS = ["block", "hold", "redact"];
+
+const SEVERITY_RANK = new Map(GUARDRAIL_SEVERITIES.map((severity, index) => [severity, index]));
+const REDACTION_PLACEHOLDER = "[redacted]";
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+export function compileGuardrailMatcher({ matchType, pattern, keywords }) {
+  if (matchType === "pattern") {
+    if (typeof pattern !== "string" || pattern.length === 0) {
+      return null;
+    }
+    try {
+      return new RegExp(pattern, "gi");
+    } catch {
+      return null;
+    }
+  }
+
+  if (matchType === "keywords") {
+    const terms = (Array.isArray(keywords) ? keywords : [])
+      .filter((keyword) => typeof keyword === "string" && keyword.trim().length > 0)
+      .map((keyword) => escapeRegExp(keyword.trim()).replace(/\s+/g, "\\s+"));
+    if (terms.length === 0) {
+      return null;
+    }
+    return new RegExp(`\\b(?:${terms.join("|")})\\b`, "gi");
+  }
+
+  return null;
+}
+
+function normalizeRule(rule) {
+  // Stored rules and the API DTO carry isEnabled; older callers still pass enabled.
+  if (!rule || typeof rule !== "object" || rule.isEnabled === false || rule.enabled === false) {
+    return null;
+  }
+  if (!GUARDRAIL_DIRECTIONS.includes(rule.direction) || !GUARDRAIL_ACTIONS.includes(rule.action)) {
+    return null;
+  }
+  if (rule.action === "redact" && rule.direction !== "outbound") {
+    return null;
+  }
+
+  const matcher = compileGuardrailMatcher(rule);
+  if (!matcher) {
+    return null;
+  }
+
+  return {
+    id: rule.id || null,
+    reason: rule.reasonCode || rule.name || "policy_guardrail",
+    direction: rule.direction,
+    severity: SEVERITY_RANK.has(rule.severity) ? rule.severity : "medium",
+    action: rule.action,
+    matcher
+  };
+}
+
+function compareBySeverity(left, right) {
+  return SEVERITY_RANK.get(right.severity) - SEVERITY_RANK.get(left.severity);
+}
+
+export function evaluateGuardrails({ inboundBody, outboundBody, rules = [] }) {
+  const blockReasons = [];
+  const holdReasons = [];
+  const matches = [];
   const inboundText = typeof inboundBody === "string" ? inboundBody : "";
-  const outboundText = typeof outboundBody === "string" ? outboundBody : "";
+  let outboundText = typeof outboundBody === "string" ? outboundBody : "";
+  let redacted = false;
 
   for (const candidate of BLOCKED_INBOUND_PATTERNS) {
     if (candidate.pattern.test(inboundText)) {
-      reasons.push(candidate.reason);
+      blockReasons.push(candidate.reason);
+    }
+  }
+
+  const customRules = (Array.isArray(rules) ? rules : [])
+    .map((rule) => normalizeRule(rule))
+    .filter(Boolean)
+    .sort(compareBySeverity);
+
+  for (const rule of customRules) {
+    const text = rule.direction === "inbound" ? inboundText : outboundText;
+    rule.matcher.lastIndex = 0;
+    if (!rule.matcher.test(text)) {
+      continue;
+    }
+
+    matches.push({ ruleId: rule.id, reason: rule.reason, direction: rule.direction, severity: rule.severity, action: rule.action });
+
+    if (rule.action === "redact") {
+      rule.matcher.lastIndex = 0;
+      outboundText = outboundText.replace(rule.matcher, REDACTION_PLACEHOLDER);
+      redacted = true;
+    } else if (rule.action === "hold") {
+      holdReasons.push(rule.reason);
+    } else {
+      blockReasons.push(rule.reason);
     }
   }
 
-  if (/\b\d{3}[-\s]?\d{2}[-\s]?\d{4}\b/.test(outboundText)) {
-    reasons.push("outbound_contains_ssn_pattern");
+  // Checked after redaction so a redact rule can strip the number instead of blocking the reply.
+  if (OUTBOUND_SSN_PATTERN.test(outboundText)) {
+    blockReasons.push("outbound_contains_ssn_pattern");
   }
 
   return {
-    blocked: reasons.length > 0,
-    reasons
+    blocked: blockReasons.length > 0,
+    held: holdReasons.length > 0,
+    reasons: [...new Set([...blockReasons, ...holdReasons])],
+    holdReasons: [...new Set(holdReasons)],
+    matches,
+    redacted,
+    outboundBody: outboundText
   };
 }
@@ -1,5 +1,6 @@
 export {
   classifyIntent,
+  classifyIntentWithDetails,
   detectFollowUp,
   listWorkflowOutcomes,
   renderTemplate,
@@ -7,4 +8,51 @@ export {
   runReplyPipeline,
   runReplyPipelineWithAI
 } from "./pipeline.js";
-export { evaluateGuardrails } from "./guardrails.js";
+export {
+  evaluateGuardrails,
+  compileGuardrailMatcher,
+  GUARDRAIL_MATCH_TYPES,
+  GUARDRAIL_DIRECTIONS,
+  GUARDRAIL_SEVERITIES,
+  GUARDRAIL_ACTIONS
+} from "./guardrails.js";
+export { checkFairHousingCompliance, FAIR_HOUSING_CATEGORIES } from "./fair-housing.js";
+export {
+  extractIntentFeatures,
+  trainIntentModel,
+  parseIntentModel,
+  loadIntentModel,
+  predictIntentWithModel,
+  INTENT_MODEL_FORMAT_VERSION,
+  INTENT_MODEL_LABELS
+} from "./intent-model.js";
+export {
+  AI_PROVIDER_NAMES,
+  createAiProviderRegistry,
+  createAnthropicProvider,
+  createGeminiProvider,
+  createLocalHttpProvider,
+  createOpenAiCompatibleProvider,
+  parseAiProviderOrder,
+  runDecisionProviders
+} from "./decision-providers.js";
+export {
+  buildLeadProfileTemplateVariables,
+  extractLeadProfile,
+  mergeLeadProfile,
+  LEAD_EMPLOYMENT_STATUSES,
+  LEAD_PROFILE_FIELDS
+} from "./lead-profile.js";
+export {
+  scoreLeadQualification,
+  validateQualificationCriteria,
+  LEAD_QUALIFICATION_STATUSES,
+  LISTING_PET_POLICIES
+} from "./qualification.js";
+export {
+  normalizePrescreenQuestions,
+  resolvePrescreenProgress,
+  validatePrescreenQuestions,
+  PRESCREEN_FIELDS,
+  PRESCREEN_MAX_ASKS_PER_QUESTION
+} from "./prescreen.js";
@@ -0,0 +1,193 @@
+import { readFileSync } from "node:fs";
+
+// Bump when the serialized shape changes; models written by an older trainer are rejected on load.
+export const INTENT_MODEL_FORMAT_VERSION = 1;
+export const INTENT_MODEL_LABELS = ["tour_request", "pricing_question", "availability_question", "unsubscribe", "unknown"];
+
+const DEFAULT_TRAINING_OPTIONS = {
+  epochs: 40,
+  learningRate: 0.4,
+  l2: 0.0005,
+  minWeight: 0.001,
+  minExamplesPerLabel: 5
+};
+
+function sigmoid(value) {
+  return 1 / (1 + Math.exp(-value));
+}
+
+function roundWeight(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+export function extractIntentFeatures(text) {
+  const normalized = String(text || "")
+    .toLowerCase()
+    .replace(/\b[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}\b/g, " __email__ ")
+    .replace(/\$\s*\d[\d,.]*/g, " __money__ ")
+    .replace(/\d+/g, " __num__ ")
+    .replace(/[?]/g, " __question__ ");
+  const tokens = normalized.match(/[a-z_']+/g) || [];
+  const features = new Set();
+
+  for (let index = 0; index < tokens.length; index += 1) {
+    features.add(tokens[index]);
+    if (index > 0) {
+      features.add(`${tokens[index - 1]} ${tokens[index]}`);
+    }
+  }
+
+  return [...features];
+}
+
+function normalizeTrainingExample(example) {
+  if (!example || typeof example !== "object") {
+    return null;
+  }
+  const body = typeof example.body === "string" ? example.body.trim() : "";
+  if (!body || !INTENT_MODEL_LABELS.includes(example.intent)) {
+    return null;
+  }
+
+  return {
+    features: extractIntentFeatures(body),
+    intent: example.intent,
+    approved: example.approved !== false
+  };
+}
+
+function scoreLabel(labelWeights, features) {
+  let logit = labelWeights.bias;
+  for (const feature of features) {
+    logit += labelWeights.features.get(feature) || 0;
+  }
+  return logit;
+}
+
+// One-vs-rest logistic regression over unigrams and bigrams. Approved replies are positive
+// evidence for their intent (and negative for every other label); rejected replies only count
+// against the intent they were drafted for, since the correct label is unknown.
+// A label is only learned once it has minExamplesPerLabel approved examples, and a model needs two
+// such labels: with a single label every message scores against nothing and looks confident.
+export function trainIntentModel(examples, options = {}) {
+  const { epochs, learningRate, l2, minWeight, minExamplesPerLabel } = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+  const normalizedExamples = (Array.isArray(examples) ? examples : [])
+    .map((example) => normalizeTrainingExample(example))
+    .filter(Boolean);
+  const labelCounts = Object.fromEntries(INTENT_MODEL_LABELS.map((label) => [
+    label,
+    normalizedExamples.filter((example) => example.approved && example.intent === label).length
+  ]));
+  const labels = INTENT_MODEL_LABELS.filter((label) => labelCounts[label] >= minExamplesPerLabel);
+
+  if (labels.length < 2) {
+    throw new Error(
+      `intent model training requires at least 2 labels with ${minExamplesPerLabel} approved examples each`
+    );
+  }
+
+  const weights = new Map(labels.map((label) => [label, { bias: 0, features: new Map() }]));
+
+  for (let epoch = 0; epoch < epochs; epoch += 1) {
+    const rate = learningRate / (1 + epoch * 0.1);
+    for (const example of normalizedExamples) {
+      for (const label of labels) {
+        if (!example.approved && label !== example.intent) {
+          continue;
+        }
+
+        const labelWeights = weights.get(label);
+        const target = example.approved && label === example.intent ? 1 : 0;
+        const gradient = target - sigmoid(scoreLabel(labelWeights, example.features));
+
+        labelWeights.bias += rate * gradient;
+        for (const feature of example.features) {
+          const current = labelWeights.features.get(feature) || 0;
+          labelWeights.features.set(feature, current + rate * (gradient - l2 * current));
+        }
+      }
+    }
+  }
+
+  const serializedWeights = {};
+  for (const [label, labelWeights] of weights) {
+    const features = {};
+    for (const [feature, weight] of [...labelWeights.features].sort(([left], [right]) => left.localeCompare(right))) {
+      if (Math.abs(weight) >= minWeight) {
+        features[feature] = roundWeight(weight);
+      }
+    }
+    serializedWeights[label] = { bias: roundWeight(labelWeights.bias), features };
+  }
+
+  const trainedAt = options.trainedAt || new Date().toISOString();
+  return {
+    formatVersion: INTENT_MODEL_FORMAT_VERSION,
+    modelVersion: options.modelVersion || `intent-${trainedAt.replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z")}`,
+    kind: "logistic_ovr",
+    trainedAt,
+    labels,
+    exampleCount: normalizedExamples.length,
+    approvedCount: normalizedExamples.filter((example) => example.approved).length,
+    labelCounts,
+    weights: serializedWeights
+  };
+}
+
+export function parseIntentModel(value) {
+  const model = typeof value === "string" ? JSON.parse(value) : value;
+  if (!model || typeof model !== "object") {
+    throw new Error("intent model must be an object");
+  }
+  if (model.formatVersion !== INTENT_MODEL_FORMAT_VERSION) {
+    throw new Error(`unsupported intent model format version: ${model.formatVersion}`);
+  }
+  if (model.kind !== "logistic_ovr" || !Array.isArray(model.labels) || !model.weights || typeof model.weights !== "object") {
+    throw new Error("intent model is missing labels or weights");
+  }
+
+  const weights = new Map();
+  for (const label of model.labels) {
+    const labelWeights = model.weights[label];
+    if (!INTENT_MODEL_LABELS.includes(label) || !labelWeights) {
+      throw new Error(`intent model has invalid label: ${label}`);
+    }
+    weights.set(label, {
+      bias: Number(labelWeights.bias) || 0,
+      features: new Map(Object.entries(labelWeights.features || {}).map(([feature, weight]) => [feature, Number(weight) || 0]))
+    });
+  }
+
+  return {
+    modelVersion: String(model.modelVersion || "unversioned"),
+    trainedAt: model.trainedAt || null,
+    labels: [...model.labels],
+    weights
+  };
+}
+
+export function loadIntentModel(filePath) {
+  return parseIntentModel(readFileSync(filePath, "utf8"));
+}
+
+export function predictIntentWithModel(model, text) {
+  const compiled = model?.weights instanceof Map ? model : parseIntentModel(model);
+  const features = extractIntentFeatures(text);
+  const scores = {};
+  let best = null;
+
+  for (const [label, labelWeights] of compiled.weights) {
+    const probability = sigmoid(scoreLabel(labelWeights, features));
+    scores[label] = Math.round(probability * 1000) / 1000;
+    if (!best || probability > best.probability) {
+      best = { label, probability };
+    }
+  }
+
+  return {
+    intent: best?.label || "unknown",
+    confidence: best ? Math.round(best.probability * 1000) / 1000 : 0,
+    scores,
+    modelVersion: compiled.modelVersion
+  };
+}
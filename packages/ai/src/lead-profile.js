@@ -0,0 +1,259 @@
+export const LEAD_PROFILE_FIELDS = ["moveInDate", "budgetMonthly", "occupants", "pets", "stayLengthMonths", "employment", "incomeMonthly"];
+export const LEAD_EMPLOYMENT_STATUSES = ["employed", "self_employed", "student", "retired", "unemployed"];
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const MONTH_PATTERN = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const NUMBER_WORDS = new Map([
+  ["one", 1], ["two", 2], ["three", 3], ["four", 4], ["five", 5], ["six", 6],
+  ["seven", 7], ["eight", 8], ["nine", 9], ["ten", 10], ["eleven", 11], ["twelve", 12],
+  ["a", 1], ["an", 1]
+]);
+const NUMBER_PATTERN = "(\\d{1,2}|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|a|an)";
+// Move-in dates are only read after a moving cue so tour dates ("can I see it March 3?") are not mistaken for them.
+const MOVE_IN_CUE = "(?:move[- ]?in(?: date)?|moving(?: in)?|move|start(?:ing)?|from|need (?:it|a place|the (?:room|unit|apartment)) (?:by|from|starting))";
+const STAY_CUE = "\\b(?:for|stay(?:ing)?|lease(?: of| for)?|rent(?:ing)? for)(?: about| around| at least| roughly)?";
+const INCOME_PATTERN = /\b(?:i make|i earn|we make|we earn|earning|income(?: is| of)?|salary(?: is| of)?|take home|bring in)\b[^.?!$\d]{0,20}\$?\s*(\d{1,3}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k)?(?:\s*(?:\/|a|per)\s*(month|mo|year|yr)\b|\s*(annually|yearly|monthly)\b)?/;
+const PET_TYPES = ["dog", "cat", "puppy", "kitten", "bird", "rabbit", "hamster", "guinea pig", "fish", "reptile"];
+const EMPLOYMENT_LABELS = {
+  employed: "employed",
+  self_employed: "self-employed",
+  student: "student",
+  retired: "retired",
+  unemployed: "between jobs"
+};
+
+function toNumber(value) {
+  const key = String(value || "").toLowerCase();
+  if (NUMBER_WORDS.has(key)) {
+    return NUMBER_WORDS.get(key);
+  }
+  const parsed = Number(key);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function toIsoDate(year, monthIndex, day) {
+  const date = new Date(Date.UTC(year, monthIndex, day));
+  if (date.getUTCMonth() !== monthIndex) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+// Dates without a year roll forward to the next occurrence relative to `now`.
+function resolveUpcomingDate(monthIndex, day, now, explicitYear = null) {
+  if (explicitYear) {
+    return toIsoDate(explicitYear < 100 ? 2000 + explicitYear : explicitYear, monthIndex, day);
+  }
+  const today = toIsoDate(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  const candidate = toIsoDate(now.getUTCFullYear(), monthIndex, day);
+  if (candidate && candidate < today) {
+    return toIsoDate(now.getUTCFullYear() + 1, monthIndex, day);
+  }
+  return candidate;
+}
+
+function monthIndexFromName(name) {
+  return MONTHS.indexOf(String(name).slice(0, 3).toLowerCase());
+}
+
+function extractMoveInDate(text, now) {
+  if (/\b(asap|as soon as possible|immediately|right away)\b/.test(text)) {
+    return now.toISOString().slice(0, 10);
+  }
+  if (new RegExp(`${MOVE_IN_CUE}[^.?!]{0,20}\\bnext month\\b`).test(text)) {
+    return toIsoDate(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+      || toIsoDate(now.getUTCFullYear() + 1, 0, 1);
+  }
+
+  const isoMatch = text.match(new RegExp(`${MOVE_IN_CUE}[^.?!]{0,20}?\\b(\\d{4})-(\\d{2})-(\\d{2})\\b`));
+  if (isoMatch) {
+    return toIsoDate(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]));
+  }
+
+  const slashMatch = text.match(new RegExp(`${MOVE_IN_CUE}[^.?!]{0,20}?\\b(\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?\\b`));
+  if (slashMatch) {
+    return resolveUpcomingDate(Number(slashMatch[1]) - 1, Number(slashMatch[2]), now, slashMatch[3] ? Number(slashMatch[3]) : null);
+  }
+
+  const monthDayMatch = text.match(new RegExp(`${MOVE_IN_CUE}[^.?!]{0,20}?\\b${MONTH_PATTERN}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`));
+  if (monthDayMatch) {
+    return resolveUpcomingDate(monthIndexFromName(monthDayMatch[1]), Number(monthDayMatch[2]), now);
+  }
+
+  const dayMonthMatch = text.match(new RegExp(`${MOVE_IN_CUE}[^.?!]{0,20}?\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}\\b`));
+  if (dayMonthMatch) {
+    return resolveUpcomingDate(monthIndexFromName(dayMonthMatch[2]), Number(dayMonthMatch[1]), now);
+  }
+
+  const monthOnlyMatch = text.match(new RegExp(`${MOVE_IN_CUE}[^.?!]{0,20}?\\b(?:(early|mid|middle of|late|end of)|in|by|from|around)\\s+${MONTH_PATTERN}\\b`));
+  if (monthOnlyMatch) {
+    const qualifier = monthOnlyMatch[1] || "";
+    const day = qualifier.startsWith("mid") || qualifier.startsWith("middle") ? 15 : qualifier ? (qualifier === "early" ? 1 : 28) : 1;
+    return resolveUpcomingDate(monthIndexFromName(monthOnlyMatch[2]), day, now);
+  }
+
+  return null;
+}
+
+function extractBudget(text) {
+  const match = text.match(/\b(?:budget|afford|max(?:imum)?|up to|around|spend|pay)\b[^.?!$\d]{0,20}\$?\s*(\d{1,2}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k)?\b/)
+    || text.match(/\$\s*(\d{1,2}(?:,\d{3})+|\d+(?:\.\d+)?)\s*(k)?\s*(?:\/|a|per)\s*(?:month|mo)\b/);
+  if (!match) {
+    return null;
+  }
+
+  let amount = Number(match[1].replace(/,/g, ""));
+  if (match[2]) {
+    amount *= 1000;
+  }
+  // Outside this range the number is almost certainly not a monthly rent budget.
+  return amount >= 100 && amount <= 50000 ? Math.round(amount) : null;
+}
+
+function extractIncome(text) {
+  const match = text.match(INCOME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  let amount = Number(match[1].replace(/,/g, ""));
+  if (match[2]) {
+    amount *= 1000;
+  }
+  const period = match[3] || match[4] || "";
+  // Without an explicit period, salary-sized numbers are yearly figures.
+  const yearly = /^(year|yr|annually|yearly)$/.test(period) || (!period && amount >= 20000);
+  const monthly = Math.round(yearly ? amount / 12 : amount);
+  return monthly >= 500 && monthly <= 100000 ? monthly : null;
+}
+
+function extractOccupants(text) {
+  if (/\b(just me|only me|just myself|by myself|living alone|single occupant)\b/.test(text)) {
+    return 1;
+  }
+
+  const countMatch = text.match(new RegExp(`\\b${NUMBER_PATTERN} (?:people|persons|occupants|adults|tenants|of us)\\b`));
+  if (countMatch) {
+    return toNumber(countMatch[1]);
+  }
+
+  if (/\b(me and my|my (partner|girlfriend|boyfriend|wife|husband|fianc[eé]e?) and i|couple)\b/.test(text)) {
+    return 2;
+  }
+
+  return null;
+}
+
+function extractPets(text) {
+  if (/\b(no pets|don'?t have (any )?pets|do not have (any )?pets|pet[- ]free)\b/.test(text)) {
+    return { hasPets: false, types: [] };
+  }
+
+  const types = PET_TYPES.filter((type) => new RegExp(`\\b(my|a|an|our|\\d|one|two|three) (small |big |little |old |senior )?${type}s?\\b`).test(text));
+  if (types.length > 0) {
+    return { hasPets: true, types };
+  }
+  if (/\b(i|we) (have|own) (a )?pets?\b/.test(text)) {
+    return { hasPets: true, types: [] };
+  }
+  return null;
+}
+
+function extractStayLength(text) {
+  const monthsMatch = text.match(new RegExp(`${STAY_CUE}\\s+${NUMBER_PATTERN}[- ]months?\\b`));
+  if (monthsMatch) {
+    return toNumber(monthsMatch[1]);
+  }
+  const yearsMatch = text.match(new RegExp(`${STAY_CUE}\\s+${NUMBER_PATTERN}[- ]years?\\b`));
+  if (yearsMatch) {
+    const years = toNumber(yearsMatch[1]);
+    return years ? years * 12 : null;
+  }
+  if (/\b(long[- ]term|year lease|annual lease)\b/.test(text)) {
+    return 12;
+  }
+  return null;
+}
+
+function extractEmployment(text) {
+  if (/\b(self[- ]employed|freelanc(e|er|ing)|contractor|run my own business)\b/.test(text)) {
+    return "self_employed";
+  }
+  if (/\b(student|grad school|university|college)\b/.test(text)) {
+    return "student";
+  }
+  if (/\bretired\b/.test(text)) {
+    return "retired";
+  }
+  if (/\b(unemployed|between jobs|looking for work)\b/.test(text)) {
+    return "unemployed";
+  }
+  if (/\b(i work (at|for|as|in)|employed|full[- ]time|part[- ]time|my job|work remotely|work from home)\b/.test(text)) {
+    return "employed";
+  }
+  return null;
+}
+
+export function extractLeadProfile(body, { now = new Date() } = {}) {
+  const text = String(body || "").toLowerCase().replace(/\s+/g, " ").trim();
+  if (!text) {
+    return {};
+  }
+
+  const extracted = {
+    moveInDate: extractMoveInDate(text, now),
+    // Income phrases ("income is around 5k") would otherwise read as a rent budget.
+    budgetMonthly: extractBudget(text.replace(INCOME_PATTERN, " ")),
+    occupants: extractOccupants(text),
+    pets: extractPets(text),
+    stayLengthMonths: extractStayLength(text),
+    employment: extractEmployment(text),
+    incomeMonthly: extractIncome(text)
+  };
+
+  return Object.fromEntries(Object.entries(extracted).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// Newer answers win field by field; fields the latest message did not mention are kept.
+export function mergeLeadProfile(existing, extracted, { messageId = null, now = new Date() } = {}) {
+  const current = existing && typeof existing === "object" ? existing : {};
+  const updates = extracted && typeof extracted === "object" ? extracted : {};
+  const changedFields = LEAD_PROFILE_FIELDS.filter(
+    (field) => updates[field] !== undefined && JSON.stringify(updates[field]) !== JSON.stringify(current[field])
+  );
+
+  if (changedFields.length === 0) {
+    return { profile: current, changedFields };
+  }
+
+  const profile = { ...current };
+  for (const field of changedFields) {
+    profile[field] = updates[field];
+  }
+  profile.updatedAt = now.toISOString();
+  profile.sourceMessageId = messageId;
+
+  return { profile, changedFields };
+}
+
+function formatMoveInDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return "";
+  }
+  return new Intl.DateTimeFormat("en-US", { month: "long", day: "numeric", timeZone: "UTC" }).format(new Date(`${value}T00:00:00Z`));
+}
+
+export function buildLeadProfileTemplateVariables(profile) {
+  const value = profile && typeof profile === "object" ? profile : {};
+  const pets = value.pets && typeof value.pets === "object" ? value.pets : null;
+
+  return {
+    lead_move_in_date: formatMoveInDate(value.moveInDate),
+    lead_budget: Number.isFinite(value.budgetMonthly) ? `$${value.budgetMonthly.toLocaleString("en-US")}` : "",
+    lead_occupants: Number.isFinite(value.occupants) ? String(value.occupants) : "",
+    lead_pets: !pets ? "" : pets.hasPets ? (pets.types?.length ? pets.types.join(", ") : "pets") : "no pets",
+    lead_stay_length: Number.isFinite(value.stayLengthMonths) ? `${value.stayLengthMonths} months` : "",
+    lead_employment: EMPLOYMENT_LABELS[value.employment] || "",
+    lead_income: Number.isFinite(value.incomeMonthly) ? `$${value.incomeMonthly.toLocaleString("en-US")}/month` : ""
+  };
+}
@@ -1,8 +1,9 @@
-import { generateObject } from "ai";
-import { google } from "@ai-sdk/google";
 import { z } from "zod";
 
+import { createAiProviderRegistry, parseAiProviderOrder, runDecisionProviders } from "./decision-providers.js";
 import { evaluateGuardrails } from "./guardrails.js";
+import { predictIntentWithModel } from "./intent-model.js";
+import { buildLeadProfileTemplateVariables } from "./lead-profile.js";
 
 const FOLLOW_UP_PATTERN = /\b(follow\s*up|any update|checking in|just checking|status\??)\b/i;
 const AMBIGUOUS_PATTERN = /\b(not sure|maybe|can you explain|confused|what do you mean|unclear)\b/i;
@@ -19,6 +20,7 @@ const WORKFLOW_OUTCOMES = new Set([
 ]);
 const RISK_LEVELS = new Set(["low", "medium", "high", "critical"]);
 const LOW_CONFIDENCE_THRESHOLD = 0.55;
+const INTENT_MODEL_MIN_CONFIDENCE = 0.6;
 const RESCHEDULE_PATTERN = /\b(reschedule|another time|later|different time|move (it|this)|change (the )?(time|slot))\b/i;
 const NOT_INTERESTED_PATTERN = /\b(not interested|no longer interested|found another place|stop|unsubscribe|do not contact)\b/i;
 const SHOWING_CONFIRMED_PATTERN = /\b(confirmed|see you|i('ll| will) be there|works for me|book it|that time works)\b/i;
@@ -34,14 +36,14 @@ const decisionSchema = z.object({
   reasonCode: z.string().nullable()
 });
 
-export function classifyIntent(body) {
+function classifyIntentHeuristic(body) {
   const text = String(body || "").toLowerCase();
   const normalized = text.replace(/\s+/g, " ").trim();
 
   if (!normalized) {
     return "unknown";
   }
-  if (/\b(stop|unsubscribe|do not contact)\b/.test(text)) {
+  if (/\b(stop|unsubscribe|do not contact|opt[- ]?out)\b/.test(text)) {
     return "unsubscribe";
   }
   if (/\b(tour|visit|see the place|walkthrough|showing)\b/.test(text)) {
@@ -72,6 +74,56 @@ export function classifyIntent(body) {
   return "unknown";
 }
 
+// Prefers the trained model when one is supplied and it is confident; otherwise the regex
+// heuristic decides, so a missing or undertrained model never makes triage worse. An opt-out the
+// heuristic detects always stands, and so does any heuristic intent the model was not trained on,
+// since the model can only pick among its own labels.
+export function classifyIntentWithDetails(body, { intentModel = null, minConfidence = INTENT_MODEL_MIN_CONFIDENCE } = {}) {
+  const heuristicIntent = classifyIntentHeuristic(body);
+  if (!intentModel || !String(body || "").trim() || heuristicIntent === "unsubscribe") {
+    return { intent: heuristicIntent, source: "heuristic", confidence: null, modelVersion: null, heuristicIntent };
+  }
+
+  let prediction;
+  try {
+    prediction = predictIntentWithModel(intentModel, body);
+  } catch {
+    return { intent: heuristicIntent, source: "heuristic", confidence: null, modelVersion: null, heuristicIntent };
+  }
+
+  if (heuristicIntent !== "unknown" && !(heuristicIntent in prediction.scores)) {
+    return {
+      intent: heuristicIntent,
+      source: "heuristic_label_not_modeled",
+      confidence: prediction.confidence,
+      modelVersion: prediction.modelVersion,
+      heuristicIntent
+    };
+  }
+
+  if (prediction.confidence < minConfidence) {
+    return {
+      intent: heuristicIntent,
+      source: "heuristic_low_confidence",
+      confidence: prediction.confidence,
+      modelVersion: prediction.modelVersion,
+      heuristicIntent
+    };
+  }
+
+  return {
+    intent: prediction.intent,
+    source: "model",
+    confidence: prediction.confidence,
+    modelVersion: prediction.modelVersion,
+    heuristicIntent
+  };
+}
+
+export function classifyIntent(body, options = {}) {
+  return classifyIntentWithDetails(body, options).intent;
+}
+
 export function detectFollowUp(body, hasRecentOutbound = false) {
   if (!hasRecentOutbound) {
     return false;
@@ -170,61 +222,117 @@ function formatFewShotExamples(fewShotExamples = []) {
     .join("\n\n");
 }
 
-async function classifyWithGemini({
+function formatLeadProfile(leadProfile) {
+  const variables = buildLeadProfileTemplateVariables(leadProfile);
+  return [
+    ["Move-in date", variables.lead_move_in_date],
+    ["Monthly budget", variables.lead_budget],
+    ["Occupants", variables.lead_occupants],
+    ["Pets", variables.lead_pets],
+    ["Stay length", variables.lead_stay_length],
+    ["Employment", variables.lead_employment],
+    ["Income", variables.lead_income]
+  ]
+    .filter(([, value]) => value)
+    .map(([label, value]) => `- ${label}: ${value}`)
+    .join("\n");
+}
+
+function buildDecisionPrompt({
+  inboundBody,
+  templateContext = {},
+  conversationContext = [],
+  fewShotExamples = [],
+  playbook = "",
+  leadProfile = null
+}) {
+  const inboundForPrompt = truncateForPrompt(redactPromptPII(inboundBody || ""), 2000);
+  const unitForPrompt = truncateForPrompt(redactPromptPII(templateContext.unit || ""), 400);
+  const slotOptionsForPrompt = truncateForPrompt(redactPromptPII(templateContext.slot_options || ""), 2000);
+  const contextBlock = formatConversationContext(conversationContext);
+  const examplesBlock = formatFewShotExamples(fewShotExamples);
+  const leadProfileBlock = formatLeadProfile(leadProfile);
+  const playbookBlock = typeof playbook === "string" && playbook.trim()
+    ? truncateForPrompt(playbook.trim(), 4000)
+    : "";
+
+  const promptParts = [
+    "You are an assistant for a leasing inbox automation system.",
+    "Return a JSON object that matches the schema exactly.",
+    "Goal: classify the inbound message intent and recommend a safe workflow outcome for operations.",
+    "If you are uncertain, set ambiguity=true and workflowOutcome=human_required.",
+    "Allowed intents: tour_request, pricing_question, availability_question, unsubscribe, unknown.",
+    "Choose workflowOutcome from: not_interested, wants_reschedule, no_reply, showing_confirmed, general_question, human_required.",
+    "If user confirms one of the provided slot options, set selectedSlotIndex (1-based index from slot list). Otherwise set selectedSlotIndex=null.",
+    "Provide confidence between 0 and 1 and riskLevel from low, medium, high, critical.",
+    "For tour_request or availability_question, provide suggestedReply as a natural human message.",
+    "Do not copy examples verbatim. Keep tone concise, friendly, and conversational.",
+    "If slot options exist, include 2-4 relevant options and ask what works best.",
+    "If no slots exist, ask for preferred days/times and offer a virtual tour.",
+    "Do not fabricate unavailable data. Keep PII-safe wording.",
+    playbookBlock ? `Playbook (style guidance):\n${playbookBlock}` : null,
+    examplesBlock ? `Past reply examples (style guidance only):\n${examplesBlock}` : null,
+    contextBlock ? `Conversation context (oldest -> newest):\n${contextBlock}` : null,
+    leadProfileBlock ? `Known lead details (do not ask for these again):\n${leadProfileBlock}` : null,
+    `Inbound message:\n${inboundForPrompt}`,
+    `Unit context:\n${unitForPrompt}`,
+    `Slot options (if any):\n${slotOptionsForPrompt}`
+  ].filter(Boolean);
+
+  return promptParts.join("\n\n");
+}
+
+let defaultProviderRegistry = null;
+
+function getDefaultProviderRegistry(geminiModel) {
+  if (!defaultProviderRegistry || defaultProviderRegistry.geminiModel !== geminiModel) {
+    defaultProviderRegistry = {
+      geminiModel,
+      registry: createAiProviderRegistry({ geminiModel })
+    };
+  }
+  return defaultProviderRegistry.registry;
+}
+
+async function classifyWithProviders({
   inboundBody,
   templateContext = {},
   geminiModel = "gemini-2.5-flash",
   enabled = false,
+  providerOrder = [],
+  providerRegistry = null,
+  providerTimeoutMs = null,
   conversationContext = [],
   fewShotExamples = [],
-  playbook = ""
+  playbook = "",
+  leadProfile = null
 }) {
   if (!enabled) {
     return null;
   }
 
-  try {
-    const inboundForPrompt = truncateForPrompt(redactPromptPII(inboundBody || ""), 2000);
-    const unitForPrompt = truncateForPrompt(redactPromptPII(templateContext.unit || ""), 400);
-    const slotOptionsForPrompt = truncateForPrompt(redactPromptPII(templateContext.slot_options || ""), 2000);
-    const contextBlock = formatConversationContext(conversationContext);
-    const examplesBlock = formatFewShotExamples(fewShotExamples);
-    const playbookBlock = typeof playbook === "string" && playbook.trim()
-      ? truncateForPrompt(playbook.trim(), 4000)
-      : "";
-
-    const promptParts = [
-      "You are an assistant for a leasing inbox automation system.",
-      "Return a JSON object that matches the schema exactly.",
-      "Goal: classify the inbound message intent and recommend a safe workflow outcome for operations.",
-      "If you are uncertain, set ambiguity=true and workflowOutcome=human_required.",
-      "Allowed intents: tour_request, pricing_question, availability_question, unsubscribe, unknown.",
-      "Choose workflowOutcome from: not_interested, wants_reschedule, no_reply, showing_confirmed, general_question, human_required.",
-      "If user confirms one of the provided slot options, set selectedSlotIndex (1-based index from slot list). Otherwise set selectedSlotIndex=null.",
-      "Provide confidence between 0 and 1 and riskLevel from low, medium, high, critical.",
-      "For tour_request or availability_question, provide suggestedReply as a natural human message.",
-      "Do not copy examples verbatim. Keep tone concise, friendly, and conversational.",
-      "If slot options exist, include 2-4 relevant options and ask what works best.",
-      "If no slots exist, ask for preferred days/times and offer a virtual tour.",
-      "Do not fabricate unavailable data. Keep PII-safe wording.",
-      playbookBlock ? `Playbook (style guidance):\n${playbookBlock}` : null,
-      examplesBlock ? `Past reply examples (style guidance only):\n${examplesBlock}` : null,
-      contextBlock ? `Conversation context (oldest -> newest):\n${contextBlock}` : null,
-      `Inbound message:\n${inboundForPrompt}`,
-      `Unit context:\n${unitForPrompt}`,
-      `Slot options (if any):\n${slotOptionsForPrompt}`
-    ].filter(Boolean);
-
-    const result = await generateObject({
-      model: google(geminiModel),
-      schema: decisionSchema,
-      prompt: promptParts.join("\n\n")
-    });
+  const registry = providerRegistry || getDefaultProviderRegistry(geminiModel);
+  const result = await runDecisionProviders({
+    providers: registry.resolve(providerOrder),
+    prompt: buildDecisionPrompt({ inboundBody, templateContext, conversationContext, fewShotExamples, playbook, leadProfile }),
+    schema: decisionSchema,
+    timeoutMs: providerTimeoutMs
+  });
 
-    return result.object;
-  } catch {
-    return null;
+  if (!result.decision) {
+    if (result.attempts.length === 0) {
+      return null;
+    }
+    const error = new Error("all AI decision providers failed");
+    error.attempts = result.attempts;
+    throw error;
   }
+
+  return {
+    ...result.decision,
+    provider: result.provider,
+    providerAttempts: result.attempts
+  };
 }
 
 function resolvePolicyIntent({ heuristicIntent, aiIntent, fallbackIntent, followUp }) {
@@ -319,8 +427,13 @@ export function decideReplyEligibility({
   confidence,
   riskLevel,
   slotCount = 0,
-  autoSendEnabled = false
+  autoSendEnabled = false,
+  prescreenPending = false,
+  awaitingPrescreenAnswer = false
 }) {
+  // While a pre-screening answer is pending, "unknown" intent is usually just the answer itself.
+  const answeringPrescreen = Boolean(awaitingPrescreenAnswer);
+
   if (workflowOutcome === "human_required") {
     return { eligible: false, reason: "escalate_human_required", outcome: "escalate" };
   }
@@ -336,12 +449,28 @@ export function decideReplyEligibility({
   if (guardrails.blocked) {
     return { eligible: false, reason: `escalate_${guardrails.reasons[0] || "policy_guardrail"}`, outcome: "escalate" };
   }
-  if (isAmbiguous || intent === "unknown") {
+  if (isAmbiguous || (intent === "unknown" && !answeringPrescreen)) {
     return { eligible: false, reason: "escalate_ambiguous_intent", outcome: "escalate" };
   }
-  if (!AUTO_REPLY_INTENTS.has(effectiveIntent)) {
+  if (!AUTO_REPLY_INTENTS.has(effectiveIntent) && !(answeringPrescreen && intent === "unknown")) {
     return { eligible: false, reason: "escalate_non_tour_intent", outcome: "escalate" };
   }
+  if (prescreenPending) {
+    if (rule?.enabled === false) {
+      return { eligible: false, reason: "skip_rule_disabled", outcome: "skip" };
+    }
+    if (!templateBody || !templateBody.trim()) {
+      return { eligible: false, reason: "escalate_template_missing", outcome: "escalate" };
+    }
+    if (guardrails.held) {
+      return { eligible: true, reason: "policy_guardrail_hold", outcome: "hold" };
+    }
+    return {
+      eligible: true,
+      reason: autoSendEnabled ? "prescreen_send_allowed" : "prescreen_draft_required",
+      outcome: autoSendEnabled ? "send" : "draft"
+    };
+  }
   if (slotCount < 1) {
     return { eligible: false, reason: "escalate_no_slot_candidates", outcome: "escalate" };
   }
@@ -355,6 +484,10 @@ export function decideReplyEligibility({
     return { eligible: false, reason: "escalate_template_missing", outcome: "escalate" };
   }
 
+  if (guardrails.held) {
+    return { eligible: true, reason: "policy_guardrail_hold", outcome: "hold" };
+  }
+
   return {
     eligible: true,
     reason: autoSendEnabled ? "policy_send_allowed" : "policy_draft_required",
@@ -363,7 +496,11 @@ export function decideReplyEligibility({
 }
 
 export function runReplyPipeline(input) {
-  const intent = classifyIntent(input.inboundBody);
+  const intentClassification = classifyIntentWithDetails(input.inboundBody, {
+    intentModel: input.intentModel,
+    minConfidence: input.intentModelMinConfidence
+  });
+  const intent = intentClassification.intent;
   const followUp = detectFollowUp(input.inboundBody, input.hasRecentOutbound);
   const fallbackIntent = input.fallbackIntent || intent;
   const policyIntent = followUp && intent === "unknown" ? fallbackIntent : intent;
@@ -373,7 +510,8 @@ export function runReplyPipeline(input) {
   const renderedReply = renderTemplate(templateBody, input.templateContext || {});
   const guardrails = evaluateGuardrails({
     inboundBody: input.inboundBody,
-    outboundBody: renderedReply
+    outboundBody: renderedReply,
+    rules: input.guardrailRules
   });
   const workflow = deriveWorkflowClassification({
     inboundBody: input.inboundBody,
@@ -406,34 +544,48 @@ export function runReplyPipeline(input) {
     confidence: workflow.confidence,
     riskLevel: workflow.riskLevel,
     escalationReasonCode: eligibility.outcome === "escalate" ? eligibility.reason : null,
+    intentClassification,
     selectedSlotIndex: null,
-    replyBody: renderedReply
+    replyBody: guardrails.outboundBody
   };
 }
 
 export async function runReplyPipelineWithAI(input) {
   const followUp = detectFollowUp(input.inboundBody, input.hasRecentOutbound);
-  const heuristicIntent = classifyIntent(input.inboundBody);
+  const intentClassification = classifyIntentWithDetails(input.inboundBody, {
+    intentModel: input.intentModel,
+    minConfidence: input.intentModelMinConfidence
+  });
+  const heuristicIntent = intentClassification.intent;
   const fallbackIntent = input.fallbackIntent || heuristicIntent;
   const templateBody = input.template?.body || "";
   const slotCount = deriveSlotCount(input.templateContext || {});
-  const aiEnabled = input.aiEnabled ?? process.env.AI_DECISION_PROVIDER === "gemini";
+  // A per-account order (even an empty one) overrides the global AI_DECISION_PROVIDER list.
+  const configuredProviderOrder = parseAiProviderOrder(input.aiProviderOrder ?? process.env.AI_DECISION_PROVIDER);
+  const aiEnabled = input.aiEnabled ?? configuredProviderOrder.length > 0;
+  const providerOrder = configuredProviderOrder.length > 0 ? configuredProviderOrder : ["gemini"];
   const geminiModel = input.geminiModel || process.env.AI_GEMINI_MODEL || "gemini-2.5-flash";
-  const classify = typeof input.aiClassifier === "function" ? input.aiClassifier : classifyWithGemini;
+  const classify = typeof input.aiClassifier === "function" ? input.aiClassifier : classifyWithProviders;
 
   let aiDecision = null;
+  let failedProviderAttempts = [];
   try {
     aiDecision = await classify({
       inboundBody: input.inboundBody,
       templateContext: input.templateContext || {},
       geminiModel,
       enabled: aiEnabled,
+      providerOrder,
+      providerRegistry: input.aiProviderRegistry || null,
+      providerTimeoutMs: input.aiProviderTimeoutMs ?? null,
       conversationContext: input.conversationContext || [],
       fewShotExamples: input.fewShotExamples || [],
-      playbook: input.playbook || ""
+      playbook: input.playbook || "",
+      leadProfile: input.leadProfile || null
     });
-  } catch {
+  } catch (error) {
     aiDecision = null;
+    failedProviderAttempts = Array.isArray(error?.attempts) ? error.attempts : [];
   }
 
   const { policyIntent, effectiveIntent } = resolvePolicyIntent({
@@ -444,16 +596,19 @@ export async function runReplyPipelineWithAI(input) {
   });
   const aiSuggestedReply = aiDecision?.suggestedReply ? String(aiDecision.suggestedReply) : "";
   const renderedReply = renderTemplate(templateBody, input.templateContext || {});
+  const prescreenQuestion = input.prescreenQuestion ? renderTemplate(String(input.prescreenQuestion), input.templateContext || {}) : "";
   const replyBody =
     (
-      aiSuggestedReply
+      prescreenQuestion
+      || aiSuggestedReply
       || renderedReply
       || (AUTO_REPLY_INTENTS.has(effectiveIntent) && slotCount > 0 ? createDefaultTourReply(input.templateContext) : "")
     );
 
   const guardrails = evaluateGuardrails({
     inboundBody: input.inboundBody,
-    outboundBody: replyBody
+    outboundBody: replyBody,
+    rules: input.guardrailRules
   });
   const isAmbiguous = Boolean(aiDecision?.ambiguity) || AMBIGUOUS_PATTERN.test(String(input.inboundBody || ""));
   const workflow = deriveWorkflowClassification({
@@ -462,19 +617,25 @@ export async function runReplyPipelineWithAI(input) {
     isAmbiguous,
     guardrails
   });
-  const selectedSlotIndex = normalizeSelectedSlotIndex(aiDecision?.selectedSlotIndex, slotCount);
+  // Asking a pre-screening question never books or moves a showing.
+  if (prescreenQuestion && workflow.workflowOutcome !== "human_required") {
+    workflow.workflowOutcome = "general_question";
+  }
+  const selectedSlotIndex = prescreenQuestion ? null : normalizeSelectedSlotIndex(aiDecision?.selectedSlotIndex, slotCount);
   const eligibility = decideReplyEligibility({
     intent: policyIntent,
     effectiveIntent,
     isAmbiguous,
     rule: input.rule,
-    templateBody: replyBody,
+    templateBody: guardrails.outboundBody,
     guardrails,
     workflowOutcome: workflow.workflowOutcome,
     confidence: workflow.confidence,
     riskLevel: workflow.riskLevel,
     slotCount,
-    autoSendEnabled: Boolean(input.autoSendEnabled ?? input.rule?.enabled)
+    autoSendEnabled: Boolean(input.autoSendEnabled ?? input.rule?.enabled),
+    prescreenPending: Boolean(prescreenQuestion),
+    awaitingPrescreenAnswer: Boolean(input.awaitingPrescreenAnswer)
   });
 
   return {
@@ -488,9 +649,11 @@ export async function runReplyPipelineWithAI(input) {
     confidence: workflow.confidence,
     riskLevel: workflow.riskLevel,
     escalationReasonCode: eligibility.outcome === "escalate" ? eligibility.reason : null,
-    provider: aiDecision ? "gemini" : "heuristic",
+    provider: aiDecision ? aiDecision.provider || "gemini" : "heuristic",
+    providerAttempts: aiDecision?.providerAttempts || failedProviderAttempts,
+    intentClassification,
     selectedSlotIndex,
-    replyBody
+    replyBody: guardrails.outboundBody
   };
 }
 
@@ -0,0 +1,73 @@
+import { LEAD_PROFILE_FIELDS } from "./lead-profile.js";
+
+export const PRESCREEN_FIELDS = LEAD_PROFILE_FIELDS;
+export const PRESCREEN_MAX_ASKS_PER_QUESTION = 2;
+
+const DEFAULT_PRESCREEN_QUESTIONS = {
+  moveInDate: "When are you hoping to move in?",
+  budgetMonthly: "What monthly budget are you working with?",
+  occupants: "How many people would be living in the unit?",
+  pets: "Do you have any pets? If so, what kind?",
+  stayLengthMonths: "How long are you planning to stay?",
+  employment: "Could you share a bit about your employment situation?",
+  incomeMonthly: "What is your approximate monthly income?"
+};
+
+export function validatePrescreenQuestions(questions) {
+  if (!Array.isArray(questions)) {
+    return ["prescreenQuestions must be an array"];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  questions.forEach((question, index) => {
+    if (!question || typeof question !== "object" || !PRESCREEN_FIELDS.includes(question.field)) {
+      errors.push(`prescreenQuestions[${index}].field must be one of ${PRESCREEN_FIELDS.join(", ")}`);
+      return;
+    }
+    if (seen.has(question.field)) {
+      errors.push(`prescreenQuestions[${index}].field ${question.field} is listed more than once`);
+    }
+    seen.add(question.field);
+    if (question.question !== undefined && (typeof question.question !== "string" || question.question.trim().length === 0)) {
+      errors.push(`prescreenQuestions[${index}].question must be a non-empty string`);
+    }
+    if (question.required !== undefined && typeof question.required !== "boolean") {
+      errors.push(`prescreenQuestions[${index}].required must be a boolean`);
+    }
+  });
+  return errors;
+}
+
+export function normalizePrescreenQuestions(questions) {
+  return (Array.isArray(questions) ? questions : [])
+    .filter((question) => question && PRESCREEN_FIELDS.includes(question.field))
+    .map((question) => ({
+      field: question.field,
+      question: typeof question.question === "string" && question.question.trim()
+        ? question.question.trim()
+        : DEFAULT_PRESCREEN_QUESTIONS[question.field],
+      required: question.required !== false
+    }));
+}
+
+// Answers come from the lead profile, so a lead who volunteers details up front is not asked again.
+export function resolvePrescreenProgress({ questions, profile, state = {} } = {}) {
+  const normalized = normalizePrescreenQuestions(questions);
+  const answers = profile && typeof profile === "object" ? profile : {};
+  const askCounts = state?.askCounts && typeof state.askCounts === "object" ? state.askCounts : {};
+  const isAnswered = (question) => answers[question.field] !== undefined && answers[question.field] !== null;
+
+  const answeredFields = normalized.filter(isAnswered).map((question) => question.field);
+  const missing = normalized.filter((question) => question.required && !isAnswered(question));
+  const nextQuestion = missing[0] || null;
+
+  return {
+    questions: normalized,
+    answeredFields,
+    missingFields: missing.map((question) => question.field),
+    nextQuestion,
+    exhausted: Boolean(nextQuestion) && Number(askCounts[nextQuestion.field] || 0) >= PRESCREEN_MAX_ASKS_PER_QUESTION,
+    complete: normalized.length > 0 && missing.length === 0
+  };
+}
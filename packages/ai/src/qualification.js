@@ -0,0 +1,127 @@
+export const LEAD_QUALIFICATION_STATUSES = ["qualified", "unqualified", "unknown"];
+export const LISTING_PET_POLICIES = ["allowed", "cats_only", "dogs_only", "no_pets"];
+
+const CAT_TYPES = new Set(["cat", "kitten"]);
+const DOG_TYPES = new Set(["dog", "puppy"]);
+
+function isPositiveNumber(value) {
+  return typeof value === "number" && Number.isFinite(value) && value > 0;
+}
+
+function isDateString(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(`${value}T00:00:00Z`));
+}
+
+export function validateQualificationCriteria(criteria) {
+  if (criteria === null || Array.isArray(criteria) || typeof criteria !== "object") {
+    return ["qualificationCriteria must be an object"];
+  }
+
+  const errors = [];
+  if (criteria.minStayMonths !== undefined && !(Number.isInteger(criteria.minStayMonths) && criteria.minStayMonths > 0)) {
+    errors.push("qualificationCriteria.minStayMonths must be a positive integer");
+  }
+  if (criteria.maxOccupants !== undefined && !(Number.isInteger(criteria.maxOccupants) && criteria.maxOccupants > 0)) {
+    errors.push("qualificationCriteria.maxOccupants must be a positive integer");
+  }
+  if (criteria.petPolicy !== undefined && !LISTING_PET_POLICIES.includes(criteria.petPolicy)) {
+    errors.push(`qualificationCriteria.petPolicy must be one of ${LISTING_PET_POLICIES.join(", ")}`);
+  }
+  if (criteria.earliestMoveIn !== undefined && !isDateString(criteria.earliestMoveIn)) {
+    errors.push("qualificationCriteria.earliestMoveIn must be YYYY-MM-DD");
+  }
+  if (criteria.incomeMultiple !== undefined && !isPositiveNumber(criteria.incomeMultiple)) {
+    errors.push("qualificationCriteria.incomeMultiple must be a positive number");
+  }
+  return errors;
+}
+
+function checkPets(pets, petPolicy) {
+  if (!pets || typeof pets !== "object") {
+    return "unknown";
+  }
+  if (!pets.hasPets || petPolicy === "allowed") {
+    return "pass";
+  }
+  if (petPolicy === "no_pets") {
+    return "fail";
+  }
+
+  const allowedTypes = petPolicy === "cats_only" ? CAT_TYPES : DOG_TYPES;
+  const types = Array.isArray(pets.types) ? pets.types : [];
+  if (types.length === 0) {
+    return "unknown";
+  }
+  return types.every((type) => allowedTypes.has(type)) ? "pass" : "fail";
+}
+
+// Each configured criterion passes, fails, or stays unknown until the lead has answered it.
+// One failure makes the lead unqualified; every criterion has to pass to be qualified.
+export function scoreLeadQualification({ profile, criteria, rentCents = null } = {}) {
+  const lead = profile && typeof profile === "object" ? profile : {};
+  const rules = criteria && typeof criteria === "object" && !Array.isArray(criteria) ? criteria : {};
+  const checks = [];
+
+  if (Number.isInteger(rules.minStayMonths)) {
+    checks.push({
+      criterion: "minStayMonths",
+      expected: rules.minStayMonths,
+      actual: lead.stayLengthMonths ?? null,
+      result: Number.isFinite(lead.stayLengthMonths) ? (lead.stayLengthMonths >= rules.minStayMonths ? "pass" : "fail") : "unknown"
+    });
+  }
+
+  if (Number.isInteger(rules.maxOccupants)) {
+    checks.push({
+      criterion: "maxOccupants",
+      expected: rules.maxOccupants,
+      actual: lead.occupants ?? null,
+      result: Number.isFinite(lead.occupants) ? (lead.occupants <= rules.maxOccupants ? "pass" : "fail") : "unknown"
+    });
+  }
+
+  if (LISTING_PET_POLICIES.includes(rules.petPolicy)) {
+    checks.push({
+      criterion: "petPolicy",
+      expected: rules.petPolicy,
+      actual: lead.pets ?? null,
+      result: checkPets(lead.pets, rules.petPolicy)
+    });
+  }
+
+  if (isDateString(rules.earliestMoveIn)) {
+    checks.push({
+      criterion: "earliestMoveIn",
+      expected: rules.earliestMoveIn,
+      actual: lead.moveInDate ?? null,
+      result: isDateString(lead.moveInDate) ? (lead.moveInDate >= rules.earliestMoveIn ? "pass" : "fail") : "unknown"
+    });
+  }
+
+  if (isPositiveNumber(rules.incomeMultiple) && Number.isInteger(rentCents) && rentCents > 0) {
+    const requiredIncome = Math.ceil((rentCents / 100) * rules.incomeMultiple);
+    checks.push({
+      criterion: "incomeMultiple",
+      expected: requiredIncome,
+      actual: lead.incomeMonthly ?? null,
+      result: Number.isFinite(lead.incomeMonthly) ? (lead.incomeMonthly >= requiredIncome ? "pass" : "fail") : "unknown"
+    });
+  }
+
+  if (checks.length === 0) {
+    return { status: "unknown", score: null, checks };
+  }
+
+  const passed = checks.filter((check) => check.result === "pass").length;
+  const status = checks.some((check) => check.result === "fail")
+    ? "unqualified"
+    : passed === checks.length
+      ? "qualified"
+      : "unknown";
+
+  return {
+    status,
+    score: Math.round((passed / checks.length) * 100),
+    checks
+  };
+}
@@ -0,0 +1,212 @@
+import assert from "node:assert/strict";
+import { createServer } from "node:http";
+import test from "node:test";
+
+import {
+  createAiProviderRegistry,
+  createAnthropicProvider,
+  createLocalHttpProvider,
+  createOpenAiCompatibleProvider,
+  parseAiProviderOrder,
+  runReplyPipelineWithAI
+} from "../src/index.js";
+
+const validDecision = {
+  intent: "tour_request",
+  workflowOutcome: "general_question",
+  confidence: 0.92,
+  riskLevel: "low",
+  ambiguity: false,
+  selectedSlotIndex: null,
+  suggestedReply: "Happy to show you the unit. Does Tuesday at 5pm work?",
+  reasonCode: null
+};
+
+let server;
+let baseUrl;
+const requests = [];
+const pendingResponses = new Set();
+
+function replyJson(res, statusCode, payload) {
+  res.writeHead(statusCode, { "content-type": "application/json" });
+  res.end(JSON.stringify(payload));
+}
+
+test.before(async () => {
+  server = createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const body = chunks.length > 0 ? JSON.parse(Buffer.concat(chunks).toString("utf8")) : null;
+    requests.push({ url: req.url, headers: req.headers, body });
+
+    if (req.url === "/openai/chat/completions") {
+      replyJson(res, 200, { choices: [{ message: { role: "assistant", content: JSON.stringify(validDecision) } }] });
+      return;
+    }
+    if (req.url === "/anthropic/v1/messages") {
+      replyJson(res, 200, {
+        content: [{ type: "text", text: `Here is the decision:\n\`\`\`json\n${JSON.stringify(validDecision)}\n\`\`\`` }]
+      });
+      return;
+    }
+    if (req.url === "/ollama/api/chat") {
+      replyJson(res, 200, { message: { role: "assistant", content: JSON.stringify({ ...validDecision, intent: "availability_question" }) } });
+      return;
+    }
+    if (req.url === "/invalid/chat/completions") {
+      replyJson(res, 200, { choices: [{ message: { content: JSON.stringify({ ...validDecision, intent: "buy_house" }) } }] });
+      return;
+    }
+    if (req.url === "/failing/chat/completions") {
+      replyJson(res, 503, { error: "overloaded" });
+      return;
+    }
+    if (req.url === "/slow/chat/completions") {
+      // Never answer; the provider timeout has to abort the request.
+      pendingResponses.add(res);
+      return;
+    }
+
+    replyJson(res, 404, { error: "not_found" });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+  for (const res of pendingResponses) {
+    res.destroy();
+  }
+  server.closeAllConnections?.();
+  await new Promise((resolve) => server.close(resolve));
+});
+
+const tourInput = {
+  inboundBody: "Can I tour this week?",
+  hasRecentOutbound: false,
+  rule: { id: "r1", enabled: true },
+  template: { body: "Tours for {{unit}}: {{slot_options}}" },
+  templateContext: { unit: "4B", slot_options: "Tue 5pm, Wed 6pm" },
+  autoSendEnabled: true,
+  aiEnabled: true
+};
+
+test("parseAiProviderOrder keeps known providers in order without duplicates", () => {
+  assert.deepEqual(parseAiProviderOrder("local, openai,unknown,local"), ["local", "openai"]);
+  assert.deepEqual(parseAiProviderOrder("heuristic"), []);
+  assert.deepEqual(parseAiProviderOrder(["anthropic", "gemini"]), ["anthropic", "gemini"]);
+});
+
+test("registry only registers hosted providers that have credentials", () => {
+  const registry = createAiProviderRegistry({ env: { AI_ANTHROPIC_API_KEY: "test-key", AI_PROVIDER_TIMEOUT_MS: "2500" } });
+
+  assert.deepEqual(registry.names(), ["gemini", "anthropic", "local"]);
+  assert.equal(registry.get("anthropic").timeoutMs, 2500);
+  assert.deepEqual(registry.resolve("openai,local").map((provider) => provider.name), ["local"]);
+});
+
+test("OpenAI-compatible provider returns schema-validated decision", async () => {
+  requests.length = 0;
+  const registry = createAiProviderRegistry({
+    providers: [createOpenAiCompatibleProvider({ baseUrl: `${baseUrl}/openai`, apiKey: "sk-test", model: "stub-model" })]
+  });
+
+  const result = await runReplyPipelineWithAI({ ...tourInput, aiProviderOrder: ["openai"], aiProviderRegistry: registry });
+
+  assert.equal(result.provider, "openai");
+  assert.equal(result.outcome, "send");
+  assert.equal(result.replyBody, validDecision.suggestedReply);
+  assert.equal(requests[0].headers.authorization, "Bearer sk-test");
+  assert.equal(requests[0].body.model, "stub-model");
+  assert.match(requests[0].body.messages[0].content, /intent, workflowOutcome, confidence/);
+});
+
+test("Anthropic provider extracts JSON from fenced text blocks", async () => {
+  requests.length = 0;
+  const registry = createAiProviderRegistry({
+    providers: [createAnthropicProvider({ baseUrl: `${baseUrl}/anthropic`, apiKey: "anthropic-test" })]
+  });
+
+  const result = await runReplyPipelineWithAI({ ...tourInput, aiProviderOrder: ["anthropic"], aiProviderRegistry: registry });
+
+  assert.equal(result.provider, "anthropic");
+  assert.equal(result.intent, "tour_request");
+  assert.equal(requests[0].headers["x-api-key"], "anthropic-test");
+  assert.equal(requests[0].headers["anthropic-version"], "2023-06-01");
+});
+
+test("providers fall back in order past timeouts, errors, and schema-invalid responses", async () => {
+  const registry = createAiProviderRegistry({
+    providers: [
+      createOpenAiCompatibleProvider({ name: "openai", baseUrl: `${baseUrl}/slow`, timeoutMs: 100 }),
+      createAnthropicProvider({ baseUrl: `${baseUrl}/failing-anthropic`, apiKey: "anthropic-test" }),
+      createOpenAiCompatibleProvider({ name: "gemini", baseUrl: `${baseUrl}/invalid` }),
+      createLocalHttpProvider({ baseUrl: `${baseUrl}/ollama` })
+    ]
+  });
+
+  const result = await runReplyPipelineWithAI({
+    ...tourInput,
+    aiProviderOrder: ["openai", "anthropic", "gemini", "local"],
+    aiProviderRegistry: registry
+  });
+
+  assert.equal(result.provider, "local");
+  assert.equal(result.intent, "availability_question");
+  assert.deepEqual(
+    result.providerAttempts.map((attempt) => [attempt.provider, attempt.status, attempt.error || null]),
+    [
+      ["openai", "error", "timeout"],
+      ["anthropic", "error", "provider responded with status 404"],
+      ["gemini", "invalid_response", null],
+      ["local", "ok", null]
+    ]
+  );
+});
+
+test("when every provider fails the heuristic decides and the failed attempts are still reported", async () => {
+  const registry = createAiProviderRegistry({
+    providers: [
+      createOpenAiCompatibleProvider({ name: "openai", baseUrl: `${baseUrl}/slow`, timeoutMs: 60000 }),
+      createOpenAiCompatibleProvider({ name: "gemini", baseUrl: `${baseUrl}/failing` })
+    ]
+  });
+
+  const startedAt = Date.now();
+  const result = await runReplyPipelineWithAI({
+    ...tourInput,
+    aiProviderOrder: ["openai", "gemini"],
+    aiProviderTimeoutMs: 100,
+    aiProviderRegistry: registry
+  });
+
+  assert.ok(Date.now() - startedAt < 5000);
+  assert.equal(result.provider, "heuristic");
+  assert.equal(result.intent, "tour_request");
+  assert.deepEqual(
+    result.providerAttempts.map((attempt) => [attempt.provider, attempt.status, attempt.error]),
+    [
+      ["openai", "error", "timeout"],
+      ["gemini", "error", "provider responded with status 503"]
+    ]
+  );
+});
+
+test("empty per-account provider order keeps the heuristic path", async () => {
+  const registry = createAiProviderRegistry({
+    providers: [createOpenAiCompatibleProvider({ baseUrl: `${baseUrl}/failing` })]
+  });
+
+  const result = await runReplyPipelineWithAI({
+    ...tourInput,
+    aiEnabled: undefined,
+    aiProviderOrder: [],
+    aiProviderRegistry: registry
+  });
+
+  assert.equal(result.provider, "heuristic");
+  assert.deepEqual(result.providerAttempts, []);
+});
@@ -0,0 +1,30 @@
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { evaluateGuardrails } from "../src/index.js";
+
+const holdRule = {
+  id: "g1",
+  reasonCode: "tour_copy_review",
+  matchType: "keywords",
+  keywords: ["tours for"],
+  direction: "outbound",
+  severity: "low",
+  action: "hold"
+};
+
+test("guardrail rules disabled through isEnabled or enabled are ignored", () => {
+  const outboundBody = "Tours for 4B are open this week.";
+
+  const active = evaluateGuardrails({ inboundBody: "", outboundBody, rules: [{ ...holdRule, isEnabled: true }] });
+  assert.equal(active.held, true);
+  assert.deepEqual(active.matches.map((match) => match.ruleId), ["g1"]);
+
+  const disabledDto = evaluateGuardrails({ inboundBody: "", outboundBody, rules: [{ ...holdRule, isEnabled: false }] });
+  assert.equal(disabledDto.held, false);
+  assert.deepEqual(disabledDto.matches, []);
+
+  const disabledLegacy = evaluateGuardrails({ inboundBody: "", outboundBody, rules: [{ ...holdRule, enabled: false }] });
+  assert.equal(disabledLegacy.held, false);
+  assert.deepEqual(disabledLegacy.matches, []);
+});
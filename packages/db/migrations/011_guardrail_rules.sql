@@ -0,0 +1,27 @@
+CREATE TABLE IF NOT EXISTS "GuardrailRules" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  platform_account_id UUID REFERENCES "PlatformAccounts"(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  reason_code TEXT NOT NULL,
+  match_type TEXT NOT NULL CHECK (match_type IN ('pattern', 'keywords')),
+  pattern TEXT,
+  keywords JSONB NOT NULL DEFAULT '[]'::jsonb,
+  direction TEXT NOT NULL CHECK (direction IN ('inbound', 'outbound')),
+  severity TEXT NOT NULL DEFAULT 'medium' CHECK (severity IN ('low', 'medium', 'high', 'critical')),
+  action TEXT NOT NULL CHECK (action IN ('block', 'hold', 'redact')),
+  is_enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (
+    (match_type = 'pattern' AND pattern IS NOT NULL AND pattern <> '')
+    OR (match_type = 'keywords' AND jsonb_typeof(keywords) = 'array' AND jsonb_array_length(keywords) > 0)
+  ),
+  -- Redaction rewrites the generated reply, so it only applies to outbound text.
+  CHECK (action <> 'redact' OR direction = 'outbound')
+);
+
+-- Rules without a platform account apply to every account.
+CREATE INDEX IF NOT EXISTS idx_guardrail_rules_platform_account_id
+  ON "GuardrailRules" (platform_account_id)
+  WHERE is_enabled = TRUE;
@@ -0,0 +1,4 @@
+-- Ordered list of AI decision providers for the account; NULL falls back to AI_DECISION_PROVIDER.
+ALTER TABLE "PlatformAccounts"
+  ADD COLUMN IF NOT EXISTS ai_provider_order JSONB
+  CHECK (ai_provider_order IS NULL OR jsonb_typeof(ai_provider_order) = 'array');
@@ -0,0 +1,3 @@
+-- Lead answers extracted from inbound messages (move-in date, budget, occupants, pets, stay length, employment).
+ALTER TABLE "Conversations"
+  ADD COLUMN IF NOT EXISTS lead_profile JSONB NOT NULL DEFAULT '{}'::jsonb;
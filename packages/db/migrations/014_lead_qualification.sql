@@ -0,0 +1,26 @@
+BEGIN;
+
+ALTER TABLE "Listings"
+  ADD COLUMN IF NOT EXISTS qualification_criteria JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE "Conversations"
+  ADD COLUMN IF NOT EXISTS qualification_status TEXT NOT NULL DEFAULT 'unknown',
+  ADD COLUMN IF NOT EXISTS qualification JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint
+     WHERE conname = 'conversations_qualification_status_chk'
+  ) THEN
+    ALTER TABLE "Conversations"
+      ADD CONSTRAINT conversations_qualification_status_chk
+      CHECK (qualification_status IN ('qualified', 'unqualified', 'unknown'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_qualification_status
+  ON "Conversations" (qualification_status);
+
+COMMIT;
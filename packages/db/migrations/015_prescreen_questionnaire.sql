@@ -0,0 +1,19 @@
+BEGIN;
+
+-- Ordered questions ({ field, question, required }) asked before tour slots are offered.
+ALTER TABLE "Listings"
+  ADD COLUMN IF NOT EXISTS prescreen_questions JSONB NOT NULL DEFAULT '[]'::jsonb
+  CHECK (jsonb_typeof(prescreen_questions) = 'array');
+
+-- Questionnaire progress: last asked field, ask counts per field, and completion time.
+ALTER TABLE "Conversations"
+  ADD COLUMN IF NOT EXISTS prescreen JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE "Conversations"
+  DROP CONSTRAINT IF EXISTS conversations_workflow_state_chk;
+
+ALTER TABLE "Conversations"
+  ADD CONSTRAINT conversations_workflow_state_chk
+  CHECK (workflow_state IN ('lead', 'prescreening', 'prescreened', 'showing', 'follow_up_1', 'follow_up_2', 'outcome'));
+
+COMMIT;
@@ -0,0 +1,74 @@
+BEGIN;
+
+-- Per-account follow-up cadence: { enabled, delayHours, maxStages, templates, quietHours }.
+ALTER TABLE "PlatformAccounts"
+  ADD COLUMN IF NOT EXISTS follow_up_cadence JSONB NOT NULL DEFAULT '{}'::jsonb
+  CHECK (jsonb_typeof(follow_up_cadence) = 'object');
+
+CREATE INDEX IF NOT EXISTS idx_conversations_follow_up_pending
+  ON "Conversations" (follow_up_status, workflow_state)
+  WHERE status = 'open';
+
+-- A lead who answers a follow-up can still book a showing.
+CREATE OR REPLACE FUNCTION workflow_validate_conversation_transition()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.workflow_state <> OLD.workflow_state THEN
+    IF NOT (
+      (OLD.workflow_state = 'lead' AND NEW.workflow_state IN ('lead', 'prescreening', 'prescreened', 'showing', 'follow_up_1', 'outcome'))
+      OR (OLD.workflow_state = 'prescreening' AND NEW.workflow_state IN ('prescreening', 'prescreened', 'showing', 'follow_up_1', 'outcome'))
+      OR (OLD.workflow_state = 'prescreened' AND NEW.workflow_state IN ('prescreened', 'showing', 'follow_up_1', 'outcome'))
+      OR (OLD.workflow_state = 'showing' AND NEW.workflow_state IN ('showing', 'follow_up_1', 'outcome'))
+      OR (OLD.workflow_state = 'follow_up_1' AND NEW.workflow_state IN ('follow_up_1', 'follow_up_2', 'showing', 'outcome'))
+      OR (OLD.workflow_state = 'follow_up_2' AND NEW.workflow_state IN ('follow_up_2', 'showing', 'outcome'))
+      OR (OLD.workflow_state = 'outcome' AND NEW.workflow_state IN ('outcome', 'lead'))
+    ) THEN
+      RAISE EXCEPTION 'Invalid workflow_state transition from % to %', OLD.workflow_state, NEW.workflow_state
+        USING ERRCODE = '22023';
+    END IF;
+  END IF;
+
+  IF NEW.showing_state IS DISTINCT FROM OLD.showing_state THEN
+    IF NOT (
+      OLD.showing_state IS NULL
+      OR (OLD.showing_state = 'pending' AND NEW.showing_state IN ('pending', 'confirmed', 'reschedule_requested', 'cancelled', 'no_show'))
+      OR (OLD.showing_state = 'confirmed' AND NEW.showing_state IN ('confirmed', 'reschedule_requested', 'cancelled', 'completed', 'no_show'))
+      OR (OLD.showing_state = 'reschedule_requested' AND NEW.showing_state IN ('reschedule_requested', 'pending', 'confirmed', 'cancelled', 'no_show'))
+      OR (OLD.showing_state = 'cancelled' AND NEW.showing_state = 'cancelled')
+      OR (OLD.showing_state = 'completed' AND NEW.showing_state = 'completed')
+      OR (OLD.showing_state = 'no_show' AND NEW.showing_state = 'no_show')
+    ) THEN
+      RAISE EXCEPTION 'Invalid showing_state transition from % to %', OLD.showing_state, NEW.showing_state
+        USING ERRCODE = '22023';
+    END IF;
+  END IF;
+
+  IF NEW.follow_up_stage IS DISTINCT FROM OLD.follow_up_stage THEN
+    IF NOT (
+      (OLD.follow_up_stage IS NULL AND NEW.follow_up_stage IN (NULL, 'follow_up_1'))
+      OR (OLD.follow_up_stage = 'follow_up_1' AND NEW.follow_up_stage IN ('follow_up_1', 'follow_up_2'))
+      OR (OLD.follow_up_stage = 'follow_up_2' AND NEW.follow_up_stage = 'follow_up_2')
+      OR (NEW.workflow_state = 'outcome' AND NEW.follow_up_stage IS NULL)
+    ) THEN
+      RAISE EXCEPTION 'Invalid follow_up_stage transition from % to %', OLD.follow_up_stage, NEW.follow_up_stage
+        USING ERRCODE = '22023';
+    END IF;
+  END IF;
+
+  IF NEW.workflow_state IS DISTINCT FROM OLD.workflow_state
+     OR NEW.workflow_outcome IS DISTINCT FROM OLD.workflow_outcome
+     OR NEW.showing_state IS DISTINCT FROM OLD.showing_state
+     OR NEW.follow_up_stage IS DISTINCT FROM OLD.follow_up_stage
+     OR NEW.follow_up_due_at IS DISTINCT FROM OLD.follow_up_due_at
+     OR NEW.follow_up_owner_agent_id IS DISTINCT FROM OLD.follow_up_owner_agent_id
+     OR NEW.follow_up_status IS DISTINCT FROM OLD.follow_up_status THEN
+    NEW.workflow_updated_at = NOW();
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+COMMIT;
@@ -0,0 +1,18 @@
+BEGIN;
+
+-- Business-hours window for auto-sent messages: { timezone, start, end, days }. '{}' sends at any time.
+ALTER TABLE "PlatformAccounts"
+  ADD COLUMN IF NOT EXISTS send_window JSONB NOT NULL DEFAULT '{}'::jsonb
+  CHECK (jsonb_typeof(send_window) = 'object');
+
+-- Per-agent override of the account window; NULL inherits the account window.
+ALTER TABLE "Agents"
+  ADD COLUMN IF NOT EXISTS send_window JSONB
+  CHECK (send_window IS NULL OR jsonb_typeof(send_window) = 'object');
+
+-- Outbound messages waiting for their window carry reviewStatus 'deferred' and metadata.deferredUntil.
+CREATE INDEX IF NOT EXISTS idx_messages_deferred_outbound
+  ON "Messages" (sent_at)
+  WHERE direction = 'outbound' AND metadata->>'reviewStatus' = 'deferred';
+
+COMMIT;
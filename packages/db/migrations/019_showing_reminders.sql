@@ -0,0 +1,29 @@
+BEGIN;
+
+-- Per-account showing reminders: { enabled, offsetsHours, notifyAgent, template }.
+ALTER TABLE "PlatformAccounts"
+  ADD COLUMN IF NOT EXISTS showing_reminders JSONB NOT NULL DEFAULT '{}'::jsonb
+  CHECK (jsonb_typeof(showing_reminders) = 'object');
+
+-- One row per appointment, offset, and recipient. The start time is part of the key so a
+-- moved appointment gets a fresh set of reminders.
+CREATE TABLE IF NOT EXISTS "ShowingReminders" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  appointment_id UUID NOT NULL REFERENCES "ShowingAppointments"(id) ON DELETE CASCADE,
+  offset_hours INTEGER NOT NULL CHECK (offset_hours > 0),
+  recipient TEXT NOT NULL CHECK (recipient IN ('lead', 'agent')),
+  appointment_starts_at TIMESTAMPTZ NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'sent', 'draft', 'hold', 'deferred', 'notified', 'skipped', 'failed')),
+  message_id UUID REFERENCES "Messages"(id) ON DELETE SET NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (appointment_id, offset_hours, recipient, appointment_starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_showing_appointments_confirmed_upcoming
+  ON "ShowingAppointments" (starts_at ASC)
+  WHERE status = 'confirmed';
+
+COMMIT;
@@ -0,0 +1,130 @@
+BEGIN;
+
+-- Live inbox events go out on the lease_bot_inbox_events channel as small JSON payloads.
+-- They carry ids only; listeners re-read whatever they need, scoped to the user.
+CREATE OR REPLACE FUNCTION inbox_event_notify(event_type TEXT, target_conversation_id UUID, extra JSONB)
+RETURNS VOID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  conversation_row RECORD;
+BEGIN
+  SELECT assigned_agent_id, follow_up_owner_agent_id
+    INTO conversation_row
+    FROM "Conversations"
+   WHERE id = target_conversation_id;
+
+  PERFORM pg_notify(
+    'lease_bot_inbox_events',
+    (
+      jsonb_build_object(
+        'type', event_type,
+        'conversationId', target_conversation_id,
+        'assignedAgentId', conversation_row.assigned_agent_id,
+        'followUpOwnerAgentId', conversation_row.follow_up_owner_agent_id,
+        'at', NOW()
+      ) || COALESCE(extra, '{}'::jsonb)
+    )::text
+  );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION inbox_events_on_message()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    PERFORM inbox_event_notify(
+      CASE
+        WHEN NEW.direction = 'inbound' THEN 'inbound_message'
+        WHEN NEW.metadata->>'reviewStatus' IN ('draft', 'hold') THEN 'draft_created'
+        ELSE 'outbound_message'
+      END,
+      NEW.conversation_id,
+      jsonb_build_object('messageId', NEW.id, 'direction', NEW.direction, 'reviewStatus', NEW.metadata->>'reviewStatus')
+    );
+  ELSIF NEW.metadata->>'reviewStatus' IS DISTINCT FROM OLD.metadata->>'reviewStatus' THEN
+    PERFORM inbox_event_notify(
+      'message_status_changed',
+      NEW.conversation_id,
+      jsonb_build_object(
+        'messageId', NEW.id,
+        'direction', NEW.direction,
+        'reviewStatus', NEW.metadata->>'reviewStatus',
+        'previousReviewStatus', OLD.metadata->>'reviewStatus'
+      )
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS messages_inbox_events_notify ON "Messages";
+CREATE TRIGGER messages_inbox_events_notify
+AFTER INSERT OR UPDATE OF metadata ON "Messages"
+FOR EACH ROW
+EXECUTE FUNCTION inbox_events_on_message();
+
+CREATE OR REPLACE FUNCTION inbox_events_on_conversation()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.workflow_state IS DISTINCT FROM OLD.workflow_state
+     OR NEW.workflow_outcome IS DISTINCT FROM OLD.workflow_outcome
+     OR NEW.showing_state IS DISTINCT FROM OLD.showing_state
+     OR NEW.follow_up_stage IS DISTINCT FROM OLD.follow_up_stage
+     OR NEW.assigned_agent_id IS DISTINCT FROM OLD.assigned_agent_id
+     OR NEW.status IS DISTINCT FROM OLD.status THEN
+    PERFORM inbox_event_notify(
+      'workflow_transition',
+      NEW.id,
+      jsonb_build_object(
+        'workflowState', NEW.workflow_state,
+        'previousWorkflowState', OLD.workflow_state,
+        'workflowOutcome', NEW.workflow_outcome,
+        'showingState', NEW.showing_state
+      )
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS conversations_inbox_events_notify ON "Conversations";
+CREATE TRIGGER conversations_inbox_events_notify
+AFTER UPDATE ON "Conversations"
+FOR EACH ROW
+EXECUTE FUNCTION inbox_events_on_conversation();
+
+CREATE OR REPLACE FUNCTION inbox_events_on_showing()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT'
+     OR NEW.status IS DISTINCT FROM OLD.status
+     OR NEW.starts_at IS DISTINCT FROM OLD.starts_at THEN
+    PERFORM inbox_event_notify(
+      CASE WHEN TG_OP = 'INSERT' THEN 'showing_booked' ELSE 'showing_updated' END,
+      NEW.conversation_id,
+      jsonb_build_object(
+        'appointmentId', NEW.id,
+        'agentId', NEW.agent_id,
+        'status', NEW.status,
+        'startsAt', NEW.starts_at
+      )
+    );
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS showing_appointments_inbox_events_notify ON "ShowingAppointments";
+CREATE TRIGGER showing_appointments_inbox_events_notify
+AFTER INSERT OR UPDATE ON "ShowingAppointments"
+FOR EACH ROW
+EXECUTE FUNCTION inbox_events_on_showing();
+
+COMMIT;
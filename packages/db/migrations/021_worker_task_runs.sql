@@ -0,0 +1,30 @@
+BEGIN;
+
+-- Last-run bookkeeping for the worker's scheduled tasks, one row per task name
+-- (e.g. "ingest:spareroom", "reply-triage"). Shared by every worker instance.
+CREATE TABLE IF NOT EXISTS "WorkerTaskRuns" (
+  task_name TEXT PRIMARY KEY,
+  worker_instance_id TEXT,
+  last_status TEXT NOT NULL DEFAULT 'running'
+    CHECK (last_status IN ('running', 'succeeded', 'failed')),
+  last_started_at TIMESTAMPTZ,
+  last_finished_at TIMESTAMPTZ,
+  last_duration_ms INTEGER,
+  last_error TEXT,
+  last_result JSONB NOT NULL DEFAULT '{}'::jsonb,
+  run_count BIGINT NOT NULL DEFAULT 0,
+  failure_count BIGINT NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Ingest no longer fetches full threads inline; it flags the conversation and the
+-- thread-sync task picks it up on its own schedule.
+ALTER TABLE "Conversations"
+  ADD COLUMN IF NOT EXISTS thread_sync_requested_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_thread_sync_requested
+  ON "Conversations" (thread_sync_requested_at ASC)
+  WHERE thread_sync_requested_at IS NOT NULL;
+
+COMMIT;
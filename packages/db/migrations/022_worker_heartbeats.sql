@@ -0,0 +1,24 @@
+BEGIN;
+
+-- One row per worker process, refreshed on every heartbeat. A worker is live while its
+-- heartbeat is recent and it has not reported itself stopped.
+CREATE TABLE IF NOT EXISTS "WorkerHeartbeats" (
+  worker_instance_id TEXT PRIMARY KEY,
+  hostname TEXT,
+  pid INTEGER,
+  tasks TEXT[] NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'running'
+    CHECK (status IN ('running', 'stopping', 'stopped')),
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_cycle_at TIMESTAMPTZ,
+  last_cycle_stats JSONB NOT NULL DEFAULT '{}'::jsonb,
+  stopped_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_worker_heartbeats_last_heartbeat
+  ON "WorkerHeartbeats" (last_heartbeat_at DESC);
+
+COMMIT;
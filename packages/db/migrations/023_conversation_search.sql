@@ -0,0 +1,22 @@
+BEGIN;
+
+-- Inbox full-text search (GET /api/inbox?q=). Message bodies are indexed on Messages; lead names
+-- and thread labels on Conversations. Unit and listing names are few enough to match at query time.
+-- Both columns use the english configuration so one websearch_to_tsquery matches either.
+ALTER TABLE "Messages"
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (to_tsvector('english', COALESCE(body, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_messages_search_vector
+  ON "Messages" USING GIN (search_vector);
+
+ALTER TABLE "Conversations"
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    to_tsvector('english', COALESCE(lead_name, '') || ' ' || COALESCE(external_thread_label, ''))
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_search_vector
+  ON "Conversations" USING GIN (search_vector);
+
+COMMIT;
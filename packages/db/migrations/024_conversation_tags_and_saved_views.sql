@@ -0,0 +1,40 @@
+BEGIN;
+
+-- Free-form labels admins attach to conversations; names are unique regardless of case.
+CREATE TABLE IF NOT EXISTS "ConversationTags" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 40),
+  color TEXT NOT NULL DEFAULT 'slate',
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_conversation_tags_name
+  ON "ConversationTags" (LOWER(name));
+
+CREATE TABLE IF NOT EXISTS "ConversationTagAssignments" (
+  conversation_id UUID NOT NULL REFERENCES "Conversations"(id) ON DELETE CASCADE,
+  tag_id UUID NOT NULL REFERENCES "ConversationTags"(id) ON DELETE CASCADE,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (conversation_id, tag_id)
+);
+
+-- The inbox tag filter looks conversations up by tag.
+CREATE INDEX IF NOT EXISTS idx_conversation_tag_assignments_tag_id
+  ON "ConversationTagAssignments" (tag_id, conversation_id);
+
+-- Named inbox filter sets, private to the user who saved them. filters holds the same keys as the
+-- GET /api/inbox query string.
+CREATE TABLE IF NOT EXISTS "InboxSavedViews" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 80),
+  filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, name)
+);
+
+COMMIT;
@@ -0,0 +1,77 @@
+BEGIN;
+
+-- Internal notes are team-only context on a thread. They live outside "Messages" so no dispatch,
+-- sync or AI path can ever pick one up and send it to a platform.
+CREATE TABLE IF NOT EXISTS "ConversationNotes" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  conversation_id UUID NOT NULL REFERENCES "Conversations"(id) ON DELETE CASCADE,
+  author_id TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 4000),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_notes_conversation
+  ON "ConversationNotes" (conversation_id, created_at);
+
+CREATE TABLE IF NOT EXISTS "ConversationNoteMentions" (
+  note_id UUID NOT NULL REFERENCES "ConversationNotes"(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (note_id, user_id)
+);
+
+-- GET /api/mentions lists a user's mentions, unread first.
+CREATE INDEX IF NOT EXISTS idx_conversation_note_mentions_user
+  ON "ConversationNoteMentions" (user_id, read_at, created_at DESC);
+
+CREATE OR REPLACE FUNCTION inbox_events_on_note()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM inbox_event_notify(
+    'note_created',
+    NEW.conversation_id,
+    jsonb_build_object('noteId', NEW.id, 'authorId', NEW.author_id)
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS conversation_notes_inbox_events_notify ON "ConversationNotes";
+CREATE TRIGGER conversation_notes_inbox_events_notify
+AFTER INSERT ON "ConversationNotes"
+FOR EACH ROW
+EXECUTE FUNCTION inbox_events_on_note();
+
+-- One event per mention so the stream can deliver it to the mentioned user whatever their role.
+CREATE OR REPLACE FUNCTION inbox_events_on_note_mention()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  note_conversation_id UUID;
+BEGIN
+  SELECT conversation_id
+    INTO note_conversation_id
+    FROM "ConversationNotes"
+   WHERE id = NEW.note_id;
+
+  PERFORM inbox_event_notify(
+    'note_mention',
+    note_conversation_id,
+    jsonb_build_object('noteId', NEW.note_id, 'mentionedUserId', NEW.user_id)
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS conversation_note_mentions_inbox_events_notify ON "ConversationNoteMentions";
+CREATE TRIGGER conversation_note_mentions_inbox_events_notify
+AFTER INSERT ON "ConversationNoteMentions"
+FOR EACH ROW
+EXECUTE FUNCTION inbox_events_on_note_mention();
+
+COMMIT;
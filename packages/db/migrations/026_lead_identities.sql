@@ -0,0 +1,210 @@
+BEGIN;
+
+-- One renter can write to us from several platforms, and each thread is its own "Conversations" row.
+-- "Leads" groups those rows so the inbox can show one timeline (and one set of showings) per person.
+CREATE TABLE IF NOT EXISTS "Leads" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  display_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- lead_link_source is 'auto' when the conversation was linked by matching and 'manual' after an admin
+-- merge or unmerge. Manual links are never changed by automatic matching.
+ALTER TABLE "Conversations"
+  ADD COLUMN IF NOT EXISTS lead_id UUID REFERENCES "Leads"(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS lead_link_source TEXT;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'conversations_lead_link_source_check'
+  ) THEN
+    ALTER TABLE "Conversations"
+      ADD CONSTRAINT conversations_lead_link_source_check
+      CHECK (lead_link_source IS NULL OR lead_link_source IN ('auto', 'manual'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_lead_id
+  ON "Conversations" (lead_id);
+
+CREATE OR REPLACE FUNCTION lead_normalize_email(value TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NULLIF(LOWER(BTRIM(value)), '');
+$$;
+
+-- Compares the last ten digits so the same number with and without a country code still matches.
+CREATE OR REPLACE FUNCTION lead_normalize_phone(value TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN char_length(regexp_replace(COALESCE(value, ''), '\D', '', 'g')) >= 7
+      THEN RIGHT(regexp_replace(value, '\D', '', 'g'), 10)
+    ELSE NULL
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION lead_normalize_name(value TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NULLIF(LOWER(regexp_replace(BTRIM(value), '\s+', ' ', 'g')), '');
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_lead_email
+  ON "Conversations" (lead_normalize_email(lead_contact->>'email'))
+  WHERE lead_normalize_email(lead_contact->>'email') IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_lead_phone
+  ON "Conversations" (lead_normalize_phone(lead_contact->>'phone'))
+  WHERE lead_normalize_phone(lead_contact->>'phone') IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_conversations_lead_name
+  ON "Conversations" (lead_normalize_name(lead_name))
+  WHERE lead_normalize_name(lead_name) IS NOT NULL;
+
+-- Links a conversation to the lead of another conversation with the same email or phone, or the same
+-- name about the same unit (names alone are too common to trust across units). A conversation that
+-- already shares its lead with other threads is left alone; admins merge those by hand. Without a
+-- match the conversation gets a lead of its own.
+CREATE OR REPLACE FUNCTION link_conversation_lead(target_conversation_id UUID)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  conversation_row RECORD;
+  matched_lead_id UUID;
+BEGIN
+  SELECT c.id,
+         c.lead_id,
+         c.lead_link_source,
+         c.lead_name,
+         lead_normalize_email(c.lead_contact->>'email') AS email,
+         lead_normalize_phone(c.lead_contact->>'phone') AS phone,
+         lead_normalize_name(c.lead_name) AS name,
+         l.unit_id
+    INTO conversation_row
+    FROM "Conversations" c
+    LEFT JOIN "Listings" l ON l.id = c.listing_id
+   WHERE c.id = target_conversation_id;
+
+  IF NOT FOUND OR conversation_row.lead_link_source = 'manual' THEN
+    RETURN conversation_row.lead_id;
+  END IF;
+
+  IF conversation_row.lead_id IS NOT NULL AND EXISTS (
+    SELECT 1
+      FROM "Conversations" sibling
+     WHERE sibling.lead_id = conversation_row.lead_id
+       AND sibling.id <> conversation_row.id
+  ) THEN
+    RETURN conversation_row.lead_id;
+  END IF;
+
+  SELECT other.lead_id
+    INTO matched_lead_id
+    FROM "Conversations" other
+    LEFT JOIN "Listings" other_listing ON other_listing.id = other.listing_id
+   WHERE other.id <> conversation_row.id
+     AND other.lead_id IS NOT NULL
+     AND other.lead_id IS DISTINCT FROM conversation_row.lead_id
+     AND (
+       (conversation_row.email IS NOT NULL AND lead_normalize_email(other.lead_contact->>'email') = conversation_row.email)
+       OR (conversation_row.phone IS NOT NULL AND lead_normalize_phone(other.lead_contact->>'phone') = conversation_row.phone)
+       OR (
+         conversation_row.name IS NOT NULL
+         AND conversation_row.unit_id IS NOT NULL
+         AND lead_normalize_name(other.lead_name) = conversation_row.name
+         AND other_listing.unit_id = conversation_row.unit_id
+       )
+     )
+   ORDER BY other.created_at ASC, other.id ASC
+   LIMIT 1;
+
+  IF matched_lead_id IS NULL THEN
+    IF conversation_row.lead_id IS NOT NULL THEN
+      RETURN conversation_row.lead_id;
+    END IF;
+    INSERT INTO "Leads" (display_name)
+    VALUES (conversation_row.lead_name)
+    RETURNING id INTO matched_lead_id;
+  END IF;
+
+  UPDATE "Conversations"
+     SET lead_id = matched_lead_id,
+         lead_link_source = 'auto'
+   WHERE id = conversation_row.id;
+
+  RETURN matched_lead_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION leads_on_conversation_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  PERFORM link_conversation_lead(NEW.id);
+  RETURN NULL;
+END;
+$$;
+
+-- Ingest upserts rewrite lead_name and lead_contact on every sync, so only real changes relink.
+DROP TRIGGER IF EXISTS conversations_link_lead_on_insert ON "Conversations";
+CREATE TRIGGER conversations_link_lead_on_insert
+AFTER INSERT ON "Conversations"
+FOR EACH ROW
+EXECUTE FUNCTION leads_on_conversation_change();
+
+DROP TRIGGER IF EXISTS conversations_link_lead_on_update ON "Conversations";
+CREATE TRIGGER conversations_link_lead_on_update
+AFTER UPDATE OF lead_name, lead_contact, listing_id ON "Conversations"
+FOR EACH ROW
+WHEN (
+  OLD.lead_name IS DISTINCT FROM NEW.lead_name
+  OR OLD.lead_contact IS DISTINCT FROM NEW.lead_contact
+  OR OLD.listing_id IS DISTINCT FROM NEW.listing_id
+)
+EXECUTE FUNCTION leads_on_conversation_change();
+
+-- A lead that loses its last conversation (relinked, merged away or deleted) is removed.
+CREATE OR REPLACE FUNCTION leads_prune_empty()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.lead_id IS NOT NULL AND (TG_OP = 'DELETE' OR OLD.lead_id IS DISTINCT FROM NEW.lead_id) THEN
+    DELETE FROM "Leads" lead
+     WHERE lead.id = OLD.lead_id
+       AND NOT EXISTS (SELECT 1 FROM "Conversations" c WHERE c.lead_id = lead.id);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS conversations_prune_leads ON "Conversations";
+CREATE TRIGGER conversations_prune_leads
+AFTER UPDATE OF lead_id OR DELETE ON "Conversations"
+FOR EACH ROW
+EXECUTE FUNCTION leads_prune_empty();
+
+-- Link existing conversations oldest first so each lead keeps its earliest thread's name.
+DO $$
+DECLARE
+  conversation_id UUID;
+BEGIN
+  FOR conversation_id IN
+    SELECT id FROM "Conversations" WHERE lead_id IS NULL ORDER BY created_at ASC, id ASC
+  LOOP
+    PERFORM link_conversation_lead(conversation_id);
+  END LOOP;
+END $$;
+
+COMMIT;
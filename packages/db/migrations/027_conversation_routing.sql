@@ -0,0 +1,25 @@
+BEGIN;
+
+-- How ingest picks the agent for a new conversation among its unit's active assignments:
+-- priority (lowest priority number), round_robin, least_open_conversations or least_upcoming_showings.
+ALTER TABLE "PlatformAccounts"
+  ADD COLUMN IF NOT EXISTS routing_strategy TEXT NOT NULL DEFAULT 'priority';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint
+     WHERE conname = 'platform_accounts_routing_strategy_chk'
+  ) THEN
+    ALTER TABLE "PlatformAccounts"
+      ADD CONSTRAINT platform_accounts_routing_strategy_chk
+      CHECK (routing_strategy IN ('priority', 'round_robin', 'least_open_conversations', 'least_upcoming_showings'));
+  END IF;
+END $$;
+
+-- Round-robin turn order within a unit: the agent routed to least recently goes next.
+ALTER TABLE "UnitAgentAssignments"
+  ADD COLUMN IF NOT EXISTS last_routed_at TIMESTAMPTZ;
+
+COMMIT;
@@ -0,0 +1,69 @@
+BEGIN;
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- An agent's absence with the colleague who covers for them. The worker activates a record when its
+-- range starts (scheduled -> active) and reverts it when the range ends (active -> ended).
+CREATE TABLE IF NOT EXISTS "AgentOutOfOffice" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES "Agents"(id) ON DELETE CASCADE,
+  delegate_agent_id UUID NOT NULL REFERENCES "Agents"(id) ON DELETE CASCADE,
+  starts_at TIMESTAMPTZ NOT NULL,
+  ends_at TIMESTAMPTZ NOT NULL,
+  notes TEXT,
+  status TEXT NOT NULL DEFAULT 'scheduled',
+  activated_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (ends_at > starts_at),
+  CHECK (delegate_agent_id <> agent_id),
+  CHECK (status IN ('scheduled', 'active', 'ended', 'cancelled'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_out_of_office_status_time
+  ON "AgentOutOfOffice" (status, starts_at ASC, ends_at ASC);
+
+CREATE INDEX IF NOT EXISTS idx_agent_out_of_office_delegate
+  ON "AgentOutOfOffice" (delegate_agent_id, status);
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint
+     WHERE conname = 'agent_out_of_office_no_overlap'
+  ) THEN
+    ALTER TABLE "AgentOutOfOffice"
+      ADD CONSTRAINT agent_out_of_office_no_overlap
+      EXCLUDE USING GIST (
+        agent_id WITH =,
+        tstzrange(starts_at, ends_at, '[)') WITH &&
+      )
+      WHERE (status IN ('scheduled', 'active'));
+  END IF;
+END
+$$;
+
+-- What an active record changed, so the end of the range can put it back. entity_id is the unit for
+-- unit_assignment rows, otherwise the conversation or showing. previous_state keeps the assignment
+-- modes and priorities a unit had before the delegate was promoted.
+CREATE TABLE IF NOT EXISTS "AgentOutOfOfficeReassignments" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  out_of_office_id UUID NOT NULL REFERENCES "AgentOutOfOffice"(id) ON DELETE CASCADE,
+  entity_type TEXT NOT NULL,
+  entity_id UUID NOT NULL,
+  previous_agent_id UUID REFERENCES "Agents"(id) ON DELETE SET NULL,
+  previous_state JSONB NOT NULL DEFAULT '{}'::jsonb,
+  reverted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (out_of_office_id, entity_type, entity_id),
+  CHECK (entity_type IN ('unit_assignment', 'conversation', 'showing_appointment'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_agent_out_of_office_reassignments_entity
+  ON "AgentOutOfOfficeReassignments" (entity_type, entity_id)
+  WHERE reverted_at IS NULL;
+
+COMMIT;
@@ -0,0 +1,30 @@
+BEGIN;
+
+-- Post-showing capture. The worker stamps outcome_requested_at once a pending or confirmed showing has
+-- ended; the agent then records attended (completed) or no_show together with the lead's interest.
+ALTER TABLE "ShowingAppointments"
+  ADD COLUMN IF NOT EXISTS outcome_requested_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS outcome_interest TEXT,
+  ADD COLUMN IF NOT EXISTS outcome_notes TEXT,
+  ADD COLUMN IF NOT EXISTS outcome_recorded_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS outcome_recorded_by TEXT REFERENCES "user"(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1
+      FROM pg_constraint
+     WHERE conname = 'showing_appointments_outcome_interest_chk'
+       AND conrelid = '"ShowingAppointments"'::regclass
+  ) THEN
+    ALTER TABLE "ShowingAppointments"
+      ADD CONSTRAINT showing_appointments_outcome_interest_chk
+      CHECK (outcome_interest IS NULL OR outcome_interest IN ('high', 'medium', 'low', 'none'));
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_showing_appointments_awaiting_outcome
+  ON "ShowingAppointments" (agent_id, ends_at ASC)
+  WHERE outcome_requested_at IS NOT NULL AND outcome_recorded_at IS NULL;
+
+COMMIT;
@@ -0,0 +1,46 @@
+BEGIN;
+
+-- Subscription URLs for an agent's showings as an iCalendar feed. Only the token hash is kept; rotating
+-- or revoking a feed stamps revoked_at, so an agent has at most one live feed at a time.
+CREATE TABLE IF NOT EXISTS "AgentCalendarFeeds" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES "Agents"(id) ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_by TEXT REFERENCES "user"(id) ON DELETE SET NULL,
+  last_accessed_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_calendar_feeds_active_agent
+  ON "AgentCalendarFeeds" (agent_id)
+  WHERE revoked_at IS NULL;
+
+-- Calendar clients only replace an event they already have when its SEQUENCE goes up, so every change
+-- to the time, status or agent of a showing bumps it.
+ALTER TABLE "ShowingAppointments"
+  ADD COLUMN IF NOT EXISTS calendar_sequence INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION showing_appointments_bump_calendar_sequence()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status
+     OR NEW.starts_at IS DISTINCT FROM OLD.starts_at
+     OR NEW.ends_at IS DISTINCT FROM OLD.ends_at
+     OR NEW.agent_id IS DISTINCT FROM OLD.agent_id THEN
+    NEW.calendar_sequence := OLD.calendar_sequence + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS showing_appointments_calendar_sequence ON "ShowingAppointments";
+CREATE TRIGGER showing_appointments_calendar_sequence
+BEFORE UPDATE ON "ShowingAppointments"
+FOR EACH ROW
+EXECUTE FUNCTION showing_appointments_bump_calendar_sequence();
+
+COMMIT;
@@ -0,0 +1,8 @@
+BEGIN;
+
+-- Per-account timeout for each AI decision provider call; NULL keeps the provider's AI_*_TIMEOUT_MS default.
+ALTER TABLE "PlatformAccounts"
+  ADD COLUMN IF NOT EXISTS ai_provider_timeout_ms INTEGER
+  CHECK (ai_provider_timeout_ms IS NULL OR ai_provider_timeout_ms BETWEEN 1000 AND 120000);
+
+COMMIT;
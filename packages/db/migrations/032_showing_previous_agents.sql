@@ -0,0 +1,32 @@
+BEGIN;
+
+-- Agents a showing was reassigned away from, so their calendar feeds can keep the event as cancelled
+-- instead of dropping it. An agent who gets the showing back is taken off the list.
+ALTER TABLE "ShowingAppointments"
+  ADD COLUMN IF NOT EXISTS previous_agent_ids UUID[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_showing_appointments_previous_agent_ids
+  ON "ShowingAppointments" USING GIN (previous_agent_ids);
+
+CREATE OR REPLACE FUNCTION showing_appointments_bump_calendar_sequence()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.status IS DISTINCT FROM OLD.status
+     OR NEW.starts_at IS DISTINCT FROM OLD.starts_at
+     OR NEW.ends_at IS DISTINCT FROM OLD.ends_at
+     OR NEW.agent_id IS DISTINCT FROM OLD.agent_id THEN
+    NEW.calendar_sequence := OLD.calendar_sequence + 1;
+  END IF;
+  IF NEW.agent_id IS DISTINCT FROM OLD.agent_id THEN
+    NEW.previous_agent_ids := array_remove(
+      array_append(array_remove(OLD.previous_agent_ids, OLD.agent_id), OLD.agent_id),
+      NEW.agent_id
+    );
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+COMMIT;
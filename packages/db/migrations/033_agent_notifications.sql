@@ -0,0 +1,22 @@
+BEGIN;
+
+-- In-app notifications for agents, shown on their appointments page. Showing reminders land here
+-- whether or not an external webhook is configured; dedupe_key keeps a retried reminder to one row.
+CREATE TABLE IF NOT EXISTS "AgentNotifications" (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  agent_id UUID NOT NULL REFERENCES "Agents"(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (type IN ('showing_reminder')),
+  appointment_id UUID REFERENCES "ShowingAppointments"(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES "Conversations"(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}'::jsonb,
+  dedupe_key TEXT NOT NULL UNIQUE,
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- GET /api/agent-notifications lists an agent's notifications, unread first.
+CREATE INDEX IF NOT EXISTS idx_agent_notifications_agent
+  ON "AgentNotifications" (agent_id, read_at, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,13 @@
+BEGIN;
+
+-- Reminders that failed or had nowhere to go are not final: next_attempt_at schedules the retry and
+-- attempts drives the backoff. Completed reminders keep next_attempt_at NULL.
+ALTER TABLE "ShowingReminders"
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 1 CHECK (attempts > 0),
+  ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_showing_reminders_retry_due
+  ON "ShowingReminders" (next_attempt_at ASC)
+  WHERE next_attempt_at IS NOT NULL;
+
+COMMIT;
@@ -1,4 +1,4 @@
-import { Client } from "pg";
+import { Client, Pool } from "pg";
 
 export function getDatabaseUrl() {
   const databaseUrl = process.env.DATABASE_URL;
@@ -13,3 +13,10 @@ export function createClient() {
     connectionString: getDatabaseUrl()
   });
 }
+
+export function createPool(options = {}) {
+  return new Pool({
+    connectionString: getDatabaseUrl(),
+    ...options
+  });
+}
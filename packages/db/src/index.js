@@ -1,4 +1,4 @@
-import { createClient, getDatabaseUrl } from "./client.js";
+import { createClient, createPool, getDatabaseUrl } from "./client.js";
 
 export function getDbConfig() {
   return {
@@ -6,4 +6,4 @@ export function getDbConfig() {
   };
 }
 
-export { createClient, getDatabaseUrl };
+export { createClient, createPool, getDatabaseUrl };
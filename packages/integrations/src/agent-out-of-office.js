@@ -0,0 +1,352 @@
+import { inTransaction } from "./transactions.js";
+
+// Showings in these states still need an agent to attend, so they follow the delegation.
+const activeShowingStatuses = ["pending", "confirmed", "reschedule_requested"];
+
+const defaultActor = { actorType: "worker", actorId: null };
+
+async function recordOutOfOfficeAudit(client, actor, outOfOfficeId, action, details) {
+  await client.query(
+    `INSERT INTO "AuditLogs" (actor_type, actor_id, entity_type, entity_id, action, details)
+     VALUES ($1, $2, 'agent_out_of_office', $3, $4, $5::jsonb)`,
+    [actor.actorType, actor.actorId ? String(actor.actorId) : null, String(outOfOfficeId), action, JSON.stringify(details)]
+  );
+}
+
+async function lockOutOfOffice(client, outOfOfficeId) {
+  const result = await client.query(
+    `SELECT id, agent_id, delegate_agent_id, starts_at, ends_at, status
+       FROM "AgentOutOfOffice"
+      WHERE id = $1::uuid
+      FOR UPDATE`,
+    [outOfOfficeId]
+  );
+  return result.rows[0] || null;
+}
+
+// Hands the absent agent's work to the delegate: the delegate replaces them as an active assignee on
+// every unit they actively cover, and takes their open conversations and the showings booked before
+// the range ends. Every change is recorded so endAgentOutOfOffice can undo it. Returns null when the
+// record is not a scheduled one whose range covers `now`.
+export async function activateAgentOutOfOffice(client, outOfOfficeId, { now = new Date(), actor = defaultActor } = {}) {
+  return inTransaction(client, async () => {
+    const record = await lockOutOfOffice(client, outOfOfficeId);
+    if (
+      !record
+      || record.status !== "scheduled"
+      || new Date(record.starts_at) > now
+      || new Date(record.ends_at) <= now
+    ) {
+      return null;
+    }
+
+    const agentId = record.agent_id;
+    const delegateAgentId = record.delegate_agent_id;
+    const units = await client.query(
+      `SELECT absent.unit_id,
+              absent.priority AS agent_priority,
+              delegate.assignment_mode AS delegate_mode,
+              delegate.priority AS delegate_priority
+         FROM "UnitAgentAssignments" absent
+         LEFT JOIN "UnitAgentAssignments" delegate
+           ON delegate.unit_id = absent.unit_id
+          AND delegate.agent_id = $2::uuid
+        WHERE absent.agent_id = $1::uuid
+          AND absent.assignment_mode = 'active'
+        ORDER BY absent.unit_id`,
+      [agentId, delegateAgentId]
+    );
+
+    for (const unit of units.rows) {
+      // Demote first so the delegate can take over the same priority slot.
+      await client.query(
+        `UPDATE "UnitAgentAssignments"
+            SET assignment_mode = 'passive',
+                updated_at = NOW()
+          WHERE unit_id = $1::uuid
+            AND agent_id = $2::uuid`,
+        [unit.unit_id, agentId]
+      );
+      if (unit.delegate_mode !== "active") {
+        await client.query(
+          `INSERT INTO "UnitAgentAssignments" (unit_id, agent_id, assignment_mode, priority)
+           VALUES ($1::uuid, $2::uuid, 'active', $3)
+           ON CONFLICT (unit_id, agent_id)
+           DO UPDATE SET assignment_mode = 'active', priority = EXCLUDED.priority, updated_at = NOW()`,
+          [unit.unit_id, delegateAgentId, unit.agent_priority]
+        );
+      }
+      await client.query(
+        `INSERT INTO "AgentOutOfOfficeReassignments" (out_of_office_id, entity_type, entity_id, previous_agent_id, previous_state)
+         VALUES ($1::uuid, 'unit_assignment', $2::uuid, $3::uuid, $4::jsonb)
+         ON CONFLICT (out_of_office_id, entity_type, entity_id) DO NOTHING`,
+        [
+          record.id,
+          unit.unit_id,
+          agentId,
+          JSON.stringify({
+            agentPriority: unit.agent_priority,
+            delegateMode: unit.delegate_mode || null,
+            delegatePriority: unit.delegate_priority ?? null
+          })
+        ]
+      );
+    }
+
+    const conversations = await client.query(
+      `WITH moved AS (
+         UPDATE "Conversations"
+            SET assigned_agent_id = $2::uuid,
+                updated_at = NOW()
+          WHERE assigned_agent_id = $1::uuid
+            AND status = 'open'
+          RETURNING id
+       )
+       INSERT INTO "AgentOutOfOfficeReassignments" (out_of_office_id, entity_type, entity_id, previous_agent_id)
+       SELECT $3::uuid, 'conversation', moved.id, $1::uuid
+         FROM moved
+       ON CONFLICT (out_of_office_id, entity_type, entity_id) DO NOTHING
+       RETURNING entity_id`,
+      [agentId, delegateAgentId, record.id]
+    );
+
+    // A showing that would double-book the delegate stays with the absent agent and is reported instead.
+    const showings = await client.query(
+      `WITH moved AS (
+         UPDATE "ShowingAppointments" appt
+            SET agent_id = $2::uuid,
+                updated_at = NOW()
+          WHERE appt.agent_id = $1::uuid
+            AND appt.status = ANY($4::text[])
+            AND appt.starts_at >= $5::timestamptz
+            AND appt.starts_at < $6::timestamptz
+            AND NOT EXISTS (
+              SELECT 1
+                FROM "ShowingAppointments" other
+               WHERE other.agent_id = $2::uuid
+                 AND other.status = ANY($4::text[])
+                 AND other.unit_id <> appt.unit_id
+                 AND tstzrange(other.starts_at, other.ends_at, '[)') && tstzrange(appt.starts_at, appt.ends_at, '[)')
+            )
+          RETURNING appt.id
+       )
+       INSERT INTO "AgentOutOfOfficeReassignments" (out_of_office_id, entity_type, entity_id, previous_agent_id)
+       SELECT $3::uuid, 'showing_appointment', moved.id, $1::uuid
+         FROM moved
+       ON CONFLICT (out_of_office_id, entity_type, entity_id) DO NOTHING
+       RETURNING entity_id`,
+      [agentId, delegateAgentId, record.id, activeShowingStatuses, now.toISOString(), record.ends_at]
+    );
+    const conflicting = await client.query(
+      `SELECT id
+         FROM "ShowingAppointments"
+        WHERE agent_id = $1::uuid
+          AND status = ANY($2::text[])
+          AND starts_at >= $3::timestamptz
+          AND starts_at < $4::timestamptz
+        ORDER BY starts_at ASC`,
+      [agentId, activeShowingStatuses, now.toISOString(), record.ends_at]
+    );
+
+    await client.query(
+      `UPDATE "AgentOutOfOffice"
+          SET status = 'active',
+              activated_at = $2::timestamptz,
+              updated_at = NOW()
+        WHERE id = $1::uuid`,
+      [record.id, now.toISOString()]
+    );
+
+    const summary = {
+      id: record.id,
+      status: "active",
+      agentId,
+      delegateAgentId,
+      unitIds: units.rows.map((row) => row.unit_id),
+      conversationsReassigned: conversations.rowCount,
+      showingIds: showings.rows.map((row) => row.entity_id),
+      conflictingShowingIds: conflicting.rows.map((row) => row.id)
+    };
+    await recordOutOfOfficeAudit(client, actor, record.id, "agent_out_of_office_started", summary);
+    return summary;
+  });
+}
+
+// Puts back what activation changed, skipping anything that was reassigned by hand in the meantime:
+// units are restored only while the delegate still holds the promoted assignment, conversations and
+// showings only while the delegate still owns them. Showings that already started stay with the
+// delegate who covered them. `status` is "ended" when the range ran out and "cancelled" when an admin
+// stopped it early; a scheduled record is simply closed.
+export async function endAgentOutOfOffice(
+  client,
+  outOfOfficeId,
+  { now = new Date(), status = "ended", actor = defaultActor } = {}
+) {
+  return inTransaction(client, async () => {
+    const record = await lockOutOfOffice(client, outOfOfficeId);
+    if (!record || (record.status !== "scheduled" && record.status !== "active")) {
+      return null;
+    }
+
+    const agentId = record.agent_id;
+    const delegateAgentId = record.delegate_agent_id;
+    const unitRows = await client.query(
+      `SELECT entity_id, previous_state
+         FROM "AgentOutOfOfficeReassignments"
+        WHERE out_of_office_id = $1::uuid
+          AND entity_type = 'unit_assignment'
+          AND reverted_at IS NULL
+        ORDER BY entity_id`,
+      [record.id]
+    );
+
+    const restoredUnitIds = [];
+    const keptUnitIds = [];
+    for (const row of unitRows.rows) {
+      const state = row.previous_state || {};
+      if (state.delegateMode !== "active") {
+        const released = state.delegateMode
+          ? await client.query(
+            `UPDATE "UnitAgentAssignments"
+                SET assignment_mode = $3,
+                    priority = $4,
+                    updated_at = NOW()
+              WHERE unit_id = $1::uuid
+                AND agent_id = $2::uuid
+                AND assignment_mode = 'active'`,
+            [row.entity_id, delegateAgentId, state.delegateMode, state.delegatePriority]
+          )
+          : await client.query(
+            `DELETE FROM "UnitAgentAssignments"
+              WHERE unit_id = $1::uuid
+                AND agent_id = $2::uuid
+                AND assignment_mode = 'active'`,
+            [row.entity_id, delegateAgentId]
+          );
+        if (released.rowCount === 0) {
+          keptUnitIds.push(row.entity_id);
+          continue;
+        }
+      }
+
+      const restored = await client.query(
+        `UPDATE "UnitAgentAssignments" ua
+            SET assignment_mode = 'active',
+                priority = $3,
+                updated_at = NOW()
+          WHERE ua.unit_id = $1::uuid
+            AND ua.agent_id = $2::uuid
+            AND ua.assignment_mode = 'passive'
+            AND NOT EXISTS (
+              SELECT 1
+                FROM "UnitAgentAssignments" other
+               WHERE other.unit_id = ua.unit_id
+                 AND other.assignment_mode = 'active'
+                 AND other.priority = $3
+            )`,
+        [row.entity_id, agentId, state.agentPriority]
+      );
+      (restored.rowCount > 0 ? restoredUnitIds : keptUnitIds).push(row.entity_id);
+    }
+
+    const conversations = await client.query(
+      `UPDATE "Conversations" c
+          SET assigned_agent_id = r.previous_agent_id,
+              updated_at = NOW()
+         FROM "AgentOutOfOfficeReassignments" r
+        WHERE r.out_of_office_id = $1::uuid
+          AND r.entity_type = 'conversation'
+          AND r.reverted_at IS NULL
+          AND c.id = r.entity_id
+          AND c.assigned_agent_id = $2::uuid
+        RETURNING c.id`,
+      [record.id, delegateAgentId]
+    );
+
+    const showings = await client.query(
+      `UPDATE "ShowingAppointments" appt
+          SET agent_id = r.previous_agent_id,
+              updated_at = NOW()
+         FROM "AgentOutOfOfficeReassignments" r
+        WHERE r.out_of_office_id = $1::uuid
+          AND r.entity_type = 'showing_appointment'
+          AND r.reverted_at IS NULL
+          AND appt.id = r.entity_id
+          AND appt.agent_id = $2::uuid
+          AND appt.status = ANY($3::text[])
+          AND appt.starts_at >= $4::timestamptz
+          AND NOT EXISTS (
+            SELECT 1
+              FROM "ShowingAppointments" other
+             WHERE other.agent_id = r.previous_agent_id
+               AND other.status = ANY($3::text[])
+               AND other.unit_id <> appt.unit_id
+               AND tstzrange(other.starts_at, other.ends_at, '[)') && tstzrange(appt.starts_at, appt.ends_at, '[)')
+          )
+        RETURNING appt.id`,
+      [record.id, delegateAgentId, activeShowingStatuses, now.toISOString()]
+    );
+
+    await client.query(
+      `UPDATE "AgentOutOfOfficeReassignments"
+          SET reverted_at = $2::timestamptz
+        WHERE out_of_office_id = $1::uuid
+          AND reverted_at IS NULL`,
+      [record.id, now.toISOString()]
+    );
+    await client.query(
+      `UPDATE "AgentOutOfOffice"
+          SET status = $2,
+              ended_at = $3::timestamptz,
+              updated_at = NOW()
+        WHERE id = $1::uuid`,
+      [record.id, status, now.toISOString()]
+    );
+
+    const summary = {
+      id: record.id,
+      status,
+      previousStatus: record.status,
+      agentId,
+      delegateAgentId,
+      restoredUnitIds,
+      keptUnitIds,
+      conversationsRestored: conversations.rowCount,
+      showingIds: showings.rows.map((row) => row.id)
+    };
+    await recordOutOfOfficeAudit(
+      client,
+      actor,
+      record.id,
+      status === "cancelled" ? "agent_out_of_office_cancelled" : "agent_out_of_office_ended",
+      summary
+    );
+    return summary;
+  });
+}
+
+// Activates records whose range has started and ends records whose range is over. Run by the worker
+// every minute and by the API right after a record is created.
+export async function syncAgentOutOfOffice(client, { now = new Date(), actor = defaultActor } = {}) {
+  const due = await client.query(
+    `SELECT id, ends_at <= $1::timestamptz AS expired
+       FROM "AgentOutOfOffice"
+      WHERE (status = 'active' AND ends_at <= $1::timestamptz)
+         OR (status = 'scheduled' AND starts_at <= $1::timestamptz)
+      ORDER BY starts_at ASC`,
+    [now.toISOString()]
+  );
+
+  const summary = { activated: 0, ended: 0, items: [] };
+  for (const row of due.rows) {
+    const result = row.expired
+      ? await endAgentOutOfOffice(client, row.id, { now, actor })
+      : await activateAgentOutOfOffice(client, row.id, { now, actor });
+    if (!result) {
+      continue;
+    }
+    summary[result.status === "active" ? "activated" : "ended"] += 1;
+    summary.items.push(result);
+  }
+  return summary;
+}
@@ -0,0 +1,141 @@
+// "priority" is the original behavior: the active unit assignment with the lowest priority number wins.
+export const ROUTING_STRATEGIES = ["priority", "round_robin", "least_open_conversations", "least_upcoming_showings"];
+
+const activeShowingStatuses = ["pending", "confirmed", "reschedule_requested"];
+
+export function normalizeRoutingStrategy(strategy) {
+  return ROUTING_STRATEGIES.includes(strategy) ? strategy : "priority";
+}
+
+function compareByPriority(left, right) {
+  return left.priority - right.priority || new Date(left.createdAt) - new Date(right.createdAt);
+}
+
+// Agents that were never routed to sort first so a new assignment joins the rotation immediately.
+function routedAtMs(candidate) {
+  return candidate.lastRoutedAt ? new Date(candidate.lastRoutedAt).getTime() : Number.NEGATIVE_INFINITY;
+}
+
+const strategyComparators = {
+  priority: compareByPriority,
+  round_robin: (left, right) => routedAtMs(left) - routedAtMs(right) || compareByPriority(left, right),
+  least_open_conversations: (left, right) =>
+    left.openConversations - right.openConversations || compareByPriority(left, right),
+  least_upcoming_showings: (left, right) =>
+    left.upcomingShowings - right.upcomingShowings || compareByPriority(left, right)
+};
+
+// Unavailable agents are skipped; when every candidate is unavailable the strategy runs over all of
+// them so the conversation still gets an owner.
+export function selectRoutedAgent(candidates, strategy) {
+  if (!Array.isArray(candidates) || candidates.length === 0) {
+    return null;
+  }
+
+  const resolvedStrategy = normalizeRoutingStrategy(strategy);
+  const available = candidates.filter((candidate) => !candidate.unavailable);
+  const pool = available.length > 0 ? available : candidates;
+  const [selected] = [...pool].sort(strategyComparators[resolvedStrategy]);
+
+  return {
+    agentId: selected.agentId,
+    strategy: resolvedStrategy,
+    skippedUnavailableAgentIds: candidates.filter((candidate) => candidate.unavailable).map((candidate) => candidate.agentId),
+    allAgentsUnavailable: available.length === 0
+  };
+}
+
+// Assigns an unassigned conversation to one of its unit's active agents and records the decision in
+// the audit log. Returns null when the conversation is already assigned or its unit has no agents.
+export async function routeConversationAgent(client, { conversationId, strategy = "priority", now = new Date() }) {
+  const candidatesResult = await client.query(
+    `SELECT ua.agent_id,
+            ua.unit_id,
+            ua.priority,
+            ua.created_at,
+            ua.last_routed_at,
+            (SELECT COUNT(*)
+               FROM "Conversations" open_conversation
+              WHERE open_conversation.assigned_agent_id = ua.agent_id
+                AND open_conversation.status = 'open') AS open_conversations,
+            (SELECT COUNT(*)
+               FROM "ShowingAppointments" appt
+              WHERE appt.agent_id = ua.agent_id
+                AND appt.status = ANY($3::text[])
+                AND appt.starts_at >= $2::timestamptz) AS upcoming_showings,
+            EXISTS (
+              SELECT 1
+                FROM "AgentAvailabilitySlots" blocked_slot
+               WHERE blocked_slot.agent_id = ua.agent_id
+                 AND blocked_slot.status = 'unavailable'
+                 AND blocked_slot.starts_at <= $2::timestamptz
+                 AND blocked_slot.ends_at > $2::timestamptz
+            ) AS unavailable
+       FROM "Conversations" c
+       JOIN "Listings" l ON l.id = c.listing_id
+       JOIN "UnitAgentAssignments" ua ON ua.unit_id = l.unit_id AND ua.assignment_mode = 'active'
+      WHERE c.id = $1::uuid
+        AND c.assigned_agent_id IS NULL`,
+    [conversationId, now.toISOString(), activeShowingStatuses]
+  );
+
+  const candidates = candidatesResult.rows.map((row) => ({
+    agentId: row.agent_id,
+    unitId: row.unit_id,
+    priority: Number(row.priority),
+    createdAt: row.created_at,
+    lastRoutedAt: row.last_routed_at,
+    openConversations: Number(row.open_conversations || 0),
+    upcomingShowings: Number(row.upcoming_showings || 0),
+    unavailable: Boolean(row.unavailable)
+  }));
+  const decision = selectRoutedAgent(candidates, strategy);
+  if (!decision) {
+    return null;
+  }
+
+  const assigned = await client.query(
+    `UPDATE "Conversations"
+        SET assigned_agent_id = $2::uuid,
+            updated_at = NOW()
+      WHERE id = $1::uuid
+        AND assigned_agent_id IS NULL
+      RETURNING id`,
+    [conversationId, decision.agentId]
+  );
+  if (assigned.rowCount === 0) {
+    return null;
+  }
+
+  const unitId = candidates[0].unitId;
+  await client.query(
+    `UPDATE "UnitAgentAssignments"
+        SET last_routed_at = $3::timestamptz
+      WHERE unit_id = $1::uuid
+        AND agent_id = $2::uuid`,
+    [unitId, decision.agentId, now.toISOString()]
+  );
+  await client.query(
+    `INSERT INTO "AuditLogs" (actor_type, entity_type, entity_id, action, details)
+     VALUES ('system', 'conversation', $1, 'conversation_routed', $2::jsonb)`,
+    [
+      String(conversationId),
+      JSON.stringify({
+        strategy: decision.strategy,
+        agentId: decision.agentId,
+        unitId,
+        skippedUnavailableAgentIds: decision.skippedUnavailableAgentIds,
+        allAgentsUnavailable: decision.allAgentsUnavailable,
+        candidates: candidates.map(({ agentId, priority, openConversations, upcomingShowings, unavailable }) => ({
+          agentId,
+          priority,
+          openConversations,
+          upcomingShowings,
+          unavailable
+        }))
+      })
+    ]
+  );
+
+  return { ...decision, unitId };
+}
@@ -0,0 +1,241 @@
+import { buildLeadProfileTemplateVariables, renderTemplate } from "../../ai/src/index.js";
+import { deliverLeadMessage, resolveLeadDelivery } from "./send-windows.js";
+
+export const FOLLOW_UP_STAGES = ["follow_up_1", "follow_up_2"];
+
+const DEFAULT_FOLLOW_UP_DELAY_HOURS = [24, 72];
+const MAX_FOLLOW_UP_DELAY_HOURS = 24 * 30;
+
+export function validateFollowUpCadence(cadence) {
+  if (cadence === null || Array.isArray(cadence) || typeof cadence !== "object") {
+    return ["followUpCadence must be an object"];
+  }
+
+  const errors = [];
+  if (cadence.enabled !== undefined && typeof cadence.enabled !== "boolean") {
+    errors.push("followUpCadence.enabled must be a boolean");
+  }
+  if (
+    cadence.maxStages !== undefined
+    && !(Number.isInteger(cadence.maxStages) && cadence.maxStages >= 1 && cadence.maxStages <= FOLLOW_UP_STAGES.length)
+  ) {
+    errors.push(`followUpCadence.maxStages must be an integer between 1 and ${FOLLOW_UP_STAGES.length}`);
+  }
+  if (cadence.delayHours !== undefined) {
+    if (
+      !Array.isArray(cadence.delayHours)
+      || cadence.delayHours.length === 0
+      || cadence.delayHours.length > FOLLOW_UP_STAGES.length
+      || cadence.delayHours.some((hours) => !Number.isInteger(hours) || hours < 1 || hours > MAX_FOLLOW_UP_DELAY_HOURS)
+    ) {
+      errors.push(`followUpCadence.delayHours must list 1-${FOLLOW_UP_STAGES.length} whole hours between 1 and ${MAX_FOLLOW_UP_DELAY_HOURS}`);
+    }
+  }
+  if (cadence.templates !== undefined) {
+    if (cadence.templates === null || Array.isArray(cadence.templates) || typeof cadence.templates !== "object") {
+      errors.push("followUpCadence.templates must be an object");
+    } else {
+      for (const [stage, templateName] of Object.entries(cadence.templates)) {
+        if (!FOLLOW_UP_STAGES.includes(stage)) {
+          errors.push(`followUpCadence.templates.${stage} is not a follow-up stage (${FOLLOW_UP_STAGES.join(", ")})`);
+        } else if (templateName !== null && (typeof templateName !== "string" || templateName.trim().length === 0)) {
+          errors.push(`followUpCadence.templates.${stage} must be a template name or null`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+// Stored cadences may be partial; fill in the defaults so the scheduler and the SQL due check agree.
+export function normalizeFollowUpCadence(cadence) {
+  const source = cadence && typeof cadence === "object" && !Array.isArray(cadence) ? cadence : {};
+  const delayHours = FOLLOW_UP_STAGES.map((_, index) => {
+    const hours = Array.isArray(source.delayHours) ? source.delayHours[index] : undefined;
+    return Number.isInteger(hours) && hours > 0 ? hours : DEFAULT_FOLLOW_UP_DELAY_HOURS[index];
+  });
+  const templates = {};
+  for (const stage of FOLLOW_UP_STAGES) {
+    const templateName = source.templates?.[stage];
+    templates[stage] = typeof templateName === "string" && templateName.trim() ? templateName.trim() : stage;
+  }
+
+  return {
+    enabled: source.enabled === true,
+    delayHours,
+    maxStages: Number.isInteger(source.maxStages)
+      ? Math.min(Math.max(source.maxStages, 1), FOLLOW_UP_STAGES.length)
+      : FOLLOW_UP_STAGES.length,
+    templates
+  };
+}
+
+function buildDefaultFollowUpBody(stage, { leadName, unit }) {
+  const greeting = leadName ? `Hi ${leadName},` : "Hi,";
+  const listing = unit ? ` in ${unit}` : "";
+  if (stage === "follow_up_2") {
+    return `${greeting}\n\nI wanted to check in one last time about your interest${listing}. If it's still a fit, reply here and I can share viewing times.`;
+  }
+  return `${greeting}\n\nJust following up on your interest${listing}. Are you still looking? Happy to answer any questions or set up a viewing.`;
+}
+
+function buildFollowUpTemplateContext(candidate) {
+  const unit = candidate.propertyName && candidate.unitNumber ? `${candidate.propertyName} ${candidate.unitNumber}` : "";
+  return {
+    unit,
+    unit_number: candidate.unitNumber || "",
+    lead_name: candidate.leadName || "",
+    follow_up_stage: candidate.nextStage,
+    ...buildLeadProfileTemplateVariables(candidate.leadProfile)
+  };
+}
+
+async function planFollowUp({ adapter, candidate, cadence, now }) {
+  const templateName = cadence.templates[candidate.nextStage];
+  const template = typeof adapter.findTemplate === "function"
+    ? await adapter.findTemplate({ platformAccountId: candidate.platformAccountId, templateName })
+    : null;
+  const context = buildFollowUpTemplateContext(candidate);
+  const body = template?.body
+    ? renderTemplate(template.body, context)
+    : buildDefaultFollowUpBody(candidate.nextStage, { leadName: candidate.leadName, unit: context.unit });
+  const stageIndex = FOLLOW_UP_STAGES.indexOf(candidate.nextStage);
+  const finalStage = stageIndex + 1 >= cadence.maxStages;
+  const delivery = resolveLeadDelivery({ target: candidate, now });
+
+  return {
+    conversationId: candidate.conversationId,
+    platformAccountId: candidate.platformAccountId,
+    platform: candidate.platform,
+    leadName: candidate.leadName,
+    stage: candidate.nextStage,
+    previousStage: candidate.followUpStage,
+    dueAt: candidate.dueAt,
+    sendMode: candidate.sendMode,
+    action: delivery.action,
+    deferredUntil: delivery.deferredUntil,
+    templateId: template?.id || null,
+    templateName,
+    body,
+    finalStage,
+    nextDueAt: finalStage
+      ? candidate.dueAt
+      : new Date(now.getTime() + cadence.delayHours[stageIndex + 1] * 60 * 60 * 1000).toISOString()
+  };
+}
+
+// The stage is already claimed, so a failed send is kept as a draft an agent can send by hand.
+async function deliverFollowUp({ adapter, candidate, plan, now }) {
+  const result = await deliverLeadMessage({
+    adapter,
+    target: { ...candidate, agentId: candidate.ownerAgentId },
+    body: plan.body,
+    dispatchKey: `follow-up:${plan.conversationId}:${plan.stage}:${plan.dueAt}`,
+    metadata: {
+      templateId: plan.templateId,
+      followUpStage: plan.stage,
+      workerGeneratedAt: now.toISOString()
+    },
+    now
+  });
+  return result.status;
+}
+
+// Finds conversations whose lead went quiet after our last sent message and sends (or drafts) the next stage.
+// With dryRun the plan is returned without claiming stages or writing messages.
+export async function processDueFollowUps({
+  adapter,
+  logger = console,
+  now = new Date(),
+  limit = 20,
+  platformAccountId = null,
+  dryRun = false
+}) {
+  const summary = { scanned: 0, sent: 0, drafted: 0, held: 0, deferred: 0, skipped: 0, failed: 0, items: [] };
+  if (typeof adapter.fetchDueFollowUps !== "function") {
+    return summary;
+  }
+
+  const candidates = await adapter.fetchDueFollowUps({ now: now.toISOString(), limit, platformAccountId });
+  summary.scanned = candidates.length;
+
+  for (const candidate of candidates) {
+    const cadence = normalizeFollowUpCadence(candidate.followUpCadence);
+    let plan;
+    try {
+      plan = await planFollowUp({ adapter, candidate, cadence, now });
+    } catch (error) {
+      summary.failed += 1;
+      logger.warn("[follow-ups] failed planning follow-up", {
+        conversationId: candidate.conversationId,
+        error: error instanceof Error ? error.message : String(error)
+      });
+      continue;
+    }
+
+    const item = { ...plan };
+    summary.items.push(item);
+
+    if (dryRun) {
+      continue;
+    }
+
+    try {
+      const claim = await adapter.advanceFollowUpStage({
+        conversationId: plan.conversationId,
+        fromStage: plan.previousStage,
+        toStage: plan.stage,
+        nextDueAt: plan.nextDueAt,
+        completed: plan.finalStage
+      });
+      if (!claim?.applied) {
+        item.action = "skipped";
+        summary.skipped += 1;
+        continue;
+      }
+
+      const reviewStatus = await deliverFollowUp({ adapter, candidate, plan, now });
+      item.reviewStatus = reviewStatus;
+      if (reviewStatus === "sent") {
+        summary.sent += 1;
+      } else if (reviewStatus === "hold") {
+        summary.held += 1;
+      } else if (reviewStatus === "deferred") {
+        summary.deferred += 1;
+      } else {
+        summary.drafted += 1;
+      }
+
+      await adapter.recordLog({
+        actorType: "worker",
+        entityType: "conversation",
+        entityId: plan.conversationId,
+        action: reviewStatus === "sent"
+          ? "follow_up_sent"
+          : reviewStatus === "hold"
+            ? "follow_up_held_for_review"
+            : reviewStatus === "deferred"
+              ? "follow_up_deferred_to_send_window"
+              : "follow_up_draft_created",
+        details: {
+          platform: plan.platform,
+          stage: plan.stage,
+          dueAt: plan.dueAt,
+          templateId: plan.templateId,
+          sendMode: plan.sendMode,
+          completed: plan.finalStage
+        }
+      });
+    } catch (error) {
+      item.action = "failed";
+      summary.failed += 1;
+      logger.warn("[follow-ups] failed processing follow-up", {
+        conversationId: plan.conversationId,
+        stage: plan.stage,
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+
+  return summary;
+}
@@ -1,9 +1,51 @@
-import { runReplyPipeline } from "../../ai/src/index.js";
+import { checkFairHousingCompliance, runReplyPipeline } from "../../ai/src/index.js";
 import { createConnectorRegistry, listSupportedPlatforms, resolvePlatformCredentials } from "./connectors.js";
 import { createPlaywrightRpaRunner, createRpaRunner } from "./rpa-runner.js";
 import { createRpaAlertDispatcher } from "./rpa-alerts.js";
 import { createPlatformAdapterRegistry, REQUIRED_RPA_PLATFORMS } from "./platform-adapters.js";
 import { calculateBackoffDelay, isRetryableError, withRetry } from "./retry.js";
+import { inTransaction } from "./transactions.js";
+import { activateAgentOutOfOffice, endAgentOutOfOffice, syncAgentOutOfOffice } from "./agent-out-of-office.js";
+import {
+  FOLLOW_UP_STAGES,
+  normalizeFollowUpCadence,
+  processDueFollowUps,
+  validateFollowUpCadence
+} from "./follow-ups.js";
+import {
+  deferUntilSendWindow,
+  deliverLeadMessage,
+  resolveLeadDelivery,
+  dispatchDeferredMessages,
+  isWithinSendWindow,
+  normalizeSendWindow,
+  resolveSendWindow,
+  SEND_WINDOW_DAYS,
+  validateSendWindow
+} from "./send-windows.js";
+import {
+  normalizeRoutingStrategy,
+  routeConversationAgent,
+  ROUTING_STRATEGIES,
+  selectRoutedAgent
+} from "./conversation-routing.js";
+import {
+  createAgentNotifier,
+  normalizeShowingReminders,
+  processDueShowingReminders,
+  SHOWING_REMINDER_RECIPIENTS,
+  validateShowingReminders
+} from "./showing-reminders.js";
+import {
+  flagShowingsAwaitingOutcome,
+  recordShowingOutcome,
+  selectOutcomeFollowUp,
+  sendShowingOutcomeFollowUp,
+  SHOWING_INTEREST_LEVELS,
+  SHOWING_OUTCOME_TEMPLATES,
+  SHOWING_OUTCOMES,
+  validateShowingOutcome
+} from "./showing-outcomes.js";
 
 const allowedSendModes = new Set(["auto_send", "draft_only"]);
 const defaultPlatformSendMode = allowedSendModes.has(process.env.PLATFORM_DEFAULT_SEND_MODE)
@@ -11,10 +53,12 @@ const defaultPlatformSendMode = allowedSendModes.has(process.env.PLATFORM_DEFAUL
   : "draft_only";
 const defaultWorkerClaimTtlMs = Number(process.env.WORKER_CLAIM_TTL_MS || 60000);
 const workflowStateTransitionMap = {
-  lead: new Set(["lead", "showing", "follow_up_1", "outcome"]),
+  lead: new Set(["lead", "prescreening", "prescreened", "showing", "follow_up_1", "outcome"]),
+  prescreening: new Set(["prescreening", "prescreened", "showing", "follow_up_1", "outcome"]),
+  prescreened: new Set(["prescreened", "showing", "follow_up_1", "outcome"]),
   showing: new Set(["showing", "follow_up_1", "outcome"]),
-  follow_up_1: new Set(["follow_up_1", "follow_up_2", "outcome"]),
-  follow_up_2: new Set(["follow_up_2", "outcome"]),
+  follow_up_1: new Set(["follow_up_1", "follow_up_2", "showing", "outcome"]),
+  follow_up_2: new Set(["follow_up_2", "showing", "outcome"]),
   outcome: new Set(["outcome", "lead"])
 };
 const showingStateTransitionMap = {
@@ -764,6 +808,7 @@ export function createPostgresQueueAdapter(client, options = {}) {
                FROM "Messages" m
               WHERE m.direction = 'inbound'
                 AND NOT (COALESCE(m.metadata, '{}'::jsonb) ? 'aiProcessedAt')
+                AND COALESCE(m.metadata#>>'{dispatch,state}', '') NOT IN ('dlq', 'discarded')
                 AND (
                   COALESCE(NULLIF(COALESCE(m.metadata#>>'{workerClaim,claimExpiresAt}', ''), '')::timestamptz, to_timestamp(0)) <= $2::timestamptz
                 )
@@ -791,15 +836,27 @@ export function createPostgresQueueAdapter(client, options = {}) {
                   m.metadata,
                   m.sent_at,
                   c.showing_state,
+                  c.workflow_state,
+                  c.prescreen,
                   c.platform_account_id,
                   pa.platform,
                   pa.credentials AS platform_credentials,
                   pa.is_active AS platform_is_active,
                   pa.send_mode AS platform_send_mode_override,
                   COALESCE(pa.send_mode, $5) AS platform_effective_send_mode,
+                  pa.ai_provider_order AS platform_ai_provider_order,
+                  pa.ai_provider_timeout_ms AS platform_ai_provider_timeout_ms,
+                  pa.send_window AS platform_send_window,
+                  agent.send_window AS agent_send_window,
                   c.assigned_agent_id,
                   c.external_thread_id,
                   c.lead_name,
+                  c.lead_profile,
+                  c.qualification_status,
+                  c.qualification,
+                  l.rent_cents AS listing_rent_cents,
+                  l.qualification_criteria,
+                  l.prescreen_questions,
                   u.id AS unit_id,
                   u.property_name,
                   u.unit_number,
@@ -815,6 +872,7 @@ export function createPostgresQueueAdapter(client, options = {}) {
              JOIN "Messages" m ON m.id = cl.id
              JOIN "Conversations" c ON c.id = m.conversation_id
              JOIN "PlatformAccounts" pa ON pa.id = c.platform_account_id
+        LEFT JOIN "Agents" agent ON agent.id = c.assigned_agent_id
         LEFT JOIN "Listings" l ON l.id = c.listing_id
         LEFT JOIN "Units" u ON u.id = l.unit_id
         LEFT JOIN LATERAL (
@@ -848,11 +906,21 @@ export function createPostgresQueueAdapter(client, options = {}) {
           isActive: row.platform_is_active !== false,
           sendMode: row.platform_effective_send_mode,
           sendModeOverride: row.platform_send_mode_override,
-          globalDefaultSendMode: defaultPlatformSendMode
+          globalDefaultSendMode: defaultPlatformSendMode,
+          aiProviderOrder: Array.isArray(row.platform_ai_provider_order) ? row.platform_ai_provider_order : null,
+          aiProviderTimeoutMs: row.platform_ai_provider_timeout_ms ?? null
         },
+        sendWindow: resolveSendWindow({ accountWindow: row.platform_send_window, agentWindow: row.agent_send_window }),
         assignedAgentId: row.assigned_agent_id,
         externalThreadId: row.external_thread_id,
         leadName: row.lead_name,
+        leadProfile: row.lead_profile || {},
+        qualification: { ...(row.qualification || {}), status: row.qualification_status || "unknown" },
+        qualificationCriteria: row.qualification_criteria || {},
+        listingRentCents: row.listing_rent_cents ?? null,
+        prescreenQuestions: Array.isArray(row.prescreen_questions) ? row.prescreen_questions : [],
+        prescreen: row.prescreen || {},
+        workflowState: row.workflow_state || "lead",
         unitId: row.unit_id,
         propertyName: row.property_name,
         unitNumber: row.unit_number,
@@ -1047,12 +1115,14 @@ export function createPostgresQueueAdapter(client, options = {}) {
       };
     },
 
-    async findRule({ platformAccountId, intent, fallbackIntent }) {
+    async findRule({ platformAccountId, intent, fallbackIntent, qualificationStatus = "unknown", qualificationScore = null }) {
       const queryRule = async (intentToFind) => {
         if (!intentToFind) {
           return null;
         }
 
+        // Rules may narrow themselves with conditions.qualificationStatus (a status or list of statuses)
+        // and conditions.minQualificationScore; a matching narrowed rule wins over a plain intent rule.
         const result = await client.query(
           `SELECT id, is_enabled, action_config, conditions
              FROM "AutomationRules"
@@ -1060,9 +1130,20 @@ export function createPostgresQueueAdapter(client, options = {}) {
               AND trigger_type = 'message_received'
               AND action_type = 'send_template'
               AND COALESCE(conditions->>'intent', '') = $2
-            ORDER BY priority ASC, created_at ASC
+              AND (
+                NOT (conditions ? 'qualificationStatus')
+                OR conditions->>'qualificationStatus' = $3
+                OR (jsonb_typeof(conditions->'qualificationStatus') = 'array' AND conditions->'qualificationStatus' ? $3)
+              )
+              AND (
+                NOT (conditions ? 'minQualificationScore')
+                OR ($4::numeric IS NOT NULL AND $4::numeric >= (conditions->>'minQualificationScore')::numeric)
+              )
+            ORDER BY ((conditions ? 'qualificationStatus') OR (conditions ? 'minQualificationScore')) DESC,
+                     priority ASC,
+                     created_at ASC
             LIMIT 1`,
-          [platformAccountId, intentToFind]
+          [platformAccountId, intentToFind, qualificationStatus || "unknown", qualificationScore]
         );
 
         if (result.rowCount === 0) {
@@ -1108,7 +1189,53 @@ export function createPostgresQueueAdapter(client, options = {}) {
       return result.rows[0];
     },
 
+    async fetchGuardrailRules({ platformAccountId }) {
+      const result = await client.query(
+        `SELECT id,
+                name,
+                reason_code,
+                match_type,
+                pattern,
+                keywords,
+                direction,
+                severity,
+                action
+           FROM "GuardrailRules"
+          WHERE is_enabled = TRUE
+            AND (platform_account_id = $1::uuid OR platform_account_id IS NULL)
+          ORDER BY created_at ASC`,
+        [platformAccountId]
+      );
+
+      return result.rows.map((row) => ({
+        id: row.id,
+        name: row.name,
+        reasonCode: row.reason_code,
+        matchType: row.match_type,
+        pattern: row.pattern,
+        keywords: Array.isArray(row.keywords) ? row.keywords : [],
+        direction: row.direction,
+        severity: row.severity,
+        action: row.action
+      }));
+    },
+
     async recordOutboundReply({ conversationId, assignedAgentId, body, metadata, channel = "in_app", externalMessageId = null }) {
+      // Replies with discriminatory language are never stored as sendable; force them into the hold queue.
+      const fairHousing = checkFairHousingCompliance(body);
+      const recordedMetadata = fairHousing.flagged
+        ? {
+            ...(metadata || {}),
+            reviewStatus: "hold",
+            reviewRequired: true,
+            fairHousing: {
+              categories: fairHousing.categories,
+              matches: fairHousing.matches,
+              checkedAt: new Date().toISOString()
+            }
+          }
+        : metadata;
+
       const insertResult = await client.query(
         `INSERT INTO "Messages" (
            conversation_id,
@@ -1123,7 +1250,7 @@ export function createPostgresQueueAdapter(client, options = {}) {
          ) VALUES ($1::uuid, 'agent', $2::uuid, $3, 'outbound', $4, $5, $6::jsonb, NOW())
          ON CONFLICT (conversation_id, external_message_id) DO NOTHING
          RETURNING id`,
-        [conversationId, assignedAgentId, externalMessageId, channel, body, JSON.stringify(metadata)]
+        [conversationId, assignedAgentId, externalMessageId, channel, body, JSON.stringify(recordedMetadata)]
       );
 
       if (insertResult.rowCount > 0) {
@@ -1136,17 +1263,43 @@ export function createPostgresQueueAdapter(client, options = {}) {
         );
       }
 
+      if (insertResult.rowCount > 0 && fairHousing.flagged) {
+        await client.query(
+          `INSERT INTO "AuditLogs" (actor_type, entity_type, entity_id, action, details)
+           VALUES ('system', 'message', $1, 'outbound_fair_housing_hold', $2::jsonb)`,
+          [
+            String(insertResult.rows[0].id),
+            JSON.stringify({
+              conversationId,
+              categories: fairHousing.categories,
+              matches: fairHousing.matches,
+              requestedReviewStatus: metadata?.reviewStatus || null
+            })
+          ]
+        );
+      }
+
       return {
-        inserted: insertResult.rowCount > 0
+        inserted: insertResult.rowCount > 0,
+        messageId: insertResult.rows[0]?.id || null,
+        reviewStatus: recordedMetadata?.reviewStatus || null,
+        fairHousing
       };
     },
 
+    // A new attempt replaces the previous attempt's outcome but keeps the retry bookkeeping a DLQ requeue
+    // left behind, so the worker keeps deriving the same key from retryNonce on later attempts.
     async beginDispatchAttempt({ messageId, dispatchKey, platform, stage, now }) {
       const attemptResult = await client.query(
         `UPDATE "Messages"
             SET metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object(
               'dispatch',
-              jsonb_build_object(
+              jsonb_strip_nulls(jsonb_build_object(
+                'retryNonce', metadata#>'{dispatch,retryNonce}',
+                'retryRequestedAt', metadata#>'{dispatch,retryRequestedAt}',
+                'retryRequestedBy', metadata#>'{dispatch,retryRequestedBy}',
+                'previousKeys', metadata#>'{dispatch,previousKeys}'
+              )) || jsonb_build_object(
                 'key', $2::text,
                 'state', 'in_progress',
                 'platform', $3::text,
@@ -1234,6 +1387,510 @@ export function createPostgresQueueAdapter(client, options = {}) {
       );
     },
 
+    // Dead letters are inbound messages whose reply dispatch exhausted its retries (see failDispatchAttempt).
+    // fetchPendingMessages skips them until an admin requeues or discards them.
+    async fetchDeadLetteredDispatches({ platform = null, messageIds = null, limit = 50 } = {}) {
+      const params = [Math.max(1, Math.min(Number(limit) || 50, 500))];
+      const where = [`m.metadata#>>'{dispatch,state}' = 'dlq'`];
+      if (platform) {
+        params.push(platform);
+        where.push(`pa.platform = $${params.length}`);
+      }
+      if (Array.isArray(messageIds)) {
+        params.push(messageIds);
+        where.push(`m.id = ANY($${params.length}::uuid[])`);
+      }
+
+      const result = await client.query(
+        `SELECT m.id,
+                m.conversation_id,
+                m.body,
+                m.sent_at,
+                m.metadata->'dispatch' AS dispatch,
+                c.lead_name,
+                c.external_thread_id,
+                c.assigned_agent_id,
+                pa.id AS platform_account_id,
+                pa.platform,
+                pa.account_name
+           FROM "Messages" m
+           JOIN "Conversations" c ON c.id = m.conversation_id
+           JOIN "PlatformAccounts" pa ON pa.id = c.platform_account_id
+          WHERE ${where.join(" AND ")}
+          ORDER BY COALESCE((m.metadata#>>'{dispatch,dlqQueuedAt}')::timestamptz, m.sent_at) DESC
+          LIMIT $1`,
+        params
+      );
+
+      return result.rows.map((row) => ({
+        messageId: row.id,
+        conversationId: row.conversation_id,
+        body: row.body,
+        sentAt: row.sent_at ? new Date(row.sent_at).toISOString() : null,
+        leadName: row.lead_name,
+        externalThreadId: row.external_thread_id,
+        assignedAgentId: row.assigned_agent_id,
+        platformAccountId: row.platform_account_id,
+        platform: row.platform,
+        accountName: row.account_name,
+        dispatch: row.dispatch || {}
+      }));
+    },
+
+    // The worker folds retryNonce into the dispatch key, so a requeued message is delivered under a fresh
+    // key rather than being suppressed as a duplicate of the dead-lettered attempt.
+    async requeueDeadLetteredDispatches({ messageIds, actorId = null, now = new Date().toISOString() }) {
+      const result = await client.query(
+        `UPDATE "Messages"
+            SET metadata = (metadata - 'workerClaim') || jsonb_build_object(
+              'dispatch',
+              (metadata->'dispatch') || jsonb_build_object(
+                'state', 'retry_requested',
+                'retryNonce', gen_random_uuid()::text,
+                'retryRequestedAt', $2::timestamptz,
+                'retryRequestedBy', $3::text,
+                'previousKeys', COALESCE(metadata#>'{dispatch,previousKeys}', '[]'::jsonb)
+                  || COALESCE(jsonb_build_array(metadata#>>'{dispatch,key}') - '', '[]'::jsonb)
+              )
+            )
+          WHERE id = ANY($1::uuid[])
+            AND metadata#>>'{dispatch,state}' = 'dlq'
+          RETURNING id, metadata#>>'{dispatch,retryNonce}' AS retry_nonce`,
+        [messageIds, now, actorId]
+      );
+      return result.rows.map((row) => ({ messageId: row.id, retryNonce: row.retry_nonce }));
+    },
+
+    async discardDeadLetteredDispatches({ messageIds, reason, actorId = null, now = new Date().toISOString() }) {
+      const result = await client.query(
+        `UPDATE "Messages"
+            SET metadata = (metadata - 'workerClaim') || jsonb_build_object(
+              'dispatch',
+              (metadata->'dispatch') || jsonb_build_object(
+                'state', 'discarded',
+                'discardedAt', $2::timestamptz,
+                'discardedBy', $3::text,
+                'discardReason', $4::text
+              )
+            )
+          WHERE id = ANY($1::uuid[])
+            AND metadata#>>'{dispatch,state}' = 'dlq'
+          RETURNING id`,
+        [messageIds, now, actorId, reason]
+      );
+      return result.rows.map((row) => ({ messageId: row.id }));
+    },
+
+    // Merged rather than replaced, so a profile read before another message on the same conversation
+    // was processed cannot drop the fields that message added.
+    async updateLeadProfile({ conversationId, profile }) {
+      await client.query(
+        `UPDATE "Conversations"
+            SET lead_profile = COALESCE(lead_profile, '{}'::jsonb) || $2::jsonb,
+                updated_at = NOW()
+          WHERE id = $1::uuid`,
+        [conversationId, JSON.stringify(profile || {})]
+      );
+    },
+
+    async updateConversationQualification({ conversationId, qualification }) {
+      await client.query(
+        `UPDATE "Conversations"
+            SET qualification_status = $2,
+                qualification = $3::jsonb,
+                updated_at = NOW()
+          WHERE id = $1::uuid`,
+        [conversationId, qualification.status, JSON.stringify(qualification)]
+      );
+    },
+
+    async updatePrescreenState({ conversationId, prescreen }) {
+      await client.query(
+        `UPDATE "Conversations"
+            SET prescreen = COALESCE(prescreen, '{}'::jsonb) || $2::jsonb,
+                updated_at = NOW()
+          WHERE id = $1::uuid`,
+        [conversationId, JSON.stringify(prescreen || {})]
+      );
+    },
+
+    // Conversations in "prescreening" are waiting on the lead to answer a question the worker asked, and
+    // moving them to a follow-up stage would end the questionnaire, so they are left to the prescreen flow.
+    async fetchDueFollowUps({ now, limit = 20, platformAccountId = null } = {}) {
+      const result = await client.query(
+        `SELECT c.id AS conversation_id,
+                c.platform_account_id,
+                COALESCE(c.follow_up_owner_agent_id, c.assigned_agent_id) AS owner_agent_id,
+                c.external_thread_id,
+                c.lead_name,
+                c.lead_profile,
+                c.workflow_state,
+                c.follow_up_stage,
+                pa.platform,
+                pa.credentials AS platform_credentials,
+                COALESCE(pa.send_mode, $3) AS platform_effective_send_mode,
+                pa.follow_up_cadence,
+                pa.send_window AS platform_send_window,
+                follow_up_owner.send_window AS owner_send_window,
+                u.property_name,
+                u.unit_number,
+                last_message.sent_at AS last_outbound_at,
+                step.stage_number,
+                last_message.sent_at + make_interval(hours => step.delay_hours) AS due_at
+           FROM "Conversations" c
+           JOIN "PlatformAccounts" pa ON pa.id = c.platform_account_id
+      LEFT JOIN "Agents" follow_up_owner ON follow_up_owner.id = COALESCE(c.follow_up_owner_agent_id, c.assigned_agent_id)
+      LEFT JOIN "Listings" l ON l.id = c.listing_id
+      LEFT JOIN "Units" u ON u.id = l.unit_id
+           JOIN LATERAL (
+             SELECT m.direction, m.sent_at, m.metadata
+               FROM "Messages" m
+              WHERE m.conversation_id = c.id
+              ORDER BY m.sent_at DESC, m.created_at DESC
+              LIMIT 1
+           ) last_message ON TRUE
+     CROSS JOIN LATERAL (
+             SELECT stage.stage_number,
+                    COALESCE(
+                      (pa.follow_up_cadence->'delayHours'->>(stage.stage_number - 1))::int,
+                      CASE WHEN stage.stage_number = 1 THEN 24 ELSE 72 END
+                    ) AS delay_hours
+               FROM (SELECT CASE WHEN c.follow_up_stage IS NULL THEN 1 ELSE 2 END AS stage_number) stage
+           ) step
+          WHERE pa.is_active = TRUE
+            AND pa.follow_up_cadence->>'enabled' = 'true'
+            AND ($4::uuid IS NULL OR c.platform_account_id = $4::uuid)
+            AND c.status = 'open'
+            AND c.follow_up_status = 'pending'
+            AND c.workflow_state IN ('lead', 'prescreened', 'follow_up_1')
+            AND c.follow_up_stage IS DISTINCT FROM 'follow_up_2'
+            AND COALESCE(c.follow_up_owner_agent_id, c.assigned_agent_id) IS NOT NULL
+            AND step.stage_number <= COALESCE((pa.follow_up_cadence->>'maxStages')::int, 2)
+            AND last_message.direction = 'outbound'
+            AND COALESCE(last_message.metadata->>'reviewStatus', 'sent') = 'sent'
+            AND last_message.sent_at + make_interval(hours => step.delay_hours) <= $2::timestamptz
+          ORDER BY due_at ASC
+          LIMIT $1`,
+        [Math.max(1, Number(limit || 20)), now || new Date().toISOString(), defaultPlatformSendMode, platformAccountId]
+      );
+
+      return result.rows.map((row) => ({
+        conversationId: row.conversation_id,
+        platformAccountId: row.platform_account_id,
+        ownerAgentId: row.owner_agent_id,
+        externalThreadId: row.external_thread_id,
+        leadName: row.lead_name,
+        leadProfile: row.lead_profile || {},
+        workflowState: row.workflow_state,
+        followUpStage: row.follow_up_stage,
+        nextStage: row.stage_number === 1 ? "follow_up_1" : "follow_up_2",
+        platform: row.platform,
+        platformCredentials: row.platform_credentials || {},
+        sendMode: row.platform_effective_send_mode,
+        followUpCadence: row.follow_up_cadence || {},
+        sendWindow: resolveSendWindow({ accountWindow: row.platform_send_window, agentWindow: row.owner_send_window }),
+        propertyName: row.property_name,
+        unitNumber: row.unit_number,
+        lastOutboundAt: normalizeTimestampValue(row.last_outbound_at),
+        dueAt: normalizeTimestampValue(row.due_at)
+      }));
+    },
+
+    // Claims the stage with a conditional update so two workers never send the same follow-up.
+    async advanceFollowUpStage({ conversationId, fromStage, toStage, nextDueAt, completed = false }) {
+      const result = await client.query(
+        `WITH previous AS (
+           SELECT id, workflow_state, follow_up_stage
+             FROM "Conversations"
+            WHERE id = $1::uuid
+              AND follow_up_status = 'pending'
+              AND follow_up_stage IS NOT DISTINCT FROM $2::text
+              AND workflow_state IN ('lead', 'prescreened', 'follow_up_1')
+            FOR UPDATE
+         )
+         UPDATE "Conversations" c
+            SET workflow_state = $3,
+                follow_up_stage = $3,
+                follow_up_due_at = $4::timestamptz,
+                follow_up_owner_agent_id = COALESCE(c.follow_up_owner_agent_id, c.assigned_agent_id),
+                follow_up_status = CASE WHEN $5::boolean THEN 'completed' ELSE 'pending' END,
+                workflow_updated_at = NOW(),
+                updated_at = NOW()
+           FROM previous
+          WHERE c.id = previous.id
+          RETURNING c.id,
+                    previous.workflow_state AS previous_workflow_state,
+                    previous.follow_up_stage AS previous_follow_up_stage,
+                    c.workflow_state,
+                    c.follow_up_stage,
+                    c.follow_up_due_at,
+                    c.follow_up_status`,
+        [conversationId, fromStage || null, toStage, nextDueAt, completed]
+      );
+
+      if (result.rowCount === 0) {
+        return { applied: false, reason: "stage_already_advanced" };
+      }
+
+      const row = result.rows[0];
+      await client.query(
+        `INSERT INTO "AuditLogs" (actor_type, entity_type, entity_id, action, details)
+         VALUES ('worker', 'conversation', $1, 'follow_up_stage_advanced', $2::jsonb)`,
+        [
+          String(conversationId),
+          JSON.stringify({
+            previous: { workflowState: row.previous_workflow_state, followUpStage: row.previous_follow_up_stage },
+            next: { workflowState: row.workflow_state, followUpStage: row.follow_up_stage },
+            followUpDueAt: row.follow_up_due_at,
+            followUpStatus: row.follow_up_status
+          })
+        ]
+      );
+
+      return {
+        applied: true,
+        item: {
+          id: row.id,
+          workflowState: row.workflow_state,
+          followUpStage: row.follow_up_stage,
+          followUpDueAt: row.follow_up_due_at,
+          followUpStatus: row.follow_up_status
+        }
+      };
+    },
+
+    // Leases due deferred messages under metadata.deferredClaim, so a crashed worker's batch is retried once the
+    // lease runs out while deferredUntil keeps the time the message was actually held until.
+    async claimDueDeferredMessages({ now, limit = 20, leaseUntil }) {
+      const result = await client.query(
+        `WITH due AS (
+           SELECT m.id
+             FROM "Messages" m
+            WHERE m.direction = 'outbound'
+              AND m.metadata->>'reviewStatus' = 'deferred'
+              AND COALESCE((m.metadata->>'deferredUntil')::timestamptz, to_timestamp(0)) <= $2::timestamptz
+              AND COALESCE((m.metadata->'deferredClaim'->>'leaseUntil')::timestamptz, to_timestamp(0)) <= $2::timestamptz
+            ORDER BY m.sent_at ASC
+            FOR UPDATE SKIP LOCKED
+            LIMIT $1
+         ),
+         claimed AS (
+           UPDATE "Messages" m
+              SET metadata = m.metadata || jsonb_build_object('deferredClaim', jsonb_build_object('leaseUntil', $3::text, 'claimedAt', $2::text))
+             FROM due
+            WHERE m.id = due.id
+            RETURNING m.id, m.conversation_id, m.body, m.metadata
+         )
+         SELECT claimed.id,
+                claimed.conversation_id,
+                claimed.body,
+                claimed.metadata,
+                c.platform_account_id,
+                c.external_thread_id,
+                pa.platform,
+                pa.credentials AS platform_credentials,
+                pa.is_active AS platform_is_active,
+                pa.send_window AS platform_send_window,
+                agent.send_window AS agent_send_window
+           FROM claimed
+           JOIN "Conversations" c ON c.id = claimed.conversation_id
+           JOIN "PlatformAccounts" pa ON pa.id = c.platform_account_id
+      LEFT JOIN "Agents" agent ON agent.id = c.assigned_agent_id`,
+        [Math.max(1, Number(limit || 20)), now || new Date().toISOString(), leaseUntil || now || new Date().toISOString()]
+      );
+
+      return result.rows.map((row) => ({
+        id: row.id,
+        conversationId: row.conversation_id,
+        body: row.body,
+        metadata: row.metadata || {},
+        deferredUntil: row.metadata?.deferredUntil || null,
+        platformAccountId: row.platform_account_id,
+        externalThreadId: row.external_thread_id,
+        platform: row.platform,
+        platformCredentials: row.platform_credentials || {},
+        platformIsActive: row.platform_is_active !== false,
+        accountSendWindow: row.platform_send_window || {},
+        agentSendWindow: row.agent_send_window || null
+      }));
+    },
+
+    async completeDeferredMessage({ messageId, reviewStatus, deferredUntil = null, delivery = null, dispatchError = null, externalMessageId = null }) {
+      if (reviewStatus === "deferred") {
+        await client.query(
+          `UPDATE "Messages"
+              SET metadata = (metadata - 'deferredClaim') || jsonb_build_object('deferredUntil', $2::text)
+            WHERE id = $1::uuid`,
+          [messageId, deferredUntil]
+        );
+        return;
+      }
+
+      // The message goes out now, so it moves to the send time instead of the time it was queued.
+      await client.query(
+        `UPDATE "Messages"
+            SET metadata = (metadata - 'deferredUntil' - 'deferredClaim') || jsonb_build_object(
+                  'reviewStatus', $2::text,
+                  'deferredFrom', metadata->>'deferredUntil',
+                  'delivery', $3::jsonb
+                ) || CASE WHEN $4::text IS NULL THEN '{}'::jsonb ELSE jsonb_build_object('dispatchError', $4::text) END,
+                external_message_id = COALESCE($5, external_message_id),
+                sent_at = CASE WHEN $2::text = 'sent' THEN NOW() ELSE sent_at END
+          WHERE id = $1::uuid`,
+        [messageId, reviewStatus, JSON.stringify(delivery || null), dispatchError, externalMessageId]
+      );
+    },
+
+    // Each configured offset becomes due once the showing is that many hours away. Claimed rows are excluded
+    // until their retry time comes round.
+    async fetchDueShowingReminders({ now, limit = 20 } = {}) {
+      const result = await client.query(
+        `SELECT appt.id AS appointment_id,
+                appt.platform_account_id,
+                appt.conversation_id,
+                appt.agent_id,
+                appt.starts_at,
+                appt.timezone,
+                agent.full_name AS agent_name,
+                agent.email AS agent_email,
+                agent.phone AS agent_phone,
+                agent.send_window AS agent_send_window,
+                c.external_thread_id,
+                c.lead_name,
+                c.lead_profile,
+                pa.platform,
+                pa.credentials AS platform_credentials,
+                COALESCE(pa.send_mode, $3) AS platform_effective_send_mode,
+                pa.showing_reminders,
+                pa.send_window AS platform_send_window,
+                u.property_name,
+                u.unit_number,
+                u.address_line1,
+                reminder.offset_hours,
+                recipient.recipient
+           FROM "ShowingAppointments" appt
+           JOIN "PlatformAccounts" pa ON pa.id = appt.platform_account_id
+           JOIN "Agents" agent ON agent.id = appt.agent_id
+           JOIN "Units" u ON u.id = appt.unit_id
+      LEFT JOIN "Conversations" c ON c.id = appt.conversation_id
+     CROSS JOIN LATERAL (
+             SELECT value::int AS offset_hours
+               FROM jsonb_array_elements_text(COALESCE(pa.showing_reminders->'offsetsHours', '[24, 2]'::jsonb))
+           ) reminder
+     CROSS JOIN LATERAL (SELECT unnest(ARRAY['lead', 'agent']) AS recipient) recipient
+          WHERE appt.status = 'confirmed'
+            AND appt.starts_at > $2::timestamptz
+            AND appt.starts_at - make_interval(hours => reminder.offset_hours) <= $2::timestamptz
+            AND pa.is_active = TRUE
+            AND pa.showing_reminders->>'enabled' = 'true'
+            AND (recipient.recipient = 'lead' OR COALESCE(pa.showing_reminders->>'notifyAgent', 'true') <> 'false')
+            AND NOT EXISTS (
+              SELECT 1
+                FROM "ShowingReminders" sr
+               WHERE sr.appointment_id = appt.id
+                 AND sr.offset_hours = reminder.offset_hours
+                 AND sr.recipient = recipient.recipient
+                 AND sr.appointment_starts_at = appt.starts_at
+                 AND (sr.next_attempt_at IS NULL OR sr.next_attempt_at > $2::timestamptz)
+            )
+          ORDER BY appt.starts_at ASC, reminder.offset_hours DESC
+          LIMIT $1`,
+        [Math.max(1, Number(limit || 20)), now || new Date().toISOString(), defaultPlatformSendMode]
+      );
+
+      return result.rows.map((row) => ({
+        appointmentId: row.appointment_id,
+        platformAccountId: row.platform_account_id,
+        conversationId: row.conversation_id,
+        agentId: row.agent_id,
+        agentName: row.agent_name,
+        agentEmail: row.agent_email,
+        agentPhone: row.agent_phone,
+        startsAt: normalizeTimestampValue(row.starts_at),
+        timezone: row.timezone,
+        externalThreadId: row.external_thread_id,
+        leadName: row.lead_name,
+        leadProfile: row.lead_profile || {},
+        platform: row.platform,
+        platformCredentials: row.platform_credentials || {},
+        sendMode: row.platform_effective_send_mode,
+        showingReminders: row.showing_reminders || {},
+        sendWindow: resolveSendWindow({ accountWindow: row.platform_send_window, agentWindow: row.agent_send_window }),
+        propertyName: row.property_name,
+        unitNumber: row.unit_number,
+        addressLine1: row.address_line1,
+        offsetHours: Number(row.offset_hours),
+        recipient: row.recipient
+      }));
+    },
+
+    // The claim only succeeds while the appointment is still confirmed at the same start time. A reminder
+    // waiting on a retry is reclaimed once its next_attempt_at has come, counting another attempt.
+    async claimShowingReminder({ appointmentId, offsetHours, recipient, startsAt, now = new Date().toISOString() }) {
+      const result = await client.query(
+        `INSERT INTO "ShowingReminders" (appointment_id, offset_hours, recipient, appointment_starts_at)
+         SELECT appt.id, $2, $3, appt.starts_at
+           FROM "ShowingAppointments" appt
+          WHERE appt.id = $1::uuid
+            AND appt.status = 'confirmed'
+            AND date_trunc('milliseconds', appt.starts_at) = $4::timestamptz
+         ON CONFLICT (appointment_id, offset_hours, recipient, appointment_starts_at) DO UPDATE
+            SET status = 'pending',
+                attempts = "ShowingReminders".attempts + 1,
+                next_attempt_at = NULL,
+                updated_at = NOW()
+          WHERE "ShowingReminders".next_attempt_at <= $5::timestamptz
+         RETURNING id, attempts`,
+        [appointmentId, offsetHours, recipient, startsAt, now]
+      );
+
+      if (result.rowCount === 0) {
+        return { applied: false, reason: "reminder_already_claimed_or_appointment_changed" };
+      }
+      return { applied: true, reminderId: result.rows[0].id, attempts: Number(result.rows[0].attempts) };
+    },
+
+    async completeShowingReminder({ reminderId, status, messageId = null, details = {} }) {
+      await client.query(
+        `UPDATE "ShowingReminders"
+            SET status = $2,
+                message_id = $3::uuid,
+                details = $4::jsonb,
+                next_attempt_at = NULL,
+                updated_at = NOW()
+          WHERE id = $1::uuid`,
+        [reminderId, status, messageId, JSON.stringify(details || {})]
+      );
+    },
+
+    // Leaves a failed or skipped reminder open so fetchDueShowingReminders offers it again at nextAttemptAt.
+    async scheduleShowingReminderRetry({ reminderId, status, nextAttemptAt, details = {} }) {
+      await client.query(
+        `UPDATE "ShowingReminders"
+            SET status = $2,
+                next_attempt_at = $3::timestamptz,
+                details = $4::jsonb,
+                updated_at = NOW()
+          WHERE id = $1::uuid`,
+        [reminderId, status, nextAttemptAt, JSON.stringify(details || {})]
+      );
+    },
+
+    // Notifications the agent sees in the app. A repeat with the same dedupeKey returns the existing row.
+    async recordAgentNotification({ agentId, type, appointmentId = null, conversationId = null, body, details = {}, dedupeKey }) {
+      const result = await client.query(
+        `INSERT INTO "AgentNotifications" (agent_id, type, appointment_id, conversation_id, body, details, dedupe_key)
+         VALUES ($1::uuid, $2, $3::uuid, $4::uuid, $5, $6::jsonb, $7)
+         ON CONFLICT (dedupe_key) DO UPDATE SET dedupe_key = EXCLUDED.dedupe_key
+         RETURNING id, (xmax = 0) AS inserted`,
+        [agentId, type, appointmentId, conversationId, body, JSON.stringify(details || {}), dedupeKey]
+      );
+      return {
+        notificationId: result.rows[0]?.id || null,
+        inserted: result.rows[0]?.inserted === true
+      };
+    },
+
     async markInboundProcessed({ messageId, metadataPatch }) {
       await client.query(
         `UPDATE "Messages"
@@ -1591,6 +2248,15 @@ export function createPostgresQueueAdapter(client, options = {}) {
         return null;
       }
 
+      const fairHousing = checkFairHousingCompliance(body);
+      if (fairHousing.flagged) {
+        return {
+          held: true,
+          reason: "fair_housing_violation",
+          categories: fairHousing.categories
+        };
+      }
+
       const registry = getConnectorRegistry();
       return registry.sendMessageForAccount({
         account: {
@@ -1927,6 +2593,61 @@ export function createPostgresQueueAdapter(client, options = {}) {
       };
     },
 
+    async syncRequestedThreads({ limit = 2, platforms = null } = {}) {
+      const params = [limit];
+      let platformFilter = "";
+      if (Array.isArray(platforms) && platforms.length > 0) {
+        params.push(platforms);
+        platformFilter = `AND pa.platform = ANY($${params.length}::text[])`;
+      }
+
+      const requested = await client.query(
+        `SELECT c.id, c.thread_sync_requested_at, pa.platform
+           FROM "Conversations" c
+           JOIN "PlatformAccounts" pa ON pa.id = c.platform_account_id
+          WHERE c.thread_sync_requested_at IS NOT NULL
+            AND pa.is_active = TRUE
+            ${platformFilter}
+          ORDER BY c.thread_sync_requested_at ASC
+          LIMIT $1`,
+        params
+      );
+
+      let synced = 0;
+      let failed = 0;
+      for (const row of requested.rows) {
+        try {
+          const result = await this.syncConversationThread({ conversationId: row.id });
+          if (result?.synced) {
+            synced += 1;
+          }
+        } catch (error) {
+          failed += 1;
+          console.warn("[thread-sync] thread sync failed", {
+            platform: row.platform,
+            conversationId: row.id,
+            error: error instanceof Error ? error.message : String(error)
+          });
+        }
+
+        // Cleared even after a failure so one broken thread cannot hold up the queue; the next
+        // new inbound message on it requests another sync. A request made meanwhile is kept.
+        await client.query(
+          `UPDATE "Conversations"
+              SET thread_sync_requested_at = NULL
+            WHERE id = $1::uuid
+              AND date_trunc('milliseconds', thread_sync_requested_at) <= $2::timestamptz`,
+          [row.id, row.thread_sync_requested_at]
+        );
+      }
+
+      return {
+        scanned: requested.rows.length,
+        synced,
+        failed
+      };
+    },
+
     async syncPlatformListings({ platforms = null } = {}) {
       const registry = getConnectorRegistry();
       const platformList = Array.isArray(platforms)
@@ -2122,7 +2843,7 @@ export function createPostgresQueueAdapter(client, options = {}) {
     async ingestInboundMessages({ limit = 50, platforms = null } = {}) {
       const registry = getConnectorRegistry();
       const activeAccounts = await client.query(
-        `SELECT id, platform, account_external_id, credentials
+        `SELECT id, platform, account_external_id, credentials, routing_strategy
            FROM "PlatformAccounts"
           WHERE is_active = TRUE`
       );
@@ -2133,8 +2854,7 @@ export function createPostgresQueueAdapter(client, options = {}) {
       const threadSyncPlatforms = process.env.WORKER_THREAD_SYNC_PLATFORMS
         ? process.env.WORKER_THREAD_SYNC_PLATFORMS.split(",").map((value) => value.trim()).filter(Boolean)
         : ["spareroom", "roomies", "leasebreak"];
-      const threadSyncMaxPerCycle = Number(process.env.WORKER_THREAD_SYNC_MAX_PER_CYCLE || 2);
-      let threadSyncUsed = 0;
+      let threadSyncRequested = 0;
 
       for (const account of activeAccounts.rows) {
         if (platforms && !platforms.includes(account.platform)) {
@@ -2254,7 +2974,7 @@ export function createPostgresQueueAdapter(client, options = {}) {
                  ELSE "Conversations".external_inbox_sort_rank
                END,
                last_message_at = COALESCE("Conversations".last_message_at, EXCLUDED.last_message_at)
-             RETURNING id, listing_id, (xmax = 0) AS inserted`,
+             RETURNING id, listing_id, assigned_agent_id, (xmax = 0) AS inserted`,
             [
               account.id,
               linkage.listingId,
@@ -2272,6 +2992,14 @@ export function createPostgresQueueAdapter(client, options = {}) {
           const conversationId = conversation.id;
           const conversationInserted = Boolean(conversation.inserted);
 
+          // Conversations are routed once they are linked to a listing; later syncs keep the owner.
+          if (conversation.listing_id && !conversation.assigned_agent_id) {
+            await routeConversationAgent(client, {
+              conversationId,
+              strategy: account.routing_strategy
+            });
+          }
+
           const direction = inbound.direction === "outbound" ? "outbound" : "inbound";
           const senderType = direction === "outbound" ? "agent" : "lead";
           const upsertResult = await client.query(
@@ -2422,24 +3150,21 @@ export function createPostgresQueueAdapter(client, options = {}) {
             ingested += 1;
           }
 
+          // New messages on a thread we already knew about may mean we missed earlier ones;
+          // the thread-sync task fetches the full thread (see syncRequestedThreads).
           if (
             threadSyncEnabled
             && messageInserted
             && !conversationInserted
-            && threadSyncUsed < threadSyncMaxPerCycle
             && threadSyncPlatforms.includes(account.platform)
           ) {
-            threadSyncUsed += 1;
-            try {
-              await this.syncConversationThread({ conversationId });
-            } catch (error) {
-              console.warn("[ingest] thread sync failed", {
-                platform: account.platform,
-                accountId: account.id,
-                conversationId,
-                error: error instanceof Error ? error.message : String(error)
-              });
-            }
+            await client.query(
+              `UPDATE "Conversations"
+                  SET thread_sync_requested_at = COALESCE(thread_sync_requested_at, NOW())
+                WHERE id = $1::uuid`,
+              [conversationId]
+            );
+            threadSyncRequested += 1;
           }
         }
       }
@@ -2447,8 +3172,146 @@ export function createPostgresQueueAdapter(client, options = {}) {
       return {
         scanned,
         ingested,
+        threadSyncRequested,
         platforms: platforms || listSupportedPlatforms()
       };
+    },
+
+    async syncAgentOutOfOffice({ now = new Date() } = {}) {
+      return syncAgentOutOfOffice(client, { now });
+    },
+
+    async flagShowingsAwaitingOutcome({ now = new Date(), limit = 100 } = {}) {
+      return flagShowingsAwaitingOutcome(client, { now, limit });
+    },
+
+    // Housekeeping for the cleanup task: worker claims left behind by crashed workers and
+    // expired auth sessions and verification tokens.
+    async cleanupExpiredRecords({ now = new Date() } = {}) {
+      const nowIso = now instanceof Date ? now.toISOString() : now;
+      const releasedClaims = await client.query(
+        `UPDATE "Messages"
+            SET metadata = metadata - 'workerClaim'
+          WHERE metadata ? 'workerClaim'
+            AND COALESCE(NULLIF(metadata#>>'{workerClaim,claimExpiresAt}', ''), '1970-01-01T00:00:00Z')::timestamptz <= $1::timestamptz`,
+        [nowIso]
+      );
+      const expiredSessions = await client.query(
+        `DELETE FROM session WHERE "expiresAt" <= $1::timestamptz`,
+        [nowIso]
+      );
+      const expiredVerifications = await client.query(
+        `DELETE FROM verification WHERE "expiresAt" <= $1::timestamptz`,
+        [nowIso]
+      );
+
+      return {
+        releasedClaims: releasedClaims.rowCount,
+        expiredSessions: expiredSessions.rowCount,
+        expiredVerifications: expiredVerifications.rowCount
+      };
+    },
+
+    // Called on shutdown so another worker can pick the messages up right away instead of
+    // waiting for WORKER_CLAIM_TTL_MS. Processed messages have already dropped their claim.
+    async releaseWorkerClaims({ workerId }) {
+      const result = await client.query(
+        `UPDATE "Messages"
+            SET metadata = metadata - 'workerClaim'
+          WHERE metadata#>>'{workerClaim,workerId}' = $1
+            AND NOT (metadata ? 'aiProcessedAt')`,
+        [workerId]
+      );
+      return { released: result.rowCount };
+    },
+
+    async recordWorkerHeartbeat({
+      workerInstanceId,
+      hostname = null,
+      pid = null,
+      tasks = [],
+      status = "running",
+      startedAt,
+      lastCycleAt = null,
+      lastCycleStats = {}
+    }) {
+      await client.query(
+        `INSERT INTO "WorkerHeartbeats" (
+           worker_instance_id, hostname, pid, tasks, status, started_at, last_heartbeat_at, last_cycle_at, last_cycle_stats, stopped_at
+         ) VALUES ($1, $2, $3, $4::text[], $5, $6::timestamptz, NOW(), $7::timestamptz, $8::jsonb, CASE WHEN $5 = 'stopped' THEN NOW() END)
+         ON CONFLICT (worker_instance_id)
+         DO UPDATE SET hostname = EXCLUDED.hostname,
+                       pid = EXCLUDED.pid,
+                       tasks = EXCLUDED.tasks,
+                       status = EXCLUDED.status,
+                       started_at = EXCLUDED.started_at,
+                       last_heartbeat_at = NOW(),
+                       last_cycle_at = COALESCE(EXCLUDED.last_cycle_at, "WorkerHeartbeats".last_cycle_at),
+                       last_cycle_stats = EXCLUDED.last_cycle_stats,
+                       stopped_at = EXCLUDED.stopped_at,
+                       updated_at = NOW()`,
+        [workerInstanceId, hostname, pid, tasks, status, startedAt, lastCycleAt, JSON.stringify(lastCycleStats || {})]
+      );
+    },
+
+    async fetchWorkerTaskRuns() {
+      const result = await client.query(
+        `SELECT task_name,
+                worker_instance_id,
+                last_status,
+                last_started_at,
+                last_finished_at,
+                last_duration_ms,
+                last_error,
+                last_result,
+                run_count,
+                failure_count
+           FROM "WorkerTaskRuns"
+          ORDER BY task_name ASC`
+      );
+
+      return result.rows.map((row) => ({
+        taskName: row.task_name,
+        workerInstanceId: row.worker_instance_id,
+        lastStatus: row.last_status,
+        lastStartedAt: row.last_started_at ? new Date(row.last_started_at).toISOString() : null,
+        lastFinishedAt: row.last_finished_at ? new Date(row.last_finished_at).toISOString() : null,
+        lastDurationMs: row.last_duration_ms,
+        lastError: row.last_error,
+        lastResult: row.last_result || {},
+        runCount: Number(row.run_count),
+        failureCount: Number(row.failure_count)
+      }));
+    },
+
+    async recordWorkerTaskStart({ taskName, workerInstanceId, startedAt }) {
+      await client.query(
+        `INSERT INTO "WorkerTaskRuns" (task_name, worker_instance_id, last_status, last_started_at, run_count)
+         VALUES ($1, $2, 'running', $3::timestamptz, 1)
+         ON CONFLICT (task_name)
+         DO UPDATE SET worker_instance_id = EXCLUDED.worker_instance_id,
+                       last_status = 'running',
+                       last_started_at = EXCLUDED.last_started_at,
+                       run_count = "WorkerTaskRuns".run_count + 1,
+                       updated_at = NOW()`,
+        [taskName, workerInstanceId, startedAt]
+      );
+    },
+
+    async recordWorkerTaskFinish({ taskName, workerInstanceId, status, finishedAt, durationMs, result = {}, error = null }) {
+      await client.query(
+        `UPDATE "WorkerTaskRuns"
+            SET worker_instance_id = $2,
+                last_status = $3,
+                last_finished_at = $4::timestamptz,
+                last_duration_ms = $5,
+                last_result = $6::jsonb,
+                last_error = $7,
+                failure_count = failure_count + CASE WHEN $3 = 'failed' THEN 1 ELSE 0 END,
+                updated_at = NOW()
+          WHERE task_name = $1`,
+        [taskName, workerInstanceId, status, finishedAt, Math.round(durationMs), JSON.stringify(result || {}), error]
+      );
     }
   };
 }
@@ -2464,5 +3327,39 @@ export {
   REQUIRED_RPA_PLATFORMS,
   withRetry,
   isRetryableError,
-  calculateBackoffDelay
+  calculateBackoffDelay,
+  inTransaction,
+  activateAgentOutOfOffice,
+  endAgentOutOfOffice,
+  syncAgentOutOfOffice,
+  FOLLOW_UP_STAGES,
+  normalizeFollowUpCadence,
+  processDueFollowUps,
+  validateFollowUpCadence,
+  deferUntilSendWindow,
+  deliverLeadMessage,
+  resolveLeadDelivery,
+  dispatchDeferredMessages,
+  isWithinSendWindow,
+  normalizeSendWindow,
+  resolveSendWindow,
+  SEND_WINDOW_DAYS,
+  validateSendWindow,
+  createAgentNotifier,
+  normalizeShowingReminders,
+  processDueShowingReminders,
+  SHOWING_REMINDER_RECIPIENTS,
+  validateShowingReminders,
+  flagShowingsAwaitingOutcome,
+  recordShowingOutcome,
+  selectOutcomeFollowUp,
+  sendShowingOutcomeFollowUp,
+  SHOWING_INTEREST_LEVELS,
+  SHOWING_OUTCOME_TEMPLATES,
+  SHOWING_OUTCOMES,
+  validateShowingOutcome,
+  normalizeRoutingStrategy,
+  routeConversationAgent,
+  ROUTING_STRATEGIES,
+  selectRoutedAgent
 };
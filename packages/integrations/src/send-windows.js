@@ -0,0 +1,296 @@
+import { formatInTimezone, isClockTime, isValidTimezone, LocalTimeValidationError, zonedTimeToUtc } from "./timezone.js";
+
+// ISO weekdays: 1 = Monday ... 7 = Sunday.
+export const SEND_WINDOW_DAYS = [1, 2, 3, 4, 5, 6, 7];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function validateSendWindow(window, label = "sendWindow") {
+  if (window === null) {
+    return [];
+  }
+  if (Array.isArray(window) || typeof window !== "object") {
+    return [`${label} must be an object or null`];
+  }
+
+  const errors = [];
+  if (!isClockTime(window.start) || !isClockTime(window.end)) {
+    errors.push(`${label}.start and ${label}.end must be HH:MM`);
+  } else if (window.start === window.end) {
+    errors.push(`${label}.start and ${label}.end must differ`);
+  }
+  if (!isValidTimezone(window.timezone)) {
+    errors.push(`${label}.timezone must be a valid IANA timezone`);
+  }
+  if (
+    window.days !== undefined
+    && (
+      !Array.isArray(window.days)
+      || window.days.length === 0
+      || window.days.some((day) => !SEND_WINDOW_DAYS.includes(day))
+      || new Set(window.days).size !== window.days.length
+    )
+  ) {
+    errors.push(`${label}.days must list distinct ISO weekdays (1 = Monday ... 7 = Sunday)`);
+  }
+  return errors;
+}
+
+export function normalizeSendWindow(window) {
+  if (!window || typeof window !== "object" || Array.isArray(window) || validateSendWindow(window).length > 0) {
+    return null;
+  }
+  return {
+    timezone: window.timezone,
+    start: window.start,
+    end: window.end,
+    days: Array.isArray(window.days) ? [...window.days].sort((a, b) => a - b) : [...SEND_WINDOW_DAYS]
+  };
+}
+
+// An agent's own window replaces the account window; no window at all means messages go out any time.
+export function resolveSendWindow({ accountWindow = null, agentWindow = null } = {}) {
+  return normalizeSendWindow(agentWindow) || normalizeSendWindow(accountWindow);
+}
+
+function isoWeekday(dateString) {
+  const day = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+  return day === 0 ? 7 : day;
+}
+
+function shiftDate(dateString, days) {
+  return new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function toUtcMillis(dateString, time, timezone) {
+  const [hour, minute] = time.split(":").map(Number);
+  // A window edge inside a DST gap moves to the first valid quarter hour after it.
+  for (let shift = 0; shift <= 180; shift += 15) {
+    const total = hour * 60 + minute + shift;
+    if (total >= 24 * 60) {
+      break;
+    }
+    const localTime = `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}:00`;
+    try {
+      return zonedTimeToUtc(dateString, localTime, timezone).getTime();
+    } catch (error) {
+      if (!(error instanceof LocalTimeValidationError)) {
+        throw error;
+      }
+    }
+  }
+  return Number.NaN;
+}
+
+// Returns [opensAt, closesAt] for the window that opens on the given local date.
+function windowBounds(dateString, window) {
+  const closesOn = window.end > window.start ? dateString : shiftDate(dateString, 1);
+  return [
+    toUtcMillis(dateString, window.start, window.timezone),
+    toUtcMillis(closesOn, window.end, window.timezone)
+  ];
+}
+
+export function isWithinSendWindow(now, window) {
+  const normalized = normalizeSendWindow(window);
+  if (!normalized) {
+    return true;
+  }
+  const instant = now instanceof Date ? now.getTime() : Date.parse(now);
+  const today = formatInTimezone(new Date(instant), normalized.timezone).slice(0, 10);
+
+  // Overnight windows that opened yesterday are still open this morning.
+  return [shiftDate(today, -1), today].some((dateString) => {
+    if (!normalized.days.includes(isoWeekday(dateString))) {
+      return false;
+    }
+    const [opensAt, closesAt] = windowBounds(dateString, normalized);
+    return instant >= opensAt && instant < closesAt;
+  });
+}
+
+// Returns null when a message may go out now, otherwise the ISO time the next window opens.
+export function deferUntilSendWindow(now, window) {
+  const normalized = normalizeSendWindow(window);
+  if (!normalized || isWithinSendWindow(now, normalized)) {
+    return null;
+  }
+  const instant = now instanceof Date ? now.getTime() : Date.parse(now);
+  const today = formatInTimezone(new Date(instant), normalized.timezone).slice(0, 10);
+
+  for (let offset = 0; offset <= 7; offset += 1) {
+    const dateString = shiftDate(today, offset);
+    if (!normalized.days.includes(isoWeekday(dateString))) {
+      continue;
+    }
+    const [opensAt] = windowBounds(dateString, normalized);
+    if (opensAt > instant) {
+      return new Date(opensAt).toISOString();
+    }
+  }
+  return null;
+}
+
+// Decides how deliverLeadMessage will handle a message without sending anything, so previews agree with it.
+// On an active auto_send account it goes out now ("send"), or waits as deferred when the send window is
+// closed ("defer"). When the window only opens after deferBefore (the showing itself) the message is never
+// sent inside quiet hours; it is left as a draft instead. Every other account gets a draft.
+export function resolveLeadDelivery({ target, deferBefore = null, now = new Date() }) {
+  const autoSend = target.sendMode === "auto_send" && target.platformIsActive !== false;
+  const windowOpensAt = autoSend ? deferUntilSendWindow(now, target.sendWindow) : null;
+  const windowOpensTooLate = Boolean(windowOpensAt && deferBefore && Date.parse(windowOpensAt) >= Date.parse(deferBefore));
+  const deferredUntil = windowOpensAt && !windowOpensTooLate ? windowOpensAt : null;
+
+  return {
+    action: !autoSend || windowOpensTooLate ? "draft" : deferredUntil ? "defer" : "send",
+    deferredUntil,
+    windowOpensAt
+  };
+}
+
+// Sends a message the system wrote for a lead (showing reminders, follow-ups, showing changes) as
+// resolveLeadDelivery decides. Failed sends leave a draft an agent can send by hand.
+export async function deliverLeadMessage({ adapter, target, body, dispatchKey, metadata = {}, deferBefore = null, now = new Date() }) {
+  const { action, deferredUntil, windowOpensAt } = resolveLeadDelivery({ target, deferBefore, now });
+
+  let deliveryReceipt = null;
+  let dispatchError = null;
+  if (action === "send" && typeof adapter.dispatchOutboundMessage === "function") {
+    try {
+      deliveryReceipt = await adapter.dispatchOutboundMessage({
+        platformAccountId: target.platformAccountId,
+        platform: target.platform,
+        platformCredentials: target.platformCredentials,
+        externalThreadId: target.externalThreadId,
+        body
+      });
+    } catch (error) {
+      dispatchError = error instanceof Error ? error.message : String(error);
+    }
+  }
+
+  const reviewStatus = action === "defer"
+    ? "deferred"
+    : dispatchError || action === "draft"
+      ? "draft"
+      : deliveryReceipt?.held === true ? "hold" : "sent";
+
+  const recorded = await adapter.recordOutboundReply({
+    conversationId: target.conversationId,
+    assignedAgentId: target.agentId,
+    body,
+    metadata: {
+      reviewStatus,
+      ...metadata,
+      platformPolicy: { sendMode: target.sendMode },
+      dispatchKey,
+      delivery: deliveryReceipt,
+      ...(deferredUntil ? { deferredUntil } : {}),
+      ...(action === "draft" && windowOpensAt ? { sendWindowOpensAt: windowOpensAt } : {}),
+      ...(dispatchError ? { dispatchError } : {})
+    },
+    channel: deliveryReceipt?.channel || "in_app",
+    externalMessageId: deliveryReceipt?.externalMessageId || dispatchKey
+  });
+
+  return {
+    status: recorded?.reviewStatus || reviewStatus,
+    messageId: recorded?.messageId || null,
+    deferredUntil,
+    ...(dispatchError ? { dispatchError } : {})
+  };
+}
+
+// Sends outbound messages that were held back until their send window opened.
+export async function dispatchDeferredMessages({
+  adapter,
+  logger = console,
+  now = new Date(),
+  limit = 20,
+  leaseMs = 5 * 60 * 1000
+}) {
+  const summary = { scanned: 0, sent: 0, held: 0, rescheduled: 0, failed: 0 };
+  if (typeof adapter.claimDueDeferredMessages !== "function") {
+    return summary;
+  }
+
+  const messages = await adapter.claimDueDeferredMessages({
+    now: now.toISOString(),
+    limit,
+    leaseUntil: new Date(now.getTime() + leaseMs).toISOString()
+  });
+  summary.scanned = messages.length;
+
+  for (const message of messages) {
+    const sendWindow = resolveSendWindow({ accountWindow: message.accountSendWindow, agentWindow: message.agentSendWindow });
+    const deferredUntil = deferUntilSendWindow(now, sendWindow);
+    try {
+      if (deferredUntil) {
+        await adapter.completeDeferredMessage({ messageId: message.id, reviewStatus: "deferred", deferredUntil });
+        summary.rescheduled += 1;
+        continue;
+      }
+
+      let delivery = null;
+      let dispatchError = null;
+      if (!message.platformIsActive) {
+        dispatchError = "platform_inactive";
+      } else {
+        try {
+          delivery = await adapter.dispatchOutboundMessage({
+            platformAccountId: message.platformAccountId,
+            platform: message.platform,
+            platformCredentials: message.platformCredentials,
+            externalThreadId: message.externalThreadId,
+            body: message.body
+          });
+        } catch (error) {
+          dispatchError = error instanceof Error ? error.message : String(error);
+        }
+      }
+
+      // Failed deferred sends fall back to drafts so an agent can send them by hand.
+      const reviewStatus = dispatchError ? "draft" : delivery?.held === true ? "hold" : "sent";
+      await adapter.completeDeferredMessage({
+        messageId: message.id,
+        reviewStatus,
+        delivery,
+        dispatchError,
+        externalMessageId: delivery?.externalMessageId || null
+      });
+      await adapter.recordLog({
+        actorType: "worker",
+        entityType: "message",
+        entityId: message.id,
+        action: reviewStatus === "sent"
+          ? "deferred_message_sent"
+          : reviewStatus === "hold"
+            ? "deferred_message_held_for_review"
+            : "deferred_message_dispatch_failed",
+        details: {
+          platform: message.platform,
+          conversationId: message.conversationId,
+          deferredUntil: message.deferredUntil,
+          dispatchError,
+          delivery
+        }
+      });
+
+      if (reviewStatus === "sent") {
+        summary.sent += 1;
+      } else if (reviewStatus === "hold") {
+        summary.held += 1;
+      } else {
+        summary.failed += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      logger.warn("[send-windows] failed dispatching deferred message", {
+        messageId: message.id,
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+
+  return summary;
+}
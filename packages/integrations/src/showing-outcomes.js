@@ -0,0 +1,322 @@
+import { buildLeadProfileTemplateVariables, renderTemplate } from "../../ai/src/index.js";
+import { deliverLeadMessage, resolveSendWindow } from "./send-windows.js";
+import { inTransaction } from "./transactions.js";
+
+export const SHOWING_OUTCOMES = ["attended", "no_show"];
+export const SHOWING_INTEREST_LEVELS = ["high", "medium", "low", "none"];
+
+// Account templates used for the message that follows an outcome; a built-in message stands in when missing.
+export const SHOWING_OUTCOME_TEMPLATES = {
+  application_link: "showing_application_link",
+  re_engagement: "showing_re_engagement"
+};
+
+// Only showings that were still expected to happen can get an outcome.
+const awaitingOutcomeStatuses = ["pending", "confirmed"];
+
+// Conversation showing states that may still move to the recorded status (mirrors showingStateTransitionMap).
+// Any other state is left alone and reported as showingStateMismatch.
+const closableShowingStates = {
+  completed: ["confirmed"],
+  no_show: ["pending", "confirmed", "reschedule_requested"]
+};
+
+const defaultActor = { actorType: "worker", actorId: null };
+
+async function recordOutcomeAudit(client, actor, appointmentId, action, details) {
+  await client.query(
+    `INSERT INTO "AuditLogs" (actor_type, actor_id, entity_type, entity_id, action, details)
+     VALUES ($1, $2, 'showing_appointment', $3, $4, $5::jsonb)`,
+    [actor.actorType, actor.actorId ? String(actor.actorId) : null, String(appointmentId), action, JSON.stringify(details)]
+  );
+}
+
+export function validateShowingOutcome(payload) {
+  if (payload === null || Array.isArray(payload) || typeof payload !== "object") {
+    return ["outcome payload must be an object"];
+  }
+
+  const errors = [];
+  if (!SHOWING_OUTCOMES.includes(payload.outcome)) {
+    errors.push(`outcome must be one of ${SHOWING_OUTCOMES.join(", ")}`);
+  }
+  if (payload.outcome === "attended" && !SHOWING_INTEREST_LEVELS.includes(payload.interestLevel)) {
+    errors.push(`interestLevel must be one of ${SHOWING_INTEREST_LEVELS.join(", ")} when the lead attended`);
+  }
+  if (
+    payload.outcome === "no_show"
+    && payload.interestLevel !== undefined
+    && payload.interestLevel !== null
+  ) {
+    errors.push("interestLevel is only recorded when the lead attended");
+  }
+  if (
+    payload.notes !== undefined
+    && payload.notes !== null
+    && (typeof payload.notes !== "string" || payload.notes.length > 2000)
+  ) {
+    errors.push("notes must be a string of at most 2000 characters");
+  }
+  return errors;
+}
+
+// Interested leads get the application link; no-shows and lukewarm leads get a re-engagement message.
+// A lead who attended and is not interested gets nothing.
+export function selectOutcomeFollowUp({ outcome, interestLevel }) {
+  if (outcome === "no_show" || interestLevel === "low") {
+    return "re_engagement";
+  }
+  if (interestLevel === "high" || interestLevel === "medium") {
+    return "application_link";
+  }
+  return null;
+}
+
+function resolveWorkflowOutcome({ outcome, interestLevel }) {
+  if (outcome === "no_show") {
+    return "no_show";
+  }
+  return interestLevel === "none" ? "not_interested" : "completed";
+}
+
+// Stamps outcome_requested_at on showings whose end has passed without an outcome, oldest first.
+export async function flagShowingsAwaitingOutcome(client, { now = new Date(), limit = 100, actor = defaultActor } = {}) {
+  const result = await client.query(
+    `WITH due AS (
+       SELECT id
+         FROM "ShowingAppointments"
+        WHERE status = ANY($2::text[])
+          AND ends_at <= $1::timestamptz
+          AND outcome_requested_at IS NULL
+        ORDER BY ends_at ASC
+        LIMIT $3
+        FOR UPDATE SKIP LOCKED
+     )
+     UPDATE "ShowingAppointments" sa
+        SET outcome_requested_at = $1::timestamptz,
+            updated_at = NOW()
+       FROM due
+      WHERE sa.id = due.id
+      RETURNING sa.id, sa.agent_id, sa.conversation_id, sa.ends_at`,
+    [now.toISOString(), awaitingOutcomeStatuses, Math.max(1, Number(limit || 100))]
+  );
+
+  for (const row of result.rows) {
+    await recordOutcomeAudit(client, actor, row.id, "showing_outcome_requested", {
+      agentId: row.agent_id,
+      conversationId: row.conversation_id,
+      endsAt: row.ends_at
+    });
+  }
+
+  return {
+    flagged: result.rowCount,
+    appointmentIds: result.rows.map((row) => row.id)
+  };
+}
+
+// Closes a finished showing as completed or no_show and moves its conversation to the outcome stage.
+// Returns null for an unknown appointment, or { error } when the showing is closed or has not ended yet.
+// The follow-up message is sent separately with sendShowingOutcomeFollowUp once this has committed.
+export async function recordShowingOutcome(
+  client,
+  appointmentId,
+  { outcome, interestLevel = null, notes = null, now = new Date(), actor = defaultActor, defaultSendMode = "draft_only" }
+) {
+  return inTransaction(client, async () => {
+    const current = await client.query(
+      `SELECT sa.id,
+              sa.platform_account_id,
+              sa.conversation_id,
+              sa.agent_id,
+              sa.starts_at,
+              sa.ends_at,
+              sa.timezone,
+              sa.status,
+              pa.platform,
+              pa.credentials AS platform_credentials,
+              pa.is_active AS platform_is_active,
+              COALESCE(pa.send_mode, $2) AS platform_effective_send_mode,
+              pa.send_window AS platform_send_window,
+              a.send_window AS agent_send_window,
+              a.full_name AS agent_name,
+              u.property_name,
+              u.unit_number,
+              u.address_line1,
+              l.metadata AS listing_metadata,
+              c.external_thread_id,
+              c.lead_name,
+              c.lead_profile,
+              c.showing_state AS conversation_showing_state
+         FROM "ShowingAppointments" sa
+         JOIN "PlatformAccounts" pa ON pa.id = sa.platform_account_id
+         JOIN "Agents" a ON a.id = sa.agent_id
+         JOIN "Units" u ON u.id = sa.unit_id
+    LEFT JOIN "Listings" l ON l.id = sa.listing_id
+    LEFT JOIN "Conversations" c ON c.id = sa.conversation_id
+        WHERE sa.id = $1::uuid
+        FOR UPDATE OF sa`,
+      [appointmentId, defaultSendMode]
+    );
+    const row = current.rows[0];
+    if (!row) {
+      return null;
+    }
+    if (!awaitingOutcomeStatuses.includes(row.status)) {
+      return { error: "outcome_closed", status: row.status };
+    }
+    if (new Date(row.ends_at) > now) {
+      return { error: "showing_not_ended", endsAt: row.ends_at };
+    }
+
+    const status = outcome === "attended" ? "completed" : "no_show";
+    const recordedInterest = outcome === "attended" ? interestLevel : null;
+    const workflowOutcome = resolveWorkflowOutcome({ outcome, interestLevel: recordedInterest });
+    const followUp = selectOutcomeFollowUp({ outcome, interestLevel: recordedInterest });
+
+    await client.query(
+      `UPDATE "ShowingAppointments"
+          SET status = $2,
+              outcome_interest = $3,
+              outcome_notes = $4,
+              outcome_requested_at = COALESCE(outcome_requested_at, $5::timestamptz),
+              outcome_recorded_at = $5::timestamptz,
+              outcome_recorded_by = $6,
+              updated_at = NOW()
+        WHERE id = $1::uuid`,
+      [row.id, status, recordedInterest, notes || null, now.toISOString(), actor.actorId ? String(actor.actorId) : null]
+    );
+
+    let conversation = null;
+    if (row.conversation_id) {
+      // A lead who turned up to a pending showing confirmed it by attending, and pending cannot move
+      // straight to completed, so the conversation is confirmed first.
+      if (status === "completed" && row.conversation_showing_state === "pending") {
+        await client.query(
+          `UPDATE "Conversations" SET showing_state = 'confirmed' WHERE id = $1::uuid AND showing_state = 'pending'`,
+          [row.conversation_id]
+        );
+      }
+      const updated = await client.query(
+        `UPDATE "Conversations"
+            SET workflow_state = 'outcome',
+                workflow_outcome = $2,
+                showing_state = CASE
+                  WHEN showing_state IS NULL OR showing_state = ANY($4::text[]) THEN $3
+                  ELSE showing_state
+                END,
+                workflow_updated_at = NOW(),
+                updated_at = NOW()
+          WHERE id = $1::uuid
+          RETURNING id, workflow_state, workflow_outcome, showing_state`,
+        [row.conversation_id, workflowOutcome, status, closableShowingStates[status]]
+      );
+      conversation = updated.rows[0]
+        ? {
+            id: updated.rows[0].id,
+            workflowState: updated.rows[0].workflow_state,
+            workflowOutcome: updated.rows[0].workflow_outcome,
+            showingState: updated.rows[0].showing_state,
+            previousShowingState: row.conversation_showing_state ?? null,
+            showingStateMismatch: updated.rows[0].showing_state !== status
+          }
+        : null;
+    }
+
+    await recordOutcomeAudit(client, actor, row.id, "showing_outcome_recorded", {
+      outcome,
+      interestLevel: recordedInterest,
+      previousStatus: row.status,
+      status,
+      conversationId: row.conversation_id,
+      previousShowingState: conversation?.previousShowingState ?? null,
+      showingState: conversation?.showingState ?? null,
+      showingStateMismatch: conversation?.showingStateMismatch ?? false,
+      workflowOutcome,
+      followUp
+    });
+
+    const listingMetadata = row.listing_metadata || {};
+    return {
+      appointmentId: row.id,
+      status,
+      outcome,
+      interestLevel: recordedInterest,
+      notes: notes || null,
+      conversation,
+      followUp,
+      delivery: {
+        platformAccountId: row.platform_account_id,
+        platform: row.platform,
+        platformCredentials: row.platform_credentials || {},
+        platformIsActive: row.platform_is_active !== false,
+        sendMode: row.platform_effective_send_mode,
+        sendWindow: resolveSendWindow({ accountWindow: row.platform_send_window, agentWindow: row.agent_send_window }),
+        conversationId: row.conversation_id,
+        externalThreadId: row.external_thread_id,
+        agentId: row.agent_id
+      },
+      context: {
+        lead_name: row.lead_name || "",
+        agent_name: row.agent_name || "",
+        unit: row.property_name && row.unit_number ? `${row.property_name} ${row.unit_number}` : "",
+        unit_number: row.unit_number || "",
+        unit_address: row.address_line1 || "",
+        application_url: listingMetadata.applicationUrl || listingMetadata.application_url || "",
+        ...buildLeadProfileTemplateVariables(row.lead_profile || {})
+      }
+    };
+  });
+}
+
+function buildDefaultFollowUpBody({ followUp, outcome, context }) {
+  const greeting = context.lead_name ? `Hi ${context.lead_name},` : "Hi,";
+  const listing = context.unit ? ` of ${context.unit}` : "";
+  if (followUp === "application_link") {
+    const next = context.application_url
+      ? `You can apply here: ${context.application_url}`
+      : "Reply here and we'll send over the application.";
+    return `${greeting}\n\nThanks for coming to the viewing${listing}. ${next}`;
+  }
+  if (outcome === "no_show") {
+    return `${greeting}\n\nSorry we missed you at the viewing${listing}. Would another time suit you? Reply here and we'll find one that works.`;
+  }
+  return `${greeting}\n\nThanks for coming to the viewing${listing}. If it wasn't quite right, reply here and we'll let you know when something similar comes up.`;
+}
+
+// Drafts or sends the follow-up chosen by recordShowingOutcome, honouring the account's send mode and window.
+export async function sendShowingOutcomeFollowUp({ adapter, recorded, now = new Date() }) {
+  if (!recorded?.followUp) {
+    return { status: "skipped", reason: "no_follow_up" };
+  }
+  const delivery = recorded.delivery;
+  if (!delivery.conversationId || !delivery.externalThreadId) {
+    return { status: "skipped", reason: "no_conversation" };
+  }
+
+  const template = typeof adapter.findTemplate === "function"
+    ? await adapter.findTemplate({
+        platformAccountId: delivery.platformAccountId,
+        templateName: SHOWING_OUTCOME_TEMPLATES[recorded.followUp]
+      })
+    : null;
+  const body = template?.body ? renderTemplate(template.body, recorded.context) : buildDefaultFollowUpBody(recorded);
+
+  const result = await deliverLeadMessage({
+    adapter,
+    target: delivery,
+    body,
+    dispatchKey: `showing-outcome:${recorded.appointmentId}:${recorded.followUp}`,
+    metadata: {
+      templateId: template?.id || null,
+      showingOutcome: {
+        appointmentId: recorded.appointmentId,
+        outcome: recorded.outcome,
+        interestLevel: recorded.interestLevel,
+        followUp: recorded.followUp
+      }
+    },
+    now
+  });
+  return { ...result, templateId: template?.id || null };
+}
@@ -0,0 +1,355 @@
+import { buildLeadProfileTemplateVariables, renderTemplate } from "../../ai/src/index.js";
+import { calculateBackoffDelay } from "./retry.js";
+import { deliverLeadMessage } from "./send-windows.js";
+
+export const SHOWING_REMINDER_RECIPIENTS = ["lead", "agent"];
+
+const DEFAULT_REMINDER_OFFSETS_HOURS = [24, 2];
+const DEFAULT_REMINDER_TEMPLATE = "showing_reminder";
+const MAX_REMINDER_OFFSET_HOURS = 24 * 14;
+const MAX_REMINDER_OFFSETS = 4;
+const REMINDER_RETRY_BACKOFF = { baseDelayMs: 5 * 60 * 1000, maxDelayMs: 2 * 60 * 60 * 1000, factor: 2 };
+
+export function validateShowingReminders(config) {
+  if (config === null || Array.isArray(config) || typeof config !== "object") {
+    return ["showingReminders must be an object"];
+  }
+
+  const errors = [];
+  if (config.enabled !== undefined && typeof config.enabled !== "boolean") {
+    errors.push("showingReminders.enabled must be a boolean");
+  }
+  if (config.notifyAgent !== undefined && typeof config.notifyAgent !== "boolean") {
+    errors.push("showingReminders.notifyAgent must be a boolean");
+  }
+  if (
+    config.offsetsHours !== undefined
+    && (
+      !Array.isArray(config.offsetsHours)
+      || config.offsetsHours.length === 0
+      || config.offsetsHours.length > MAX_REMINDER_OFFSETS
+      || config.offsetsHours.some((hours) => !Number.isInteger(hours) || hours < 1 || hours > MAX_REMINDER_OFFSET_HOURS)
+      || new Set(config.offsetsHours).size !== config.offsetsHours.length
+    )
+  ) {
+    errors.push(`showingReminders.offsetsHours must list 1-${MAX_REMINDER_OFFSETS} distinct whole hours between 1 and ${MAX_REMINDER_OFFSET_HOURS}`);
+  }
+  if (
+    config.template !== undefined
+    && config.template !== null
+    && (typeof config.template !== "string" || config.template.trim().length === 0)
+  ) {
+    errors.push("showingReminders.template must be a template name or null");
+  }
+  return errors;
+}
+
+export function normalizeShowingReminders(config) {
+  const source = config && typeof config === "object" && !Array.isArray(config) ? config : {};
+  const offsetsHours = Array.isArray(source.offsetsHours) && validateShowingReminders({ offsetsHours: source.offsetsHours }).length === 0
+    ? [...source.offsetsHours].sort((a, b) => b - a)
+    : [...DEFAULT_REMINDER_OFFSETS_HOURS];
+
+  return {
+    enabled: source.enabled === true,
+    offsetsHours,
+    notifyAgent: source.notifyAgent !== false,
+    template: typeof source.template === "string" && source.template.trim() ? source.template.trim() : DEFAULT_REMINDER_TEMPLATE
+  };
+}
+
+function formatShowingTime(startsAt, timezone) {
+  const instant = new Date(startsAt);
+  const zone = timezone || "UTC";
+  const dateLabel = new Intl.DateTimeFormat("en-US", { timeZone: zone, weekday: "short", month: "short", day: "numeric" }).format(instant);
+  const timeLabel = new Intl.DateTimeFormat("en-US", { timeZone: zone, hour: "numeric", minute: "2-digit", timeZoneName: "short" }).format(instant);
+  return `${dateLabel} at ${timeLabel}`;
+}
+
+function buildReminderContext(reminder) {
+  const unit = reminder.propertyName && reminder.unitNumber ? `${reminder.propertyName} ${reminder.unitNumber}` : "";
+  return {
+    unit,
+    unit_number: reminder.unitNumber || "",
+    unit_address: reminder.addressLine1 || "",
+    lead_name: reminder.leadName || "",
+    agent_name: reminder.agentName || "",
+    showing_time: formatShowingTime(reminder.startsAt, reminder.timezone),
+    hours_before: String(reminder.offsetHours),
+    ...buildLeadProfileTemplateVariables(reminder.leadProfile)
+  };
+}
+
+function buildDefaultLeadReminderBody(context) {
+  const greeting = context.lead_name ? `Hi ${context.lead_name},` : "Hi,";
+  const listing = context.unit ? ` of ${context.unit}` : "";
+  const address = context.unit_address ? ` at ${context.unit_address}` : "";
+  return `${greeting}\n\nA quick reminder that your viewing${listing}${address} is on ${context.showing_time}. Reply here if you need to change it.`;
+}
+
+function buildAgentReminderText(context) {
+  const lead = context.lead_name || "a lead";
+  const listing = context.unit ? ` of ${context.unit}` : "";
+  return `Reminder: showing${listing} with ${lead} on ${context.showing_time} (${context.hours_before}h away).`;
+}
+
+// Optional external channel for agent reminders, on top of the in-app notification. Without a webhook
+// it reports no_channel and the in-app notification is the only delivery.
+export function createAgentNotifier(options = {}) {
+  const env = options.env || process.env;
+  const fetchImpl = options.fetchImpl || globalThis.fetch;
+  const webhookUrl = String(env.LEASE_BOT_AGENT_NOTIFY_WEBHOOK_URL || "").trim();
+
+  return {
+    async notify({ agent, appointment, text }) {
+      if (!webhookUrl) {
+        return { skipped: true, reason: "no_channel" };
+      }
+      if (typeof fetchImpl !== "function") {
+        throw new Error("fetch is unavailable for agent notifications");
+      }
+
+      const response = await fetchImpl(webhookUrl, {
+        method: "POST",
+        headers: {
+          "content-type": "application/json"
+        },
+        body: JSON.stringify({
+          type: "showing_reminder",
+          agent,
+          appointment,
+          text,
+          sentAt: new Date().toISOString()
+        })
+      });
+
+      if (!response.ok) {
+        const body = await response.text().catch(() => "");
+        throw new Error(`agent notification failed (${response.status}): ${body.slice(0, 400)}`);
+      }
+      return { channel: "webhook" };
+    }
+  };
+}
+
+async function deliverLeadReminder({ adapter, reminder, context, now }) {
+  if (!reminder.conversationId || !reminder.externalThreadId) {
+    return { status: "skipped", reason: "no_conversation" };
+  }
+
+  const template = typeof adapter.findTemplate === "function"
+    ? await adapter.findTemplate({ platformAccountId: reminder.platformAccountId, templateName: reminder.config.template })
+    : null;
+  const body = template?.body ? renderTemplate(template.body, context) : buildDefaultLeadReminderBody(context);
+
+  const result = await deliverLeadMessage({
+    adapter,
+    target: reminder,
+    body,
+    dispatchKey: `showing-reminder:${reminder.appointmentId}:${reminder.offsetHours}h:${reminder.startsAt}`,
+    metadata: {
+      templateId: template?.id || null,
+      showingReminder: {
+        appointmentId: reminder.appointmentId,
+        offsetHours: reminder.offsetHours,
+        startsAt: reminder.startsAt
+      },
+      workerGeneratedAt: now.toISOString()
+    },
+    deferBefore: reminder.startsAt,
+    now
+  });
+  return { ...result, templateId: template?.id || null };
+}
+
+// Every agent reminder is stored as an in-app notification; the notifier's webhook, when configured,
+// is an extra channel.
+async function deliverAgentReminder({ adapter, notifier, reminder, context }) {
+  const text = buildAgentReminderText(context);
+  const channels = [];
+  let notificationId = null;
+
+  if (typeof adapter.recordAgentNotification === "function") {
+    const notification = await adapter.recordAgentNotification({
+      agentId: reminder.agentId,
+      type: "showing_reminder",
+      appointmentId: reminder.appointmentId,
+      conversationId: reminder.conversationId,
+      body: text,
+      details: { offsetHours: reminder.offsetHours, startsAt: reminder.startsAt, unit: context.unit, leadName: reminder.leadName },
+      dedupeKey: `showing-reminder:${reminder.appointmentId}:${reminder.offsetHours}h:${reminder.startsAt}`
+    });
+    notificationId = notification.notificationId;
+    channels.push("in_app");
+  }
+
+  const webhook = notifier
+    ? await notifier.notify({
+        agent: { id: reminder.agentId, name: reminder.agentName, email: reminder.agentEmail, phone: reminder.agentPhone },
+        appointment: {
+          id: reminder.appointmentId,
+          conversationId: reminder.conversationId,
+          startsAt: reminder.startsAt,
+          timezone: reminder.timezone,
+          unit: context.unit,
+          leadName: reminder.leadName
+        },
+        text
+      })
+    : null;
+  if (webhook && !webhook.skipped) {
+    channels.push(webhook.channel || "webhook");
+  }
+
+  if (channels.length === 0) {
+    return { status: "skipped", reason: notifier ? webhook?.reason || "no_channel" : "no_notifier" };
+  }
+  return { status: "notified", delivery: { channels, notificationId } };
+}
+
+function reminderAuditAction(recipient, status) {
+  if (recipient === "agent") {
+    return status === "notified" ? "showing_reminder_agent_notified" : `showing_reminder_agent_${status}`;
+  }
+  return {
+    sent: "showing_reminder_sent",
+    hold: "showing_reminder_held_for_review",
+    deferred: "showing_reminder_deferred_to_send_window",
+    draft: "showing_reminder_draft_created"
+  }[status] || `showing_reminder_${status}`;
+}
+
+// A failed reminder, or one that had nowhere to go, is tried again with backoff. Retries stop once the next
+// attempt would land at or after the showing, and a closer offset that comes due supersedes it.
+function nextReminderAttemptAt({ reminder, result, attempts, now }) {
+  if (result.status !== "failed" && !(result.status === "skipped" && result.reason !== "superseded_by_closer_offset")) {
+    return null;
+  }
+  const nextAttemptAt = new Date(now.getTime() + calculateBackoffDelay(attempts, REMINDER_RETRY_BACKOFF));
+  return nextAttemptAt.getTime() < Date.parse(reminder.startsAt) ? nextAttemptAt.toISOString() : null;
+}
+
+// Sends reminders for confirmed showings once each configured offset is reached.
+// Claiming a (appointment, offset, recipient, start time) row first keeps every reminder to a single send.
+export async function processDueShowingReminders({
+  adapter,
+  notifier = null,
+  logger = console,
+  now = new Date(),
+  limit = 20
+}) {
+  const summary = { scanned: 0, sent: 0, drafted: 0, held: 0, deferred: 0, notified: 0, skipped: 0, failed: 0 };
+  if (typeof adapter.fetchDueShowingReminders !== "function") {
+    return summary;
+  }
+
+  const due = await adapter.fetchDueShowingReminders({ now: now.toISOString(), limit });
+  summary.scanned = due.length;
+
+  // When several offsets are already due (a showing booked an hour out), only the closest one is sent.
+  const closestOffset = new Map();
+  for (const reminder of due) {
+    const key = `${reminder.appointmentId}:${reminder.recipient}`;
+    closestOffset.set(key, Math.min(closestOffset.get(key) ?? Infinity, reminder.offsetHours));
+  }
+
+  for (const reminder of due) {
+    const superseded = closestOffset.get(`${reminder.appointmentId}:${reminder.recipient}`) !== reminder.offsetHours;
+    try {
+      const claim = await adapter.claimShowingReminder({
+        appointmentId: reminder.appointmentId,
+        offsetHours: reminder.offsetHours,
+        recipient: reminder.recipient,
+        startsAt: reminder.startsAt,
+        now: now.toISOString()
+      });
+      if (!claim?.applied) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      const config = normalizeShowingReminders(reminder.showingReminders);
+      const context = buildReminderContext(reminder);
+      let result;
+      try {
+        result = superseded
+          ? { status: "skipped", reason: "superseded_by_closer_offset" }
+          : reminder.recipient === "lead"
+            ? await deliverLeadReminder({ adapter, reminder: { ...reminder, config }, context, now })
+            : await deliverAgentReminder({ adapter, notifier, reminder, context });
+      } catch (error) {
+        result = { status: "failed", dispatchError: error instanceof Error ? error.message : String(error) };
+      }
+
+      const attempts = claim.attempts || 1;
+      const nextAttemptAt = nextReminderAttemptAt({ reminder, result, attempts, now });
+      const details = {
+        reason: result.reason || null,
+        delivery: result.delivery || null,
+        deferredUntil: result.deferredUntil || null,
+        dispatchError: result.dispatchError || null,
+        attempts
+      };
+      if (nextAttemptAt && typeof adapter.scheduleShowingReminderRetry === "function") {
+        await adapter.scheduleShowingReminderRetry({
+          reminderId: claim.reminderId,
+          status: result.status,
+          nextAttemptAt,
+          details
+        });
+      } else {
+        await adapter.completeShowingReminder({
+          reminderId: claim.reminderId,
+          status: result.status,
+          messageId: result.messageId || null,
+          details
+        });
+      }
+      await adapter.recordLog({
+        actorType: "worker",
+        entityType: "showing_appointment",
+        entityId: reminder.appointmentId,
+        action: reminderAuditAction(reminder.recipient, result.status),
+        details: {
+          recipient: reminder.recipient,
+          offsetHours: reminder.offsetHours,
+          startsAt: reminder.startsAt,
+          conversationId: reminder.conversationId,
+          agentId: reminder.agentId,
+          messageId: result.messageId || null,
+          templateId: result.templateId || null,
+          reason: result.reason || null,
+          dispatchError: result.dispatchError || null,
+          attempts,
+          nextAttemptAt
+        }
+      });
+
+      if (result.status === "sent") {
+        summary.sent += 1;
+      } else if (result.status === "hold") {
+        summary.held += 1;
+      } else if (result.status === "deferred") {
+        summary.deferred += 1;
+      } else if (result.status === "draft") {
+        summary.drafted += 1;
+      } else if (result.status === "notified") {
+        summary.notified += 1;
+      } else if (result.status === "failed") {
+        summary.failed += 1;
+      } else {
+        summary.skipped += 1;
+      }
+    } catch (error) {
+      summary.failed += 1;
+      logger.warn("[showing-reminders] failed sending reminder", {
+        appointmentId: reminder.appointmentId,
+        recipient: reminder.recipient,
+        offsetHours: reminder.offsetHours,
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+
+  return summary;
+}
@@ -92,9 +92,28 @@ function zonedTimeToUtc(dateString, timeString, timezone, { disambiguation = "ea
   return new Date(candidates[candidates.length - 1]);
 }
 
+// 24-hour HH:MM, as used by send windows.
+function isClockTime(value) {
+  return /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value));
+}
+
+function isValidTimezone(timezone) {
+  if (typeof timezone !== "string" || timezone.trim().length === 0) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
 export {
   LocalTimeValidationError,
   formatInTimezone,
+  isClockTime,
+  isValidTimezone,
   zonedTimeToUtc
 };
 
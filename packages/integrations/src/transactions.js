@@ -0,0 +1,12 @@
+// Runs task inside BEGIN/COMMIT on a single checked-out client, rolling back if it throws.
+export async function inTransaction(client, task) {
+  await client.query("BEGIN");
+  try {
+    const result = await task();
+    await client.query("COMMIT");
+    return result;
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  }
+}
@@ -90,3 +90,76 @@ test("dispatch attempt metadata updates bind parameter types explicitly (no 42P0
   }
 });
 
+
+test("dead-lettered dispatches can be listed, requeued under a new nonce, and discarded", async () => {
+  const ids = await insertFixture();
+  const second = await insertFixture();
+  const adapter = createPostgresQueueAdapter(pool);
+  const now = new Date().toISOString();
+
+  try {
+    for (const fixture of [ids, second]) {
+      await adapter.beginDispatchAttempt({
+        messageId: fixture.messageId,
+        dispatchKey: `dispatch-${fixture.externalMessageId}`,
+        platform: "spareroom",
+        stage: "send",
+        now
+      });
+      await adapter.failDispatchAttempt({
+        messageId: fixture.messageId,
+        stage: "send",
+        error: "platform timeout",
+        now,
+        retry: { retryExhausted: true, attempts: 3 }
+      });
+    }
+
+    const listed = await adapter.fetchDeadLetteredDispatches({ messageIds: [ids.messageId, second.messageId] });
+    assert.deepEqual(listed.map((item) => item.messageId).sort(), [ids.messageId, second.messageId].sort());
+    assert.equal(listed[0].platform, "spareroom");
+    assert.equal(listed[0].dispatch.state, "dlq");
+
+    const requeued = await adapter.requeueDeadLetteredDispatches({ messageIds: [ids.messageId], actorId: "admin-1", now });
+    assert.equal(requeued.length, 1);
+    assert.ok(requeued[0].retryNonce);
+
+    const discarded = await adapter.discardDeadLetteredDispatches({
+      messageIds: [ids.messageId, second.messageId],
+      reason: "lead already replied by phone",
+      actorId: "admin-1",
+      now
+    });
+    assert.deepEqual(discarded, [{ messageId: second.messageId }], "only messages still in the DLQ are discarded");
+
+    const rows = await pool.query(
+      `SELECT id, metadata->'dispatch' AS dispatch FROM "Messages" WHERE id = ANY($1::uuid[])`,
+      [[ids.messageId, second.messageId]]
+    );
+    const dispatchById = Object.fromEntries(rows.rows.map((row) => [row.id, row.dispatch]));
+    assert.equal(dispatchById[ids.messageId].state, "retry_requested");
+    assert.deepEqual(dispatchById[ids.messageId].previousKeys, [`dispatch-${ids.externalMessageId}`]);
+    assert.equal(dispatchById[second.messageId].state, "discarded");
+    assert.equal(dispatchById[second.messageId].discardReason, "lead already replied by phone");
+    assert.deepEqual(await adapter.fetchDeadLetteredDispatches({ messageIds: [ids.messageId, second.messageId] }), []);
+
+    const retried = await adapter.beginDispatchAttempt({
+      messageId: ids.messageId,
+      dispatchKey: `dispatch-${ids.externalMessageId}-${requeued[0].retryNonce}`,
+      platform: "spareroom",
+      stage: "send",
+      now
+    });
+    assert.equal(retried.shouldDispatch, true);
+    const retriedRow = await pool.query(`SELECT metadata->'dispatch' AS dispatch FROM "Messages" WHERE id = $1::uuid`, [ids.messageId]);
+    assert.equal(retriedRow.rows[0].dispatch.key, `dispatch-${ids.externalMessageId}-${requeued[0].retryNonce}`);
+    assert.equal(retriedRow.rows[0].dispatch.state, "in_progress");
+    assert.equal(retriedRow.rows[0].dispatch.retryNonce, requeued[0].retryNonce, "the new attempt keeps the retry nonce");
+    assert.deepEqual(retriedRow.rows[0].dispatch.previousKeys, [`dispatch-${ids.externalMessageId}`]);
+    assert.equal(retriedRow.rows[0].dispatch.retryRequestedBy, "admin-1");
+    assert.equal(retriedRow.rows[0].dispatch.lastError, undefined, "the dead-lettered attempt's outcome is not carried over");
+  } finally {
+    await cleanupFixture(ids);
+    await cleanupFixture(second);
+  }
+});
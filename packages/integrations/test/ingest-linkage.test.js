@@ -7,6 +7,7 @@ function createMockClient({ linkageRow = null, conversationListingId = null, mes
   const state = {
     conversationInserts: [],
     linkageQueries: [],
+    routingQueries: [],
     auditInserts: []
   };
 
@@ -57,6 +58,11 @@ function createMockClient({ linkageRow = null, conversationListingId = null, mes
         };
       }
 
+      if (sql.includes("JOIN \"UnitAgentAssignments\" ua")) {
+        state.routingQueries.push(params);
+        return { rowCount: 0, rows: [] };
+      }
+
       if (sql.includes("INSERT INTO \"Messages\"")) {
         return {
           rowCount: messageInserted ? 1 : 0,
@@ -125,6 +131,7 @@ test("R5/R10 ingest linkage: resolved listing context is persisted and audited",
   assert.equal(result.ingested, 1);
   assert.equal(client.state.conversationInserts.length, 1);
   assert.equal(client.state.conversationInserts[0][1], "11111111-1111-4111-8111-111111111111");
+  assert.equal(client.state.routingQueries.length, 1);
 
   assert.equal(client.state.auditInserts.length, 1);
   assert.equal(client.state.auditInserts[0][1], "ingest_conversation_linkage_resolved");
@@ -159,6 +166,7 @@ test("R5 ingest linkage: unresolved context is audited without forcing linkage",
   assert.equal(result.scanned, 1);
   assert.equal(result.ingested, 1);
   assert.equal(client.state.conversationInserts[0][1], null);
+  assert.equal(client.state.routingQueries.length, 0);
 
   assert.equal(client.state.auditInserts.length, 1);
   assert.equal(client.state.auditInserts[0][1], "ingest_conversation_linkage_unresolved");
@@ -0,0 +1,120 @@
+import fs from "node:fs";
+import path from "node:path";
+import process from "node:process";
+
+import { parseIntentModel, predictIntentWithModel, trainIntentModel } from "../packages/ai/src/index.js";
+import { createClient } from "../packages/db/src/index.js";
+
+const DEFAULT_OUTPUT = path.resolve("models", "intent-model.json");
+const MIN_APPROVED_EXAMPLES = 20;
+const MIN_APPROVED_EXAMPLES_PER_LABEL = 5;
+
+function parseArgs(argv) {
+  const args = {
+    output: DEFAULT_OUTPUT,
+    input: null,
+    dryRun: false,
+    minExamples: MIN_APPROVED_EXAMPLES,
+    minPerLabel: MIN_APPROVED_EXAMPLES_PER_LABEL
+  };
+  for (let index = 0; index < argv.length; index += 1) {
+    const value = argv[index];
+    if (value === "--output") {
+      args.output = path.resolve(argv[++index]);
+    } else if (value === "--input") {
+      args.input = path.resolve(argv[++index]);
+    } else if (value === "--min-examples") {
+      args.minExamples = Number(argv[++index]);
+    } else if (value === "--min-per-label") {
+      args.minPerLabel = Number(argv[++index]);
+    } else if (value === "--dry-run") {
+      args.dryRun = true;
+    } else {
+      throw new Error(`unknown argument: ${value}`);
+    }
+  }
+  return args;
+}
+
+function readExamplesFile(filePath) {
+  return fs
+    .readFileSync(filePath, "utf8")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => JSON.parse(line));
+}
+
+// Labels come from AI drafts an admin approved or rejected in the inbox; the body is the
+// inbound lead message the draft answered. Only the latest review of each draft counts.
+async function fetchReviewedExamples() {
+  const client = createClient();
+  await client.connect();
+  try {
+    const result = await client.query(
+      `SELECT DISTINCT ON (audit.entity_id)
+              inbound.body,
+              outbound.metadata->>'intent' AS intent,
+              audit.action = 'inbox_message_approved' AS approved
+         FROM "AuditLogs" audit
+         JOIN "Messages" outbound
+           ON outbound.id::text = audit.entity_id
+          AND outbound.direction = 'outbound'
+         JOIN LATERAL (
+           SELECT m.body
+             FROM "Messages" m
+            WHERE m.conversation_id = outbound.conversation_id
+              AND m.direction = 'inbound'
+              AND m.created_at <= outbound.created_at
+            ORDER BY m.created_at DESC
+            LIMIT 1
+         ) inbound ON TRUE
+        WHERE audit.entity_type = 'message'
+          AND audit.action IN ('inbox_message_approved', 'inbox_message_rejected')
+          AND outbound.metadata ? 'intent'
+        ORDER BY audit.entity_id, audit.created_at DESC`
+    );
+    return result.rows;
+  } finally {
+    await client.end();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const examples = args.input ? readExamplesFile(args.input) : await fetchReviewedExamples();
+  const approvedCount = examples.filter((example) => example.approved !== false).length;
+
+  console.log(`[train-intent] ${examples.length} reviewed examples (${approvedCount} approved)`);
+  if (approvedCount < args.minExamples) {
+    console.error(`[train-intent] need at least ${args.minExamples} approved examples; keeping the heuristic classifier`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let model;
+  try {
+    model = trainIntentModel(examples, { minExamplesPerLabel: args.minPerLabel });
+  } catch (error) {
+    console.error(`[train-intent] ${error.message}; keeping the heuristic classifier`);
+    process.exitCode = 1;
+    return;
+  }
+  const compiled = parseIntentModel(model);
+  const approved = examples.filter((example) => example.approved !== false);
+  const correct = approved.filter((example) => predictIntentWithModel(compiled, example.body).intent === example.intent).length;
+  console.log(`[train-intent] ${model.modelVersion} labels=${model.labels.join(",")} trainingAccuracy=${(correct / approved.length).toFixed(3)}`);
+
+  if (args.dryRun) {
+    return;
+  }
+
+  fs.mkdirSync(path.dirname(args.output), { recursive: true });
+  fs.writeFileSync(args.output, `${JSON.stringify(model, null, 2)}\n`);
+  console.log(`[train-intent] wrote ${args.output}; set AI_INTENT_MODEL_PATH to use it`);
+}
+
+main().catch((error) => {
+  console.error("[train-intent] failed", error);
+  process.exitCode = 1;
+});